@@ -24,6 +24,7 @@ function createWindow() {
       contextIsolation: true,
       nodeIntegration: false,
       sandbox: false,
+      plugins: true, // built-in PDF viewer for PDF question attachments
     },
   });
 
@@ -65,6 +66,9 @@ function createWindow() {
             "worker-src 'self' blob:",
             // Images
             "img-src 'self' data: blob: https://*.supabase.co https://*.supabase.in",
+            // Question attachments: audio players and PDF viewers (prefetched copies are blob: URLs)
+            "media-src 'self' data: blob: https://*.supabase.co https://*.supabase.in",
+            "frame-src 'self' blob: https://*.supabase.co https://*.supabase.in",
             // Plugins
             "object-src 'none'",
             // connect-src: ALL outbound fetch/XHR/WebSocket targets
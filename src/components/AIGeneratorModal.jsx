@@ -10,6 +10,8 @@ import { AutoAwesome, UploadFile, Description, CheckCircle, Warning } from '@mui
 import * as pdfjsLib from 'pdfjs-dist';
 // Explicitly import the worker for Vite/Webpack environments
 import pdfWorkerUrl from 'pdfjs-dist/build/pdf.worker.mjs?url';
+import { DIFFICULTIES } from '../lib/questionTypes';
+import RichText from './RichText';
 
 // Initialize PDF.js worker using the local bundled worker
 pdfjsLib.GlobalWorkerOptions.workerSrc = pdfWorkerUrl;
@@ -122,6 +124,7 @@ The JSON must be an array of objects. Each object must have these exactly 3 keys
 - "question_text": The question string.
 - "options": An array of exactly 4 strings representing the choices.
 - "correct_answer": An array of strings containing the exact correct option(s) from the options list. If the type is Single Correct Answer, this array must contain exactly 1 item. If Multiple Correct, it can contain 1 to 4 items.
+Write mathematics as LaTeX between $ signs (e.g. $\\frac{a}{b}$) and code inside backticks, using a \`\`\`language fenced block for code longer than one line.
 
 SOURCE TEXT:
 ${sourceText}`;
@@ -200,7 +203,8 @@ ${sourceText}`;
                     correct_answer: Array.isArray(q.correct_answer) ? q.correct_answer : [q.correct_answer].filter(Boolean),
                     question_type: questionType,
                     marks: 1,
-                    negative_marks: 0
+                    negative_marks: 0,
+                    difficulty: DIFFICULTIES.includes(difficulty) ? difficulty : 'Hard', // "Expert" is the bank's Hard
                 }));
 
             } catch (parseErr) {
@@ -411,7 +415,7 @@ ${sourceText}`;
                                         <ListItemText
                                             primary={
                                                 <Typography variant="subtitle1" fontWeight={600} sx={{ mb: 1 }}>
-                                                    {q.question_text}
+                                                    <RichText text={q.question_text} />
                                                 </Typography>
                                             }
                                             secondary={
@@ -422,7 +426,7 @@ ${sourceText}`;
                                                             return (
                                                                 <Typography component="li" key={oIdx} variant="body2"
                                                                     sx={{ color: isCorrect ? 'success.main' : 'text.secondary', fontWeight: isCorrect ? 600 : 400, mb: 0.5 }}>
-                                                                    {opt} {isCorrect && <CheckCircle sx={{ fontSize: 12, ml: 0.5, verticalAlign: 'middle' }} />}
+                                                                    <RichText text={opt} /> {isCorrect && <CheckCircle sx={{ fontSize: 12, ml: 0.5, verticalAlign: 'middle' }} />}
                                                                 </Typography>
                                                             );
                                                         })}
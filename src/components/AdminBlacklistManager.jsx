@@ -10,7 +10,7 @@ import { Add, Delete, Search, Shield, Block, CheckCircle, Refresh } from '@mui/i
 import { supabase } from '../lib/supabase';
 
 // Category display config — now includes all 11 categories
-const CATEGORY_CONFIG = {
+export const CATEGORY_CONFIG = {
     remote: { label: 'Remote Desktop', color: '#F44336' },
     recording: { label: 'Screen Recording', color: '#FF9800' },
     virtual_machine: { label: 'Virtual Machines', color: '#9C27B0' },
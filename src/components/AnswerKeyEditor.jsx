@@ -0,0 +1,272 @@
+import { Box, Typography, TextField, Chip, Grid, IconButton, Button, MenuItem } from '@mui/material';
+import { Add, Close, Image } from '@mui/icons-material';
+import { TRUE_FALSE_OPTIONS, BLANK_MARKER, CODE_LANGUAGES, countBlanks, rubricTotal } from '../lib/questionTypes';
+import { hasMarkup } from '../lib/richText';
+import { ATTACHMENT_CONFIG } from '../lib/questionAttachments';
+import RichText from './RichText';
+import AttachmentButton from './AttachmentButton';
+
+// Alternative accepted answers are typed into one field, separated by |
+const ALT_SEPARATOR = '|';
+
+/**
+ * AnswerKeyEditor — options and correct answer of one question, laid out for
+ * its question_type. Used by TestCreation below the question text.
+ * Shapes are documented in supabase/functions/_shared/grading.js;
+ * prepareQuestion() tidies them up before saving.
+ *
+ * Props:
+ *   question: question being edited
+ *   onChange: (patch) => void — partial { options, correct_answer }
+ */
+export default function AnswerKeyEditor({ question: q, onChange }) {
+    const key = Array.isArray(q.correct_answer) ? q.correct_answer : [];
+    const setAt = (list, i, v) => list.map((x, j) => (j === i ? v : x));
+
+    // ─── Multiple choice (click a letter to mark it correct) ───
+    if (q.question_type === 'MCQ_SINGLE' || q.question_type === 'MCQ_MULTIPLE') {
+        const options = Array.isArray(q.options) ? q.options : [];
+        const toggleCorrect = (opt) => onChange({
+            correct_answer: q.question_type === 'MCQ_SINGLE' ? [opt]
+                : key.includes(opt) ? key.filter(a => a !== opt) : [...key, opt],
+        });
+        // Renaming an option keeps it marked correct
+        const renameOption = (i, text) => onChange({
+            options: setAt(options, i, text),
+            correct_answer: key.map(a => (a === options[i] ? text : a)),
+        });
+        return (
+            <>
+                <Typography variant="body2" color="text.secondary" sx={{ mb: 1 }}>
+                    Options (click to mark as correct):
+                </Typography>
+                <Grid container spacing={1}>
+                    {options.map((opt, oIdx) => (
+                        <Grid key={oIdx} size={{ xs: 12, sm: 6 }}>
+                            <Box sx={{ display: 'flex', gap: 1 }}>
+                                <Chip label={String.fromCharCode(65 + oIdx)} size="small"
+                                    color={key.includes(opt) && opt ? 'success' : 'default'}
+                                    onClick={() => opt && toggleCorrect(opt)} sx={{ mt: 1 }} />
+                                <TextField fullWidth size="small" placeholder={`Option ${String.fromCharCode(65 + oIdx)}`}
+                                    value={opt} onChange={e => renameOption(oIdx, e.target.value)}
+                                    helperText={hasMarkup(opt) ? <RichText text={opt} /> : undefined} />
+                                <Box sx={{ mt: 0.5 }}>
+                                    <AttachmentButton title="Add Image" icon={<Image fontSize="small" />}
+                                        accept={ATTACHMENT_CONFIG.IMAGE_ACCEPT}
+                                        onAttached={markup => renameOption(oIdx, opt ? `${opt} ${markup}` : markup)} />
+                                </Box>
+                            </Box>
+                        </Grid>
+                    ))}
+                </Grid>
+            </>
+        );
+    }
+
+    // ─── True / false ───
+    if (q.question_type === 'TRUE_FALSE') {
+        return (
+            <Box sx={{ display: 'flex', alignItems: 'center', gap: 1 }}>
+                <Typography variant="body2" color="text.secondary">Correct answer:</Typography>
+                {TRUE_FALSE_OPTIONS.map(opt => (
+                    <Chip key={opt} label={opt} clickable
+                        color={key[0] === opt ? 'success' : 'default'}
+                        onClick={() => onChange({ options: [...TRUE_FALSE_OPTIONS], correct_answer: [opt] })} />
+                ))}
+            </Box>
+        );
+    }
+
+    // ─── Numeric with tolerance ───
+    if (q.question_type === 'NUMERIC') {
+        const { value = '', tolerance = 0 } = key[0] || {};
+        const set = (field, v) => onChange({ correct_answer: [{ value, tolerance, [field]: v }] });
+        return (
+            <Box sx={{ display: 'flex', gap: 2 }}>
+                <TextField size="small" label="Correct value" type="number" value={value}
+                    onChange={e => set('value', e.target.value)} />
+                <TextField size="small" label="± Tolerance" type="number" value={tolerance}
+                    inputProps={{ min: 0, step: 'any' }} onChange={e => set('tolerance', e.target.value)}
+                    helperText="Answers within this distance are accepted" />
+            </Box>
+        );
+    }
+
+    // ─── Short text (accepted answers, case-insensitive) ───
+    if (q.question_type === 'SHORT_TEXT') {
+        return (
+            <TextField fullWidth size="small" label="Accepted answers"
+                value={key.join(ALT_SEPARATOR)}
+                onChange={e => onChange({ correct_answer: e.target.value.split(ALT_SEPARATOR) })}
+                helperText={`Separate alternatives with ${ALT_SEPARATOR} — matching ignores case and extra spaces`} />
+        );
+    }
+
+    // ─── Fill in the blanks (one field per ___ in the text) ───
+    if (q.question_type === 'FILL_BLANK') {
+        const blanks = countBlanks(q.question_text);
+        const setBlank = (i, text) => {
+            const next = Array.from({ length: blanks }, (_, j) => key[j] || []);
+            next[i] = text.split(ALT_SEPARATOR);
+            onChange({ correct_answer: next });
+        };
+        return (
+            <Box sx={{ display: 'flex', flexDirection: 'column', gap: 1.5 }}>
+                <Typography variant="body2" color="text.secondary">
+                    {blanks === 0
+                        ? `Type ${BLANK_MARKER} in the question text for each blank.`
+                        : `Accepted answers per blank — separate alternatives with ${ALT_SEPARATOR}`}
+                </Typography>
+                {Array.from({ length: blanks }, (_, i) => (
+                    <TextField key={i} size="small" label={`Blank ${i + 1}`}
+                        value={(key[i] || []).join(ALT_SEPARATOR)} onChange={e => setBlank(i, e.target.value)} />
+                ))}
+            </Box>
+        );
+    }
+
+    // ─── Matching (pairs; students see the right column shuffled) ───
+    if (q.question_type === 'MATCHING') {
+        const left = q.options?.left || [];
+        const setPairs = (nextLeft, nextRight) => onChange({ options: { left: nextLeft, right: [] }, correct_answer: nextRight });
+        return (
+            <Box sx={{ display: 'flex', flexDirection: 'column', gap: 1 }}>
+                <Typography variant="body2" color="text.secondary">
+                    Matching pairs (students see the right-hand items shuffled):
+                </Typography>
+                {left.map((item, i) => (
+                    <Box key={i} sx={{ display: 'flex', gap: 1, alignItems: 'center' }}>
+                        <TextField fullWidth size="small" placeholder={`Item ${i + 1}`} value={item}
+                            onChange={e => setPairs(setAt(left, i, e.target.value), key)} />
+                        <Typography color="text.secondary">→</Typography>
+                        <TextField fullWidth size="small" placeholder="Matches" value={key[i] ?? ''}
+                            onChange={e => setPairs(left, setAt(left.map((_, j) => key[j] ?? ''), i, e.target.value))} />
+                        <IconButton size="small" disabled={left.length <= 2}
+                            onClick={() => setPairs(left.filter((_, j) => j !== i), key.filter((_, j) => j !== i))}>
+                            <Close fontSize="small" />
+                        </IconButton>
+                    </Box>
+                ))}
+                <Button size="small" startIcon={<Add />} sx={{ alignSelf: 'flex-start' }}
+                    onClick={() => setPairs([...left, ''], [...left.map((_, j) => key[j] ?? ''), ''])}>Add Pair</Button>
+            </Box>
+        );
+    }
+
+    // ─── Ordering (entered in the correct order; shown shuffled) ───
+    if (q.question_type === 'ORDERING') {
+        return (
+            <Box sx={{ display: 'flex', flexDirection: 'column', gap: 1 }}>
+                <Typography variant="body2" color="text.secondary">
+                    Items in the correct order (students see them shuffled):
+                </Typography>
+                {key.map((item, i) => (
+                    <Box key={i} sx={{ display: 'flex', gap: 1, alignItems: 'center' }}>
+                        <Typography variant="body2" color="text.secondary" sx={{ width: 24 }}>{i + 1}.</Typography>
+                        <TextField fullWidth size="small" value={item}
+                            onChange={e => onChange({ correct_answer: setAt(key, i, e.target.value) })} />
+                        <IconButton size="small" disabled={key.length <= 2}
+                            onClick={() => onChange({ correct_answer: key.filter((_, j) => j !== i) })}>
+                            <Close fontSize="small" />
+                        </IconButton>
+                    </Box>
+                ))}
+                <Button size="small" startIcon={<Add />} sx={{ alignSelf: 'flex-start' }}
+                    onClick={() => onChange({ correct_answer: [...key, ''] })}>Add Item</Button>
+            </Box>
+        );
+    }
+
+    // ─── Essay (word limits, rubric, notes for graders) ───
+    if (q.question_type === 'ESSAY') {
+        const opts = q.options || {};
+        const rubric = opts.rubric || [];
+        const setOpt = (field, v) => onChange({ options: { ...opts, [field]: v } });
+        return (
+            <Box sx={{ display: 'flex', flexDirection: 'column', gap: 1.5 }}>
+                <Box sx={{ display: 'flex', gap: 2 }}>
+                    <TextField size="small" label="Min words" type="number" value={opts.min_words ?? ''}
+                        inputProps={{ min: 0 }} onChange={e => setOpt('min_words', e.target.value)} sx={{ width: 130 }} />
+                    <TextField size="small" label="Max words" type="number" value={opts.max_words ?? ''}
+                        inputProps={{ min: 0 }} onChange={e => setOpt('max_words', e.target.value)} sx={{ width: 130 }} />
+                </Box>
+                <Typography variant="body2" color="text.secondary">
+                    Rubric criteria {rubric.length > 0 && `(${rubricTotal(rubric)} of ${q.marks} marks)`} — leave empty to grade with a single score:
+                </Typography>
+                {rubric.map((c, i) => (
+                    <Box key={i} sx={{ display: 'flex', gap: 1, alignItems: 'center' }}>
+                        <TextField fullWidth size="small" placeholder={`Criterion ${i + 1}`} value={c.criterion}
+                            onChange={e => setOpt('rubric', setAt(rubric, i, { ...c, criterion: e.target.value }))} />
+                        <TextField size="small" label="Marks" type="number" value={c.marks} sx={{ width: 90 }}
+                            inputProps={{ min: 0 }} onChange={e => setOpt('rubric', setAt(rubric, i, { ...c, marks: e.target.value }))} />
+                        <IconButton size="small" onClick={() => setOpt('rubric', rubric.filter((_, j) => j !== i))}>
+                            <Close fontSize="small" />
+                        </IconButton>
+                    </Box>
+                ))}
+                <Button size="small" startIcon={<Add />} sx={{ alignSelf: 'flex-start' }}
+                    onClick={() => setOpt('rubric', [...rubric, { criterion: '', marks: 1 }])}>Add Criterion</Button>
+                <TextField fullWidth size="small" multiline minRows={2} label="Model answer / notes for graders (not shown to students)"
+                    value={key[0] ?? ''} onChange={e => onChange({ correct_answer: [e.target.value] })} />
+            </Box>
+        );
+    }
+
+    // ─── Code (function to write, visible samples, hidden tests) ───
+    if (q.question_type === 'CODE') {
+        const opts = q.options || {};
+        const setOpt = (field, v) => onChange({ options: { ...opts, [field]: v } });
+        return (
+            <Box sx={{ display: 'flex', flexDirection: 'column', gap: 1.5 }}>
+                <Box sx={{ display: 'flex', gap: 2 }}>
+                    <TextField select size="small" label="Language" value={opts.language || 'javascript'}
+                        onChange={e => setOpt('language', e.target.value)} sx={{ width: 160 }}>
+                        {Object.entries(CODE_LANGUAGES).map(([value, label]) => <MenuItem key={value} value={value}>{label}</MenuItem>)}
+                    </TextField>
+                    <TextField size="small" label="Function name" value={opts.function_name ?? ''}
+                        onChange={e => setOpt('function_name', e.target.value)}
+                        helperText="Students write this function; tests call it" />
+                </Box>
+                <TextField fullWidth size="small" multiline minRows={3} label="Starter code (optional)"
+                    value={opts.starter_code ?? ''} onChange={e => setOpt('starter_code', e.target.value)}
+                    inputProps={{ spellCheck: false, style: { fontFamily: 'monospace' } }} />
+                <TestCaseList title="Sample tests (students can run these)"
+                    tests={opts.samples || []} onChange={samples => setOpt('samples', samples)} />
+                <TestCaseList title="Hidden tests (graded on submit, never sent to students)"
+                    tests={key} onChange={tests => onChange({ correct_answer: tests })} />
+            </Box>
+        );
+    }
+
+    return null;
+}
+
+/**
+ * Editable rows of CODE test cases, kept as typed text until prepareQuestion() parses them
+ */
+function TestCaseList({ title, tests, onChange }) {
+    const setField = (i, field, v) => onChange(tests.map((t, j) => (j === i ? { ...t, [field]: v } : t)));
+    return (
+        <Box sx={{ display: 'flex', flexDirection: 'column', gap: 1 }}>
+            <Typography variant="body2" color="text.secondary">
+                {title} — arguments and expected result as JSON, e.g. <code>2, [1, 3]</code> → <code>6</code>
+            </Typography>
+            {tests.map((t, i) => (
+                <Box key={i} sx={{ display: 'flex', gap: 1, alignItems: 'center' }}>
+                    <TextField fullWidth size="small" placeholder="Arguments" value={t.args ?? ''}
+                        onChange={e => setField(i, 'args', e.target.value)}
+                        inputProps={{ spellCheck: false, style: { fontFamily: 'monospace' } }} />
+                    <Typography color="text.secondary">→</Typography>
+                    <TextField fullWidth size="small" placeholder="Expected result" value={t.expected ?? ''}
+                        onChange={e => setField(i, 'expected', e.target.value)}
+                        inputProps={{ spellCheck: false, style: { fontFamily: 'monospace' } }} />
+                    <IconButton size="small" onClick={() => onChange(tests.filter((_, j) => j !== i))}>
+                        <Close fontSize="small" />
+                    </IconButton>
+                </Box>
+            ))}
+            <Button size="small" startIcon={<Add />} sx={{ alignSelf: 'flex-start' }}
+                onClick={() => onChange([...tests, { args: '', expected: '' }])}>Add Test</Button>
+        </Box>
+    );
+}
@@ -0,0 +1,46 @@
+import { useState } from 'react';
+import { IconButton, Tooltip, CircularProgress } from '@mui/material';
+import { supabase } from '../lib/supabase';
+import useAuthStore from '../store/authStore';
+import { uploadAttachment } from '../lib/questionAttachments';
+
+/**
+ * AttachmentButton — toolbar button that uploads a file into the
+ * question-attachments bucket and hands back the markup embedding it.
+ *
+ * Props:
+ *   title, icon, accept: the picker's tooltip, icon and file types
+ *   onAttached: (markup) => void
+ */
+export default function AttachmentButton({ title, icon, accept, onAttached }) {
+    const { user } = useAuthStore();
+    const [uploading, setUploading] = useState(false);
+    const [error, setError] = useState('');
+
+    const handleFile = async (e) => {
+        const file = e.target.files?.[0];
+        e.target.value = '';
+        if (!file) return;
+        setUploading(true);
+        setError('');
+        try {
+            const { markup } = await uploadAttachment(supabase, file, user.id);
+            onAttached(markup);
+        } catch (err) {
+            console.error('[Attachments] Upload failed:', err);
+            setError(err.message || 'Upload failed');
+        }
+        setUploading(false);
+    };
+
+    return (
+        <Tooltip title={error ? `${title} — ${error}` : title}>
+            <span>
+                <IconButton size="small" component="label" disabled={uploading} color={error ? 'error' : 'default'}>
+                    {uploading ? <CircularProgress size={16} /> : icon}
+                    <input hidden type="file" accept={accept} onChange={handleFile} />
+                </IconButton>
+            </span>
+        </Tooltip>
+    );
+}
@@ -0,0 +1,113 @@
+import { useState, useEffect } from 'react';
+import { Box, Typography, TextField, Button, Chip, CircularProgress } from '@mui/material';
+import { PlayArrow, RestartAlt, CheckCircle, Cancel } from '@mui/icons-material';
+import { runTests, CODE_LANGUAGES, formatTestArgs } from '../lib/questionTypes';
+
+const INDENT = '    ';
+
+/**
+ * CodeAnswer — code editor for a CODE question, with a button that runs the
+ * visible sample tests in the code runner's sandbox inside this window.
+ * Hidden tests are run by grade-exam on submit.
+ *
+ * Props:
+ *   question, value, onChange: as QuestionInput
+ *   statusLabel: autosave text shown under the editor
+ */
+export default function CodeAnswer({ question, value, onChange, statusLabel }) {
+    const { language = 'javascript', function_name: functionName, starter_code: starter = '', samples = [] } = question.options || {};
+    const code = value?.[0] ?? starter;
+    const [running, setRunning] = useState(false);
+    const [results, setResults] = useState(null);
+
+    // Results belong to the question they were run for
+    useEffect(() => { setResults(null); }, [question.id]);
+
+    const setCode = (next) => onChange(next.trim() && next !== starter ? [next] : [], true);
+
+    // Tab indents instead of leaving the editor
+    const handleKeyDown = (e) => {
+        if (e.key !== 'Tab') return;
+        e.preventDefault();
+        const { selectionStart: start, selectionEnd: end } = e.target;
+        const next = code.slice(0, start) + INDENT + code.slice(end);
+        setCode(next);
+        requestAnimationFrame(() => { e.target.selectionStart = e.target.selectionEnd = start + INDENT.length; });
+    };
+
+    const handleRun = async () => {
+        setRunning(true);
+        try {
+            setResults(await runTests({ language, code, functionName, tests: samples }));
+        } catch (err) {
+            setResults(samples.map(() => ({ passed: false, value: null, error: err.message, output: '' })));
+        }
+        setRunning(false);
+    };
+
+    return (
+        <Box>
+            <Box sx={{ display: 'flex', alignItems: 'center', gap: 1, mb: 1 }}>
+                <Chip size="small" label={CODE_LANGUAGES[language] || language} />
+                <Typography variant="body2" color="text.secondary">
+                    Write a function named <code>{functionName}</code>
+                </Typography>
+                <Box sx={{ flex: 1 }} />
+                {starter && (
+                    <Button size="small" startIcon={<RestartAlt />} disabled={code === starter}
+                        onClick={() => onChange([], true)}>Reset</Button>
+                )}
+                <Button size="small" variant="outlined" disabled={running || samples.length === 0}
+                    startIcon={running ? <CircularProgress size={14} /> : <PlayArrow />} onClick={handleRun}>
+                    {running ? 'Running…' : 'Run Sample Tests'}
+                </Button>
+            </Box>
+            <TextField
+                fullWidth multiline minRows={12} maxRows={30}
+                value={code}
+                onChange={(e) => setCode(e.target.value)}
+                onKeyDown={handleKeyDown}
+                inputProps={{ spellCheck: false, autoComplete: 'off', style: { fontFamily: 'monospace', fontSize: 14 } }}
+            />
+            <Typography variant="caption" color="text.secondary" sx={{ display: 'block', textAlign: 'right', mt: 0.5 }}>
+                {statusLabel}
+            </Typography>
+
+            {samples.length > 0 && (
+                <Box sx={{ mt: 1, display: 'flex', flexDirection: 'column', gap: 1 }}>
+                    {samples.map((t, i) => (
+                        <SampleResult key={i} functionName={functionName} test={t} result={results?.[i]} />
+                    ))}
+                </Box>
+            )}
+        </Box>
+    );
+}
+
+/**
+ * One sample test: the call, its expected result and — once run — what came back
+ */
+function SampleResult({ functionName, test, result }) {
+    return (
+        <Box sx={{
+            p: 1.5, borderRadius: 2, border: '1px solid',
+            borderColor: !result ? 'rgba(148,163,184,0.1)' : result.passed ? 'rgba(78,205,196,0.4)' : 'rgba(255,77,106,0.4)',
+            fontFamily: 'monospace', fontSize: 13,
+        }}>
+            <Box sx={{ display: 'flex', alignItems: 'center', gap: 1 }}>
+                {result && (result.passed ? <CheckCircle color="success" fontSize="small" /> : <Cancel color="error" fontSize="small" />)}
+                <span>{functionName}({formatTestArgs(test.args)}) → {JSON.stringify(test.expected)}</span>
+            </Box>
+            {result && !result.passed && (
+                <Typography variant="body2" color="error.light" sx={{ fontFamily: 'inherit', mt: 0.5 }}>
+                    {result.error || `Returned ${JSON.stringify(result.value)}`}
+                </Typography>
+            )}
+            {result?.output && (
+                <Box component="pre" sx={{ m: 0, mt: 0.5, color: 'text.secondary', whiteSpace: 'pre-wrap', fontFamily: 'inherit' }}>
+                    {result.output}
+                </Box>
+            )}
+        </Box>
+    );
+}
@@ -0,0 +1,44 @@
+import { Box, Typography, Chip, Table, TableHead, TableBody, TableRow, TableCell } from '@mui/material';
+
+/**
+ * ConversionReport — what an import or export could not carry across.
+ * Entries come from src/lib/qti.js: 'error' items were left out, 'warning'
+ * items came across with something lost.
+ *
+ * Props:
+ *   report: Array<{ item: string, severity: 'error' | 'warning', message: string }>
+ */
+export default function ConversionReport({ report }) {
+    if (!report?.length) {
+        return <Typography variant="body2" color="text.secondary">Everything carried across.</Typography>;
+    }
+    const errors = report.filter(r => r.severity === 'error').length;
+    return (
+        <Box>
+            <Typography variant="body2" color="text.secondary" sx={{ mb: 1 }}>
+                {errors} left out, {report.length - errors} with warnings
+            </Typography>
+            <Table size="small">
+                <TableHead>
+                    <TableRow>
+                        <TableCell />
+                        <TableCell>Item</TableCell>
+                        <TableCell>Problem</TableCell>
+                    </TableRow>
+                </TableHead>
+                <TableBody>
+                    {report.map((r, i) => (
+                        <TableRow key={i}>
+                            <TableCell>
+                                <Chip size="small" color={r.severity === 'error' ? 'error' : 'warning'}
+                                    label={r.severity === 'error' ? 'Left out' : 'Warning'} />
+                            </TableCell>
+                            <TableCell>{r.item}</TableCell>
+                            <TableCell>{r.message}</TableCell>
+                        </TableRow>
+                    ))}
+                </TableBody>
+            </Table>
+        </Box>
+    );
+}
@@ -10,7 +10,7 @@ import {
     Security, Logout, Menu as MenuIcon,
     Flag, CalendarMonth, Computer, Person, FamilyRestroom,
     AdminPanelSettings, BugReport, Storage, Visibility, AccountCircle,
-    TrendingUp, ChevronLeft, ChevronRight,
+    TrendingUp, ChevronLeft, ChevronRight, LibraryBooks,
     Brightness4, Brightness7,
 } from '@mui/icons-material';
 import useAuthStore from '../store/authStore';
@@ -32,6 +32,7 @@ const navConfig = {
         { label: 'Dashboard', icon: <Dashboard />, path: '/dashboard/admin' },
         { label: 'Users', icon: <People />, path: '/dashboard/users' },
         { label: 'Courses', icon: <School />, path: '/dashboard/courses' },
+        { label: 'Question Bank', icon: <LibraryBooks />, path: '/dashboard/question-bank' },
         { label: 'Live Monitor', icon: <Visibility />, path: '/dashboard/live-monitor' },
         { label: 'Flags', icon: <Flag />, path: '/dashboard/flags' },
         { label: 'Blacklist', icon: <Security />, path: '/dashboard/blacklist' },
@@ -42,6 +43,7 @@ const navConfig = {
         { label: 'My Courses', icon: <School />, path: '/dashboard/courses' },
         { label: 'Create Test', icon: <Assignment />, path: '/dashboard/tests/create' },
         { label: 'My Tests', icon: <Assignment />, path: '/dashboard/tests' },
+        { label: 'Question Bank', icon: <LibraryBooks />, path: '/dashboard/question-bank' },
         { label: 'Live Monitor', icon: <Visibility />, path: '/dashboard/live-monitor' },
         { label: 'Performance', icon: <TrendingUp />, path: '/dashboard/performance' },
         { label: 'Review Flags', icon: <Flag />, path: '/dashboard/flags' },
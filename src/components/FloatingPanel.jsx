@@ -10,10 +10,11 @@ import { DragIndicator, Remove, Add } from '@mui/icons-material';
  *   defaultPosition: { x, y } — initial pixel offset from top-left
  *   children: ReactNode — the monitor content
  *   width: number — panel width (default 280)
+ *   defaultMinimized: boolean — start collapsed to the header (default false)
  */
-export default function FloatingPanel({ title, defaultPosition = { x: 100, y: 100 }, children, width = 280 }) {
+export default function FloatingPanel({ title, defaultPosition = { x: 100, y: 100 }, children, width = 280, defaultMinimized = false }) {
     const [position, setPosition] = useState(defaultPosition);
-    const [minimized, setMinimized] = useState(false);
+    const [minimized, setMinimized] = useState(defaultMinimized);
     const dragRef = useRef(null);
     const offsetRef = useRef({ x: 0, y: 0 });
 
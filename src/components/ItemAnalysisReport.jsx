@@ -0,0 +1,166 @@
+import { Fragment, useState } from 'react';
+import {
+    Box, Typography, Chip, Table, TableHead, TableBody, TableRow, TableCell, IconButton, Tooltip, Collapse, Grid,
+    Card, CardContent,
+} from '@mui/material';
+import { KeyboardArrowDown, KeyboardArrowUp, CheckCircle } from '@mui/icons-material';
+import { QUESTION_TYPES } from '../lib/questionTypes';
+import { itemLabel, ITEM_ANALYSIS_THRESHOLDS } from '../lib/itemAnalysis';
+
+const pct = (v) => (v === null || v === undefined ? '—' : `${Math.round(v * 100)}%`);
+const num = (v) => (v === null || v === undefined ? '—' : v.toFixed(2));
+
+/** Colour for a discrimination index: red below 0, amber when weak. */
+function discriminationColor(d) {
+    if (d === null) return 'text.secondary';
+    if (d < 0) return 'error.main';
+    return d < ITEM_ANALYSIS_THRESHOLDS.WEAK_DISCRIMINATION ? 'warning.main' : 'success.main';
+}
+
+/**
+ * ItemAnalysisReport — summary, reliability and per-question statistics
+ * from fetchItemAnalysis(). Choice questions expand into their distractors.
+ *
+ * Props:
+ *   report: { statistics, reliability, items }
+ */
+export default function ItemAnalysisReport({ report }) {
+    const [open, setOpen] = useState({});
+    const { statistics: s, reliability: r, items } = report;
+
+    return (
+        <Box>
+            <Grid container spacing={2} sx={{ mb: 2 }}>
+                <Stat label="Candidates analysed" value={s.gradedStudents}
+                    hint={s.pendingSessions > 0 ? `${s.pendingSessions} awaiting essay grading left out` : null} />
+                <Stat label="Mean / SD" value={`${num(s.avgScore)} / ${num(s.sdScore)}`} />
+                <Stat label="KR-20" value={num(r.kr20)}
+                    hint={r.kr20 === null ? 'Needs two or more questions on every paper' : `Over ${r.items} questions on every paper`} />
+                <Stat label="SEM (marks)" value={num(r.sem)} />
+                <Stat label="Flagged questions" value={s.flaggedItems} />
+            </Grid>
+
+            <Table size="small">
+                <TableHead>
+                    <TableRow>
+                        <TableCell />
+                        <TableCell>Question</TableCell>
+                        <TableCell>Type</TableCell>
+                        <TableCell align="right">N</TableCell>
+                        <TableCell align="right">
+                            <Tooltip title="Share of the marks candidates earned"><span>Difficulty (p)</span></Tooltip>
+                        </TableCell>
+                        <TableCell align="right">
+                            <Tooltip title="Point-biserial correlation with the rest of the score"><span>Discrimination</span></Tooltip>
+                        </TableCell>
+                        <TableCell align="right">Upper / Lower</TableCell>
+                        <TableCell align="right">Omitted</TableCell>
+                        <TableCell>Flags</TableCell>
+                    </TableRow>
+                </TableHead>
+                <TableBody>
+                    {items.map(item => (
+                        <Fragment key={item.question_id}>
+                            <TableRow hover>
+                                <TableCell padding="checkbox">
+                                    {item.options.length > 0 && (
+                                        <IconButton size="small" onClick={() => setOpen(prev => ({ ...prev, [item.question_id]: !prev[item.question_id] }))}>
+                                            {open[item.question_id] ? <KeyboardArrowUp fontSize="small" /> : <KeyboardArrowDown fontSize="small" />}
+                                        </IconButton>
+                                    )}
+                                </TableCell>
+                                <TableCell sx={{ maxWidth: 320 }}>
+                                    <Typography variant="body2" noWrap>{itemLabel(item)}</Typography>
+                                </TableCell>
+                                <TableCell sx={{ whiteSpace: 'nowrap' }}>
+                                    {QUESTION_TYPES[item.question_type] || item.question_type}
+                                    {item.version && <Typography variant="caption" color="text.secondary"> v{item.version}</Typography>}
+                                </TableCell>
+                                <TableCell align="right">{item.responses}</TableCell>
+                                <TableCell align="right">{num(item.p)}</TableCell>
+                                <TableCell align="right">
+                                    <Typography variant="body2" fontWeight={600} color={discriminationColor(item.discrimination)}>
+                                        {num(item.discrimination)}
+                                    </Typography>
+                                </TableCell>
+                                <TableCell align="right">{num(item.upper_p)} / {num(item.lower_p)}</TableCell>
+                                <TableCell align="right">{item.omitted}</TableCell>
+                                <TableCell>
+                                    <Box sx={{ display: 'flex', gap: 0.5, flexWrap: 'wrap' }}>
+                                        {item.flags.map(f => (
+                                            <Tooltip key={f.code + f.message} title={f.message}>
+                                                <Chip size="small" variant={f.severity === 'error' ? 'filled' : 'outlined'}
+                                                    color={f.severity === 'error' ? 'error' : 'warning'}
+                                                    label={f.code.replace(/_/g, ' ').toLowerCase()} />
+                                            </Tooltip>
+                                        ))}
+                                    </Box>
+                                </TableCell>
+                            </TableRow>
+                            {item.options.length > 0 && (
+                                <TableRow>
+                                    <TableCell colSpan={9} sx={{ py: 0, borderBottom: open[item.question_id] ? undefined : 'none' }}>
+                                        <Collapse in={!!open[item.question_id]} unmountOnExit>
+                                            <DistractorTable options={item.options} />
+                                        </Collapse>
+                                    </TableCell>
+                                </TableRow>
+                            )}
+                        </Fragment>
+                    ))}
+                    {items.length === 0 && (
+                        <TableRow><TableCell colSpan={9} align="center">No graded answers yet</TableCell></TableRow>
+                    )}
+                </TableBody>
+            </Table>
+        </Box>
+    );
+}
+
+/** One summary figure. */
+function Stat({ label, value, hint }) {
+    return (
+        <Grid size={{ xs: 6, md: 'grow' }}>
+            <Card variant="outlined"><CardContent sx={{ py: 1.5, '&:last-child': { pb: 1.5 } }}>
+                <Typography variant="caption" color="text.secondary">{label}</Typography>
+                <Typography variant="h6" fontWeight={700}>{value ?? '—'}</Typography>
+                {hint && <Typography variant="caption" color="text.secondary">{hint}</Typography>}
+            </CardContent></Card>
+        </Grid>
+    );
+}
+
+/** Selection rates of every option of a choice question. */
+function DistractorTable({ options }) {
+    return (
+        <Table size="small" sx={{ my: 1, bgcolor: 'rgba(148,163,184,0.04)' }}>
+            <TableHead>
+                <TableRow>
+                    <TableCell>Option</TableCell>
+                    <TableCell align="right">Chosen</TableCell>
+                    <TableCell align="right">All</TableCell>
+                    <TableCell align="right">Upper 27%</TableCell>
+                    <TableCell align="right">Lower 27%</TableCell>
+                    <TableCell align="right">Mean rest score</TableCell>
+                </TableRow>
+            </TableHead>
+            <TableBody>
+                {options.map(o => (
+                    <TableRow key={o.option}>
+                        <TableCell>
+                            <Box sx={{ display: 'flex', alignItems: 'center', gap: 0.5 }}>
+                                {o.key && <CheckCircle fontSize="small" color="success" />}
+                                {o.option}
+                            </Box>
+                        </TableCell>
+                        <TableCell align="right">{o.count}</TableCell>
+                        <TableCell align="right">{pct(o.rate)}</TableCell>
+                        <TableCell align="right">{pct(o.upper)}</TableCell>
+                        <TableCell align="right">{pct(o.lower)}</TableCell>
+                        <TableCell align="right">{num(o.mean_rest)}</TableCell>
+                    </TableRow>
+                ))}
+            </TableBody>
+        </Table>
+    );
+}
@@ -0,0 +1,233 @@
+import { useState } from 'react';
+import {
+    Box, Typography, TextField, MenuItem, Switch, FormControlLabel,
+    Grid, Chip, Collapse, Button, Divider, IconButton,
+} from '@mui/material';
+import { ExpandMore, ExpandLess, RestartAlt, Add, Delete } from '@mui/icons-material';
+import {
+    POLICY_PROFILES, MONITOR_KEYS, MONITOR_LABELS, LADDER_FLAG_TYPES, profilePolicy,
+} from '../lib/proctoringPolicy';
+import { CATEGORY_CONFIG } from './AdminBlacklistManager';
+
+// Tunable fields per monitor section: [key, label, step]
+const FIELDS = {
+    identity: [
+        ['verify_interval_ms', 'Check interval (ms)', 1000],
+        ['similarity_threshold', 'Face match threshold', 0.05],
+        ['spoof_threshold', 'Spoof threshold', 0.05],
+        ['mismatch_cycles', 'Mismatches before signal', 1],
+    ],
+    behavior: [
+        ['flag_threshold', 'Report threshold', 0.05],
+        ['debounce_ms', 'Debounce (ms)', 1000],
+    ],
+    audio: [
+        ['flag_threshold', 'Report threshold', 0.05],
+        ['debounce_ms', 'Debounce (ms)', 1000],
+    ],
+    network: [
+        ['flag_threshold', 'Report threshold', 0.05],
+        ['debounce_ms', 'Debounce (ms)', 1000],
+    ],
+    object_detection: [
+        ['phone_threshold', 'Phone confidence', 0.05],
+        ['debounce_ms', 'Debounce (ms)', 1000],
+    ],
+    device: [
+        ['debounce_ms', 'Debounce (ms)', 1000],
+    ],
+};
+
+/**
+ * ProctoringPolicyEditor — profile picker + per-monitor tuning for a test.
+ *
+ * Props:
+ *   value:    policy object (see lib/proctoringPolicy.js)
+ *   onChange: (policy) => void
+ */
+export default function ProctoringPolicyEditor({ value, onChange }) {
+    const [showAdvanced, setShowAdvanced] = useState(false);
+    const profile = POLICY_PROFILES[value.profile];
+    const customized = JSON.stringify(value) !== JSON.stringify(profilePolicy(value.profile));
+
+    const setSection = (section, key, val) => {
+        onChange({ ...value, [section]: { ...value[section], [key]: val } });
+    };
+
+    // ── RED consequence ladder ──
+    const ladder = value.red_ladder;
+    const setLadder = (red_ladder) => onChange({ ...value, red_ladder });
+    const setRule = (type, key, val) => {
+        if (type === 'default') {
+            setLadder({ ...ladder, default: { ...ladder.default, [key]: val } });
+        } else {
+            setLadder({ ...ladder, by_type: { ...ladder.by_type, [type]: { ...ladder.by_type[type], [key]: val } } });
+        }
+    };
+    const renameRule = (from, to) => {
+        const by_type = {};
+        Object.entries(ladder.by_type).forEach(([t, rule]) => { by_type[t === from ? to : t] = rule; });
+        setLadder({ ...ladder, by_type });
+    };
+    const removeRule = (type) => {
+        const by_type = { ...ladder.by_type };
+        delete by_type[type];
+        setLadder({ ...ladder, by_type });
+    };
+    const unusedTypes = LADDER_FLAG_TYPES.filter(t => !ladder.by_type[t]);
+
+    const toggleCategory = (cat) => {
+        const current = value.allowed_app_categories;
+        onChange({
+            ...value,
+            allowed_app_categories: current.includes(cat)
+                ? current.filter(c => c !== cat)
+                : [...current, cat],
+        });
+    };
+
+    return (
+        <Box>
+            <Grid container spacing={2} alignItems="center">
+                <Grid size={{ xs: 12, md: 6 }}>
+                    <TextField fullWidth select label="Proctoring Profile" value={value.profile}
+                        onChange={e => onChange(profilePolicy(e.target.value))}>
+                        {Object.entries(POLICY_PROFILES).map(([key, p]) => (
+                            <MenuItem key={key} value={key}>{p.label}</MenuItem>
+                        ))}
+                    </TextField>
+                </Grid>
+                <Grid size={12}>
+                    <Box sx={{ display: 'flex', alignItems: 'center', gap: 1 }}>
+                        <Typography variant="body2" color="text.secondary">{profile?.description}</Typography>
+                        {customized && (
+                            <>
+                                <Chip label="Customized" size="small" color="info" variant="outlined" />
+                                <Button size="small" startIcon={<RestartAlt />}
+                                    onClick={() => onChange(profilePolicy(value.profile))}>
+                                    Reset
+                                </Button>
+                            </>
+                        )}
+                    </Box>
+                </Grid>
+
+                {/* Monitors */}
+                <Grid size={12}>
+                    <Typography variant="subtitle2" gutterBottom>Monitors</Typography>
+                    {MONITOR_KEYS.map(key => (
+                        <FormControlLabel key={key} label={MONITOR_LABELS[key]}
+                            control={<Switch checked={value.monitors[key]}
+                                onChange={e => setSection('monitors', key, e.target.checked)} />}
+                        />
+                    ))}
+                </Grid>
+
+                {/* Proctor thumbnail wall */}
+                <Grid size={{ xs: 12, md: 6 }}>
+                    <TextField fullWidth size="small" type="number" label="Camera snapshot interval (seconds)"
+                        value={value.snapshots.interval_s}
+                        inputProps={{ min: 0, step: 5 }}
+                        helperText="How often proctors get a new camera thumbnail. 0 turns snapshots off."
+                        onChange={e => setSection('snapshots', 'interval_s', Math.max(0, parseInt(e.target.value) || 0))}
+                    />
+                </Grid>
+
+                {/* Allowed app categories (enforcement whitelist) */}
+                {value.monitors.enforcement && (
+                    <Grid size={12}>
+                        <Typography variant="subtitle2" gutterBottom>Allowed App Categories</Typography>
+                        <Box sx={{ display: 'flex', flexWrap: 'wrap', gap: 1 }}>
+                            {Object.entries(CATEGORY_CONFIG).filter(([cat]) => cat !== 'custom').map(([cat, cfg]) => {
+                                const allowed = value.allowed_app_categories.includes(cat);
+                                return (
+                                    <Chip key={cat} label={cfg.label} size="small" clickable
+                                        onClick={() => toggleCategory(cat)}
+                                        variant={allowed ? 'filled' : 'outlined'}
+                                        sx={allowed ? { bgcolor: cfg.color, color: '#fff' } : {}}
+                                    />
+                                );
+                            })}
+                        </Box>
+                    </Grid>
+                )}
+            </Grid>
+
+            {/* RED consequence ladder */}
+            <Divider sx={{ my: 2 }} />
+            <Typography variant="subtitle2" gutterBottom>RED Flag Consequences</Typography>
+            <Typography variant="caption" color="text.secondary" sx={{ display: 'block', mb: 1.5 }}>
+                RED flags are counted per flag type. Below the pause count the student is only warned.
+                Set a count to 0 to skip that step.
+            </Typography>
+            <LadderRow label="All flag types" rule={ladder.default}
+                onChange={(key, val) => setRule('default', key, val)} />
+            {Object.entries(ladder.by_type).map(([type, rule]) => (
+                <LadderRow key={type} rule={rule}
+                    onChange={(key, val) => setRule(type, key, val)}
+                    onRemove={() => removeRule(type)}
+                    type={type} types={[type, ...unusedTypes]}
+                    onTypeChange={t => renameRule(type, t)}
+                />
+            ))}
+            {unusedTypes.length > 0 && (
+                <Button size="small" startIcon={<Add />}
+                    onClick={() => setLadder({ ...ladder, by_type: { ...ladder.by_type, [unusedTypes[0]]: { ...ladder.default } } })}>
+                    Add Flag Type Rule
+                </Button>
+            )}
+
+            {/* Thresholds & debounce windows */}
+            <Button size="small" sx={{ mt: 2 }} onClick={() => setShowAdvanced(!showAdvanced)}
+                endIcon={showAdvanced ? <ExpandLess /> : <ExpandMore />}>
+                Thresholds & Debounce
+            </Button>
+            <Collapse in={showAdvanced}>
+                {Object.entries(FIELDS).map(([section, fields]) => (
+                    <Box key={section} sx={{ mt: 2, opacity: value.monitors[section] ? 1 : 0.5 }}>
+                        <Divider sx={{ mb: 1.5 }} />
+                        <Typography variant="caption" fontWeight={600} color="text.secondary">
+                            {MONITOR_LABELS[section]}
+                        </Typography>
+                        <Box sx={{ display: 'flex', flexWrap: 'wrap', gap: 2, mt: 1 }}>
+                            {fields.map(([key, label, step]) => (
+                                <TextField key={key} size="small" type="number" label={label}
+                                    value={value[section][key]}
+                                    disabled={!value.monitors[section]}
+                                    inputProps={{ step, min: 0, max: step < 1 ? 1 : undefined }}
+                                    onChange={e => setSection(section, key, parseFloat(e.target.value) || 0)}
+                                    sx={{ width: 190 }}
+                                />
+                            ))}
+                        </Box>
+                    </Box>
+                ))}
+            </Collapse>
+        </Box>
+    );
+}
+
+/**
+ * One ladder rule: pause / terminate counts, optionally bound to a flag type.
+ */
+function LadderRow({ label, rule, onChange, onRemove, type, types, onTypeChange }) {
+    return (
+        <Box sx={{ display: 'flex', gap: 2, mb: 1, alignItems: 'center' }}>
+            {types ? (
+                <TextField select size="small" label="Flag type" value={type}
+                    onChange={e => onTypeChange(e.target.value)} sx={{ width: 240 }}>
+                    {types.map(t => <MenuItem key={t} value={t}>{t}</MenuItem>)}
+                </TextField>
+            ) : (
+                <Typography variant="body2" sx={{ width: 240 }}>{label}</Typography>
+            )}
+            <TextField size="small" type="number" label="Pause at RED #" value={rule.pause_at}
+                inputProps={{ min: 0 }} sx={{ width: 150 }}
+                onChange={e => onChange('pause_at', Math.max(0, parseInt(e.target.value) || 0))} />
+            <TextField size="small" type="number" label="Terminate at RED #" value={rule.terminate_at}
+                inputProps={{ min: 0 }} sx={{ width: 170 }}
+                onChange={e => onChange('terminate_at', Math.max(0, parseInt(e.target.value) || 0))} />
+            {onRemove && <IconButton size="small" color="error" onClick={onRemove}><Delete fontSize="small" /></IconButton>}
+        </Box>
+    );
+}
@@ -3,11 +3,16 @@ import {
     Dialog, DialogTitle, DialogContent, DialogActions, Button,
     TextField, List, ListItem, ListItemText, Checkbox,
     FormControl, InputLabel, Select, MenuItem, Box, Chip,
-    Typography, Pagination,
+    Typography, Pagination, Alert,
 } from '@mui/material';
-import { Search, Info } from '@mui/icons-material';
+import { Search, Info, UploadFile } from '@mui/icons-material';
 import { supabase } from '../lib/supabase';
 import useAuthStore from '../store/authStore';
+import { QUESTION_TYPES, DIFFICULTIES, formatCorrectAnswer } from '../lib/questionTypes';
+import { addToBank } from '../lib/questionBank';
+import TagInput from './TagInput';
+import QuestionImportDialog from './QuestionImportDialog';
+import ConversionReport from './ConversionReport';
 
 export default function QuestionBankModal({ open, onClose, onImport }) {
     const { user } = useAuthStore();
@@ -15,11 +20,16 @@ export default function QuestionBankModal({ open, onClose, onImport }) {
     const [selectedCourse, setSelectedCourse] = useState('all');
     const [tests, setTests] = useState([]);
     const [selectedTest, setSelectedTest] = useState('all');
+    const [selectedType, setSelectedType] = useState('all');
+    const [selectedDifficulty, setSelectedDifficulty] = useState('all');
+    const [selectedTags, setSelectedTags] = useState([]);
     const [questions, setQuestions] = useState([]);
     const [selectedQuestions, setSelectedQuestions] = useState([]);
     const [searchTerm, setSearchTerm] = useState('');
     const [loading, setLoading] = useState(false);
     const [page, setPage] = useState(1);
+    const [uploadOpen, setUploadOpen] = useState(false);
+    const [uploadResult, setUploadResult] = useState(null);
     const ITEMS_PER_PAGE = 10;
 
     useEffect(() => {
@@ -27,6 +37,7 @@ export default function QuestionBankModal({ open, onClose, onImport }) {
             loadCourses();
             loadTests();
             loadQuestions(); // Load all initially
+            setUploadResult(null);
         }
     }, [open]);
 
@@ -85,6 +96,18 @@ export default function QuestionBankModal({ open, onClose, onImport }) {
             }
         }
 
+        if (selectedType !== 'all') {
+            data = data.filter(q => q.question_type === selectedType);
+        }
+
+        if (selectedDifficulty !== 'all') {
+            data = data.filter(q => q.difficulty === selectedDifficulty);
+        }
+
+        if (selectedTags.length > 0) {
+            data = data.filter(q => selectedTags.every(t => (q.tags || []).includes(t)));
+        }
+
         if (searchTerm) {
             const lowerTerm = searchTerm.toLowerCase();
             data = data.filter(q => q.question_text.toLowerCase().includes(lowerTerm));
@@ -108,7 +131,7 @@ export default function QuestionBankModal({ open, onClose, onImport }) {
 
     useEffect(() => {
         if (open) loadQuestions();
-    }, [selectedTest, searchTerm]); // Trigger search on these changes
+    }, [selectedTest, selectedType, selectedDifficulty, selectedTags, searchTerm]); // Trigger search on these changes
 
     const handleToggle = (q) => {
         const currentIndex = selectedQuestions.findIndex(sq => sq.id === q.id);
@@ -123,6 +146,16 @@ export default function QuestionBankModal({ open, onClose, onImport }) {
         setSelectedQuestions(newChecked);
     };
 
+    // Uploaded questions go into the bank first, then come in selected
+    const handleUpload = async ({ questions: parsed, report, tags }) => {
+        const { added, skipped } = await addToBank(supabase, parsed, user.id, { tags });
+        setQuestions(prev => [...added, ...prev]);
+        setSelectedQuestions(prev => [...prev, ...added]);
+        setPage(1);
+        setUploadOpen(false);
+        setUploadResult({ added: added.length, problems: [...report, ...skipped] });
+    };
+
     const handleImport = () => {
         // Strip IDs to create new question copies
         const questionsToImport = selectedQuestions.map(({ id, test_id, created_at, ...rest }) => rest);
@@ -139,6 +172,14 @@ export default function QuestionBankModal({ open, onClose, onImport }) {
         <Dialog open={open} onClose={onClose} maxWidth="md" fullWidth>
             <DialogTitle>Question Bank</DialogTitle>
             <DialogContent dividers>
+                {uploadResult && (
+                    <Alert severity={uploadResult.problems.length ? 'warning' : 'success'} sx={{ mb: 2 }} onClose={() => setUploadResult(null)}>
+                        Added {uploadResult.added} question{uploadResult.added === 1 ? '' : 's'} to the bank and selected them.
+                        {uploadResult.problems.length > 0 && (
+                            <Box sx={{ mt: 1 }}><ConversionReport report={uploadResult.problems} /></Box>
+                        )}
+                    </Alert>
+                )}
                 <Box sx={{ display: 'flex', gap: 2, mb: 3, flexWrap: 'wrap' }}>
                     <FormControl size="small" sx={{ minWidth: 150 }}>
                         <InputLabel>Course</InputLabel>
@@ -156,6 +197,24 @@ export default function QuestionBankModal({ open, onClose, onImport }) {
                         </Select>
                     </FormControl>
 
+                    <FormControl size="small" sx={{ minWidth: 150 }}>
+                        <InputLabel>Type</InputLabel>
+                        <Select value={selectedType} label="Type" onChange={e => setSelectedType(e.target.value)}>
+                            <MenuItem value="all">All Types</MenuItem>
+                            {Object.entries(QUESTION_TYPES).map(([type, label]) => <MenuItem key={type} value={type}>{label}</MenuItem>)}
+                        </Select>
+                    </FormControl>
+
+                    <FormControl size="small" sx={{ minWidth: 130 }}>
+                        <InputLabel>Difficulty</InputLabel>
+                        <Select value={selectedDifficulty} label="Difficulty" onChange={e => setSelectedDifficulty(e.target.value)}>
+                            <MenuItem value="all">Any</MenuItem>
+                            {DIFFICULTIES.map(d => <MenuItem key={d} value={d}>{d}</MenuItem>)}
+                        </Select>
+                    </FormControl>
+
+                    <TagInput value={selectedTags} onChange={setSelectedTags} label="Tagged with" sx={{ minWidth: 200 }} />
+
                     <TextField
                         size="small"
                         placeholder="Search questions..."
@@ -197,9 +256,17 @@ export default function QuestionBankModal({ open, onClose, onImport }) {
                                         </Box>
                                     }
                                     secondary={
-                                        <Typography variant="caption" color="text.secondary">
-                                            {q.question_type} • From: {q.tests?.title}
-                                        </Typography>
+                                        <>
+                                            <Typography variant="caption" color="text.secondary" sx={{ display: 'block' }}>
+                                                {QUESTION_TYPES[q.question_type] || q.question_type}
+                                                {q.difficulty && ` • ${q.difficulty}`}
+                                                {q.tags?.length > 0 && ` • ${q.tags.join(', ')}`}
+                                                {q.tests?.title && ` • From: ${q.tests.title}`}
+                                            </Typography>
+                                            <Typography variant="caption" color="success.light" sx={{ display: 'block' }} noWrap>
+                                                Answer: {formatCorrectAnswer(q)}
+                                            </Typography>
+                                        </>
                                     }
                                 />
                             </ListItem>
@@ -220,11 +287,21 @@ export default function QuestionBankModal({ open, onClose, onImport }) {
                 )}
             </DialogContent>
             <DialogActions>
+                <Button startIcon={<UploadFile />} onClick={() => setUploadOpen(true)} sx={{ mr: 'auto' }}>Upload Questions</Button>
                 <Button onClick={onClose}>Cancel</Button>
                 <Button variant="contained" onClick={handleImport} disabled={selectedQuestions.length === 0}>
                     Import {selectedQuestions.length} Questions
                 </Button>
             </DialogActions>
+
+            <QuestionImportDialog
+                open={uploadOpen}
+                target="Bank"
+                tagging
+                skipInvalid
+                onClose={() => setUploadOpen(false)}
+                onImport={handleUpload}
+            />
         </Dialog>
     );
 }
@@ -0,0 +1,172 @@
+import { useState, useEffect, useMemo } from 'react';
+import {
+    Dialog, DialogTitle, DialogContent, DialogActions, Button, Box, Typography, Chip, Alert, LinearProgress,
+    Table, TableHead, TableBody, TableRow, TableCell, Pagination,
+} from '@mui/material';
+import { UploadFile, Download } from '@mui/icons-material';
+import { QUESTION_TYPES, formatCorrectAnswer } from '../lib/questionTypes';
+import {
+    IMPORT_FORMATS, IMPORT_ACCEPT, readQuestionFile, previewQuestions, downloadSpreadsheetTemplate,
+} from '../lib/questionFormats';
+import ConversionReport from './ConversionReport';
+import TagInput from './TagInput';
+
+const PREVIEW_PAGE_SIZE = 25;
+
+/**
+ * QuestionImportDialog — pick a question file (GIFT, Aiken, CSV, XLSX or a
+ * QTI 2.1 package), preview every parsed question with the problem saving
+ * it would hit, then hand the questions on.
+ *
+ * Props:
+ *   open, onClose
+ *   onImport: ({ title, durationMinutes, sections, questions, report, tags }) => void | Promise
+ *   target: what the questions are added to, for the button label
+ *   tagging: offer tags added to every imported question
+ *   skipInvalid: questions with problems are left out (the bank) rather
+ *     than handed on to be fixed (a test being edited)
+ */
+export default function QuestionImportDialog({ open, onClose, onImport, target = 'Test', tagging = false, skipInvalid = false }) {
+    const [fileName, setFileName] = useState('');
+    const [result, setResult] = useState(null);
+    const [tags, setTags] = useState([]);
+    const [page, setPage] = useState(1);
+    const [reading, setReading] = useState(false);
+    const [importing, setImporting] = useState(false);
+    const [error, setError] = useState('');
+
+    useEffect(() => {
+        if (!open) return;
+        setFileName('');
+        setResult(null);
+        setTags([]);
+        setError('');
+    }, [open]);
+
+    const preview = useMemo(() => previewQuestions(result?.questions || []), [result]);
+    const invalid = preview.filter(p => p.problem).length;
+    const importable = skipInvalid ? preview.length - invalid : preview.length;
+
+    const handleFile = async (e) => {
+        const file = e.target.files?.[0];
+        e.target.value = '';
+        if (!file) return;
+        setFileName(file.name);
+        setResult(null);
+        setError('');
+        setPage(1);
+        setReading(true);
+        try {
+            setResult(await readQuestionFile(file));
+        } catch (err) {
+            console.error('[QuestionImport] Failed to read file:', err);
+            setError(err.message || 'Could not read the file');
+        }
+        setReading(false);
+    };
+
+    const handleImport = async () => {
+        setImporting(true);
+        setError('');
+        try {
+            const questions = skipInvalid ? preview.filter(p => !p.problem).map(p => p.question) : result.questions;
+            await onImport({ ...result, questions, tags });
+        } catch (err) {
+            console.error('[QuestionImport] Import failed:', err);
+            setError(err.message || 'Import failed');
+        }
+        setImporting(false);
+    };
+
+    const pageRows = preview.slice((page - 1) * PREVIEW_PAGE_SIZE, page * PREVIEW_PAGE_SIZE);
+
+    return (
+        <Dialog open={open} onClose={() => !importing && onClose()} maxWidth="lg" fullWidth>
+            <DialogTitle>Import Questions</DialogTitle>
+            <DialogContent dividers>
+                <Box sx={{ display: 'flex', alignItems: 'center', gap: 2, flexWrap: 'wrap' }}>
+                    <Button variant="outlined" component="label" startIcon={<UploadFile />} disabled={reading || importing}>
+                        Choose File
+                        <input hidden type="file" accept={IMPORT_ACCEPT} onChange={handleFile} />
+                    </Button>
+                    {fileName && <Typography variant="body2">{fileName}</Typography>}
+                    <Box sx={{ flex: 1 }} />
+                    <Button size="small" startIcon={<Download />} onClick={downloadSpreadsheetTemplate}>Spreadsheet Template</Button>
+                </Box>
+                <Typography variant="caption" color="text.secondary" sx={{ display: 'block', mt: 1 }}>
+                    {Object.values(IMPORT_FORMATS).join(' · ')}
+                </Typography>
+                {reading && <LinearProgress sx={{ mt: 2 }} />}
+                {error && <Alert severity="error" sx={{ mt: 2 }}>{error}</Alert>}
+
+                {result && (
+                    <Box sx={{ mt: 2 }}>
+                        <Typography variant="subtitle2" gutterBottom>
+                            {result.title ? `${result.title}: ` : ''}{preview.length} question{preview.length === 1 ? '' : 's'} read
+                            {result.sections.length > 0 && ` in ${result.sections.length} sections`}
+                            {invalid > 0 && ` — ${invalid} with problems${skipInvalid ? ' will be skipped' : ' to fix before saving'}`}
+                        </Typography>
+
+                        {tagging && (
+                            <TagInput label="Tags for every imported question" value={tags} onChange={setTags} sx={{ my: 2 }} />
+                        )}
+
+                        {preview.length > 0 && (
+                            <Table size="small">
+                                <TableHead>
+                                    <TableRow>
+                                        <TableCell>Source</TableCell>
+                                        <TableCell>Type</TableCell>
+                                        <TableCell>Question</TableCell>
+                                        <TableCell>Answer</TableCell>
+                                        <TableCell>Tags</TableCell>
+                                        <TableCell>Status</TableCell>
+                                    </TableRow>
+                                </TableHead>
+                                <TableBody>
+                                    {pageRows.map(({ question: q, prepared, problem }, i) => (
+                                        <TableRow key={`${q.source}-${i}`}>
+                                            <TableCell sx={{ whiteSpace: 'nowrap' }}>{q.source || '—'}</TableCell>
+                                            <TableCell sx={{ whiteSpace: 'nowrap' }}>{QUESTION_TYPES[q.question_type] || q.question_type}</TableCell>
+                                            <TableCell sx={{ maxWidth: 320 }}>
+                                                <Typography variant="body2" noWrap>{q.question_text}</Typography>
+                                            </TableCell>
+                                            <TableCell sx={{ maxWidth: 200 }}>
+                                                <Typography variant="body2" noWrap>{formatCorrectAnswer(prepared)}</Typography>
+                                            </TableCell>
+                                            <TableCell>{[...(q.tags || []), ...tags].join(', ')}</TableCell>
+                                            <TableCell>
+                                                {problem
+                                                    ? <Chip size="small" color="error" label={problem} />
+                                                    : <Chip size="small" color="success" label="OK" />}
+                                            </TableCell>
+                                        </TableRow>
+                                    ))}
+                                </TableBody>
+                            </Table>
+                        )}
+                        {preview.length > PREVIEW_PAGE_SIZE && (
+                            <Box sx={{ display: 'flex', justifyContent: 'center', mt: 1 }}>
+                                <Pagination size="small" count={Math.ceil(preview.length / PREVIEW_PAGE_SIZE)} page={page}
+                                    onChange={(_, p) => setPage(p)} />
+                            </Box>
+                        )}
+
+                        {result.report.length > 0 && (
+                            <Box sx={{ mt: 3 }}>
+                                <Typography variant="subtitle2" gutterBottom>Could Not Be Read</Typography>
+                                <ConversionReport report={result.report} />
+                            </Box>
+                        )}
+                    </Box>
+                )}
+            </DialogContent>
+            <DialogActions>
+                <Button onClick={onClose} disabled={importing}>Cancel</Button>
+                <Button variant="contained" onClick={handleImport} disabled={importable === 0 || importing}>
+                    {importing ? 'Importing...' : `Add ${importable} to ${target}`}
+                </Button>
+            </DialogActions>
+        </Dialog>
+    );
+}
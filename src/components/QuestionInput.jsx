@@ -0,0 +1,203 @@
+import {
+    Box, Typography, RadioGroup, FormControlLabel, Radio, Checkbox,
+    TextField, MenuItem, IconButton, Button,
+} from '@mui/material';
+import { ArrowUpward, ArrowDownward } from '@mui/icons-material';
+import { countBlanks, countWords } from '../lib/questionTypes';
+import CodeAnswer from './CodeAnswer';
+import RichText from './RichText';
+
+const SAVE_STATUS_LABELS = { saving: 'Saving…', saved: 'Saved', offline: 'Saved offline — will sync' };
+
+/**
+ * QuestionInput — the answer area of one question, for every question type.
+ * Shared by ExamSession and PWTestSession so both render questions identically.
+ *
+ * Props:
+ *   question: questions row (no correct_answer needed)
+ *   value:    current selected_answer array (or undefined)
+ *   onChange: (nextAnswer, typed) => void — typed is true for keystrokes in
+ *             text fields, so callers can debounce saving those
+ *   saveStatus: optional 'saving' | 'saved' | 'offline', shown under essays and code
+ */
+export default function QuestionInput({ question, value, onChange, saveStatus }) {
+    const answer = Array.isArray(value) ? value : [];
+    const options = Array.isArray(question.options) ? question.options : [];
+
+    // ─── Single choice (MCQ_SINGLE / TRUE_FALSE) ───
+    if (question.question_type === 'MCQ_SINGLE' || question.question_type === 'TRUE_FALSE') {
+        return (
+            <RadioGroup value={answer[0] || ''} onChange={(e) => onChange([e.target.value])}>
+                {options.map((opt, i) => (
+                    <FormControlLabel key={i} value={opt} control={<Radio />}
+                        label={<Typography variant="body1">
+                            {question.question_type === 'MCQ_SINGLE' ? `${String.fromCharCode(65 + i)}. ` : ''}<RichText text={opt} />
+                        </Typography>}
+                        sx={optionSx(answer[0] === opt)}
+                    />
+                ))}
+            </RadioGroup>
+        );
+    }
+
+    // ─── Multiple choice ───
+    if (question.question_type === 'MCQ_MULTIPLE') {
+        const toggle = (opt) => onChange(answer.includes(opt) ? answer.filter(v => v !== opt) : [...answer, opt]);
+        return (
+            <Box>
+                {options.map((opt, i) => (
+                    <FormControlLabel key={i}
+                        control={<Checkbox checked={answer.includes(opt)} onChange={() => toggle(opt)} />}
+                        label={<Typography variant="body1">{String.fromCharCode(65 + i)}. <RichText text={opt} /></Typography>}
+                        sx={{ ...optionSx(answer.includes(opt)), display: 'flex' }}
+                    />
+                ))}
+            </Box>
+        );
+    }
+
+    // ─── Numeric / short text ───
+    if (question.question_type === 'NUMERIC' || question.question_type === 'SHORT_TEXT') {
+        const numeric = question.question_type === 'NUMERIC';
+        return (
+            <TextField
+                fullWidth={!numeric}
+                label={numeric ? 'Your answer (number)' : 'Your answer'}
+                value={answer[0] ?? ''}
+                onChange={(e) => {
+                    const text = e.target.value;
+                    if (numeric && !/^-?\d*\.?\d*$/.test(text)) return;
+                    onChange(text === '' ? [] : [text], true);
+                }}
+                inputProps={{ inputMode: numeric ? 'decimal' : 'text', autoComplete: 'off', spellCheck: false }}
+                sx={{ minWidth: 240 }}
+            />
+        );
+    }
+
+    // ─── Fill in the blanks (numbered like displayText()) ───
+    if (question.question_type === 'FILL_BLANK') {
+        const blanks = countBlanks(question.question_text);
+        const setBlank = (i, text) => {
+            const next = Array.from({ length: blanks }, (_, j) => answer[j] ?? '');
+            next[i] = text;
+            onChange(next.some(v => v.trim()) ? next : [], true);
+        };
+        return (
+            <Box sx={{ display: 'flex', flexDirection: 'column', gap: 1.5, maxWidth: 480 }}>
+                {Array.from({ length: blanks }, (_, i) => (
+                    <TextField key={i} size="small" label={`Blank ${i + 1}`}
+                        value={answer[i] ?? ''} onChange={(e) => setBlank(i, e.target.value)}
+                        inputProps={{ autoComplete: 'off', spellCheck: false }} />
+                ))}
+            </Box>
+        );
+    }
+
+    // ─── Matching ───
+    if (question.question_type === 'MATCHING') {
+        const left = question.options?.left || [];
+        const right = question.options?.right || [];
+        const setMatch = (i, item) => {
+            const next = left.map((_, j) => answer[j] ?? '');
+            next[i] = item;
+            onChange(next.some(Boolean) ? next : []);
+        };
+        return (
+            <Box sx={{ display: 'flex', flexDirection: 'column', gap: 1.5 }}>
+                {left.map((item, i) => (
+                    <Box key={i} sx={{ display: 'flex', alignItems: 'center', gap: 2 }}>
+                        <Typography variant="body1" sx={{ flex: 1 }}><RichText text={item} /></Typography>
+                        <TextField select size="small" value={answer[i] ?? ''} onChange={(e) => setMatch(i, e.target.value)}
+                            sx={{ flex: 1 }} SelectProps={{ displayEmpty: true }}>
+                            <MenuItem value=""><em>Choose a match…</em></MenuItem>
+                            {right.map(r => <MenuItem key={r} value={r}><RichText text={r} /></MenuItem>)}
+                        </TextField>
+                    </Box>
+                ))}
+            </Box>
+        );
+    }
+
+    // ─── Ordering ───
+    if (question.question_type === 'ORDERING') {
+        // Until the student reorders, the list shows the (shuffled) options
+        const items = answer.length > 0 ? answer : options;
+        const move = (i, delta) => {
+            const next = [...items];
+            [next[i], next[i + delta]] = [next[i + delta], next[i]];
+            onChange(next);
+        };
+        return (
+            <Box>
+                {items.map((item, i) => (
+                    <Box key={item} sx={{ ...optionSx(answer.length > 0), display: 'flex', alignItems: 'center', gap: 1 }}>
+                        <Typography variant="body2" color="text.secondary" sx={{ width: 24 }}>{i + 1}.</Typography>
+                        <Typography variant="body1" sx={{ flex: 1 }}><RichText text={item} /></Typography>
+                        <IconButton size="small" disabled={i === 0} onClick={() => move(i, -1)}><ArrowUpward fontSize="small" /></IconButton>
+                        <IconButton size="small" disabled={i === items.length - 1} onClick={() => move(i, 1)}><ArrowDownward fontSize="small" /></IconButton>
+                    </Box>
+                ))}
+                {answer.length === 0 && (
+                    <Button size="small" onClick={() => onChange([...options])}>Keep this order</Button>
+                )}
+            </Box>
+        );
+    }
+
+    // ─── Essay (word limits from options; autosaved by the caller) ───
+    if (question.question_type === 'ESSAY') {
+        const { min_words: min, max_words: max } = question.options || {};
+        const text = answer[0] ?? '';
+        const words = countWords(text);
+        const outside = (min && words < min) || (max && words > max);
+        return (
+            <Box>
+                <TextField
+                    fullWidth multiline minRows={10} maxRows={24}
+                    placeholder="Write your answer…"
+                    value={text}
+                    onChange={(e) => {
+                        const next = e.target.value;
+                        // Past the limit only deletions are accepted
+                        if (max && countWords(next) > max && countWords(next) > words) return;
+                        onChange(next.trim() ? [next] : [], true);
+                    }}
+                    inputProps={{ spellCheck: false }}
+                />
+                <Box sx={{ display: 'flex', justifyContent: 'space-between', mt: 0.5 }}>
+                    <Typography variant="caption" color={outside ? 'warning.main' : 'text.secondary'}>
+                        {words} {words === 1 ? 'word' : 'words'}
+                        {min ? ` · min ${min}` : ''}{max ? ` · max ${max}` : ''}
+                    </Typography>
+                    <Typography variant="caption" color="text.secondary">{SAVE_STATUS_LABELS[saveStatus] || ''}</Typography>
+                </Box>
+            </Box>
+        );
+    }
+
+    // ─── Code (runs sample tests in a worker; hidden tests are graded on submit) ───
+    if (question.question_type === 'CODE') {
+        return <CodeAnswer question={question} value={value} onChange={onChange}
+            statusLabel={SAVE_STATUS_LABELS[saveStatus] || ''} />;
+    }
+
+    return (
+        <Typography variant="body2" color="text.secondary">
+            This question type ({question.question_type}) is not supported by this version of the app.
+        </Typography>
+    );
+}
+
+/**
+ * Option row styling shared by every choice-style input
+ */
+function optionSx(selected) {
+    return {
+        mb: 1, p: 1.5, borderRadius: 2, mx: 0,
+        border: '1px solid',
+        borderColor: selected ? 'rgba(108,99,255,0.5)' : 'rgba(148,163,184,0.1)',
+        bgcolor: selected ? 'rgba(108,99,255,0.08)' : 'transparent',
+        '&:hover': { bgcolor: 'rgba(148,163,184,0.04)' },
+    };
+}
@@ -0,0 +1,68 @@
+import { Box, Typography, Tooltip } from '@mui/material';
+import { isAnswered } from '../lib/questionTypes';
+
+// Tile colours per state; marked wins over answered, which keeps a dot
+const STATE_STYLES = {
+    answered: { bgcolor: 'rgba(78,205,196,0.2)', color: '#4ECDC4', legend: 'rgba(78,205,196,0.5)', label: 'Answered' },
+    unanswered: { bgcolor: 'transparent', color: 'text.secondary', legend: 'rgba(148,163,184,0.3)', label: 'Unanswered' },
+    marked: { bgcolor: 'rgba(255,183,77,0.2)', color: '#FFB74D', legend: 'rgba(255,183,77,0.6)', label: 'Marked for review' },
+};
+
+/**
+ * QuestionPalette — numbered tiles for a run of questions (answered /
+ * unanswered / marked for review) and their legend. Shared by ExamSession
+ * and PWTestSession.
+ *
+ * Props:
+ *   questions: the exam's questions, in display order
+ *   range: { start, end } — the tiles shown (the open section), defaults to all
+ *   currentIndex: question on screen
+ *   answers: question id → selected answer
+ *   marked: question ids marked for review
+ *   onSelect: (index) => void
+ */
+export default function QuestionPalette({ questions, range, currentIndex, answers, marked, onSelect }) {
+    const { start, end } = range || { start: 0, end: questions.length };
+
+    return (
+        <>
+            <Box sx={{ display: 'flex', flexWrap: 'wrap', gap: 0.8 }}>
+                {questions.slice(start, end).map((q, offset) => {
+                    const i = start + offset;
+                    const answered = isAnswered(answers[q.id]);
+                    const isMarked = marked.includes(q.id);
+                    const style = STATE_STYLES[isMarked ? 'marked' : answered ? 'answered' : 'unanswered'];
+                    return (
+                        <Tooltip key={q.id} title={`${answered ? 'Answered' : 'Not answered'}${isMarked ? ' · marked for review' : ''}`}>
+                            <Box onClick={() => onSelect(i)} sx={{
+                                position: 'relative',
+                                width: 36, height: 36, borderRadius: 1, display: 'flex', alignItems: 'center',
+                                justifyContent: 'center', cursor: 'pointer', fontSize: 13, fontWeight: 600,
+                                border: i === currentIndex ? '2px solid #6C63FF' : '1px solid rgba(148,163,184,0.2)',
+                                bgcolor: style.bgcolor,
+                                color: style.color,
+                                '&:hover': { bgcolor: 'rgba(108,99,255,0.1)' },
+                            }}>
+                                {i + 1}
+                                {isMarked && answered && (
+                                    <Box sx={{
+                                        position: 'absolute', top: 3, right: 3, width: 6, height: 6,
+                                        borderRadius: '50%', bgcolor: '#4ECDC4',
+                                    }} />
+                                )}
+                            </Box>
+                        </Tooltip>
+                    );
+                })}
+            </Box>
+            <Box sx={{ mt: 2, display: 'flex', gap: 1, flexWrap: 'wrap' }}>
+                {Object.values(STATE_STYLES).map(s => (
+                    <Box key={s.label} sx={{ display: 'flex', alignItems: 'center', gap: 0.5 }}>
+                        <Box sx={{ width: 10, height: 10, borderRadius: '50%', bgcolor: s.legend }} />
+                        <Typography variant="caption">{s.label}</Typography>
+                    </Box>
+                ))}
+            </Box>
+        </>
+    );
+}
@@ -0,0 +1,167 @@
+import { useState, useEffect } from 'react';
+import {
+    Box, Typography, Button, Chip, Alert, LinearProgress, TextField, Divider, Collapse,
+} from '@mui/material';
+import { History, Publish } from '@mui/icons-material';
+import { supabase } from '../lib/supabase';
+import RichTextEditor from './RichTextEditor';
+import AnswerKeyEditor from './AnswerKeyEditor';
+import { editableQuestion } from '../lib/questionTypes';
+import { fetchVersions, publishVersion, versionChanges } from '../lib/questionVersions';
+
+const DIFF_COLORS = {
+    added: { bgcolor: 'rgba(76, 175, 80, 0.25)' },
+    removed: { bgcolor: 'rgba(244, 67, 54, 0.25)', textDecoration: 'line-through' },
+    same: {},
+};
+
+/**
+ * QuestionVersions — a bank question's edit history (each version against
+ * the one before it) and an editor that publishes a correction as the next
+ * version. Tests already set keep the version they pinned.
+ *
+ * Props:
+ *   question: questions row
+ *   userId: who is publishing
+ *   onPublished: (version) => void — the new question_versions row
+ */
+export default function QuestionVersions({ question, userId, onPublished }) {
+    const [versions, setVersions] = useState(null);
+    const [draft, setDraft] = useState(null);
+    const [note, setNote] = useState('');
+    const [publishing, setPublishing] = useState(false);
+    const [error, setError] = useState('');
+
+    useEffect(() => {
+        setVersions(null);
+        setDraft(null);
+        setError('');
+        fetchVersions(supabase, question.id)
+            .then(setVersions)
+            .catch(err => setError(err.message || 'Failed to load versions'));
+    }, [question.id]);
+
+    const startCorrection = () => {
+        setDraft(editableQuestion({
+            question_text: question.question_text, question_type: question.question_type,
+            options: question.options, correct_answer: question.correct_answer,
+            marks: question.marks, negative_marks: question.negative_marks,
+        }));
+        setNote('');
+        setError('');
+    };
+
+    const handlePublish = async () => {
+        if (!note.trim()) { setError('Say what the correction changes'); return; }
+        setPublishing(true);
+        setError('');
+        try {
+            const version = await publishVersion(supabase, question, draft, note, userId);
+            setVersions(await fetchVersions(supabase, question.id));
+            setDraft(null);
+            onPublished(version);
+        } catch (err) {
+            console.error('[QuestionVersions] Publish failed:', err);
+            setError(err.message || 'Failed to publish the correction');
+        }
+        setPublishing(false);
+    };
+
+    // ═══════════════════════════════════════════
+    // RENDER
+    // ═══════════════════════════════════════════
+    return (
+        <Box>
+            <Box sx={{ display: 'flex', alignItems: 'center', gap: 1, mb: 1 }}>
+                <History fontSize="small" />
+                <Typography variant="subtitle2" sx={{ flexGrow: 1 }}>Version History</Typography>
+                {!draft && (
+                    <Button size="small" startIcon={<Publish />} onClick={startCorrection}>Publish Correction</Button>
+                )}
+            </Box>
+            {error && <Alert severity="error" sx={{ mb: 2 }}>{error}</Alert>}
+
+            <Collapse in={!!draft} unmountOnExit>
+                {draft && (
+                    <Box sx={{ p: 2, mb: 2, border: 1, borderColor: 'divider', borderRadius: 1 }}>
+                        <Alert severity="info" sx={{ mb: 2 }}>
+                            The correction becomes the next version. Tests created from now on, and question pools
+                            drawing for exams that start from now on, use it. Exams already set or sat keep the
+                            version they were given and are graded against it.
+                        </Alert>
+                        <RichTextEditor
+                            value={draft.question_text}
+                            onChange={val => setDraft(prev => ({ ...prev, question_text: val }))}
+                            placeholder="Enter question text..."
+                        />
+                        <Box sx={{ mb: 2 }} />
+                        <AnswerKeyEditor question={draft} onChange={patch => setDraft(prev => ({ ...prev, ...patch }))} />
+                        <Box sx={{ display: 'flex', gap: 2, mt: 2 }}>
+                            <TextField size="small" type="number" label="Marks" value={draft.marks ?? ''} sx={{ width: 120 }}
+                                onChange={e => setDraft(prev => ({ ...prev, marks: e.target.value }))} />
+                            <TextField size="small" type="number" label="Negative marks" value={draft.negative_marks ?? ''}
+                                sx={{ width: 150 }}
+                                onChange={e => setDraft(prev => ({ ...prev, negative_marks: e.target.value }))} />
+                        </Box>
+                        <TextField fullWidth size="small" label="What changed and why" value={note} sx={{ mt: 2 }}
+                            onChange={e => setNote(e.target.value)} />
+                        <Box sx={{ display: 'flex', justifyContent: 'flex-end', gap: 1, mt: 2 }}>
+                            <Button onClick={() => setDraft(null)} disabled={publishing}>Cancel</Button>
+                            <Button variant="contained" onClick={handlePublish} disabled={publishing}>
+                                {publishing ? 'Publishing...' : 'Publish'}
+                            </Button>
+                        </Box>
+                    </Box>
+                )}
+            </Collapse>
+
+            {!versions ? <LinearProgress /> : versions.length === 0 ? (
+                <Typography variant="body2" color="text.secondary">No versions recorded.</Typography>
+            ) : versions.map((v, i) => (
+                <VersionEntry key={v.id} version={v} previous={versions[i + 1] || null} latest={i === 0} />
+            ))}
+        </Box>
+    );
+}
+
+/** One version with what changed since the one before it. */
+function VersionEntry({ version, previous, latest }) {
+    const changes = versionChanges(previous, version);
+    return (
+        <Box sx={{ py: 1 }}>
+            <Box sx={{ display: 'flex', alignItems: 'center', gap: 1, flexWrap: 'wrap' }}>
+                <Chip size="small" label={`v${version.version}`} color={latest ? 'primary' : 'default'} />
+                <Typography variant="caption" color="text.secondary">
+                    {new Date(version.created_at).toLocaleString()}
+                    {version.author && ` · ${version.author.full_name || version.author.username}`}
+                </Typography>
+            </Box>
+            {version.change_note && (
+                <Typography variant="body2" sx={{ mt: 0.5 }}>{version.change_note}</Typography>
+            )}
+            {!previous ? (
+                <Typography variant="caption" color="text.secondary">First version.</Typography>
+            ) : changes.length === 0 ? (
+                <Typography variant="caption" color="text.secondary">No content changes.</Typography>
+            ) : changes.map(c => (
+                <Box key={c.field} sx={{ mt: 0.5 }}>
+                    <Typography variant="caption" color="text.secondary">{c.field}</Typography>
+                    {c.diff ? (
+                        <Typography variant="body2">
+                            {c.diff.map((part, idx) => (
+                                <Box component="span" key={idx} sx={DIFF_COLORS[part.op]}>{part.text} </Box>
+                            ))}
+                        </Typography>
+                    ) : (
+                        <Typography variant="body2">
+                            <Box component="span" sx={DIFF_COLORS.removed}>{c.before || '—'}</Box>
+                            {' → '}
+                            <Box component="span" sx={DIFF_COLORS.added}>{c.after || '—'}</Box>
+                        </Typography>
+                    )}
+                </Box>
+            ))}
+            <Divider sx={{ mt: 1 }} />
+        </Box>
+    );
+}
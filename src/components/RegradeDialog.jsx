@@ -0,0 +1,296 @@
+import { useState, useEffect, useMemo } from 'react';
+import {
+    Box, Typography, Button, Chip, Alert, LinearProgress, CircularProgress, TextField, MenuItem,
+    Dialog, DialogTitle, DialogContent, DialogActions, Table, TableHead, TableBody, TableRow, TableCell,
+} from '@mui/material';
+import { Replay, ArrowForward } from '@mui/icons-material';
+import { supabase } from '../lib/supabase';
+import { QUESTION_TYPES, formatCorrectAnswer, prepareQuestion, validateQuestion } from '../lib/questionTypes';
+import { itemLabel } from '../lib/itemAnalysis';
+import {
+    loadRegrade, previewRegrade, applyRegrade, OPTION_KEY_TYPES, EDITABLE_KEY_TYPES, DROP_ONLY_TYPES,
+} from '../lib/regrade';
+import AnswerKeyEditor from './AnswerKeyEditor';
+
+const sameJson = (a, b) => JSON.stringify(a) === JSON.stringify(b);
+
+/** Editing state of a saved adjustment. */
+function draftOf(adjustment) {
+    if (!adjustment) return { mode: 'keep', answer_keys: [], note: '' };
+    return {
+        mode: adjustment.dropped ? 'drop' : 'key',
+        answer_keys: adjustment.answer_keys || [],
+        note: adjustment.note || '',
+    };
+}
+
+/** Adjustment a draft saves: replacement keys tidied like the authoring form. */
+function adjustmentOf(question, draft) {
+    if (!draft || draft.mode === 'keep') return { dropped: false, answer_keys: [], note: draft?.note };
+    if (draft.mode === 'drop') return { dropped: true, answer_keys: [], note: draft.note };
+    const keys = EDITABLE_KEY_TYPES.includes(question.question_type)
+        ? draft.answer_keys.map(key => prepareQuestion({ ...question, correct_answer: key }).correct_answer)
+        : draft.answer_keys;
+    return { dropped: false, answer_keys: keys, note: draft.note };
+}
+
+/** Why a replacement key can't be saved, or null. */
+function keyProblem(question, adjustment) {
+    if (adjustment.dropped) return null;
+    if (adjustment.answer_keys.length === 0) return 'Accept at least one answer';
+    if (!EDITABLE_KEY_TYPES.includes(question.question_type)) return null;
+    return validateQuestion({ ...question, correct_answer: adjustment.answer_keys[0] });
+}
+
+/**
+ * RegradeDialog — corrects a test's answer key after it has been sat and
+ * re-grades every finished session. Each question can keep its key, take
+ * replacement keys (several accepted answers, or the bank's correction) or
+ * be dropped for everyone; the score changes are previewed before anything
+ * is saved. Keeping every key just re-grades the sessions as they stand.
+ *
+ * Props:
+ *   open, onClose
+ *   test: tests row
+ *   userId: who is re-grading
+ *   onRegraded: () => void — scores changed, reload the results
+ */
+export default function RegradeDialog({ open, onClose, test, userId, onRegraded }) {
+    const [data, setData] = useState(null);
+    const [drafts, setDrafts] = useState({});
+    const [loadError, setLoadError] = useState('');
+    const [applying, setApplying] = useState(false);
+    const [applyError, setApplyError] = useState('');
+    const [outcome, setOutcome] = useState(null);
+
+    useEffect(() => {
+        if (!open || !test) return;
+        setData(null);
+        setOutcome(null);
+        setLoadError('');
+        setApplyError('');
+        loadRegrade(supabase, test.id)
+            .then(loaded => {
+                setData(loaded);
+                setDrafts(Object.fromEntries(loaded.adjustments.map(a => [a.question_id, draftOf(a)])));
+            })
+            .catch(err => {
+                console.error('[RegradeDialog] Load failed:', err);
+                setLoadError(err.message || 'Failed to load the test papers');
+            });
+    }, [open, test?.id]);
+
+    const previous = useMemo(
+        () => new Map((data?.adjustments || []).map(a => [a.question_id, a])),
+        [data],
+    );
+    const next = useMemo(
+        () => new Map((data?.questions || []).map(q => [q.id, adjustmentOf(q, drafts[q.id])])),
+        [data, drafts],
+    );
+    const preview = useMemo(
+        () => (data ? previewRegrade(data, test?.settings || {}, next, previous) : []),
+        [data, next, previous, test?.settings],
+    );
+
+    const problems = (data?.questions || [])
+        .map((q, i) => ({ q, i, problem: drafts[q.id]?.mode === 'key' ? keyProblem(q, next.get(q.id)) : null }))
+        .filter(p => p.problem);
+    const moved = preview.filter(r => r.delta !== 0);
+
+    const setDraft = (id, patch) => setDrafts(prev => ({ ...prev, [id]: { ...draftOf(null), ...prev[id], ...patch } }));
+
+    const startKey = (q) => {
+        const key = Array.isArray(q.correct_answer) ? q.correct_answer : [];
+        const singles = q.question_type === 'MCQ_SINGLE' || q.question_type === 'TRUE_FALSE';
+        setDraft(q.id, { mode: 'key', answer_keys: singles ? key.map(o => [o]) : [key] });
+    };
+
+    const handleApply = async () => {
+        setApplying(true);
+        setApplyError('');
+        try {
+            const result = await applyRegrade(supabase, {
+                test, sessions: data.sessions, adjustments: next, previous, userId,
+            });
+            setOutcome(result);
+            onRegraded();
+        } catch (err) {
+            console.error('[RegradeDialog] Re-grade failed:', err);
+            setApplyError(err.message || 'Re-grade failed');
+        }
+        setApplying(false);
+    };
+
+    // ═══════════════════════════════════════════
+    // RENDER
+    // ═══════════════════════════════════════════
+    return (
+        <Dialog open={open} onClose={applying ? undefined : onClose} maxWidth="md" fullWidth>
+            <DialogTitle>Re-grade Test</DialogTitle>
+            <DialogContent dividers>
+                {loadError && <Alert severity="error">{loadError}</Alert>}
+                {!data && !loadError && <LinearProgress />}
+
+                {data && !outcome && (
+                    <>
+                        <Alert severity="info" sx={{ mb: 2 }}>
+                            Changes apply to this test only — the question bank and other tests keep their keys.
+                            Every finished session is re-graded and students whose score changes are notified.
+                        </Alert>
+
+                        {data.questions.map((q, i) => (
+                            <QuestionAdjustment key={q.id} index={i} question={q} bank={data.bankKeys.get(q.id)}
+                                draft={drafts[q.id] || draftOf(null)}
+                                onMode={mode => (mode === 'key' ? startKey(q) : setDraft(q.id, { mode }))}
+                                onChange={patch => setDraft(q.id, patch)} />
+                        ))}
+                        {data.questions.length === 0 && (
+                            <Typography color="text.secondary">No questions on this test's papers.</Typography>
+                        )}
+
+                        <Typography variant="subtitle1" fontWeight={600} sx={{ mt: 3, mb: 1 }}>
+                            Score changes ({moved.length} of {preview.length} sessions)
+                        </Typography>
+                        <ScoreTable rows={moved} totalMarks={test?.total_marks} />
+                        {problems.map(({ q, i, problem }) => (
+                            <Alert key={q.id} severity="warning" sx={{ mt: 1 }}>Q{i + 1}: {problem}</Alert>
+                        ))}
+                        {applyError && <Alert severity="error" sx={{ mt: 2 }}>{applyError}</Alert>}
+                    </>
+                )}
+
+                {outcome && (
+                    <>
+                        <Alert severity={outcome.failed.length ? 'warning' : 'success'} sx={{ mb: 2 }}>
+                            Re-graded {outcome.rows.length - outcome.failed.length} of {outcome.rows.length} sessions.
+                            {' '}{outcome.notified} student{outcome.notified === 1 ? '' : 's'} notified.
+                        </Alert>
+                        {outcome.failed.map(f => (
+                            <Alert key={f.session.id} severity="error" sx={{ mb: 1 }}>
+                                {f.session.users?.full_name || f.session.users?.username}: {f.error}
+                            </Alert>
+                        ))}
+                        <ScoreTable rows={outcome.rows.filter(r => r.delta !== 0)} totalMarks={test?.total_marks} />
+                    </>
+                )}
+            </DialogContent>
+            <DialogActions>
+                <Button onClick={onClose} disabled={applying}>{outcome ? 'Close' : 'Cancel'}</Button>
+                {data && !outcome && (
+                    <Button variant="contained" onClick={handleApply}
+                        startIcon={applying ? <CircularProgress size={16} /> : <Replay />}
+                        disabled={applying || problems.length > 0 || data.sessions.length === 0}>
+                        {applying ? 'Re-grading...' : `Re-grade ${data.sessions.length} Sessions`}
+                    </Button>
+                )}
+            </DialogActions>
+        </Dialog>
+    );
+}
+
+/** One question: its pinned key and how the re-grade treats it. */
+function QuestionAdjustment({ index, question: q, bank, draft, onMode, onChange }) {
+    const type = q.question_type;
+    // A correction published to the bank since the test was set, on the same options
+    const bankFix = bank && !sameJson(bank.correct_answer, q.correct_answer) && sameJson(bank.options, q.options)
+        && !DROP_ONLY_TYPES.includes(type) ? bank.correct_answer : null;
+    const canEditKey = OPTION_KEY_TYPES.includes(type) || EDITABLE_KEY_TYPES.includes(type) || bankFix;
+    const accepted = draft.answer_keys.flat().map(String);
+
+    const toggleOption = (option) => {
+        const chosen = accepted.includes(option) ? accepted.filter(o => o !== option) : [...accepted, option];
+        // Single-answer questions accept each chosen option on its own
+        onChange({ answer_keys: type === 'MCQ_MULTIPLE' ? (chosen.length ? [chosen] : []) : chosen.map(o => [o]) });
+    };
+
+    return (
+        <Box sx={{ py: 1.5, borderBottom: '1px solid', borderColor: 'divider' }}>
+            <Box sx={{ display: 'flex', gap: 2, alignItems: 'flex-start' }}>
+                <Box sx={{ flex: 1, minWidth: 0 }}>
+                    <Typography variant="body2" fontWeight={600} noWrap>
+                        {itemLabel({ position: index + 1, question_text: q.question_text }, 80)}
+                    </Typography>
+                    <Typography variant="caption" color="text.secondary">
+                        {QUESTION_TYPES[type] || type}{q.version ? ` v${q.version}` : ''} · {q.marks} marks
+                        {!DROP_ONLY_TYPES.includes(type) && ` · Key: ${formatCorrectAnswer(q)}`}
+                    </Typography>
+                </Box>
+                <TextField select size="small" label="Re-grade" value={draft.mode} sx={{ minWidth: 200 }}
+                    onChange={e => onMode(e.target.value)}>
+                    <MenuItem value="keep">Keep key</MenuItem>
+                    {canEditKey && <MenuItem value="key">Change accepted answers</MenuItem>}
+                    <MenuItem value="drop">Drop — full marks for everyone</MenuItem>
+                </TextField>
+            </Box>
+
+            {draft.mode === 'key' && (
+                <Box sx={{ mt: 1.5, pl: 2 }}>
+                    {OPTION_KEY_TYPES.includes(type) && (
+                        <>
+                            <Typography variant="body2" color="text.secondary" sx={{ mb: 1 }}>
+                                {type === 'MCQ_MULTIPLE' ? 'Correct options (click to toggle):' : 'Accepted options (any one earns the marks):'}
+                            </Typography>
+                            <Box sx={{ display: 'flex', gap: 1, flexWrap: 'wrap' }}>
+                                {(Array.isArray(q.options) ? q.options : []).map((option, oIdx) => (
+                                    <Chip key={oIdx} label={`${String.fromCharCode(65 + oIdx)}. ${option}`}
+                                        color={accepted.includes(String(option)) ? 'success' : 'default'}
+                                        onClick={() => toggleOption(String(option))} />
+                                ))}
+                            </Box>
+                        </>
+                    )}
+                    {EDITABLE_KEY_TYPES.includes(type) && (
+                        <AnswerKeyEditor question={{ ...q, correct_answer: draft.answer_keys[0] ?? q.correct_answer }}
+                            onChange={patch => patch.correct_answer && onChange({ answer_keys: [patch.correct_answer] })} />
+                    )}
+                    {bankFix && (
+                        <Button size="small" sx={{ mt: 1 }} onClick={() => onChange({ answer_keys: [bankFix] })}>
+                            Use the bank's corrected key: {formatCorrectAnswer({ ...q, correct_answer: bankFix })}
+                        </Button>
+                    )}
+                </Box>
+            )}
+
+            {draft.mode !== 'keep' && (
+                <TextField size="small" fullWidth label="Reason (kept in the audit log)" value={draft.note}
+                    onChange={e => onChange({ note: e.target.value })} sx={{ mt: 1.5 }} />
+            )}
+        </Box>
+    );
+}
+
+/** Before → after scores of the sessions a re-grade moves. */
+function ScoreTable({ rows, totalMarks }) {
+    if (rows.length === 0) {
+        return <Typography variant="body2" color="text.secondary">No scores change.</Typography>;
+    }
+    return (
+        <Table size="small">
+            <TableHead>
+                <TableRow>
+                    <TableCell>Student</TableCell>
+                    <TableCell align="right">Before</TableCell>
+                    <TableCell />
+                    <TableCell align="right">After</TableCell>
+                    <TableCell align="right">Change</TableCell>
+                </TableRow>
+            </TableHead>
+            <TableBody>
+                {rows.map(r => (
+                    <TableRow key={r.session.id}>
+                        <TableCell>{r.session.users?.full_name || r.session.users?.username || 'Unknown student'}</TableCell>
+                        <TableCell align="right">{r.before ?? '—'} / {totalMarks}</TableCell>
+                        <TableCell padding="none" align="center"><ArrowForward fontSize="small" color="action" /></TableCell>
+                        <TableCell align="right">{r.after ?? '—'} / {totalMarks}</TableCell>
+                        <TableCell align="right">
+                            <Typography variant="body2" fontWeight={700} color={r.delta > 0 ? 'success.main' : 'error.main'}>
+                                {r.delta > 0 ? '+' : ''}{r.delta}
+                            </Typography>
+                        </TableCell>
+                    </TableRow>
+                ))}
+            </TableBody>
+        </Table>
+    );
+}
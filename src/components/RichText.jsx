@@ -0,0 +1,137 @@
+import { useMemo } from 'react';
+import { Box } from '@mui/material';
+import 'katex/dist/katex.min.css';
+import { parseRichText, renderMath, highlightCode } from '../lib/richText';
+import { attachmentKind, cachedAttachment } from '../lib/questionAttachments';
+
+const TOKEN_COLORS = {
+    keyword: '#C792EA',
+    string: '#C3E88D',
+    number: '#F78C6C',
+    comment: '#697098',
+};
+
+const codeSx = {
+    fontFamily: 'monospace',
+    fontSize: '0.9em',
+};
+
+/**
+ * RichText — question and option text with its markup rendered: emphasis,
+ * lists, links, attachments, highlighted code and LaTeX maths (see src/lib/richText.js).
+ * Attachments prefetched for the exam are shown from memory (src/lib/questionAttachments.js).
+ *
+ * Everything renders as spans laid out as blocks, so it can sit inside
+ * Typography and form control labels.
+ *
+ * Props:
+ *   text: the markup
+ *   component: root element (default 'span')
+ *   sx: styles for the root
+ */
+export default function RichText({ text, component = 'span', sx }) {
+    const blocks = useMemo(() => parseRichText(text), [text]);
+
+    // A single paragraph renders inline, so it flows like plain text did
+    if (blocks.length === 1 && blocks[0].type === 'paragraph') {
+        return (
+            <Box component={component} sx={{ whiteSpace: 'pre-wrap', ...sx }}>
+                <Inlines nodes={blocks[0].children} />
+            </Box>
+        );
+    }
+
+    return (
+        <Box component={component} sx={{ display: 'block', ...sx }}>
+            {blocks.map((block, i) => <Block key={i} block={block} />)}
+        </Box>
+    );
+}
+
+/** One block: paragraph, list, code or display maths. */
+function Block({ block }) {
+    const blockSx = { display: 'block', '&:not(:last-child)': { mb: 1.5 } };
+    switch (block.type) {
+        case 'code':
+            return (
+                <Box component="span" sx={{
+                    ...blockSx, ...codeSx, whiteSpace: 'pre', overflowX: 'auto', p: 1.5, borderRadius: 1,
+                    bgcolor: 'rgba(0,0,0,0.3)', border: '1px solid rgba(148,163,184,0.15)', lineHeight: 1.5,
+                }}>
+                    {highlightCode(block.code, block.language).map((t, i) => (
+                        <Box component="span" key={i} sx={{
+                            color: TOKEN_COLORS[t.type], ...(t.type === 'comment' && { fontStyle: 'italic' }),
+                        }}>
+                            {t.text}
+                        </Box>
+                    ))}
+                </Box>
+            );
+        case 'math':
+            return <Box component="span" sx={{ ...blockSx, overflowX: 'auto' }} dangerouslySetInnerHTML={{ __html: renderMath(block.tex, true) }} />;
+        case 'list':
+            return (
+                <Box component="span" sx={blockSx}>
+                    {block.items.map((item, i) => (
+                        <Box component="span" key={i} sx={{ display: 'flex', gap: 1, pl: 1 }}>
+                            <Box component="span" sx={{ flexShrink: 0 }}>{block.ordered ? `${i + 1}.` : '•'}</Box>
+                            <Box component="span"><Inlines nodes={item} /></Box>
+                        </Box>
+                    ))}
+                </Box>
+            );
+        default:
+            return (
+                <Box component="span" sx={{ ...blockSx, whiteSpace: 'pre-wrap' }}>
+                    <Inlines nodes={block.children} />
+                </Box>
+            );
+    }
+}
+
+/** Inline nodes: text, emphasis, code, maths, links and images. */
+function Inlines({ nodes }) {
+    return nodes.map((node, i) => {
+        switch (node.type) {
+            case 'strong':
+                return <strong key={i}><Inlines nodes={node.children} /></strong>;
+            case 'em':
+                return <em key={i}><Inlines nodes={node.children} /></em>;
+            case 'code':
+                return (
+                    <Box component="code" key={i} sx={{ ...codeSx, px: 0.5, borderRadius: 0.5, bgcolor: 'rgba(148,163,184,0.15)' }}>
+                        {node.text}
+                    </Box>
+                );
+            case 'math':
+                return <span key={i} dangerouslySetInnerHTML={{ __html: renderMath(node.tex) }} />;
+            case 'link':
+                return (
+                    <Box component="a" key={i} href={node.href} target="_blank" rel="noopener noreferrer" sx={{ color: 'primary.light' }}>
+                        <Inlines nodes={node.children} />
+                    </Box>
+                );
+            case 'image':
+                return <Attachment key={i} src={node.src} alt={node.alt} />;
+            default:
+                return node.text;
+        }
+    });
+}
+
+/** An embedded attachment: image, audio player or PDF viewer. */
+function Attachment({ src, alt }) {
+    const url = cachedAttachment(src);
+    const embedSx = { display: 'block', maxWidth: '100%', my: 1, borderRadius: 1 };
+    switch (attachmentKind(src)) {
+        case 'audio':
+            return <Box component="audio" controls src={url} title={alt} sx={{ ...embedSx, width: 400 }} />;
+        case 'pdf':
+            return (
+                <Box component="iframe" src={url} title={alt || 'PDF attachment'}
+                    sx={{ ...embedSx, width: '100%', height: 480, border: '1px solid rgba(148,163,184,0.2)' }} />
+            );
+        default:
+            return <Box component="img" src={url} alt={alt} sx={{ ...embedSx, maxHeight: 360 }} />;
+    }
+}
@@ -1,12 +1,17 @@
 import { useState, useRef } from 'react';
-import { Box, IconButton, TextField, Tooltip } from '@mui/material';
+import { Box, IconButton, TextField, Tooltip, Typography } from '@mui/material';
 import {
     FormatBold, FormatItalic, FormatListBulleted, FormatListNumbered,
-    Code, Image, Link as LinkIcon,
+    Code, DataObject, Functions, Calculate, Image, AttachFile, Link as LinkIcon, Preview,
 } from '@mui/icons-material';
+import { hasMarkup } from '../lib/richText';
+import { ATTACHMENT_CONFIG } from '../lib/questionAttachments';
+import RichText from './RichText';
+import AttachmentButton from './AttachmentButton';
 
 export default function RichTextEditor({ value, onChange, label, placeholder }) {
     const inputRef = useRef(null);
+    const [showPreview, setShowPreview] = useState(true);
 
     const insertFormat = (startTag, endTag) => {
         const input = inputRef.current;
@@ -14,7 +19,7 @@ export default function RichTextEditor({ value, onChange, label, placeholder })
 
         const start = input.selectionStart;
         const end = input.selectionEnd;
-        const text = value || '';
+        const text = input.value; // not `value` — uploads finish after later keystrokes
         const before = text.substring(0, start);
         const selection = text.substring(start, end);
         const after = text.substring(end);
@@ -47,15 +52,30 @@ export default function RichTextEditor({ value, onChange, label, placeholder })
                 <Tooltip title="Numbered List">
                     <IconButton size="small" onClick={() => insertFormat('\n1. ', '')}><FormatListNumbered fontSize="small" /></IconButton>
                 </Tooltip>
-                <Tooltip title="Code Block">
+                <Tooltip title="Inline Code">
                     <IconButton size="small" onClick={() => insertFormat('`', '`')}><Code fontSize="small" /></IconButton>
                 </Tooltip>
-                <Tooltip title="Image">
-                    <IconButton size="small" onClick={() => insertFormat('![alt](', ')')}><Image fontSize="small" /></IconButton>
+                <Tooltip title="Code Block (```language)">
+                    <IconButton size="small" onClick={() => insertFormat('\n```\n', '\n```\n')}><DataObject fontSize="small" /></IconButton>
                 </Tooltip>
+                <Tooltip title="Inline Math ($LaTeX$)">
+                    <IconButton size="small" onClick={() => insertFormat('$', '$')}><Functions fontSize="small" /></IconButton>
+                </Tooltip>
+                <Tooltip title="Display Math ($$LaTeX$$)">
+                    <IconButton size="small" onClick={() => insertFormat('\n$$\n', '\n$$\n')}><Calculate fontSize="small" /></IconButton>
+                </Tooltip>
+                <AttachmentButton title="Upload Image" icon={<Image fontSize="small" />}
+                    accept={ATTACHMENT_CONFIG.IMAGE_ACCEPT} onAttached={markup => insertFormat(markup, '')} />
+                <AttachmentButton title="Attach Audio or PDF" icon={<AttachFile fontSize="small" />}
+                    accept={ATTACHMENT_CONFIG.FILE_ACCEPT} onAttached={markup => insertFormat(markup, '')} />
                 <Tooltip title="Link">
                     <IconButton size="small" onClick={() => insertFormat('[text](', ')')}><LinkIcon fontSize="small" /></IconButton>
                 </Tooltip>
+                <Tooltip title={showPreview ? 'Hide Preview' : 'Show Preview'}>
+                    <IconButton size="small" onClick={() => setShowPreview(!showPreview)} color={showPreview ? 'primary' : 'default'} sx={{ ml: 'auto' }}>
+                        <Preview fontSize="small" />
+                    </IconButton>
+                </Tooltip>
             </Box>
             <TextField
                 fullWidth
@@ -68,6 +88,12 @@ export default function RichTextEditor({ value, onChange, label, placeholder })
                 variant="standard"
                 InputProps={{ disableUnderline: true, sx: { p: 2 } }}
             />
+            {showPreview && hasMarkup(value) && (
+                <Box sx={{ p: 2, borderTop: '1px solid rgba(148,163,184,0.1)', bgcolor: 'rgba(148,163,184,0.02)' }}>
+                    <Typography variant="caption" color="text.secondary" sx={{ display: 'block', mb: 1 }}>Preview</Typography>
+                    <RichText text={value} component="div" />
+                </Box>
+            )}
         </Box>
     );
 }
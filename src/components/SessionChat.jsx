@@ -0,0 +1,140 @@
+import { useState, useEffect, useRef, useCallback } from 'react';
+import { Box, Typography, TextField, IconButton, Chip, CircularProgress } from '@mui/material';
+import { Send } from '@mui/icons-material';
+import { supabase } from '../lib/supabase';
+import useAuthStore from '../store/authStore';
+import { CANNED_MESSAGES, MAX_MESSAGE_LENGTH, loadChatMessages, sendChatMessage } from '../lib/sessionChat';
+
+/**
+ * SessionChat — two-way proctor ↔ candidate chat for one exam session.
+ * Used inside ExamSession's FloatingPanel and LiveSessionMonitor's chat dialog.
+ *
+ * Props:
+ *   sessionId:  exam_sessions.id
+ *   role:       'proctor' | 'student' — the side this instance sends as
+ *   onIncoming: (message) => void — called for new messages from the other side
+ *   height:     message list height in px (default 260)
+ */
+export default function SessionChat({ sessionId, role, onIncoming, height = 260 }) {
+    const { user } = useAuthStore();
+    const [messages, setMessages] = useState([]);
+    const [loading, setLoading] = useState(true);
+    const [draft, setDraft] = useState('');
+    const [sending, setSending] = useState(false);
+    const listRef = useRef(null);
+    const onIncomingRef = useRef(onIncoming);
+    useEffect(() => { onIncomingRef.current = onIncoming; }, [onIncoming]);
+
+    // Own inserts come back over Realtime too — keep one copy per id
+    const addMessage = useCallback((msg) => {
+        setMessages(prev => prev.some(m => m.id === msg.id) ? prev : [...prev, msg]);
+    }, []);
+
+    useEffect(() => {
+        if (!sessionId) return;
+        let cancelled = false;
+
+        loadChatMessages(supabase, sessionId)
+            .then(data => { if (!cancelled) setMessages(data); })
+            .catch(err => console.error('[SessionChat] Failed to load messages:', err))
+            .finally(() => { if (!cancelled) setLoading(false); });
+
+        const channel = supabase
+            .channel(`session-chat-${sessionId}-${role}`)
+            .on('postgres_changes', {
+                event: 'INSERT',
+                schema: 'public',
+                table: 'session_messages',
+                filter: `session_id=eq.${sessionId}`,
+            }, (payload) => {
+                addMessage(payload.new);
+                if (payload.new.sender_role !== role) onIncomingRef.current?.(payload.new);
+            })
+            .subscribe();
+
+        return () => {
+            cancelled = true;
+            supabase.removeChannel(channel);
+        };
+    }, [sessionId, role, addMessage]);
+
+    // Keep the newest message in view
+    useEffect(() => {
+        if (listRef.current) listRef.current.scrollTop = listRef.current.scrollHeight;
+    }, [messages]);
+
+    const send = async (body) => {
+        if (!body.trim() || sending) return;
+        setSending(true);
+        try {
+            const msg = await sendChatMessage(supabase, { sessionId, senderId: user.id, role, body });
+            addMessage(msg);
+            setDraft('');
+        } catch (err) {
+            console.error('[SessionChat] Send failed:', err);
+        }
+        setSending(false);
+    };
+
+    return (
+        <Box sx={{ display: 'flex', flexDirection: 'column' }}>
+            <Box ref={listRef} sx={{ height, overflowY: 'auto', p: 1, display: 'flex', flexDirection: 'column', gap: 0.75 }}>
+                {loading && <CircularProgress size={20} sx={{ alignSelf: 'center', mt: 2 }} />}
+                {!loading && messages.length === 0 && (
+                    <Typography variant="caption" color="text.secondary" sx={{ textAlign: 'center', mt: 2 }}>
+                        {role === 'student' ? 'Messages from your proctor appear here.' : 'No messages yet.'}
+                    </Typography>
+                )}
+                {messages.map(m => <ChatBubble key={m.id} message={m} own={m.sender_role === role} />)}
+            </Box>
+
+            {/* Canned proctoring instructions */}
+            {role === 'proctor' && (
+                <Box sx={{ display: 'flex', gap: 0.5, overflowX: 'auto', px: 1, pb: 1 }}>
+                    {CANNED_MESSAGES.map(text => (
+                        <Chip key={text} label={text} size="small" variant="outlined" clickable
+                            disabled={sending} onClick={() => send(text)} sx={{ flexShrink: 0 }} />
+                    ))}
+                </Box>
+            )}
+
+            <Box sx={{ display: 'flex', gap: 0.5, p: 1, borderTop: '1px solid', borderColor: 'divider' }}>
+                <TextField
+                    fullWidth size="small" placeholder={role === 'student' ? 'Message the proctor…' : 'Message the candidate…'}
+                    value={draft}
+                    onChange={e => setDraft(e.target.value.slice(0, MAX_MESSAGE_LENGTH))}
+                    onKeyDown={e => {
+                        // Enter sends; stop propagation so exam shortcuts don't fire while typing
+                        e.stopPropagation();
+                        if (e.key === 'Enter' && !e.shiftKey) {
+                            e.preventDefault();
+                            send(draft);
+                        }
+                    }}
+                />
+                <IconButton color="primary" onClick={() => send(draft)} disabled={!draft.trim() || sending}>
+                    <Send fontSize="small" />
+                </IconButton>
+            </Box>
+        </Box>
+    );
+}
+
+/**
+ * One chat message, right-aligned for the sender's own side
+ */
+function ChatBubble({ message, own }) {
+    return (
+        <Box sx={{ alignSelf: own ? 'flex-end' : 'flex-start', maxWidth: '85%' }}>
+            <Box sx={{
+                px: 1.25, py: 0.75, borderRadius: 2,
+                bgcolor: own ? 'rgba(108,99,255,0.15)' : 'action.hover',
+            }}>
+                <Typography variant="body2" sx={{ whiteSpace: 'pre-wrap', wordBreak: 'break-word' }}>{message.body}</Typography>
+            </Box>
+            <Typography variant="caption" color="text.secondary" sx={{ display: 'block', textAlign: own ? 'right' : 'left', fontSize: 10 }}>
+                {message.sender_role === 'proctor' ? 'Proctor' : 'Candidate'} · {new Date(message.created_at).toLocaleTimeString()}
+            </Typography>
+        </Box>
+    );
+}
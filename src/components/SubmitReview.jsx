@@ -0,0 +1,107 @@
+import {
+    Box, Typography, Button, Alert, Chip, Dialog, DialogTitle, DialogContent, DialogActions,
+    List, ListItemButton, ListItemText,
+} from '@mui/material';
+import { Bookmark, RadioButtonUnchecked, Lock } from '@mui/icons-material';
+import { displayText, isAnswered } from '../lib/questionTypes';
+
+// Characters of question text shown per review row
+const SNIPPET_LENGTH = 70;
+
+/** Plain one-line start of a question, without markup. */
+function snippet(question) {
+    const text = displayText(question)
+        .replace(/!\[[^\]]*\]\([^)]*\)/g, '[attachment]')
+        .replace(/<[^>]*>/g, ' ')
+        .replace(/[*_`$#]/g, '')
+        .replace(/\s+/g, ' ')
+        .trim();
+    return text.length > SNIPPET_LENGTH ? `${text.slice(0, SNIPPET_LENGTH)}…` : text;
+}
+
+/**
+ * SubmitReview — the review screen before final submit: answered counts,
+ * then every unanswered and every marked question with a link back to it.
+ * Shared by ExamSession and PWTestSession.
+ *
+ * Props:
+ *   open, onClose — onClose returns to the exam
+ *   onConfirm: () => void — final submit
+ *   submitting: submit in flight
+ *   questions, answers: the exam's questions and question id → selected answer
+ *   marked: question ids marked for review
+ *   timeLeft: remaining time, formatted
+ *   flagCount: proctoring flags raised so far
+ *   onJump: (index) => void — go to a question
+ *   canJump: (index) => boolean — false for questions that can't be reopened (closed sections)
+ *   children: extra notices above the actions
+ */
+export default function SubmitReview({
+    open, onClose, onConfirm, submitting = false, questions, answers, marked, timeLeft, flagCount,
+    onJump, canJump = () => true, children,
+}) {
+    const indexed = questions.map((q, i) => ({ q, i }));
+    const unanswered = indexed.filter(({ q }) => !isAnswered(answers[q.id]));
+    const markedRows = indexed.filter(({ q }) => marked.includes(q.id));
+    const answeredCount = questions.length - unanswered.length;
+
+    const rows = (items, icon) => (
+        <List dense disablePadding sx={{ mb: 2, maxHeight: 220, overflow: 'auto' }}>
+            {items.map(({ q, i }) => {
+                const reachable = canJump(i);
+                return (
+                    <ListItemButton key={q.id} disabled={!reachable} onClick={() => onJump(i)}
+                        sx={{ borderRadius: 1, gap: 1 }}>
+                        {reachable ? icon : <Lock fontSize="small" color="disabled" />}
+                        <ListItemText primary={`Q${i + 1}. ${snippet(q)}`}
+                            secondary={reachable ? null : 'Section closed'}
+                            primaryTypographyProps={{ variant: 'body2', noWrap: true }} />
+                    </ListItemButton>
+                );
+            })}
+        </List>
+    );
+
+    return (
+        <Dialog open={open} onClose={onClose} maxWidth="sm" fullWidth>
+            <DialogTitle>Review Before Submitting</DialogTitle>
+            <DialogContent dividers>
+                <Box sx={{ display: 'flex', gap: 1, flexWrap: 'wrap', mb: 2 }}>
+                    <Chip size="small" color="success" label={`Answered: ${answeredCount}/${questions.length}`} />
+                    <Chip size="small" variant="outlined" label={`Unanswered: ${unanswered.length}`} />
+                    <Chip size="small" color="warning" variant="outlined" label={`Marked: ${markedRows.length}`} />
+                    <Chip size="small" variant="outlined" label={`Time remaining: ${timeLeft}`} />
+                    <Chip size="small" variant="outlined" label={`Flags detected: ${flagCount}`} />
+                </Box>
+
+                {unanswered.length > 0 && (
+                    <>
+                        <Typography variant="subtitle2" gutterBottom>Unanswered ({unanswered.length})</Typography>
+                        {rows(unanswered, <RadioButtonUnchecked fontSize="small" color="action" />)}
+                    </>
+                )}
+                {markedRows.length > 0 && (
+                    <>
+                        <Typography variant="subtitle2" gutterBottom>Marked for review ({markedRows.length})</Typography>
+                        {rows(markedRows, <Bookmark fontSize="small" sx={{ color: '#FFB74D' }} />)}
+                    </>
+                )}
+
+                {unanswered.length > 0 ? (
+                    <Alert severity="warning">You have unanswered questions! Select one to go back to it.</Alert>
+                ) : markedRows.length > 0 ? (
+                    <Alert severity="info">Every question is answered. Check the ones you marked before submitting.</Alert>
+                ) : (
+                    <Alert severity="success">Every question is answered.</Alert>
+                )}
+                {children}
+            </DialogContent>
+            <DialogActions>
+                <Button onClick={onClose}>Continue Exam</Button>
+                <Button variant="contained" color="warning" onClick={onConfirm} disabled={submitting}>
+                    {submitting ? 'Submitting...' : 'Confirm Submit'}
+                </Button>
+            </DialogActions>
+        </Dialog>
+    );
+}
@@ -0,0 +1,46 @@
+import { useState } from 'react';
+import { Autocomplete, TextField, Chip } from '@mui/material';
+import { normalizeTags } from '../lib/questionTypes';
+
+/**
+ * TagInput — free-form question tags as chips. Enter or a comma adds the
+ * typed tag; by default tags are stored lower case.
+ *
+ * Props:
+ *   value: string[]
+ *   onChange: (tags) => void
+ *   suggestions: known tags offered while typing
+ *   normalize: list → stored list (default: lower case, no duplicates)
+ *   separator: character that finishes an entry like Enter does (null: Enter only)
+ *   label, sx: passed through
+ */
+export default function TagInput({
+    value, onChange, suggestions = [], normalize = normalizeTags, separator = ',', label = 'Tags', sx,
+}) {
+    const [input, setInput] = useState('');
+
+    const handleInputChange = (_, text) => {
+        if (separator && text.endsWith(separator)) {
+            onChange(normalize([...(value || []), text.slice(0, -1)]));
+            setInput('');
+        } else {
+            setInput(text);
+        }
+    };
+
+    return (
+        <Autocomplete
+            multiple freeSolo autoSelect size="small" sx={sx}
+            options={suggestions}
+            value={value || []}
+            inputValue={input}
+            onInputChange={handleInputChange}
+            onChange={(_, tags) => onChange(normalize(tags))}
+            renderValue={(tags, getItemProps) => tags.map((tag, index) => {
+                const { key, ...itemProps } = getItemProps({ index });
+                return <Chip key={key} size="small" label={tag} {...itemProps} />;
+            })}
+            renderInput={(params) => <TextField {...params} label={label} />}
+        />
+    );
+}
@@ -12,7 +12,7 @@ import { audioIntelligence } from '../../lib/audioIntelligence';
  * - Expandable debug breakdown (5 sub-scores + raw metrics)
  * - Risk level chip
  */
-export default function AudioIntelligence({ active, onFlag, stream: sharedStream, hidden = false }) {
+export default function AudioIntelligence({ active, onFlag, stream: sharedStream, hidden = false, config }) {
     const [status, setStatus] = useState('initializing'); // initializing | calibrating | active | error
     const [scoreData, setScoreData] = useState(null);
     const [showDebug, setShowDebug] = useState(false);
@@ -31,6 +31,11 @@ export default function AudioIntelligence({ active, onFlag, stream: sharedStream
         if (onFlag) onFlag(flag);
     }, [onFlag]);
 
+    // Per-test thresholds from the proctoring policy (module defaults when absent)
+    useEffect(() => {
+        audioIntelligence.configure(config);
+    }, [config]);
+
     useEffect(() => {
         if (!active) return;
 
@@ -72,8 +77,10 @@ export default function AudioIntelligence({ active, onFlag, stream: sharedStream
                     setStatus('error');
                     onFlag?.({
                         type: 'MIC_ERROR',
+                        module: 'audio',
                         message: 'Microphone access failed',
-                        severity: 'medium',
+                        score: 0.6,
+                        confidence: 1.0,
                     });
                 }
             }
@@ -7,19 +7,24 @@ import { useEffect, useRef, useCallback } from 'react';
  * 
  * Props:
  *   active: boolean — whether monitoring is active
- *   onFlag: ({ type, message, severity }) => void
+ *   onFlag: ({ type, module, message, score, confidence }) => void
+ *   config: { debounce_ms } — per-test policy (defaults to 5s)
+ *
+ * Events are deterministic, so every signal carries confidence 1.0 and a
+ * fixed risk score; the RiskEngine decides whether it becomes a flag.
  */
-export default function DeviceMonitor({ active, onFlag }) {
+export default function DeviceMonitor({ active, onFlag, config }) {
+    const debounceMs = config?.debounce_ms ?? 5000;
     const blurTimerRef = useRef(null);
     const lastFlagRef = useRef({}); // debounce per type
 
-    // --- Debounced flag emitter (max once per type per 5 seconds) ---
-    const emitFlag = useCallback((type, message, severity = 'high') => {
+    // --- Debounced flag emitter (max once per type per debounce window) ---
+    const emitFlag = useCallback((type, message, score = 0.9) => {
         const now = Date.now();
-        if (lastFlagRef.current[type] && now - lastFlagRef.current[type] < 5000) return;
+        if (lastFlagRef.current[type] && now - lastFlagRef.current[type] < debounceMs) return;
         lastFlagRef.current[type] = now;
-        onFlag?.({ type, message, severity, timestamp: new Date() });
-    }, [onFlag]);
+        onFlag?.({ type, message, score, confidence: 1.0, module: 'system', timestamp: new Date() });
+    }, [onFlag, debounceMs]);
 
     // ========================
     // 1. Window Focus / Blur
@@ -30,7 +35,7 @@ export default function DeviceMonitor({ active, onFlag }) {
         const handleBlur = () => {
             // Start a timer — only flag if blur persists > 1 second (avoid micro-blurs)
             blurTimerRef.current = setTimeout(() => {
-                emitFlag('WINDOW_BLUR', 'Application lost focus — student may have switched windows.', 'high');
+                emitFlag('WINDOW_BLUR', 'Application lost focus — student may have switched windows.', 0.9);
             }, 1000);
         };
 
@@ -58,7 +63,7 @@ export default function DeviceMonitor({ active, onFlag }) {
 
         const handleVisibility = () => {
             if (document.hidden) {
-                emitFlag('TAB_SWITCH', 'Student switched to another tab.', 'high');
+                emitFlag('TAB_SWITCH', 'Student switched to another tab.', 0.9);
             }
         };
 
@@ -82,37 +87,37 @@ export default function DeviceMonitor({ active, onFlag }) {
             // Block Ctrl+C, Ctrl+V, Ctrl+Shift+I, Ctrl+U
             if (e.ctrlKey && ['c', 'v', 'u'].includes(e.key.toLowerCase())) {
                 e.preventDefault();
-                emitFlag('BLOCKED_SHORTCUT', `Blocked shortcut: Ctrl+${e.key.toUpperCase()}`, 'medium');
+                emitFlag('BLOCKED_SHORTCUT', `Blocked shortcut: Ctrl+${e.key.toUpperCase()}`, 0.6);
                 return;
             }
             // Ctrl+Shift+I (DevTools)
             if (e.ctrlKey && e.shiftKey && e.key.toLowerCase() === 'i') {
                 e.preventDefault();
-                emitFlag('DEVTOOLS_ATTEMPT', 'Attempted to open Developer Tools (Ctrl+Shift+I).', 'high');
+                emitFlag('DEVTOOLS_ATTEMPT', 'Attempted to open Developer Tools (Ctrl+Shift+I).', 0.9);
                 return;
             }
             // Ctrl+Shift+J (Console)
             if (e.ctrlKey && e.shiftKey && e.key.toLowerCase() === 'j') {
                 e.preventDefault();
-                emitFlag('DEVTOOLS_ATTEMPT', 'Attempted to open Console (Ctrl+Shift+J).', 'high');
+                emitFlag('DEVTOOLS_ATTEMPT', 'Attempted to open Console (Ctrl+Shift+J).', 0.9);
                 return;
             }
             // Alt+Tab (can't fully prevent in browser, but can detect attempt)
             if (e.altKey && e.key === 'Tab') {
-                emitFlag('ALT_TAB', 'Alt+Tab detected — possible window switch.', 'high');
+                emitFlag('ALT_TAB', 'Alt+Tab detected — possible window switch.', 0.9);
                 return;
             }
             // Function keys
             if (blockedKeys.has(e.key)) {
                 e.preventDefault();
-                emitFlag('BLOCKED_KEY', `Blocked key: ${e.key}`, 'medium');
+                emitFlag('BLOCKED_KEY', `Blocked key: ${e.key}`, 0.6);
             }
         };
 
         // Block right-click context menu
         const handleContextMenu = (e) => {
             e.preventDefault();
-            emitFlag('RIGHT_CLICK', 'Right-click context menu blocked.', 'low');
+            emitFlag('RIGHT_CLICK', 'Right-click context menu blocked.', 0.3);
         };
 
         window.addEventListener('keydown', handleKeyDown, true);
@@ -136,10 +141,10 @@ export default function DeviceMonitor({ active, onFlag }) {
                 const hasMic = devices.some(d => d.kind === 'audioinput');
 
                 if (!hasCamera) {
-                    emitFlag('CAMERA_DISCONNECTED', 'Camera has been disconnected.', 'high');
+                    emitFlag('CAMERA_DISCONNECTED', 'Camera has been disconnected.', 0.9);
                 }
                 if (!hasMic) {
-                    emitFlag('MIC_DISCONNECTED', 'Microphone has been disconnected.', 'high');
+                    emitFlag('MIC_DISCONNECTED', 'Microphone has been disconnected.', 0.9);
                 }
             } catch (err) {
                 console.warn('Device enumeration error', err);
@@ -160,7 +165,7 @@ export default function DeviceMonitor({ active, onFlag }) {
             const widthThreshold = window.outerWidth - window.innerWidth > 160;
             const heightThreshold = window.outerHeight - window.innerHeight > 160;
             if (widthThreshold || heightThreshold) {
-                emitFlag('DEVTOOLS_OPEN', 'Developer Tools appear to be open.', 'high');
+                emitFlag('DEVTOOLS_OPEN', 'Developer Tools appear to be open.', 0.9);
             }
         };
 
@@ -9,14 +9,16 @@ import useAuthStore from '../../store/authStore';
  * 
  * Flow:
  * 1. Load user's centroid from DB
- * 2. Every 7 seconds:
+ * 2. Every verify interval (7s default, set by the test policy):
  *    a. Detect face (SCRFD)
  *    b. Check Liveness (MiniFASNetV2)
  *    c. Extract Embedding (ArcFace)
  *    d. Compare to Centroid
- * 3. Flag logic on mismatch or missing/spoof
+ * 3. Report risk signals on mismatch or missing/spoof — severity is decided
+ *    by the session's RiskEngine, not here
  */
 
+// Defaults — overridden per test by the proctoring policy (`config` prop)
 const VERIFY_INTERVAL = 7000;    // ms between checks
 const SIMILARITY_THRESHOLD = 0.60; // ArcFace cosine threshold (60% match)
 const SPOOF_THRESHOLD = 0.75;      // MiniFASNetV2 spoof probability
@@ -24,8 +26,12 @@ const MISMATCH_FOR_FLAG = 3;       // consecutive mismatches → ORANGE
 const MISSING_FOR_FLAG = 3;        // consecutive missing → flag
 const MULTIPLE_FOR_FLAG = 2;       // consecutive multiple faces → flag
 
-export default function IdentityMonitor({ active, onStatusChange, onLivenessUpdate, embeddingOverride, stream: sharedStream, hidden = false }) {
+export default function IdentityMonitor({ active, onStatusChange, onLivenessUpdate, embeddingOverride, stream: sharedStream, hidden = false, config }) {
     const { user } = useAuthStore();
+    const verifyInterval = config?.verify_interval_ms ?? VERIFY_INTERVAL;
+    const similarityThreshold = config?.similarity_threshold ?? SIMILARITY_THRESHOLD;
+    const spoofThreshold = config?.spoof_threshold ?? SPOOF_THRESHOLD;
+    const mismatchForFlag = config?.mismatch_cycles ?? MISMATCH_FOR_FLAG;
     const videoRef = useRef(null);
     const streamRef = useRef(null);
     const [stream, setStream] = useState(null);
@@ -121,7 +127,7 @@ export default function IdentityMonitor({ active, onStatusChange, onLivenessUpda
             setStream(ms);
         } catch {
             setStatus('error');
-            triggerFlag('DEVICE_ERROR', 'Camera access failed', 'high');
+            triggerFlag('DEVICE_ERROR', 'Camera access failed', 0.9, 1.0);
         }
     };
 
@@ -152,7 +158,7 @@ export default function IdentityMonitor({ active, onStatusChange, onLivenessUpda
                 missingCount.current++;
                 mismatchCount.current = 0;
                 if (missingCount.current >= MISSING_FOR_FLAG) {
-                    triggerFlag('MISSING', 'Student not detected in frame', 'medium');
+                    triggerFlag('MISSING', 'Student not detected in frame', 0.6, 0.8, { cycles: missingCount.current });
                 }
                 setStatus('warning');
                 checkingRef.current = false;
@@ -164,7 +170,7 @@ export default function IdentityMonitor({ active, onStatusChange, onLivenessUpda
             if (faces.length > 1) {
                 multipleCount.current++;
                 if (multipleCount.current >= MULTIPLE_FOR_FLAG) {
-                    triggerFlag('MULTIPLE_FACES', `${faces.length} faces detected — possible unauthorized person`, 'high');
+                    triggerFlag('MULTIPLE_FACES', `${faces.length} faces detected — possible unauthorized person`, 0.9, 0.9, { faceCount: faces.length, cycles: multipleCount.current });
                 }
                 setStatus('warning');
                 checkingRef.current = false;
@@ -186,8 +192,8 @@ export default function IdentityMonitor({ active, onStatusChange, onLivenessUpda
             setLastSpoof(spoofProb);
             onLivenessUpdate?.({ spoofProb, similarity: null });
 
-            if (spoofProb > SPOOF_THRESHOLD) {
-                triggerFlag('SPOOF_DETECTED', `Liveness check failed — possible photo/screen attack (${(spoofProb * 100).toFixed(0)}% spoof probability)`, 'high');
+            if (spoofProb > spoofThreshold) {
+                triggerFlag('SPOOF_DETECTED', `Liveness check failed — possible photo/screen attack (${(spoofProb * 100).toFixed(0)}% spoof probability)`, spoofProb, 0.8, { spoofProb });
                 setStatus('warning');
                 checkingRef.current = false;
                 return;
@@ -207,7 +213,7 @@ export default function IdentityMonitor({ active, onStatusChange, onLivenessUpda
             onLivenessUpdate?.({ spoofProb, similarity });
 
             // 5. Escalation logic
-            if (similarity < SIMILARITY_THRESHOLD) {
+            if (similarity < similarityThreshold) {
                 mismatchCount.current++;
 
                 // Immediate red flag if spoof + mismatch
@@ -215,13 +221,15 @@ export default function IdentityMonitor({ active, onStatusChange, onLivenessUpda
                     triggerFlag(
                         'IMPERSONATION',
                         `Identity mismatch with spoof indicators (match: ${(similarity * 100).toFixed(0)}%)`,
-                        'high'
+                        1.0, 0.9,
+                        { similarity, spoofProb, cycles: mismatchCount.current }
                     );
-                } else if (mismatchCount.current >= MISMATCH_FOR_FLAG) {
+                } else if (mismatchCount.current >= mismatchForFlag) {
                     triggerFlag(
                         'IDENTITY_MISMATCH',
                         `Unrecognized face detected (match: ${(similarity * 100).toFixed(0)}%)`,
-                        'high'
+                        1 - similarity, 0.9,
+                        { similarity, spoofProb, cycles: mismatchCount.current }
                     );
                 }
                 setStatus('warning');
@@ -239,28 +247,28 @@ export default function IdentityMonitor({ active, onStatusChange, onLivenessUpda
         }
 
         checkingRef.current = false;
-    }, [centroid, status]);
+    }, [centroid, status, similarityThreshold, spoofThreshold, mismatchForFlag]);
 
     useEffect(() => {
         if (!active || status === 'legacy') return;
 
-        intervalRef.current = setInterval(verify, VERIFY_INTERVAL);
+        intervalRef.current = setInterval(verify, verifyInterval);
         return () => clearInterval(intervalRef.current);
-    }, [active, verify, status]);
+    }, [active, verify, status, verifyInterval]);
 
     // ── Flag Reporting ───────────────────────────────────────────────────────
 
-    const triggerFlag = (type, message, severity) => {
+    const triggerFlag = (type, message, score, confidence, details = {}) => {
         if (currentFlagId) return; // Already flagged for this session roughly
 
         const localId = `ID_${Date.now()}`;
         setCurrentFlagId(localId);
-        onStatusChange?.({ type, message, severity, localId, module: 'IdentityMonitor' });
+        onStatusChange?.({ type, message, score, confidence, details, localId, module: 'identity' });
     };
 
     const clearFlag = () => {
         if (currentFlagId) {
-            onStatusChange?.({ type: 'RESOLVED', localId: currentFlagId });
+            onStatusChange?.({ type: 'RESOLVED', localId: currentFlagId, module: 'identity' });
             setCurrentFlagId(null);
         }
     };
@@ -338,7 +346,7 @@ export default function IdentityMonitor({ active, onStatusChange, onLivenessUpda
                                 <Box sx={{
                                     width: `${Math.max(0, lastSimilarity) * 100}%`,
                                     height: '100%',
-                                    bgcolor: lastSimilarity >= SIMILARITY_THRESHOLD ? '#52c41a' : '#ff4d4f',
+                                    bgcolor: lastSimilarity >= similarityThreshold ? '#52c41a' : '#ff4d4f',
                                     transition: 'all 0.3s ease'
                                 }} />
                             </Box>
@@ -357,7 +365,7 @@ export default function IdentityMonitor({ active, onStatusChange, onLivenessUpda
                                 <Box sx={{
                                     width: `${lastSpoof * 100}%`,
                                     height: '100%',
-                                    bgcolor: lastSpoof > SPOOF_THRESHOLD ? '#ff4d4f' : '#faad14',
+                                    bgcolor: lastSpoof > spoofThreshold ? '#ff4d4f' : '#faad14',
                                     transition: 'all 0.3s ease'
                                 }} />
                             </Box>
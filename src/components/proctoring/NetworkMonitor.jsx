@@ -15,14 +15,15 @@ import {
  * 2. Receives risk updates via IPC events
  * 3. Calculates the System Behavior Correlation score (keystroke ↔ network spike)
  * 4. Computes the final weighted risk score
- * 5. Triggers Orange/Red flags
+ * 5. Reports risk signals to the RiskEngine (which owns flag severity)
  *
  * SCORING (Renderer Fusion):
  *   final = (0.25 × process) + (0.25 × network) + (0.20 × vpn)
  *         + (0.15 × remote) + (0.15 × correlation)
  *
- *   > 0.70 → RED FLAG
- *   > 0.40 → ORANGE FLAG
+ *   > 0.40 → report two signals:
+ *            'system'  channel — max(process, remote)
+ *            'network' channel — max(network, vpn, correlation)
  *
  * IMPROVEMENTS OVER v1.0:
  *   - Expandable debug breakdown with all sub-scores
@@ -45,13 +46,17 @@ const WEIGHTS = {
     CORRELATION: 0.15,
 };
 
+const REPORT_THRESHOLD = 0.40;      // Final score above this → report to RiskEngine
+const SIGNAL_CONFIDENCE = 0.85;     // OS-level process/interface data is reliable
 const FLAG_DEBOUNCE_MS = 10000;     // 10s between flags
 const CORRELATION_WINDOW_MS = 5 * 60 * 1000;  // 5-minute rolling window
 const CORRELATION_DEBOUNCE_MS = 2000;
 const CORRELATION_KEYSTROKE_RANGE_MS = 1000; // Network spike within 1s of keystroke = suspicious
 const CORRELATION_MAX_EVENTS = 5;
 
-export default function NetworkMonitor({ active, onFlag, hidden = false }) {
+export default function NetworkMonitor({ active, onFlag, hidden = false, config }) {
+    const reportThreshold = config?.flag_threshold ?? REPORT_THRESHOLD;
+    const debounceMs = config?.debounce_ms ?? FLAG_DEBOUNCE_MS;
     const [riskData, setRiskData] = useState(null);
     const [finalScore, setFinalScore] = useState(0);
     const [correlationScore, setCorrelationScore] = useState(0);
@@ -78,9 +83,9 @@ export default function NetworkMonitor({ active, onFlag, hidden = false }) {
     }, []);
 
     // ─ Flag Trigger ─
-    const triggerFlag = useCallback((data, severity) => {
+    const triggerFlag = useCallback((data) => {
         const now = Date.now();
-        if (now - lastFlagTimeRef.current < FLAG_DEBOUNCE_MS) return;
+        if (now - lastFlagTimeRef.current < debounceMs) return;
         lastFlagTimeRef.current = now;
 
         const violations = [];
@@ -104,21 +109,37 @@ export default function NetworkMonitor({ active, onFlag, hidden = false }) {
         }
 
         if (onFlag) {
-            onFlag({
-                type: 'NETWORK_INTEGRITY',
-                message: `System Integrity: ${violations.join(', ') || 'Anomaly Detected'}`,
-                severity,
-                score: data._finalScore,
-                details: {
-                    processMatches: data.processRisk?.matches,
-                    categories: data.processRisk?.categories,
-                    vpnInterface: data.vpnRisk?.interface,
-                    remoteDetected: data.remoteAccess?.detected,
-                    suspiciousPorts: data.networkAnomaly?.portDetails,
-                },
-            });
+            const message = `System Integrity: ${violations.join(', ') || 'Anomaly Detected'}`;
+            const details = {
+                finalScore: data._finalScore,
+                processMatches: data.processRisk?.matches,
+                categories: data.processRisk?.categories,
+                vpnInterface: data.vpnRisk?.interface,
+                remoteDetected: data.remoteAccess?.detected,
+                suspiciousPorts: data.networkAnomaly?.portDetails,
+            };
+
+            const systemScore = Math.max(data.processRisk?.score || 0, data.remoteAccess?.score || 0);
+            const networkScore = Math.max(
+                data.networkAnomaly?.score || 0,
+                data.vpnRisk?.score || 0,
+                data._correlation || 0,
+            );
+
+            if (systemScore > 0) {
+                onFlag({
+                    type: 'SYSTEM_INTEGRITY', module: 'system', message,
+                    score: systemScore, confidence: SIGNAL_CONFIDENCE, details,
+                });
+            }
+            if (networkScore > 0) {
+                onFlag({
+                    type: 'NETWORK_INTEGRITY', module: 'network', message,
+                    score: networkScore, confidence: SIGNAL_CONFIDENCE, details,
+                });
+            }
         }
-    }, [onFlag]);
+    }, [onFlag, debounceMs]);
 
     // ─ Main Effect ─
     useEffect(() => {
@@ -169,10 +190,8 @@ export default function NetworkMonitor({ active, onFlag, hidden = false }) {
             setFinalScore(computed);
 
             // ── Flag Check ──
-            if (computed > 0.70) {
-                triggerFlag(enriched, 'high');
-            } else if (computed > 0.40) {
-                triggerFlag(enriched, 'medium');
+            if (computed > reportThreshold) {
+                triggerFlag(enriched);
             }
         };
 
@@ -188,7 +207,7 @@ export default function NetworkMonitor({ active, onFlag, hidden = false }) {
             removeListener?.();
             window.removeEventListener('keydown', handleKeyDown);
         };
-    }, [active, recordCorrelationEvent, pruneCorrelationEvents, triggerFlag]);
+    }, [active, recordCorrelationEvent, pruneCorrelationEvents, triggerFlag, reportThreshold]);
 
     if (!active) return null;
 
@@ -7,8 +7,11 @@ import '@tensorflow/tfjs';
  * ObjectDetection Component
  * Uses COCO-SSD to detect cell phones in the webcam frame.
  * Person / multi-face detection is handled by IdentityMonitor.
+ * Detections are reported as risk signals; the RiskEngine picks the severity.
  */
-export default function ObjectDetection({ active, stream, onFlag }) {
+export default function ObjectDetection({ active, stream, onFlag, config }) {
+    const phoneThreshold = config?.phone_threshold ?? 0.30;
+    const debounceMs = config?.debounce_ms ?? 10000;
     const videoRef = useRef(null);
     const [model, setModel] = useState(null);
     const lastFlagRef = useRef({});
@@ -53,9 +56,6 @@ export default function ObjectDetection({ active, stream, onFlag }) {
         isRunning.current = true;
         let animationId;
 
-        // Phone detection threshold — ORANGE flag (warning only)
-        const PHONE_THRESHOLD = 0.30;
-
         const detectFrame = async () => {
             if (!isRunning.current || !videoRef.current || videoRef.current.readyState !== 4) {
                 animationId = requestAnimationFrame(detectFrame);
@@ -65,12 +65,12 @@ export default function ObjectDetection({ active, stream, onFlag }) {
             try {
                 const predictions = await model.detect(videoRef.current);
 
-                const cellPhoneDetected = predictions.some(
-                    pred => pred.class === 'cell phone' && pred.score > PHONE_THRESHOLD
+                const phone = predictions.find(
+                    pred => pred.class === 'cell phone' && pred.score > phoneThreshold
                 );
 
-                if (cellPhoneDetected) {
-                    emitFlag('PHONE_DETECTED', 'Cell phone detected in frame.', 'medium');
+                if (phone) {
+                    emitFlag('PHONE_DETECTED', 'Cell phone detected in frame.', 0.8, phone.score);
                 }
 
             } catch (err) {
@@ -83,12 +83,17 @@ export default function ObjectDetection({ active, stream, onFlag }) {
             }, 500);
         };
 
-        const emitFlag = (type, message, severity) => {
+        const emitFlag = (type, message, score, confidence) => {
             const now = Date.now();
-            // Debounce: Don't flag same thing within 10 seconds
-            if (lastFlagRef.current[type] && now - lastFlagRef.current[type] < 10000) return;
+            // Debounce: Don't flag same thing within the policy window (10s default)
+            if (lastFlagRef.current[type] && now - lastFlagRef.current[type] < debounceMs) return;
             lastFlagRef.current[type] = now;
-            onFlag?.({ type, message, severity, timestamp: new Date() });
+            onFlag?.({
+                type, message, score, confidence,
+                module: 'vision',
+                details: { model: 'coco-ssd' },
+                timestamp: new Date(),
+            });
         };
 
         detectFrame();
@@ -97,7 +102,7 @@ export default function ObjectDetection({ active, stream, onFlag }) {
             isRunning.current = false;
             cancelAnimationFrame(animationId);
         };
-    }, [active, model, stream, onFlag]);
+    }, [active, model, stream, onFlag, phoneThreshold, debounceMs]);
 
     return (
         <video
@@ -17,7 +17,7 @@ import { visionIntelligence } from '../../lib/visionIntelligence';
  * - Expandable debug breakdown (5 sub-scores + raw metrics)
  * - Mini camera preview (mirrored)
  */
-export default function VisionBehaviorMonitor({ active, onFlag, stream: sharedStream, hidden = false }) {
+export default function VisionBehaviorMonitor({ active, onFlag, stream: sharedStream, hidden = false, config }) {
     const [status, setStatus] = useState('initializing'); // initializing | active | error
     const [data, setData] = useState(null);
     const [showDebug, setShowDebug] = useState(false);
@@ -32,6 +32,11 @@ export default function VisionBehaviorMonitor({ active, onFlag, stream: sharedSt
         if (onFlag) onFlag(flag);
     }, [onFlag]);
 
+    // Per-test thresholds from the proctoring policy (module defaults when absent)
+    useEffect(() => {
+        visionIntelligence.configure(config);
+    }, [config]);
+
     useEffect(() => {
         if (!active) return;
 
@@ -79,8 +84,10 @@ export default function VisionBehaviorMonitor({ active, onFlag, stream: sharedSt
                     setStatus('error');
                     onFlag?.({
                         type: 'CAMERA_ERROR',
+                        module: 'vision',
                         message: 'Camera access failed',
-                        severity: 'medium',
+                        score: 0.6,
+                        confidence: 1.0,
                     });
                 }
             }
@@ -21,7 +21,7 @@ import { MicVAD } from "@ricky0123/vad-web";
  *   - Proper resource cleanup and error handling
  *   - Configurable thresholds
  * 
- * TRIGGER: final_confidence > 0.65 → ORANGE FLAG
+ * TRIGGER: final_confidence > 0.65 → risk signal (severity decided by RiskEngine)
  */
 
 // ─────────────────────────────────────────────
@@ -51,9 +51,13 @@ const CONFIG = {
     WEIGHT_LIP_SYNC: 0.10,
 
     // Thresholds
-    FLAG_THRESHOLD: 0.65,              // Score above this → ORANGE FLAG
+    FLAG_THRESHOLD: 0.65,              // Score above this → report to RiskEngine
     FLAG_DEBOUNCE_MS: 5000,            // Min time between flags
 
+    // Confidence attached to reported signals
+    CONFIDENCE_CALIBRATED: 0.80,       // After ambient baseline is captured
+    CONFIDENCE_UNCALIBRATED: 0.50,     // Fixed threshold, noisy rooms may trigger
+
     // Duration scoring
     DURATION_MIN_MS: 500,              // Below this → 0 score
     DURATION_MAX_MS: 4000,             // Above this → 1.0 score
@@ -163,6 +167,9 @@ class AmbientCalibrator {
 // ─────────────────────────────────────────────
 class AudioIntelligenceService {
     constructor() {
+        // Per-test tunables (flag threshold / debounce) — see configure()
+        this.config = { ...CONFIG };
+
         // Core instances
         this.vad = null;
         this.audioCtx = null;
@@ -218,6 +225,21 @@ class AudioIntelligenceService {
     // LIFECYCLE
     // ─────────────────────────────────────────
 
+    /**
+     * Apply the test's audio policy (proctoringPolicy.js `audio`).
+     * flag_threshold is the fused speech score that raises an orange flag;
+     * debounce_ms is the quiet time between flags. VAD, calibration and
+     * frequency-band settings keep the CONFIG defaults.
+     * @param {{ flag_threshold?: number, debounce_ms?: number }} policy
+     */
+    configure(policy = {}) {
+        this.config = {
+            ...CONFIG,
+            FLAG_THRESHOLD: policy.flag_threshold ?? CONFIG.FLAG_THRESHOLD,
+            FLAG_DEBOUNCE_MS: policy.debounce_ms ?? CONFIG.FLAG_DEBOUNCE_MS,
+        };
+    }
+
     /**
      * Start the audio intelligence service.
      * @param {MediaStream} stream — Audio stream (getUserMedia)
@@ -535,7 +557,7 @@ class AudioIntelligenceService {
         }
 
         // ── Check Flag Threshold ──
-        if (this.currentScore > CONFIG.FLAG_THRESHOLD) {
+        if (this.currentScore > this.config.FLAG_THRESHOLD) {
             this._triggerOrangeFlag();
         }
     }
@@ -580,16 +602,19 @@ class AudioIntelligenceService {
 
     _triggerOrangeFlag() {
         const now = Date.now();
-        if (now - this._lastFlagTime < CONFIG.FLAG_DEBOUNCE_MS) return;
+        if (now - this._lastFlagTime < this.config.FLAG_DEBOUNCE_MS) return;
 
         this._lastFlagTime = now;
 
         if (this.onOrangeFlag) {
             this.onOrangeFlag({
                 type: 'AUDIO_INTELLIGENCE',
+                module: 'audio',
                 message: `Speech detected (Confidence: ${(this.currentScore * 100).toFixed(0)}%)`,
-                severity: 'medium', // Orange
                 score: this.currentScore,
+                confidence: this.calibrator.isComplete
+                    ? CONFIG.CONFIDENCE_CALIBRATED
+                    : CONFIG.CONFIDENCE_UNCALIBRATED,
                 details: {
                     speechEvents: this.speechEvents.length,
                     durationMs: this.speechDurationMs,
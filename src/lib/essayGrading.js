@@ -0,0 +1,128 @@
+/**
+ * Essay Grading — data access for the manual grading workspace.
+ *
+ * grade-exam leaves every answered ESSAY as answers.grading_status =
+ * 'pending' (0 marks) and the session as grading_status = 'pending'. A teacher
+ * marks each answer here — per rubric criterion when the question has a
+ * rubric — and the session is re-graded through grade-exam, which keeps the
+ * teacher's marks, recomputes the score and flips the session to 'complete'
+ * once no essay is left pending.
+ */
+
+import { fetchTestPapers } from './questionPaper';
+
+// ─────────────────────────────────────────────
+// CONFIGURATION
+// ─────────────────────────────────────────────
+
+// Sessions whose answers are final and can be marked. Terminated sessions
+// are left out: marking re-grades the session, which would replace its 0
+export const GRADABLE_STATUSES = ['completed', 'submitted'];
+
+const round2 = (n) => Math.round(n * 100) / 100;
+
+// ─────────────────────────────────────────────
+// API
+// ─────────────────────────────────────────────
+
+/**
+ * Everything the grading workspace needs for one test.
+ * @param {object} supabase — client
+ * @param {string} testId
+ * @returns {Promise<{ test: object, questions: object[], sessions: object[], answers: object[] }>}
+ *   questions are the essays on any candidate's paper, with the paper's marks;
+ *   answers are essay answers only
+ */
+export async function loadGradingQueue(supabase, testId) {
+    const { data: test, error: testErr } = await supabase.from('tests').select('*').eq('id', testId).single();
+    if (testErr) throw testErr;
+
+    const { data: sessions, error: sErr } = await supabase
+        .from('exam_sessions')
+        .select('id, student_id, status, score, grading_status, ended_at, users:student_id(username, full_name)')
+        .eq('test_id', testId)
+        .in('status', GRADABLE_STATUSES)
+        .order('id');
+    if (sErr) throw sErr;
+
+    const papers = await fetchTestPapers(supabase, testId, (sessions || []).map(s => s.id));
+    const questions = papers.questions.filter(q => q.question_type === 'ESSAY');
+
+    let answers = [];
+    if (questions.length > 0 && sessions?.length > 0) {
+        const { data, error } = await supabase
+            .from('answers')
+            .select('*')
+            .in('question_id', questions.map(q => q.id))
+            .in('session_id', sessions.map(s => s.id))
+            .not('grading_status', 'is', null);
+        if (error) throw error;
+        answers = data || [];
+    }
+
+    return { test, questions, sessions: sessions || [], answers };
+}
+
+/**
+ * Re-grade one session through grade-exam so its score and grading_status
+ * follow the teacher's marks.
+ * @param {object} supabase — client
+ * @param {string} sessionId
+ * @returns {Promise<{ score: number, gradingPending: boolean }>}
+ */
+export async function regradeSession(supabase, sessionId) {
+    const { data: result, error } = await supabase.functions.invoke('grade-exam', { body: { sessionId } });
+    if (error || result?.error) throw new Error(result?.error || error.message);
+    return { score: result.score, gradingPending: !!result.gradingPending };
+}
+
+/**
+ * Save a teacher's mark for one essay answer through grade-essay (the
+ * database takes marks from the edge functions only), audit it, and re-grade
+ * the session so its score and grading_status follow.
+ * @param {object} supabase — client
+ * @param {{ answer: object, question: object, rubricScores: number[] | null, marks: number, comment: string, graderId: string }} grade
+ * @returns {Promise<{ answer: object, session: object | null, regradeError: string | null }>} updated
+ *   answer row and the re-graded { score, gradingPending }; when the re-grade fails the
+ *   mark is still saved, session is null and regradeError says why
+ */
+export async function saveEssayGrade(supabase, { answer, question, rubricScores, marks, comment, graderId }) {
+    const awarded = round2(Math.min(question.marks, Math.max(0, Number(marks) || 0)));
+    const { data: saved, error } = await supabase.functions.invoke('grade-essay', {
+        body: { answerId: answer.id, marks: awarded, rubricScores, comment },
+    });
+    if (error || saved?.error) throw new Error(saved?.error || error.message);
+    const updated = saved.answer;
+
+    await supabase.from('audit_logs').insert({
+        action: 'ESSAY_GRADED',
+        user_id: graderId,
+        target_type: 'exam_session',
+        target_id: answer.session_id,
+        details: {
+            answer_id: answer.id,
+            question_id: question.id,
+            marks: awarded,
+            previous_marks: answer.grading_status === 'graded' ? Number(answer.marks_awarded) : null,
+        },
+    });
+
+    try {
+        return { answer: updated, session: await regradeSession(supabase, answer.session_id), regradeError: null };
+    } catch (err) {
+        console.error('[EssayGrading] Re-grade failed:', err);
+        return { answer: updated, session: null, regradeError: err.message };
+    }
+}
+
+/**
+ * Name shown for a session's student — an anonymous, stable label when the
+ * test uses blind grading.
+ * @param {object} session — with users join
+ * @param {number} index — position in the id-ordered session list
+ * @param {boolean} blind
+ */
+export function candidateLabel(session, index, blind) {
+    if (blind) return `Candidate ${index + 1}`;
+    return session.users?.full_name || session.users?.username || 'Unknown student';
+}
@@ -0,0 +1,236 @@
+/**
+ * Exam Attempts — retakes of one test.
+ *
+ * A test's attempt policy lives in tests.settings.attempts: how many attempts
+ * a student gets (0 is unlimited), the cooling-off period after an attempt
+ * and which score is reported when there are several (highest, latest or the
+ * average), and until when retakes may be started — the test's own window
+ * (end_time) only covers the first sitting. The start_exam_attempt() trigger
+ * (supabase/attempts_migration.sql) numbers each new session and refuses one
+ * past the limit — plus any extra attempts a teacher granted in
+ * attempt_grants — inside the cooling-off period or after retakes close.
+ * This module mirrors those rules for the exam screens and works out the
+ * reported score.
+ */
+
+import { GRADABLE_STATUSES } from './essayGrading';
+
+// ─────────────────────────────────────────────
+// CONFIGURATION
+// ─────────────────────────────────────────────
+
+export const SCORING_POLICIES = [
+    { value: 'highest', label: 'Highest score' },
+    { value: 'latest', label: 'Latest attempt' },
+    { value: 'average', label: 'Average of all attempts' },
+];
+
+// Tests saved before attempt policies get a single attempt
+export const DEFAULT_ATTEMPT_POLICY = { max_attempts: 1, cooldown_minutes: 0, scoring: 'highest', retakes_close_at: null };
+
+// Sessions still being sat — resumed, never started again
+export const OPEN_STATUSES = ['in_progress', 'paused'];
+
+// Attempts the reported score is chosen from — a terminated attempt counts at its 0
+const SCORED_STATUSES = [...GRADABLE_STATUSES, 'terminated'];
+
+// Errors raised by start_exam_attempt(), as shown to the candidate
+const ATTEMPT_ERRORS = {
+    ATTEMPTS_EXHAUSTED: 'You have used all your attempts at this exam.',
+    ATTEMPT_COOLDOWN: 'Your next attempt is not open yet — the cooling-off period has not ended.',
+    ATTEMPTS_CLOSED: 'Retakes of this exam have closed.',
+};
+
+const round2 = (n) => Math.round(n * 100) / 100;
+
+// ─────────────────────────────────────────────
+// HELPERS
+// ─────────────────────────────────────────────
+
+/** The attempt policy of a test, with defaults filled in. */
+export function attemptPolicy(test) {
+    const policy = { ...DEFAULT_ATTEMPT_POLICY, ...(test?.settings?.attempts || {}) };
+    return {
+        max_attempts: Math.max(0, parseInt(policy.max_attempts) || 0),
+        cooldown_minutes: Math.max(0, parseInt(policy.cooldown_minutes) || 0),
+        scoring: SCORING_POLICIES.some(p => p.value === policy.scoring) ? policy.scoring : DEFAULT_ATTEMPT_POLICY.scoring,
+        retakes_close_at: policy.retakes_close_at && !isNaN(Date.parse(policy.retakes_close_at))
+            ? new Date(policy.retakes_close_at).toISOString() : null,
+    };
+}
+
+/**
+ * When a student may last start an attempt at a test: the first one within
+ * the test's window, later ones until retakes close (the end of the window
+ * when the policy sets no close date).
+ * @param {object} test — tests row (end_time, settings)
+ * @param {boolean} retake — the student has attempted the test already
+ * @returns {Date}
+ */
+export function attemptsOpenUntil(test, retake) {
+    const closeAt = retake ? attemptPolicy(test).retakes_close_at : null;
+    return new Date(closeAt || test.end_time);
+}
+
+/** Map key for one student's attempts at one test. */
+export const attemptKey = (testId, studentId) => `${testId}:${studentId}`;
+
+/**
+ * Sessions grouped per student and test, each group in attempt order.
+ * @param {object[]} sessions — exam_sessions rows
+ * @returns {Map<string, object[]>} attemptKey() → sessions
+ */
+export function groupAttempts(sessions) {
+    const groups = new Map();
+    sessions.forEach(s => {
+        const key = attemptKey(s.test_id, s.student_id);
+        if (!groups.has(key)) groups.set(key, []);
+        groups.get(key).push(s);
+    });
+    groups.forEach(list => list.sort((a, b) => (a.attempt_number ?? 1) - (b.attempt_number ?? 1)));
+    return groups;
+}
+
+/**
+ * The score a scoring policy reports for one student's attempts. Only
+ * finished, valid attempts count; while any of them still has essays to
+ * mark the score is held back.
+ * @param {object[]} attempts — one student's sessions for one test, in attempt order
+ * @param {string} scoring — 'highest' | 'latest' | 'average'
+ * @returns {{ counted: object | null, score: number | null, pending: boolean }}
+ *   counted: the attempt the score comes from (the latest one for an average)
+ */
+export function policyResult(attempts, scoring) {
+    const scored = attempts.filter(s => SCORED_STATUSES.includes(s.status));
+    if (scored.length === 0) return { counted: null, score: null, pending: false };
+
+    const latest = scored[scored.length - 1];
+    const pending = scoring === 'latest'
+        ? latest.grading_status === 'pending'
+        : scored.some(s => s.grading_status === 'pending');
+    const scoreOf = (s) => Number(s.score) || 0;
+
+    if (scoring === 'highest') {
+        const best = scored.reduce((a, b) => (scoreOf(b) > scoreOf(a) ? b : a));
+        return { counted: best, score: pending ? null : scoreOf(best), pending };
+    }
+    if (scoring === 'average') {
+        const mean = round2(scored.reduce((sum, s) => sum + scoreOf(s), 0) / scored.length);
+        return { counted: latest, score: pending ? null : mean, pending };
+    }
+    return { counted: latest, score: pending ? null : scoreOf(latest), pending };
+}
+
+/**
+ * Where one student stands on one test: attempts used and left, the open
+ * attempt, the cooling-off period and the reported score. The test's window
+ * and retakes closing are not considered (see attemptsOpenUntil).
+ * @param {object} test — tests row (settings)
+ * @param {object[]} sessions — the student's sessions for the test
+ * @param {number} extraAttempts — granted by a teacher
+ * @param {number} now — epoch ms
+ * @returns {{ policy: object, attempts: object[], open: object | null, latest: object | null,
+ *   used: number, allowed: number | null, remaining: number | null, nextAttemptAt: Date | null,
+ *   canStart: boolean, counted: object | null, score: number | null, pending: boolean }}
+ *   allowed / remaining are null when attempts are unlimited
+ */
+export function summarizeAttempts(test, sessions, extraAttempts = 0, now = Date.now()) {
+    const policy = attemptPolicy(test);
+    const attempts = [...sessions].sort((a, b) => (a.attempt_number ?? 1) - (b.attempt_number ?? 1));
+    const open = attempts.find(s => OPEN_STATUSES.includes(s.status)) || null;
+    const latest = attempts[attempts.length - 1] || null;
+    const used = attempts.length;
+    const allowed = policy.max_attempts > 0 ? policy.max_attempts + extraAttempts : null;
+    const remaining = allowed === null ? null : Math.max(0, allowed - used);
+
+    let nextAttemptAt = null;
+    if (latest && !open && policy.cooldown_minutes > 0) {
+        const ends = new Date(latest.ended_at || latest.started_at).getTime() + policy.cooldown_minutes * 60000;
+        if (ends > now) nextAttemptAt = new Date(ends);
+    }
+
+    return {
+        policy, attempts, open, latest, used, allowed, remaining, nextAttemptAt,
+        canStart: !open && remaining !== 0 && !nextAttemptAt,
+        ...policyResult(attempts, policy.scoring),
+    };
+}
+
+/** One line on the attempts a student has left, for exam lists. */
+export function attemptStatusText(summary) {
+    if (summary.remaining === 0) return 'No attempts left';
+    if (summary.nextAttemptAt) return `Next attempt from ${summary.nextAttemptAt.toLocaleString()}`;
+    if (summary.remaining === null) return 'Unlimited attempts';
+    return `${summary.remaining} attempt${summary.remaining === 1 ? '' : 's'} left`;
+}
+
+/** Candidate-facing message for an error from start_exam_attempt(), or null for other errors. */
+export function attemptErrorMessage(error) {
+    const code = Object.keys(ATTEMPT_ERRORS).find(c => error?.message?.includes(c));
+    return code ? ATTEMPT_ERRORS[code] : null;
+}
+
+// ─────────────────────────────────────────────
+// API
+// ─────────────────────────────────────────────
+
+/**
+ * Extra attempts granted on the given tests (null for every test),
+ * optionally for one student.
+ * @param {object} supabase — client
+ * @param {string[]|null} testIds
+ * @param {string|null} studentId
+ * @returns {Promise<Map<string, number>>} attemptKey() → extra attempts
+ */
+export async function fetchAttemptGrants(supabase, testIds, studentId = null) {
+    if (testIds?.length === 0) return new Map();
+    let query = supabase.from('attempt_grants').select('test_id, student_id, extra_attempts');
+    if (testIds) query = query.in('test_id', testIds);
+    if (studentId) query = query.eq('student_id', studentId);
+    const { data, error } = await query;
+    if (error) throw error;
+
+    const grants = new Map();
+    (data || []).forEach(g => {
+        const key = attemptKey(g.test_id, g.student_id);
+        grants.set(key, (grants.get(key) || 0) + g.extra_attempts);
+    });
+    return grants;
+}
+
+/**
+ * Give one student extra attempts at a test, audit it and let the student know.
+ * @param {object} supabase — client
+ * @param {{ test: object, studentId: string, extraAttempts: number, reason: string, userId: string }} grant
+ * @returns {Promise<object>} the attempt_grants row
+ */
+export async function grantExtraAttempts(supabase, { test, studentId, extraAttempts, reason, userId }) {
+    const { data, error } = await supabase.from('attempt_grants').insert({
+        test_id: test.id,
+        student_id: studentId,
+        extra_attempts: extraAttempts,
+        reason: reason?.trim() || null,
+        granted_by: userId,
+    }).select().single();
+    if (error) throw error;
+
+    await supabase.from('audit_logs').insert({
+        action: 'ATTEMPTS_GRANTED',
+        user_id: userId,
+        target_type: 'test',
+        target_id: test.id,
+        details: { student_id: studentId, extra_attempts: extraAttempts, reason: data.reason },
+    });
+
+    const { error: notifyErr } = await supabase.functions.invoke('send-notification', {
+        body: {
+            userId: studentId,
+            type: 'ATTEMPTS_GRANTED',
+            message: `You have been given ${extraAttempts} extra attempt${extraAttempts === 1 ? '' : 's'} at "${test.title}".`,
+            metadata: { test_id: test.id, extra_attempts: extraAttempts },
+        },
+    });
+    if (notifyErr) console.warn('[Attempts] Notification failed:', notifyErr);
+
+    return data;
+}
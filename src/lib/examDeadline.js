@@ -0,0 +1,75 @@
+/**
+ * Exam Deadline — server-authoritative end time of an exam session.
+ *
+ * exam_sessions.deadline_at is maintained by the set_session_deadline trigger
+ * (supabase/deadline_migration.sql):
+ *
+ *   deadline_at = started_at                    (server NOW() on insert)
+ *               + tests.duration_minutes
+ *               + tests.settings.extra_time_students[<student email>]
+ *               + exam_sessions.extra_time_minutes   (proctor grants)
+ *               + exam_sessions.paused_seconds       (time spent suspended, or terminated
+ *                                                     before a reinstatement)
+ *
+ * Answer writes after deadline_at + GRACE_SECONDS are rejected by the
+ * database, and ended_at is clamped to the deadline on submit. The client only
+ * uses the deadline for display, measured against the server clock, so
+ * changing the local clock or reloading cannot stretch the exam.
+ *
+ * Sectioned tests add a per-section deadline on top — see examSections.js.
+ */
+
+// ─────────────────────────────────────────────
+// CONFIGURATION
+// ─────────────────────────────────────────────
+export const DEADLINE_CONFIG = {
+    GRACE_SECONDS: 30,          // mirrors enforce_answer_deadline() — covers auto-submit latency
+};
+
+// Error text raised by the database triggers
+const CLOSED_ERROR = 'EXAM_CLOSED';
+
+// ─────────────────────────────────────────────
+// HELPERS
+// ─────────────────────────────────────────────
+
+/**
+ * Server clock minus local clock, in ms (0 if the server can't be reached).
+ * @param {object} supabase — client
+ */
+export async function fetchClockOffset(supabase) {
+    const sentAt = Date.now();
+    const { data, error } = await supabase.rpc('server_time');
+    if (error || !data) return 0;
+    const receivedAt = Date.now();
+    return new Date(data).getTime() - (sentAt + receivedAt) / 2;
+}
+
+/**
+ * Deadline in epoch ms for a session row.
+ * Rows written before the deadline migration fall back to the old formula.
+ * @param {object} session — exam_sessions row
+ * @param {object} test — tests row
+ */
+export function sessionDeadline(session, test) {
+    if (session?.deadline_at) return new Date(session.deadline_at).getTime();
+    const minutes = (test?.duration_minutes || 0) + (session?.extra_time_minutes || 0);
+    return new Date(session.started_at).getTime() + minutes * 60000;
+}
+
+/**
+ * Whole seconds left until `deadline`, on the server clock.
+ * @param {number} deadline — epoch ms
+ * @param {number} offsetMs — from fetchClockOffset()
+ */
+export function secondsUntil(deadline, offsetMs = 0) {
+    return Math.max(0, Math.floor((deadline - (Date.now() + offsetMs)) / 1000));
+}
+
+/**
+ * True when the database rejected a write because the exam is over.
+ * @param {object} error — Supabase error
+ */
+export function isClosedError(error) {
+    return !!error?.message?.includes(CLOSED_ERROR);
+}
@@ -0,0 +1,138 @@
+/**
+ * Exam Sections — tests split into parts with their own timer and
+ * navigation lock.
+ *
+ * test_sections rows (supabase/sections_migration.sql) are taken one at a
+ * time. The server owns the section state: exam_sessions.current_section_id
+ * only changes through enter_exam_section(), section_deadline_at is kept by
+ * the deadline trigger (stretched by the candidate's extra time, frozen while
+ * paused), and answer writes outside the open section are rejected. This
+ * module arranges the questions and mirrors those rules for the exam UI.
+ */
+
+// ─────────────────────────────────────────────
+// CONFIGURATION
+// ─────────────────────────────────────────────
+
+// Errors raised by enter_exam_section(), as shown to the candidate
+const SECTION_ERRORS = {
+    SECTION_LOCKED: 'That section is locked — it cannot be reopened once left.',
+    SECTION_TIME_UP: 'There is no time left in that section.',
+    SECTION_INVALID: 'That section is not part of this exam.',
+    EXAM_CLOSED: 'The exam is no longer running.',
+};
+
+// ─────────────────────────────────────────────
+// HELPERS
+// ─────────────────────────────────────────────
+
+/** Small deterministic PRNG (mulberry32) seeded from a string. */
+function seededRandom(seed) {
+    let h = 1779033703;
+    for (let i = 0; i < seed.length; i++) h = Math.imul(h ^ seed.charCodeAt(i), 3432918353);
+    return () => {
+        h = (h + 0x6D2B79F5) | 0;
+        let t = Math.imul(h ^ (h >>> 15), 1 | h);
+        t = (t + Math.imul(t ^ (t >>> 7), 61 | t)) ^ t;
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+}
+
+/**
+ * Shuffled copy that is the same every time for the same seed — a candidate
+ * sees one order across reloads and devices.
+ * @param {Array} items
+ * @param {string} seed — e.g. session id + section id
+ */
+export function seededShuffle(items, seed) {
+    const random = seededRandom(seed);
+    const out = [...items];
+    for (let i = out.length - 1; i > 0; i--) {
+        const j = Math.floor(random() * (i + 1));
+        [out[i], out[j]] = [out[j], out[i]];
+    }
+    return out;
+}
+
+// ─────────────────────────────────────────────
+// API
+// ─────────────────────────────────────────────
+
+/**
+ * Sections of a test in order (empty for tests without sections).
+ * @param {object} supabase — client
+ * @param {string} testId
+ */
+export async function fetchSections(supabase, testId) {
+    const { data, error } = await supabase
+        .from('test_sections').select('*').eq('test_id', testId).order('section_order');
+    if (error) throw error;
+    return data || [];
+}
+
+/**
+ * Lay the test's questions out section by section.
+ * @param {object[]} sections — from fetchSections()
+ * @param {object[]} questions — in question_order, each with section_id
+ * @param {string} seed — session id; drives shuffled sections
+ * @returns {{ questions: object[], sections: object[] }} flat question list in
+ *   display order, and the sections with the [start, end) range they occupy.
+ *   Questions without a section belong to the first one.
+ */
+export function arrangeQuestions(sections, questions, seed) {
+    if (sections.length === 0) return { questions, sections: [] };
+
+    const ordered = [];
+    const ranged = sections.map((section, i) => {
+        let own = questions.filter(q => q.section_id === section.id || (i === 0 && !sections.some(s => s.id === q.section_id)));
+        if (section.shuffle_questions) own = seededShuffle(own, `${seed}:${section.id}`);
+        const start = ordered.length;
+        ordered.push(...own);
+        return { ...section, start, end: ordered.length };
+    });
+    return { questions: ordered, sections: ranged };
+}
+
+/**
+ * True once the candidate has left a section (it has banked time).
+ * @param {object} session — exam_sessions row
+ * @param {object} section
+ */
+export function wasLeft(session, section) {
+    return session?.current_section_id !== section.id && session?.section_seconds_used?.[section.id] != null;
+}
+
+/** A locked section that was left can't be reopened. */
+export function isClosed(session, section) {
+    return !!section.locked && wasLeft(session, section);
+}
+
+/**
+ * Section deadline in epoch ms, or null for tests without sections.
+ * @param {object} session — exam_sessions row
+ */
+export function sectionDeadline(session) {
+    return session?.section_deadline_at ? new Date(session.section_deadline_at).getTime() : null;
+}
+
+/**
+ * Move the session to another section.
+ * @param {object} supabase — client
+ * @param {string} sessionId
+ * @param {string} sectionId
+ * @returns {Promise<object>} the updated exam_sessions row
+ */
+export async function enterSection(supabase, sessionId, sectionId) {
+    const { data, error } = await supabase.rpc('enter_exam_section', { p_session_id: sessionId, p_section_id: sectionId });
+    if (error) throw error;
+    return data;
+}
+
+/**
+ * Candidate-facing text for an enterSection() failure.
+ * @param {object} error — Supabase error
+ */
+export function sectionErrorMessage(error) {
+    const code = Object.keys(SECTION_ERRORS).find(c => error?.message?.includes(c));
+    return code ? SECTION_ERRORS[code] : 'Could not change section — check your connection and try again.';
+}
@@ -0,0 +1,80 @@
+/**
+ * Item Analysis — the per-test psychometric report from the test-statistics
+ * edge function (statistics in supabase/functions/_shared/itemAnalysis.js),
+ * and its CSV export.
+ */
+import { downloadBlob } from './zipArchive';
+export { ITEM_ANALYSIS_THRESHOLDS, CHOICE_TYPES } from '../../supabase/functions/_shared/itemAnalysis.js';
+
+// ─────────────────────────────────────────────
+// HELPERS
+// ─────────────────────────────────────────────
+
+function csvCell(value) {
+    if (value === null || value === undefined) return '';
+    const text = String(value);
+    return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+const csvRow = (cells) => cells.map(csvCell).join(',');
+
+// ─────────────────────────────────────────────
+// API
+// ─────────────────────────────────────────────
+
+/**
+ * Run the item analysis for a test.
+ * @param {object} supabase — client
+ * @param {string} testId
+ * @returns {Promise<{ statistics: object, reliability: object, items: object[] }>}
+ */
+export async function fetchItemAnalysis(supabase, testId) {
+    const { data, error } = await supabase.functions.invoke('test-statistics', { body: { testId } });
+    if (error) {
+        // Non-2xx responses carry the function's own message in the body
+        const body = await error.context?.json?.().catch(() => null);
+        throw new Error(body?.error || error.message);
+    }
+    if (data?.error) throw new Error(data.error);
+    return data;
+}
+
+/** Short plain label for an item: its position and the start of its text. */
+export function itemLabel(item, length = 60) {
+    const text = String(item.question_text || '').replace(/\s+/g, ' ').trim();
+    return `Q${item.position}. ${text.length > length ? `${text.slice(0, length)}…` : text}`;
+}
+
+/**
+ * Download the report as CSV: summary, one row per item, then one row per
+ * option of every choice item.
+ * @param {object} report — from fetchItemAnalysis()
+ * @param {string} title — test title, for the file name
+ */
+export function exportItemAnalysisCsv(report, title) {
+    const { statistics: s, reliability: r, items } = report;
+    const lines = [
+        csvRow(['Test', title]),
+        csvRow(['Candidates analysed', s.gradedStudents]),
+        csvRow(['Awaiting essay grading (left out)', s.pendingSessions]),
+        csvRow(['Mean score', s.avgScore]),
+        csvRow(['Standard deviation', s.sdScore]),
+        csvRow(['KR-20', r.kr20]),
+        csvRow(['KR-20 items (on every paper)', r.items]),
+        csvRow(['Standard error of measurement', r.sem]),
+        '',
+        csvRow(['Question', 'Text', 'Type', 'Version', 'Marks', 'Responses', 'Omitted',
+            'p-value', 'Discrimination', 'Upper p', 'Lower p', 'Flags']),
+        ...items.map(i => csvRow([
+            `Q${i.position}`, i.question_text, i.question_type, i.version, i.marks, i.responses, i.omitted,
+            i.p, i.discrimination, i.upper_p, i.lower_p, i.flags.map(f => f.message).join('; '),
+        ])),
+        '',
+        csvRow(['Question', 'Option', 'Key', 'Chosen', 'Share', 'Upper share', 'Lower share', 'Mean rest score']),
+        ...items.flatMap(i => i.options.map(o => csvRow([
+            `Q${i.position}`, o.option, o.key ? 'yes' : '', o.count, o.rate, o.upper, o.lower, o.mean_rest,
+        ]))),
+    ];
+    const safeTitle = String(title || 'test').replace(/[^a-z0-9]/gi, '_');
+    downloadBlob(new Blob([lines.join('\n')], { type: 'text/csv;charset=utf-8;' }), `Item_Analysis_${safeTitle}.csv`);
+}
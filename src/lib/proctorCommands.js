@@ -0,0 +1,86 @@
+/**
+ * Proctor Commands — proctor → exam client command channel.
+ *
+ * LiveSessionMonitor writes the authoritative state (exam_sessions.status,
+ * extra_time_minutes) and inserts a proctor_commands row. The candidate's
+ * ExamSession is subscribed to INSERTs for its own session, applies the
+ * command (freeze / unfreeze / end / add time / show message) and writes
+ * acknowledged_at back, which the proctor sees over Realtime.
+ *
+ * Commands issued while the client is offline are picked up from the table
+ * on the next load — see pendingCommands().
+ */
+
+// ─────────────────────────────────────────────
+// COMMANDS
+// ─────────────────────────────────────────────
+export const COMMANDS = {
+    SUSPEND: 'SUSPEND',
+    RESUME: 'RESUME',
+    TERMINATE: 'TERMINATE',
+    EXTRA_TIME: 'EXTRA_TIME',
+    MESSAGE: 'MESSAGE',
+};
+
+export const COMMAND_LABELS = {
+    SUSPEND: 'Suspend',
+    RESUME: 'Resume',
+    TERMINATE: 'Terminate',
+    EXTRA_TIME: 'Extra time',
+    MESSAGE: 'Message',
+};
+
+// ─────────────────────────────────────────────
+// PROCTOR SIDE
+// ─────────────────────────────────────────────
+
+/**
+ * Queue a command for a session's exam client.
+ * @param {object} supabase — client
+ * @param {{ sessionId: string, command: string, payload?: object, issuedBy: string }} cmd
+ * @returns {Promise<object>} inserted proctor_commands row
+ */
+export async function issueCommand(supabase, { sessionId, command, payload = {}, issuedBy }) {
+    const { data, error } = await supabase
+        .from('proctor_commands')
+        .insert({ session_id: sessionId, command, payload, issued_by: issuedBy })
+        .select()
+        .single();
+    if (error) throw error;
+    return data;
+}
+
+// ─────────────────────────────────────────────
+// CLIENT SIDE
+// ─────────────────────────────────────────────
+
+/**
+ * Commands the client has not acknowledged yet, oldest first.
+ * @param {object} supabase — client
+ * @param {string} sessionId
+ */
+export async function pendingCommands(supabase, sessionId) {
+    const { data, error } = await supabase
+        .from('proctor_commands')
+        .select('*')
+        .eq('session_id', sessionId)
+        .is('acknowledged_at', null)
+        .order('created_at', { ascending: true });
+    if (error) throw error;
+    return data || [];
+}
+
+/**
+ * Mark a command as applied by the exam client.
+ * @param {object} supabase — client
+ * @param {string} commandId
+ * @param {object} details — what the client did (e.g. { time_left })
+ */
+export async function acknowledgeCommand(supabase, commandId, details = {}) {
+    const { error } = await supabase
+        .from('proctor_commands')
+        .update({ acknowledged_at: new Date().toISOString(), ack_details: details })
+        .eq('id', commandId)
+        .is('acknowledged_at', null);
+    if (error) throw error;
+}
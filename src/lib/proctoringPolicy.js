@@ -0,0 +1,217 @@
+/**
+ * Proctoring Policy — per-test monitor configuration.
+ *
+ * A policy lives in `tests.settings.proctoring` and decides, for one test:
+ *   - which monitors run (same ids as ExamSession's disabledModules)
+ *   - each monitor's thresholds and debounce windows
+ *   - the RED consequence ladder (warn → pause → terminate), per flag type
+ *   - which blacklist categories the enforcement service should allow
+ *   - how often a camera snapshot is sent to the proctor's thumbnail wall
+ *
+ * Teachers start from a profile ('open-book' | 'standard' | 'high-stakes')
+ * and may tweak individual values in TestCreation. Only the tweaked policy is
+ * stored; resolvePolicy() fills anything missing from the profile so older
+ * tests (settings without a `proctoring` block) keep today's behaviour.
+ */
+
+// ─────────────────────────────────────────────
+// MONITORS
+// ─────────────────────────────────────────────
+export const MONITOR_KEYS = ['identity', 'device', 'behavior', 'audio', 'network', 'object_detection', 'enforcement'];
+
+export const MONITOR_LABELS = {
+    identity: 'Identity Verification',
+    device: 'Device & Focus',
+    behavior: 'Vision AI (Gaze / Pose)',
+    audio: 'Audio Intelligence',
+    network: 'Network & Processes',
+    object_detection: 'Phone Detection',
+    enforcement: 'App Blocking (Desktop)',
+};
+
+// Flag types a teacher can give their own ladder rule in the editor
+export const LADDER_FLAG_TYPES = [
+    'IMPERSONATION', 'IDENTITY_MISMATCH', 'SPOOF_DETECTED', 'MULTIPLE_FACES', 'MISSING',
+    'PHONE_DETECTED', 'WINDOW_BLUR', 'TAB_SWITCH', 'ALT_TAB', 'DEVTOOLS_OPEN',
+    'SYSTEM_INTEGRITY', 'NETWORK_INTEGRITY', 'VISION_INTELLIGENCE', 'AUDIO_INTELLIGENCE',
+];
+
+// ─────────────────────────────────────────────
+// PROFILES
+// ─────────────────────────────────────────────
+const STANDARD = {
+    monitors: {
+        identity: true,
+        device: true,
+        behavior: true,
+        audio: true,
+        network: true,
+        object_detection: true,
+        enforcement: true,
+    },
+    identity: {
+        verify_interval_ms: 7000,       // ms between face checks
+        similarity_threshold: 0.60,     // ArcFace cosine match
+        spoof_threshold: 0.75,          // MiniFASNetV2 spoof probability
+        mismatch_cycles: 3,             // consecutive mismatches before signalling
+    },
+    behavior: { flag_threshold: 0.60, debounce_ms: 5000 },
+    audio: { flag_threshold: 0.65, debounce_ms: 5000 },
+    network: { flag_threshold: 0.40, debounce_ms: 10000 },
+    object_detection: { phone_threshold: 0.30, debounce_ms: 10000 },
+    device: { debounce_ms: 5000 },
+    snapshots: { interval_s: 30 },      // camera thumbnail for LiveSessionMonitor; 0 = off
+    // RED count per flag type: below pause_at → warn; 0 disables a step
+    red_ladder: {
+        default: { pause_at: 2, terminate_at: 3 },
+        by_type: {
+            IMPERSONATION: { pause_at: 0, terminate_at: 1 },
+        },
+    },
+    allowed_app_categories: [],
+};
+
+export const POLICY_PROFILES = {
+    'open-book': {
+        label: 'Open Book',
+        description: 'Identity checks only. Browsers and notes apps stay open; RED flags pause the session for review.',
+        ...STANDARD,
+        monitors: {
+            identity: true,
+            device: false,
+            behavior: false,
+            audio: false,
+            network: false,
+            object_detection: false,
+            enforcement: false,
+        },
+        identity: { ...STANDARD.identity, verify_interval_ms: 15000, similarity_threshold: 0.55 },
+        snapshots: { interval_s: 60 },
+        red_ladder: {
+            default: { pause_at: 1, terminate_at: 0 },
+            by_type: {},
+        },
+        allowed_app_categories: ['browsers', 'ai_notes', 'utilities'],
+    },
+    standard: {
+        label: 'Standard',
+        description: 'All monitors with default thresholds. A repeated RED flag pauses the session, a third terminates it.',
+        ...STANDARD,
+    },
+    'high-stakes': {
+        label: 'High Stakes',
+        description: 'All monitors with stricter thresholds and shorter debounce windows.',
+        ...STANDARD,
+        identity: {
+            verify_interval_ms: 5000,
+            similarity_threshold: 0.65,
+            spoof_threshold: 0.65,
+            mismatch_cycles: 2,
+        },
+        behavior: { flag_threshold: 0.50, debounce_ms: 3000 },
+        audio: { flag_threshold: 0.55, debounce_ms: 3000 },
+        network: { flag_threshold: 0.30, debounce_ms: 5000 },
+        object_detection: { phone_threshold: 0.25, debounce_ms: 5000 },
+        device: { debounce_ms: 3000 },
+        snapshots: { interval_s: 15 },
+        red_ladder: {
+            default: { pause_at: 1, terminate_at: 2 },
+            by_type: {
+                IMPERSONATION: { pause_at: 0, terminate_at: 1 },
+                SPOOF_DETECTED: { pause_at: 0, terminate_at: 1 },
+            },
+        },
+    },
+};
+
+export const DEFAULT_PROFILE = 'standard';
+
+// Sections whose values are merged key-by-key onto the profile
+const NESTED_KEYS = ['monitors', 'identity', 'behavior', 'audio', 'network', 'object_detection', 'device', 'snapshots'];
+
+// ─────────────────────────────────────────────
+// RESOLUTION
+// ─────────────────────────────────────────────
+
+/**
+ * Build the stored policy for a profile (label/description stripped).
+ * @param {string} profile
+ */
+export function profilePolicy(profile = DEFAULT_PROFILE) {
+    const key = POLICY_PROFILES[profile] ? profile : DEFAULT_PROFILE;
+    const policy = structuredClone({ profile: key, ...POLICY_PROFILES[key] });
+    delete policy.label;
+    delete policy.description;
+    return policy;
+}
+
+/**
+ * Resolve the effective policy for a test.
+ * @param {object} settings — tests.settings (may be null for legacy rows)
+ * @returns {object} complete policy — every key present
+ */
+export function resolvePolicy(settings) {
+    const stored = settings?.proctoring || {};
+    const policy = profilePolicy(stored.profile);
+
+    NESTED_KEYS.forEach(key => {
+        policy[key] = { ...policy[key], ...(stored[key] || {}) };
+    });
+    if (stored.red_ladder) {
+        policy.red_ladder = {
+            default: { ...policy.red_ladder.default, ...(stored.red_ladder.default || {}) },
+            by_type: stored.red_ladder.by_type || policy.red_ladder.by_type,
+        };
+    } else if (stored.red_action) {
+        // Single RED action saved before the ladder existed
+        policy.red_ladder = {
+            default: stored.red_action === 'pause'
+                ? { pause_at: 1, terminate_at: 0 }
+                : { pause_at: 0, terminate_at: 1 },
+            by_type: {},
+        };
+    }
+    if (Array.isArray(stored.allowed_app_categories)) {
+        policy.allowed_app_categories = stored.allowed_app_categories;
+    }
+
+    // Legacy master switch — proctoring_enabled: false turns every monitor off
+    if (settings?.proctoring_enabled === false) {
+        MONITOR_KEYS.forEach(k => { policy.monitors[k] = false; });
+    }
+
+    return policy;
+}
+
+/**
+ * Monitor ids the policy switches off (ExamSession's disabledModules format).
+ */
+export function disabledModulesFor(policy) {
+    return MONITOR_KEYS.filter(k => !policy.monitors[k]);
+}
+
+/**
+ * RiskEngine overrides derived from the policy.
+ */
+export function riskEngineConfigFor(policy) {
+    return { RED_LADDER: policy.red_ladder };
+}
+
+/**
+ * Process names the enforcement service should leave alone for this test:
+ * everything in the allowed categories plus the admin-wide whitelist.
+ * @param {object} supabase — client
+ * @param {object} policy
+ * @returns {Promise<string[]>}
+ */
+export async function fetchAllowedProcesses(supabase, policy) {
+    const { data, error } = await supabase
+        .from('app_blacklist')
+        .select('process_name, category, is_whitelisted');
+    if (error) throw error;
+
+    const categories = new Set(policy.allowed_app_categories);
+    return (data || [])
+        .filter(a => a.is_whitelisted || categories.has(a.category))
+        .map(a => a.process_name);
+}
@@ -0,0 +1,693 @@
+/**
+ * QTI — import and export of questions and tests as IMS QTI 2.1 content
+ * packages: a zip with imsmanifest.xml, one assessmentItem file per question
+ * and, for a whole test, an assessmentTest file.
+ *
+ * Question types map onto QTI interactions: choiceInteraction (MCQ, True /
+ * False), textEntryInteraction (Numeric, Short Text, Fill in the Blanks),
+ * matchInteraction, orderInteraction and extendedTextInteraction (Essay).
+ * Each item scores its marks when the response is correct and loses the
+ * negative marks when it is answered wrongly. What does not carry across —
+ * CODE questions, pool rules, interactions we have no type for — is listed
+ * in a report of { item, severity, message } entries; 'error' entries were
+ * left out, 'warning' entries came across with something lost.
+ *
+ * Imported questions come back in the authoring form TestCreation edits,
+ * unsaved; prepareQuestion() and validateQuestion() run when they are saved.
+ */
+
+import { createZip, readZip } from './zipArchive';
+import { fetchTestPapers } from './questionPaper';
+import { BLANK_MARKER, TRUE_FALSE_OPTIONS } from './questionTypes';
+
+// ─────────────────────────────────────────────
+// CONFIGURATION
+// ─────────────────────────────────────────────
+
+const QTI_NS = 'http://www.imsglobal.org/xsd/imsqti_v2p1';
+const QTI_XSD = 'http://www.imsglobal.org/xsd/qti/qtiv2p1/imsqti_v2p1.xsd';
+const CP_NS = 'http://www.imsglobal.org/xsd/imscp_v1p1';
+const CP_XSD = 'http://www.imsglobal.org/xsd/qti/qtiv2p1/qtiv2p1_imscpv1p2_v1p0.xsd';
+const XSI_NS = 'http://www.w3.org/2001/XMLSchema-instance';
+
+const ITEM_RESOURCE = 'imsqti_item_xmlv2p1';
+const TEST_RESOURCE = 'imsqti_test_xmlv2p1';
+const MANIFEST = 'imsmanifest.xml';
+
+// Interactions we import; any other *Interaction makes the item unsupported
+const SUPPORTED_INTERACTIONS = [
+    'choiceInteraction', 'textEntryInteraction', 'matchInteraction', 'orderInteraction', 'extendedTextInteraction',
+];
+
+// Elements that start a new line when item text is flattened
+const BLOCK_ELEMENTS = new Set([
+    'p', 'div', 'br', 'li', 'ul', 'ol', 'pre', 'blockquote', 'table', 'tr', 'h1', 'h2', 'h3', 'h4', 'h5', 'h6', 'prompt',
+]);
+
+// Scorer rubric lines written for essays: "Criterion (3 marks)"
+const RUBRIC_LINE = /^(.*?)\s*\((\d+(?:\.\d+)?) marks?\)$/;
+const MODEL_ANSWER = 'Model answer:';
+
+const TITLE_LENGTH = 60;
+
+// ─────────────────────────────────────────────
+// HELPERS — writing
+// ─────────────────────────────────────────────
+
+export function escapeXml(value) {
+    return String(value ?? '')
+        .replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;').replace(/'/g, '&apos;');
+}
+
+/** Question text as XHTML paragraphs; blank lines split paragraphs. */
+function textToXhtml(text, blank) {
+    return String(text || '').split(/\n\s*\n/).map(p => p.trim()).filter(Boolean)
+        .map(p => {
+            let html = escapeXml(p).replace(/\n/g, '<br/>');
+            if (blank) html = html.replace(/_{3,}/g, () => blank());
+            return `<p>${html}</p>`;
+        })
+        .join('\n');
+}
+
+function plainTitle(text) {
+    const title = String(text || '').replace(/\s+/g, ' ').trim();
+    return title.length > TITLE_LENGTH ? `${title.slice(0, TITLE_LENGTH - 1)}…` : title || 'Question';
+}
+
+const value = (v) => `<value>${escapeXml(v)}</value>`;
+const score = (n) => `<setOutcomeValue identifier="SCORE"><baseValue baseType="float">${n}</baseValue></setOutcomeValue>`;
+
+/**
+ * Response processing: full marks when `condition` holds, minus the penalty
+ * when `answered` holds instead.
+ */
+function scoring(condition, marks, penalty, answered = '<not><isNull><variable identifier="RESPONSE"/></isNull></not>') {
+    return [
+        '<responseProcessing>',
+        '<responseCondition>',
+        `<responseIf>${condition}${score(marks)}</responseIf>`,
+        penalty > 0 ? `<responseElseIf>${answered}${score(-penalty)}</responseElseIf>` : '',
+        '</responseCondition>',
+        '</responseProcessing>',
+    ].join('\n');
+}
+
+const matchCorrect = (id = 'RESPONSE') => `<match><variable identifier="${id}"/><correct identifier="${id}"/></match>`;
+
+function acceptedAny(id, answers) {
+    return `<or>${answers.map(a => `<stringMatch caseSensitive="false"><variable identifier="${id}"/>`
+        + `<baseValue baseType="string">${escapeXml(a)}</baseValue></stringMatch>`).join('')}</or>`;
+}
+
+function textResponse(id, answers) {
+    return `<responseDeclaration identifier="${id}" cardinality="single" baseType="string">`
+        + `<correctResponse>${value(answers[0] ?? '')}</correctResponse>`
+        + `<mapping defaultValue="0">${answers.map(a => `<mapEntry mapKey="${escapeXml(a)}" mappedValue="1" caseSensitive="false"/>`).join('')}</mapping>`
+        + '</responseDeclaration>';
+}
+
+/**
+ * One question as an assessmentItem.
+ * @param {object} q — stored question (prepareQuestion() output)
+ * @param {string} identifier
+ * @returns {{ xml?: string, error?: string, warnings: string[] }}
+ */
+export function questionToItem(q, identifier) {
+    const marks = Number(q.marks) || 0;
+    const penalty = Math.abs(Number(q.negative_marks) || 0);
+    const key = Array.isArray(q.correct_answer) ? q.correct_answer : [];
+    const warnings = [];
+    let declarations = '';
+    let body = '';
+    let processing = '';
+
+    switch (q.question_type) {
+        case 'MCQ_SINGLE':
+        case 'MCQ_MULTIPLE':
+        case 'TRUE_FALSE': {
+            const options = Array.isArray(q.options) ? q.options : [];
+            const ids = new Map(options.map((o, i) => [o, `CHOICE_${i + 1}`]));
+            if (key.some(a => !ids.has(a))) return { error: 'the correct answer is not one of the options', warnings };
+            const single = q.question_type !== 'MCQ_MULTIPLE';
+            declarations = `<responseDeclaration identifier="RESPONSE" cardinality="${single ? 'single' : 'multiple'}" baseType="identifier">`
+                + `<correctResponse>${key.map(a => value(ids.get(a))).join('')}</correctResponse></responseDeclaration>`;
+            body = `${textToXhtml(q.question_text)}\n<choiceInteraction responseIdentifier="RESPONSE" shuffle="false" maxChoices="${single ? 1 : 0}">\n`
+                + options.map(o => `<simpleChoice identifier="${ids.get(o)}">${escapeXml(o)}</simpleChoice>`).join('\n')
+                + '\n</choiceInteraction>';
+            processing = scoring(matchCorrect(), marks, penalty);
+            break;
+        }
+        case 'NUMERIC': {
+            const { value: answer, tolerance } = key[0] || {};
+            declarations = '<responseDeclaration identifier="RESPONSE" cardinality="single" baseType="float">'
+                + `<correctResponse>${value(answer)}</correctResponse></responseDeclaration>`;
+            body = `${textToXhtml(q.question_text)}\n<p><textEntryInteraction responseIdentifier="RESPONSE" expectedLength="12"/></p>`;
+            const condition = tolerance
+                ? `<equal toleranceMode="absolute" tolerance="${tolerance} ${tolerance}"><variable identifier="RESPONSE"/><correct identifier="RESPONSE"/></equal>`
+                : '<equal toleranceMode="exact"><variable identifier="RESPONSE"/><correct identifier="RESPONSE"/></equal>';
+            processing = scoring(condition, marks, penalty);
+            break;
+        }
+        case 'SHORT_TEXT': {
+            declarations = textResponse('RESPONSE', key);
+            body = `${textToXhtml(q.question_text)}\n<p><textEntryInteraction responseIdentifier="RESPONSE" expectedLength="30"/></p>`;
+            processing = scoring(acceptedAny('RESPONSE', key), marks, penalty);
+            break;
+        }
+        case 'FILL_BLANK': {
+            let n = 0;
+            body = textToXhtml(q.question_text, () => `<textEntryInteraction responseIdentifier="RESPONSE_${++n}" expectedLength="15"/>`);
+            if (n !== key.length) return { error: 'the blanks in the text do not match the answer key', warnings };
+            declarations = key.map((accepted, i) => textResponse(`RESPONSE_${i + 1}`, [].concat(accepted))).join('\n');
+            const all = `<and>${key.map((accepted, i) => acceptedAny(`RESPONSE_${i + 1}`, [].concat(accepted))).join('')}</and>`;
+            const answered = `<or>${key.map((_, i) => `<not><isNull><variable identifier="RESPONSE_${i + 1}"/></isNull></not>`).join('')}</or>`;
+            processing = scoring(all, marks, penalty, answered);
+            warnings.push('blanks are scored all-or-nothing in QTI; partial credit per blank is lost');
+            break;
+        }
+        case 'MATCHING': {
+            const left = q.options?.left || [];
+            const right = [...new Set([...(q.options?.right || []), ...key])];
+            const rightId = (r) => `R_${right.indexOf(r) + 1}`;
+            declarations = '<responseDeclaration identifier="RESPONSE" cardinality="multiple" baseType="directedPair">'
+                + `<correctResponse>${left.map((_, i) => value(`L_${i + 1} ${rightId(key[i])}`)).join('')}</correctResponse>`
+                + '</responseDeclaration>';
+            body = `${textToXhtml(q.question_text)}\n<matchInteraction responseIdentifier="RESPONSE" shuffle="false" maxAssociations="${left.length}">\n`
+                + `<simpleMatchSet>${left.map((l, i) => `<simpleAssociableChoice identifier="L_${i + 1}" matchMax="1">${escapeXml(l)}</simpleAssociableChoice>`).join('')}</simpleMatchSet>\n`
+                + `<simpleMatchSet>${right.map(r => `<simpleAssociableChoice identifier="${rightId(r)}" matchMax="${left.length}">${escapeXml(r)}</simpleAssociableChoice>`).join('')}</simpleMatchSet>\n`
+                + '</matchInteraction>';
+            processing = scoring(matchCorrect(), marks, penalty);
+            break;
+        }
+        case 'ORDERING': {
+            declarations = '<responseDeclaration identifier="RESPONSE" cardinality="ordered" baseType="identifier">'
+                + `<correctResponse>${key.map((_, i) => value(`ITEM_${i + 1}`)).join('')}</correctResponse></responseDeclaration>`;
+            body = `${textToXhtml(q.question_text)}\n<orderInteraction responseIdentifier="RESPONSE" shuffle="true">\n`
+                + key.map((item, i) => `<simpleChoice identifier="ITEM_${i + 1}">${escapeXml(item)}</simpleChoice>`).join('\n')
+                + '\n</orderInteraction>';
+            processing = scoring(matchCorrect(), marks, penalty);
+            break;
+        }
+        case 'ESSAY': {
+            const { min_words: minWords, max_words: maxWords, rubric } = q.options || {};
+            if (minWords || maxWords) warnings.push('QTI 2.1 has no word limits; the limits were left out');
+            const scorer = [
+                key[0] ? `<p>${escapeXml(MODEL_ANSWER)} ${escapeXml(key[0])}</p>` : '',
+                rubric?.length ? `<ul>${rubric.map(c => `<li>${escapeXml(c.criterion)} (${c.marks} mark${c.marks === 1 ? '' : 's'})</li>`).join('')}</ul>` : '',
+            ].join('');
+            declarations = '<responseDeclaration identifier="RESPONSE" cardinality="single" baseType="string"/>';
+            body = (scorer ? `<rubricBlock view="scorer">${scorer}</rubricBlock>\n` : '')
+                + `${textToXhtml(q.question_text)}\n<extendedTextInteraction responseIdentifier="RESPONSE" expectedLines="12"/>`;
+            break;
+        }
+        case 'CODE':
+            return { error: 'code questions have no QTI 2.1 equivalent', warnings };
+        default:
+            return { error: `unknown question type ${q.question_type}`, warnings };
+    }
+
+    const xml = [
+        '<?xml version="1.0" encoding="UTF-8"?>',
+        `<assessmentItem xmlns="${QTI_NS}" xmlns:xsi="${XSI_NS}" xsi:schemaLocation="${QTI_NS} ${QTI_XSD}"`,
+        `    identifier="${identifier}" title="${escapeXml(plainTitle(q.question_text))}" adaptive="false" timeDependent="false">`,
+        declarations,
+        '<outcomeDeclaration identifier="SCORE" cardinality="single" baseType="float"><defaultValue><value>0</value></defaultValue></outcomeDeclaration>',
+        `<outcomeDeclaration identifier="MAXSCORE" cardinality="single" baseType="float"><defaultValue><value>${marks}</value></defaultValue></outcomeDeclaration>`,
+        `<itemBody>\n${body}\n</itemBody>`,
+        processing,
+        '</assessmentItem>',
+        '',
+    ].filter(line => line !== '').join('\n');
+    return { xml, warnings };
+}
+
+function testXml(title, parts, durationMinutes) {
+    const section = (s) => [
+        `<assessmentSection identifier="${s.identifier}" title="${escapeXml(s.title)}" visible="${s.visible}">`,
+        s.duration_minutes ? `<timeLimits maxTime="${s.duration_minutes * 60}"/>` : '',
+        s.shuffle_questions ? '<ordering shuffle="true"/>' : '',
+        s.instructions ? `<rubricBlock view="candidate">${textToXhtml(s.instructions)}</rubricBlock>` : '',
+        ...s.items.map(id => `<assessmentItemRef identifier="${id}" href="items/${id}.xml"/>`),
+        '</assessmentSection>',
+    ].filter(Boolean).join('\n');
+
+    return [
+        '<?xml version="1.0" encoding="UTF-8"?>',
+        `<assessmentTest xmlns="${QTI_NS}" xmlns:xsi="${XSI_NS}" xsi:schemaLocation="${QTI_NS} ${QTI_XSD}"`,
+        `    identifier="TEST" title="${escapeXml(title)}">`,
+        '<outcomeDeclaration identifier="SCORE" cardinality="single" baseType="float"/>',
+        durationMinutes ? `<timeLimits maxTime="${durationMinutes * 60}"/>` : '',
+        ...parts.map((part, i) => [
+            `<testPart identifier="PART_${i + 1}" navigationMode="nonlinear" submissionMode="simultaneous">`,
+            ...part.map(section),
+            '</testPart>',
+        ].join('\n')),
+        '<outcomeProcessing><setOutcomeValue identifier="SCORE"><sum><testVariables variableIdentifier="SCORE"/></sum></setOutcomeValue></outcomeProcessing>',
+        '</assessmentTest>',
+        '',
+    ].filter(Boolean).join('\n');
+}
+
+function manifestXml(itemIds, withTest) {
+    const itemResources = itemIds.map(id => `<resource identifier="RES_${id}" type="${ITEM_RESOURCE}" href="items/${id}.xml">`
+        + `<file href="items/${id}.xml"/></resource>`);
+    const testResource = withTest
+        ? [`<resource identifier="RES_TEST" type="${TEST_RESOURCE}" href="test.xml"><file href="test.xml"/>`
+            + `${itemIds.map(id => `<dependency identifierref="RES_${id}"/>`).join('')}</resource>`]
+        : [];
+    return [
+        '<?xml version="1.0" encoding="UTF-8"?>',
+        `<manifest xmlns="${CP_NS}" xmlns:xsi="${XSI_NS}" xsi:schemaLocation="${CP_NS} ${CP_XSD}" identifier="MANIFEST_${Date.now()}">`,
+        '<metadata><schema>QTIv2.1 Package</schema><schemaversion>1.0.0</schemaversion></metadata>',
+        '<organizations/>',
+        '<resources>',
+        ...testResource,
+        ...itemResources,
+        '</resources>',
+        '</manifest>',
+        '',
+    ].join('\n');
+}
+
+/** Report label for a question: its position and the start of its text. */
+function itemLabel(q, index) {
+    return `${index + 1}. ${plainTitle(q.question_text)}`;
+}
+
+/**
+ * Package files for questions, optionally arranged as a test.
+ * @param {{ title: string, questions: object[], sections?: object[], durationMinutes?: number, test?: boolean }} content
+ *   questions carry section_id when sections (test_sections rows) are given
+ * @returns {{ files: Array<{ name: string, data: string }>, report: object[], exported: number }}
+ */
+export function buildQtiPackage({ title, questions, sections = [], durationMinutes = null, test = false }) {
+    const files = [];
+    const report = [];
+    const exportedIds = new Map();
+
+    questions.forEach((q, i) => {
+        const identifier = `ITEM_${i + 1}`;
+        const { xml, error, warnings } = questionToItem(q, identifier);
+        warnings.forEach(message => report.push({ item: itemLabel(q, i), severity: 'warning', message }));
+        if (error) {
+            report.push({ item: itemLabel(q, i), severity: 'error', message: `left out: ${error}` });
+            return;
+        }
+        files.push({ name: `items/${identifier}.xml`, data: xml });
+        exportedIds.set(q, identifier);
+    });
+
+    if (test) {
+        const ordered = [...sections].sort((a, b) => a.section_order - b.section_order);
+        const asSections = ordered.length > 0
+            ? ordered.map((s, i) => ({
+                identifier: `SECTION_${i + 1}`, title: s.title, visible: true, instructions: s.instructions,
+                duration_minutes: s.duration_minutes, shuffle_questions: s.shuffle_questions, locked: s.locked,
+                items: questions.filter(q => q.section_id === s.id && exportedIds.has(q)).map(q => exportedIds.get(q)),
+            }))
+            : [{ identifier: 'SECTION_1', title, visible: false, items: [...exportedIds.values()] }];
+        // A QTI candidate can't go back to an earlier testPart: locked sections get one of their own
+        const parts = [];
+        asSections.forEach(s => {
+            const last = parts[parts.length - 1];
+            if (!s.locked && last && !last.locked) last.push(s);
+            else parts.push(Object.assign([s], { locked: !!s.locked }));
+        });
+        files.push({ name: 'test.xml', data: testXml(title, parts, ordered.length > 0 ? null : durationMinutes) });
+    }
+
+    files.unshift({ name: MANIFEST, data: manifestXml([...exportedIds.values()], test) });
+    return { files, report, exported: exportedIds.size };
+}
+
+// ─────────────────────────────────────────────
+// HELPERS — reading
+// ─────────────────────────────────────────────
+
+const all = (node, name) => (node ? Array.from(node.getElementsByTagNameNS('*', name)) : []);
+const first = (node, name) => all(node, name)[0] || null;
+const childElements = (node) => Array.from(node?.childNodes || []).filter(n => n.nodeType === 1);
+const nameOf = (node) => node.localName || node.nodeName;
+const squash = (text) => String(text || '').replace(/\s+/g, ' ').trim();
+
+function parseXml(text, path) {
+    const doc = new DOMParser().parseFromString(text, 'application/xml');
+    if (doc.getElementsByTagName('parsererror').length > 0 || !doc.documentElement) {
+        throw new Error(`${path} is not valid XML`);
+    }
+    return doc;
+}
+
+/** Resolve an href against the folder of the file that contains it. */
+function resolvePath(from, href) {
+    const parts = from.split('/').slice(0, -1);
+    decodeURIComponent(href).split('/').forEach(seg => {
+        if (seg === '..') parts.pop();
+        else if (seg && seg !== '.') parts.push(seg);
+    });
+    return parts.join('/');
+}
+
+/**
+ * Readable text of an item body: paragraphs on their own lines, lists as
+ * "- " lines, interactions left out (blanks become the ___ marker when
+ * `blanks` is set) and scorer rubrics skipped.
+ */
+function flattenText(node, blanks) {
+    let out = '';
+    const walk = (n) => {
+        if (n.nodeType === 3) { out += n.nodeValue.replace(/\s+/g, ' '); return; }
+        if (n.nodeType !== 1) return;
+        const name = nameOf(n);
+        if (name === 'rubricBlock' || name === 'simpleChoice' || name === 'simpleMatchSet'
+            || name === 'simpleAssociableChoice' || name === 'inlineChoice') return;
+        if (name === 'textEntryInteraction') { if (blanks) out += ` ${BLANK_MARKER} `; return; }
+        if (name === 'img') { out += `[image: ${n.getAttribute('alt') || n.getAttribute('src') || ''}]`; return; }
+        const block = BLOCK_ELEMENTS.has(name);
+        if (block) out += '\n';
+        if (name === 'li') out += '- ';
+        if (name === 'pre') out += n.textContent;
+        else Array.from(n.childNodes).forEach(walk);
+        if (block) out += '\n';
+    };
+    Array.from(node.childNodes).forEach(walk);
+    return out.split('\n').map(line => line.replace(/ +/g, ' ').trim()).join('\n').replace(/\n{3,}/g, '\n\n').trim();
+}
+
+function correctValues(item, id) {
+    const decl = all(item, 'responseDeclaration').find(d => d.getAttribute('identifier') === id);
+    return { decl, values: all(first(decl, 'correctResponse'), 'value').map(v => v.textContent.trim()) };
+}
+
+/** Accepted answers of a text entry: the correct response and positively mapped keys. */
+function acceptedAnswers(item, id) {
+    const { decl, values } = correctValues(item, id);
+    const mapped = all(first(decl, 'mapping'), 'mapEntry')
+        .filter(e => Number(e.getAttribute('mappedValue')) > 0)
+        .map(e => e.getAttribute('mapKey'));
+    return [...new Set([...values, ...mapped].map(squash).filter(Boolean))];
+}
+
+/** Marks and penalty: MAXSCORE, else the SCORE values response processing sets. */
+function itemScoring(item) {
+    const maxScore = all(item, 'outcomeDeclaration').find(d => d.getAttribute('identifier') === 'MAXSCORE');
+    const declared = Number(first(maxScore, 'value')?.textContent);
+    const set = all(item, 'setOutcomeValue')
+        .filter(s => s.getAttribute('identifier') === 'SCORE')
+        .map(s => Number(first(s, 'baseValue')?.textContent))
+        .filter(Number.isFinite);
+    const marks = Number.isFinite(declared) && declared > 0 ? declared : Math.max(1, ...set.filter(v => v > 0));
+    const penalty = Math.abs(Math.min(0, ...set));
+    return { marks, penalty };
+}
+
+/**
+ * One assessmentItem as an authoring question.
+ * @returns {{ question?: object, error?: string, warnings: string[] }}
+ */
+export function itemToQuestion(doc) {
+    const item = doc.documentElement;
+    const body = first(item, 'itemBody');
+    const warnings = [];
+    if (nameOf(item) !== 'assessmentItem' || !body) return { error: 'not a QTI assessmentItem', warnings };
+
+    const interactions = all(body, '*').filter(n => nameOf(n).endsWith('Interaction'));
+    const kinds = [...new Set(interactions.map(nameOf))];
+    const unsupported = kinds.filter(k => !SUPPORTED_INTERACTIONS.includes(k));
+    if (unsupported.length) return { error: `${unsupported.join(', ')} has no matching question type`, warnings };
+    if (kinds.length === 0) return { error: 'the item has no interaction', warnings };
+    if (kinds.length > 1) return { error: `items mixing ${kinds.join(' and ')} are not supported`, warnings };
+    if (kinds[0] !== 'textEntryInteraction' && interactions.length > 1) {
+        return { error: `items with several ${kinds[0]}s are not supported`, warnings };
+    }
+    if (all(body, 'img').length || all(body, 'object').length) warnings.push('images and media were not imported');
+    if (all(item, 'responseProcessing').some(rp => rp.getAttribute('template')?.includes('map_response'))) {
+        warnings.push('scoring by response mapping became all-or-nothing');
+    }
+
+    const { marks, penalty } = itemScoring(item);
+    if (!Number.isInteger(marks)) warnings.push(`${marks} marks rounded to ${Math.round(marks)}`);
+    const question = {
+        question_type: null,
+        question_text: '',
+        options: [],
+        correct_answer: [],
+        marks: Math.max(1, Math.round(marks)),
+        negative_marks: penalty ? -Math.round(penalty) : 0,
+    };
+
+    const interaction = interactions[0];
+    const responseId = interaction.getAttribute('responseIdentifier');
+    const { decl, values } = correctValues(item, responseId);
+    const textOfChoice = new Map(all(interaction, '*')
+        .filter(n => n.getAttribute?.('identifier'))
+        .map(n => [n.getAttribute('identifier'), squash(n.textContent)]));
+
+    switch (kinds[0]) {
+        case 'choiceInteraction': {
+            const options = all(interaction, 'simpleChoice').map(c => squash(c.textContent));
+            const multiple = decl?.getAttribute('cardinality') === 'multiple' || interaction.getAttribute('maxChoices') !== '1';
+            const correct = values.map(id => textOfChoice.get(id)).filter(Boolean);
+            const trueFalse = !multiple && options.length === 2
+                && options.every(o => TRUE_FALSE_OPTIONS.some(t => t.toLowerCase() === o.toLowerCase()));
+            if (trueFalse) {
+                question.question_type = 'TRUE_FALSE';
+                question.options = [...TRUE_FALSE_OPTIONS];
+                question.correct_answer = correct.map(c => TRUE_FALSE_OPTIONS.find(t => t.toLowerCase() === c.toLowerCase()));
+            } else {
+                question.question_type = multiple ? 'MCQ_MULTIPLE' : 'MCQ_SINGLE';
+                question.options = options;
+                question.correct_answer = correct;
+            }
+            break;
+        }
+        case 'textEntryInteraction': {
+            const baseType = decl?.getAttribute('baseType');
+            if (interactions.length === 1 && (baseType === 'float' || baseType === 'integer')) {
+                const equal = first(first(item, 'responseProcessing'), 'equal');
+                const tolerance = equal?.getAttribute('toleranceMode') === 'absolute'
+                    ? Math.abs(Number(String(equal.getAttribute('tolerance') || '').split(/\s+/)[0]) || 0) : 0;
+                if (equal?.getAttribute('toleranceMode') === 'relative') warnings.push('relative tolerance was left out');
+                question.question_type = 'NUMERIC';
+                question.correct_answer = [{ value: values[0] ?? '', tolerance }];
+            } else if (interactions.length === 1) {
+                question.question_type = 'SHORT_TEXT';
+                question.correct_answer = acceptedAnswers(item, responseId);
+            } else {
+                question.question_type = 'FILL_BLANK';
+                question.correct_answer = interactions.map(i => acceptedAnswers(item, i.getAttribute('responseIdentifier')));
+            }
+            break;
+        }
+        case 'matchInteraction': {
+            const [leftSet] = all(interaction, 'simpleMatchSet');
+            const left = all(leftSet, 'simpleAssociableChoice');
+            const pairs = new Map();
+            values.forEach(v => {
+                const [from, to] = v.split(/\s+/);
+                if (pairs.has(from)) warnings.push(`"${textOfChoice.get(from)}" has several matches; only the first was kept`);
+                else pairs.set(from, textOfChoice.get(to));
+            });
+            const matched = left.filter(l => pairs.has(l.getAttribute('identifier')));
+            question.question_type = 'MATCHING';
+            question.options = { left: matched.map(l => squash(l.textContent)), right: [] };
+            question.correct_answer = matched.map(l => pairs.get(l.getAttribute('identifier')) || '');
+            break;
+        }
+        case 'orderInteraction':
+            question.question_type = 'ORDERING';
+            question.correct_answer = values.map(id => textOfChoice.get(id)).filter(Boolean);
+            break;
+        case 'extendedTextInteraction': {
+            const scorer = all(body, 'rubricBlock').filter(r => (r.getAttribute('view') || '').includes('scorer'));
+            const rubric = scorer.flatMap(r => all(r, 'li'))
+                .map(li => squash(li.textContent).match(RUBRIC_LINE))
+                .filter(Boolean)
+                .map(m => ({ criterion: m[1], marks: Number(m[2]) }));
+            const model = scorer.flatMap(r => all(r, 'p')).map(p => squash(p.textContent))
+                .find(t => t.startsWith(MODEL_ANSWER));
+            question.question_type = 'ESSAY';
+            question.options = { min_words: '', max_words: '', rubric };
+            question.correct_answer = model ? [model.slice(MODEL_ANSWER.length).trim()] : [];
+            break;
+        }
+        default:
+            break;
+    }
+
+    question.question_text = flattenText(body, question.question_type === 'FILL_BLANK');
+    if (!question.question_text) return { error: 'the item has no question text', warnings };
+    if (!['ESSAY', 'FILL_BLANK', 'SHORT_TEXT'].includes(question.question_type) && question.correct_answer.length === 0) {
+        return { error: 'the item has no correct response', warnings };
+    }
+    return { question, warnings };
+}
+
+function readSection(section, path, locked, report) {
+    const limit = Number(childElements(section).find(n => nameOf(n) === 'timeLimits')?.getAttribute('maxTime'));
+    const selection = childElements(section).find(n => nameOf(n) === 'selection');
+    if (selection) {
+        report.push({
+            item: section.getAttribute('title') || section.getAttribute('identifier'), severity: 'warning',
+            message: `draws ${selection.getAttribute('select')} of its questions at random in QTI; all were imported as fixed questions`,
+        });
+    }
+    const instructions = childElements(section).filter(n => nameOf(n) === 'rubricBlock')
+        .map(r => flattenText(r)).filter(Boolean).join('\n\n');
+    return {
+        title: section.getAttribute('title') || section.getAttribute('identifier') || 'Section',
+        instructions,
+        duration_minutes: limit > 0 ? Math.ceil(limit / 60) : '',
+        locked,
+        shuffle_questions: childElements(section).some(n => nameOf(n) === 'ordering' && n.getAttribute('shuffle') === 'true'),
+        hrefs: all(section, 'assessmentItemRef').map(ref => resolvePath(path, ref.getAttribute('href') || '')),
+    };
+}
+
+// ─────────────────────────────────────────────
+// API
+// ─────────────────────────────────────────────
+
+/**
+ * Read a QTI 2.1 package (or a single item XML file).
+ * @param {Map<string, Uint8Array>} files — from readZip(), or one entry for a lone .xml
+ * @returns {{ title: string | null, durationMinutes: number | null, sections: object[],
+ *   questions: object[], report: object[] }} questions carry section_index when
+ *   the package holds a test with sections
+ */
+export function parseQtiPackage(files) {
+    const decoder = new TextDecoder();
+    const text = (path) => decoder.decode(files.get(path));
+    const report = [];
+
+    // Item files in manifest order, else every XML file that holds an item
+    let itemPaths = [];
+    let testPath = null;
+    const manifestPath = [...files.keys()].find(p => p.split('/').pop() === MANIFEST);
+    if (manifestPath) {
+        const manifest = parseXml(text(manifestPath), manifestPath);
+        all(manifest, 'resource').forEach(r => {
+            const type = r.getAttribute('type') || '';
+            const href = resolvePath(manifestPath, r.getAttribute('href') || first(r, 'file')?.getAttribute('href') || '');
+            if (type.startsWith('imsqti_item')) itemPaths.push(href);
+            if (type.startsWith('imsqti_test') && !testPath) testPath = href;
+            if (type && !type.startsWith('imsqti_') && !type.startsWith('webcontent')) {
+                report.push({ item: href, severity: 'error', message: `left out: resource type ${type} is not QTI 2.1` });
+            }
+        });
+    } else {
+        itemPaths = [...files.keys()].filter(p => p.endsWith('.xml')).sort();
+    }
+
+    const items = new Map();
+    const readItem = (path) => {
+        if (items.has(path)) return;
+        if (!files.has(path)) {
+            report.push({ item: path, severity: 'error', message: 'left out: the file is missing from the package' });
+            return;
+        }
+        let doc;
+        try {
+            doc = parseXml(text(path), path);
+        } catch (err) {
+            report.push({ item: path, severity: 'error', message: `left out: ${err.message}` });
+            return;
+        }
+        const root = nameOf(doc.documentElement);
+        if (root === 'assessmentTest') { testPath = testPath || path; return; }
+        if (root !== 'assessmentItem') return;
+        const label = doc.documentElement.getAttribute('title') || doc.documentElement.getAttribute('identifier') || path;
+        const { question, error, warnings } = itemToQuestion(doc);
+        warnings.forEach(message => report.push({ item: label, severity: 'warning', message }));
+        if (error) report.push({ item: label, severity: 'error', message: `left out: ${error}` });
+        else items.set(path, question);
+    };
+    itemPaths.forEach(readItem);
+
+    if (!testPath || !files.has(testPath)) {
+        return { title: null, durationMinutes: null, sections: [], questions: [...items.values()], report };
+    }
+
+    const test = parseXml(text(testPath), testPath).documentElement;
+    const testLimit = Number(childElements(test).find(n => nameOf(n) === 'timeLimits')?.getAttribute('maxTime'));
+    const parts = all(test, 'testPart');
+    const sections = parts.flatMap((part, p) => {
+        const top = childElements(part).filter(n => nameOf(n) === 'assessmentSection');
+        // Alone in a part that another follows, a section can't be returned to once left
+        return top.map(s => readSection(s, testPath, top.length === 1 && p < parts.length - 1, report));
+    });
+    // Items the test refers to that the manifest doesn't list
+    sections.forEach(s => s.hrefs.forEach(href => { if (!itemPaths.includes(href)) readItem(href); }));
+
+    const questions = [];
+    const placed = new Set();
+    sections.forEach((s, i) => s.hrefs.forEach(href => {
+        if (!items.has(href) || placed.has(href)) return;
+        placed.add(href);
+        questions.push({ ...items.get(href), section_index: i });
+    }));
+    // Items listed in the manifest but not in the test go at the end
+    items.forEach((q, href) => { if (!placed.has(href)) questions.push({ ...q, section_index: Math.max(0, sections.length - 1) }); });
+
+    const keepSections = sections.length > 1 || sections.some(s => s.duration_minutes);
+    if (keepSections && sections.some(s => !s.duration_minutes)) {
+        report.push({ item: 'Test', severity: 'warning', message: 'some sections have no time limit — set one before saving' });
+    }
+    return {
+        title: test.getAttribute('title') || null,
+        durationMinutes: testLimit > 0 ? Math.ceil(testLimit / 60) : null,
+        sections: keepSections ? sections.map(({ hrefs, ...s }) => s) : [],
+        questions: keepSections ? questions : questions.map(({ section_index, ...q }) => q),
+        report,
+    };
+}
+
+/**
+ * Read an uploaded QTI file: a zip package or a single assessmentItem XML.
+ * @param {File} file
+ */
+export async function readQtiFile(file) {
+    const files = file.name.toLowerCase().endsWith('.xml')
+        ? new Map([[file.name, new Uint8Array(await file.arrayBuffer())]])
+        : await readZip(file);
+    return parseQtiPackage(files);
+}
+
+/**
+ * Zip questions as a QTI package of items.
+ * @param {object[]} questions — stored questions
+ * @param {string} title
+ * @returns {Promise<{ blob: Blob, report: object[], exported: number }>}
+ */
+export async function exportQuestionsQti(questions, title) {
+    const { files, report, exported } = buildQtiPackage({ title, questions });
+    return { blob: await createZip(files), report, exported };
+}
+
+/**
+ * Zip a test — its sections and fixed questions, at the versions the test
+ * pinned — as a QTI package with an assessmentTest.
+ * @param {object} supabase — client
+ * @param {object} test — tests row
+ * @returns {Promise<{ blob: Blob, report: object[], exported: number }>}
+ */
+export async function exportTestQti(supabase, test) {
+    const [{ questions }, sectionsRes, poolsRes] = await Promise.all([
+        fetchTestPapers(supabase, test.id, []),
+        supabase.from('test_sections').select('*').eq('test_id', test.id),
+        supabase.from('test_question_pools').select('question_count').eq('test_id', test.id),
+    ]);
+    if (sectionsRes.error) throw sectionsRes.error;
+    if (poolsRes.error) throw poolsRes.error;
+
+    const { files, report, exported } = buildQtiPackage({
+        title: test.title, questions, sections: sectionsRes.data || [], durationMinutes: test.duration_minutes, test: true,
+    });
+    (poolsRes.data || []).forEach((p, i) => report.push({
+        item: `Pool rule ${i + 1}`, severity: 'error',
+        message: `left out: draws ${p.question_count} random bank question${p.question_count === 1 ? '' : 's'} per candidate, which QTI packages cannot express`,
+    }));
+    return { blob: await createZip(files), report, exported };
+}
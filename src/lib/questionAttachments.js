@@ -0,0 +1,125 @@
+/**
+ * Question Attachments — diagrams, audio clips and PDFs in questions.
+ *
+ * Teachers upload files into the public `question-attachments` bucket as
+ * `<user id>/<timestamp>-<file name>` and the editor inserts them into
+ * question or option text as `![caption](public url)`; RichText embeds the
+ * URL as an image, audio player or PDF viewer by its file extension.
+ *
+ * ExamSession prefetches every attachment of the paper when the exam starts
+ * and keeps them as object URLs, so they still display if the connection
+ * drops mid-exam. RichText swaps in the cached copy via cachedAttachment().
+ *
+ * Auth note: App uses custom auth (anon role) — bucket MUST be public.
+ * Setup: supabase/question_attachments_migration.sql
+ */
+
+// ─────────────────────────────────────────────
+// CONFIGURATION
+// ─────────────────────────────────────────────
+export const ATTACHMENT_CONFIG = {
+    BUCKET: 'question-attachments',
+    MAX_BYTES: 20 * 1024 * 1024,    // matches the bucket's file_size_limit
+    IMAGE_ACCEPT: 'image/png,image/jpeg,image/gif,image/webp,image/svg+xml',
+    FILE_ACCEPT: 'audio/mpeg,audio/ogg,audio/wav,audio/webm,audio/mp4,application/pdf',
+};
+
+const KIND_BY_EXTENSION = {
+    png: 'image', jpg: 'image', jpeg: 'image', gif: 'image', webp: 'image', svg: 'image',
+    mp3: 'audio', ogg: 'audio', oga: 'audio', wav: 'audio', weba: 'audio', m4a: 'audio', aac: 'audio',
+    pdf: 'pdf',
+};
+
+const EMBED_PATTERN = /!\[[^\]\n]*\]\((https?:[^)\s]+)\)/g;
+
+// Source URL → object URL of the prefetched copy
+const cache = new Map();
+
+// ─────────────────────────────────────────────
+// HELPERS
+// ─────────────────────────────────────────────
+
+/** Every string in question options, whatever their shape for the type. */
+function optionTexts(options) {
+    if (Array.isArray(options)) return options.filter(o => typeof o === 'string');
+    if (options && typeof options === 'object') return [...optionTexts(options.left), ...optionTexts(options.right)];
+    return [];
+}
+
+function safeFileName(name) {
+    return name.normalize('NFKD').replace(/[^\w.-]+/g, '_').replace(/^_+|_+$/g, '') || 'file';
+}
+
+// ─────────────────────────────────────────────
+// API
+// ─────────────────────────────────────────────
+
+/**
+ * How an embedded URL is shown. Anything unrecognised is treated as an
+ * image, since that is what the ![…](…) syntax means elsewhere.
+ * @returns {'image' | 'audio' | 'pdf'}
+ */
+export function attachmentKind(url) {
+    let path = String(url || '');
+    try { path = new URL(path).pathname; } catch { /* relative or malformed — use as is */ }
+    const ext = path.split('.').pop().toLowerCase();
+    return KIND_BY_EXTENSION[ext] || 'image';
+}
+
+/**
+ * Upload a file and return the markup that embeds it.
+ * @param {object} supabase — client
+ * @param {File} file
+ * @param {string} userId — owner folder in the bucket
+ * @returns {Promise<{ url: string, kind: string, markup: string }>}
+ */
+export async function uploadAttachment(supabase, file, userId) {
+    if (file.size > ATTACHMENT_CONFIG.MAX_BYTES) {
+        throw new Error(`${file.name} is larger than ${ATTACHMENT_CONFIG.MAX_BYTES / 1024 / 1024} MB`);
+    }
+    const path = `${userId}/${Date.now()}-${safeFileName(file.name)}`;
+    const { error } = await supabase.storage
+        .from(ATTACHMENT_CONFIG.BUCKET)
+        .upload(path, file, { contentType: file.type || undefined, cacheControl: '31536000' });
+    if (error) throw error;
+
+    const { data } = supabase.storage.from(ATTACHMENT_CONFIG.BUCKET).getPublicUrl(path);
+    const caption = file.name.replace(/\.[^.]+$/, '').replace(/[[\]]/g, '');
+    return { url: data.publicUrl, kind: attachmentKind(path), markup: `![${caption}](${data.publicUrl})` };
+}
+
+/** URLs embedded with ![…](…) in a piece of question or option text. */
+export function attachmentUrls(text) {
+    return [...String(text ?? '').matchAll(EMBED_PATTERN)].map(m => m[1]);
+}
+
+/**
+ * Download every attachment of a paper and keep it in memory. Failures are
+ * counted, not thrown — those attachments fall back to loading from the network.
+ * @param {object[]} questions — question rows (question_text, options)
+ * @returns {Promise<{ total: number, failed: number }>}
+ */
+export async function prefetchAttachments(questions) {
+    const urls = new Set();
+    questions.forEach(q => {
+        [q.question_text, ...optionTexts(q.options)].forEach(text => attachmentUrls(text).forEach(u => urls.add(u)));
+    });
+
+    const results = await Promise.allSettled([...urls].filter(url => !cache.has(url)).map(async url => {
+        const res = await fetch(url);
+        if (!res.ok) throw new Error(`${res.status} ${url}`);
+        cache.set(url, URL.createObjectURL(await res.blob()));
+    }));
+    return { total: urls.size, failed: results.filter(r => r.status === 'rejected').length };
+}
+
+/** The prefetched copy of an attachment, or the URL itself if it wasn't prefetched. */
+export function cachedAttachment(url) {
+    return cache.get(url) || url;
+}
+
+/** Free the prefetched copies (when the exam page closes). */
+export function releaseAttachments() {
+    cache.forEach(objectUrl => URL.revokeObjectURL(objectUrl));
+    cache.clear();
+}
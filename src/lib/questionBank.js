@@ -0,0 +1,367 @@
+/**
+ * Question Bank — search, taxonomy edits, duplicate detection and usage
+ * history for the Question Bank page.
+ *
+ * Bank questions carry a difficulty and tags (what question pools draw on),
+ * learning objectives and their author (supabase/question_bank_migration.sql).
+ * The page loads the bank once and filters it in the browser, so every facet
+ * can show how many questions each of its values would leave. Usage totals
+ * come from the question_usage view; the per-test history is built from
+ * test_questions, session_questions and answers.
+ */
+
+import { normalizeTags, prepareQuestion, validateQuestion } from './questionTypes';
+
+// ─────────────────────────────────────────────
+// CONFIGURATION
+// ─────────────────────────────────────────────
+
+const BANK_LIMIT = 2000;
+
+// Ids per .in() filter — keeps request URLs short
+const ID_CHUNK = 150;
+
+// Share of words two questions of the same type have in common above which
+// they are reported as near-duplicates
+const NEAR_DUPLICATE_SIMILARITY = 0.85;
+
+// Facet → a question's values for it ('' = not set)
+const FACET_VALUES = {
+    question_type: q => [q.question_type],
+    difficulty: q => [q.difficulty || ''],
+    tags: q => q.tags || [],
+    learning_objectives: q => q.learning_objectives || [],
+    created_by: q => [q.created_by || ''],
+    course_id: q => q.course_ids || [],
+};
+
+export const FACETS = Object.keys(FACET_VALUES);
+
+// ─────────────────────────────────────────────
+// HELPERS
+// ─────────────────────────────────────────────
+
+/** Question text reduced to lower-case words, for search and duplicate checks. */
+export function plainText(text) {
+    return String(text || '').toLowerCase().replace(/[^\p{L}\p{N}]+/gu, ' ').trim();
+}
+
+/** Fully correct answers as a share of graded answers, or null if never answered. */
+export function correctRate(usage) {
+    return usage?.times_answered > 0 ? usage.times_correct / usage.times_answered : null;
+}
+
+/** Learning objectives as stored: trimmed, no duplicates, case kept. */
+export function normalizeObjectives(list) {
+    return [...new Set((list || []).map(o => String(o).trim()).filter(Boolean))];
+}
+
+function matchesFacets(question, filters, skip) {
+    return FACETS.every(key => {
+        const selected = filters[key];
+        if (key === skip || !selected?.length) return true;
+        return FACET_VALUES[key](question).some(v => selected.includes(v));
+    });
+}
+
+/**
+ * Questions that match the text search and every facet selection — any
+ * selected value within a facet, all facets together.
+ * @param {object[]} questions — from fetchBank()
+ * @param {{ [facet: string]: string[] }} filters
+ * @param {string} search
+ */
+export function filterQuestions(questions, filters, search) {
+    const words = plainText(search).split(' ').filter(Boolean);
+    return questions.filter(q => matchesFacets(q, filters)
+        && words.every(w => q.search_text.includes(w)));
+}
+
+/**
+ * How many questions each value of a facet would match, given the other
+ * facets' selections and the search.
+ * @returns {Map<string, number>} value → count, most common first
+ */
+export function facetCounts(questions, filters, search, facet) {
+    const words = plainText(search).split(' ').filter(Boolean);
+    const counts = new Map();
+    questions
+        .filter(q => matchesFacets(q, filters, facet) && words.every(w => q.search_text.includes(w)))
+        .forEach(q => new Set(FACET_VALUES[facet](q)).forEach(v => counts.set(v, (counts.get(v) || 0) + 1)));
+    return new Map([...counts].sort((a, b) => b[1] - a[1]));
+}
+
+function wordSimilarity(setA, setB) {
+    let shared = 0;
+    setA.forEach(w => { if (setB.has(w)) shared++; });
+    return shared / (setA.size + setB.size - shared || 1);
+}
+
+/**
+ * Groups of questions that look like copies of each other: the same words
+ * after normalising, or — for the same question type — mostly the same words.
+ * @param {object[]} questions — from fetchBank()
+ * @returns {Array<{ exact: boolean, questions: object[] }>}
+ */
+export function findDuplicates(questions) {
+    const grouped = new Set();
+    const groups = [];
+
+    const byText = new Map();
+    questions.forEach(q => {
+        const key = `${q.question_type}|${q.search_text}`;
+        byText.set(key, [...(byText.get(key) || []), q]);
+    });
+    byText.forEach(list => {
+        if (list.length < 2) return;
+        list.forEach(q => grouped.add(q.id));
+        groups.push({ exact: true, questions: list });
+    });
+
+    const rest = questions
+        .filter(q => !grouped.has(q.id) && q.search_text)
+        .map(q => ({ q, length: q.search_text.length, words: new Set(q.search_text.split(' ')) }));
+    rest.forEach((a, i) => {
+        if (grouped.has(a.q.id)) return;
+        const similar = rest.slice(i + 1).filter(b => !grouped.has(b.q.id)
+            && b.q.question_type === a.q.question_type
+            && Math.min(a.length, b.length) / Math.max(a.length, b.length) >= NEAR_DUPLICATE_SIMILARITY
+            && wordSimilarity(a.words, b.words) >= NEAR_DUPLICATE_SIMILARITY);
+        if (similar.length === 0) return;
+        const list = [a.q, ...similar.map(b => b.q)];
+        list.forEach(q => grouped.add(q.id));
+        groups.push({ exact: false, questions: list });
+    });
+    return groups;
+}
+
+async function selectInChunks(query, column, ids) {
+    const rows = [];
+    for (let i = 0; i < ids.length; i += ID_CHUNK) {
+        const { data, error } = await query().in(column, ids.slice(i, i + ID_CHUNK));
+        if (error) throw error;
+        rows.push(...(data || []));
+    }
+    return rows;
+}
+
+// ─────────────────────────────────────────────
+// API
+// ─────────────────────────────────────────────
+
+/**
+ * The bank, newest first, with author, usage totals and the courses each
+ * question was used in.
+ * @param {object} supabase — client
+ * @returns {Promise<object[]>} questions with author, usage, course_ids, search_text
+ */
+export async function fetchBank(supabase) {
+    const { data, error } = await supabase
+        .from('questions')
+        .select('*, author:created_by(id, full_name, username)')
+        .order('created_at', { ascending: false })
+        .limit(BANK_LIMIT);
+    if (error) throw error;
+    const ids = (data || []).map(q => q.id);
+
+    const usage = await selectInChunks(() => supabase.from('question_usage').select('*'), 'question_id', ids);
+    const links = await selectInChunks(
+        () => supabase.from('test_questions').select('question_id, tests(course_id)'), 'question_id', ids);
+
+    const usageById = new Map(usage.map(u => [u.question_id, u]));
+    const courses = new Map();
+    links.forEach(l => {
+        if (l.tests?.course_id) courses.set(l.question_id, [...new Set([...(courses.get(l.question_id) || []), l.tests.course_id])]);
+    });
+
+    return (data || []).map(q => ({
+        ...q,
+        usage: usageById.get(q.id) || { tests_used: 0, times_answered: 0, times_correct: 0 },
+        course_ids: courses.get(q.id) || [],
+        search_text: plainText(q.question_text),
+    }));
+}
+
+/**
+ * Change one question's difficulty, tags and learning objectives. These
+ * don't change what candidates see, so the question is edited in place.
+ * @param {object} supabase — client
+ * @param {string} questionId
+ * @param {{ difficulty: string | null, tags: string[], learning_objectives: string[] }} taxonomy
+ * @returns {Promise<object>} the updated row
+ */
+export async function saveTaxonomy(supabase, questionId, { difficulty, tags, learning_objectives }) {
+    const { data, error } = await supabase
+        .from('questions')
+        .update({
+            difficulty: difficulty || null,
+            tags: normalizeTags(tags),
+            learning_objectives: normalizeObjectives(learning_objectives),
+        })
+        .eq('id', questionId)
+        .select().single();
+    if (error) throw error;
+    return data;
+}
+
+/**
+ * Apply one edit to many questions and audit it.
+ * @param {object} supabase — client
+ * @param {object[]} questions — rows being edited
+ * @param {{ difficulty?: string | null, addTags?: string[], removeTags?: string[],
+ *   addObjectives?: string[], removeObjectives?: string[] }} edit — difficulty
+ *   undefined leaves it unchanged, null clears it
+ * @param {string} userId — who made the edit
+ * @returns {Promise<object[]>} the updated rows
+ */
+export async function bulkEditQuestions(supabase, questions, edit, userId) {
+    const addTags = normalizeTags(edit.addTags);
+    const removeTags = normalizeTags(edit.removeTags);
+    const addObjectives = normalizeObjectives(edit.addObjectives);
+    const removeObjectives = normalizeObjectives(edit.removeObjectives);
+
+    const updated = await Promise.all(questions.map(q => saveTaxonomy(supabase, q.id, {
+        difficulty: edit.difficulty === undefined ? q.difficulty : edit.difficulty,
+        tags: [...(q.tags || []), ...addTags].filter(t => !removeTags.includes(t)),
+        learning_objectives: [...(q.learning_objectives || []), ...addObjectives].filter(o => !removeObjectives.includes(o)),
+    })));
+
+    await supabase.from('audit_logs').insert({
+        action: 'QUESTIONS_BULK_EDITED',
+        user_id: userId,
+        target_type: 'question',
+        details: {
+            question_ids: questions.map(q => q.id),
+            difficulty: edit.difficulty,
+            add_tags: addTags, remove_tags: removeTags,
+            add_objectives: addObjectives, remove_objectives: removeObjectives,
+        },
+    });
+    return updated;
+}
+
+/**
+ * Add imported questions to the bank in one insert, so a failure adds none
+ * of them. Questions whose answer key doesn't hold up are skipped and reported.
+ * @param {object} supabase — client
+ * @param {object[]} questions — in authoring form (see src/lib/qti.js, src/lib/questionFormats.js)
+ * @param {string} userId — who imported them
+ * @param {{ tags?: string[] }} [options] — tags added to every question
+ * @returns {Promise<{ added: object[], skipped: Array<{ item: string, severity: 'error', message: string }> }>}
+ */
+export async function addToBank(supabase, questions, userId, { tags = [] } = {}) {
+    const rows = [];
+    const skipped = [];
+    questions.forEach((q, i) => {
+        const prepared = prepareQuestion({ ...q, marks: parseInt(q.marks) || 1, negative_marks: parseInt(q.negative_marks) || 0 });
+        const problem = validateQuestion(prepared);
+        if (problem) {
+            const label = `${q.source || i + 1}. ${String(q.question_text || '').replace(/\s+/g, ' ').trim().slice(0, 60)}`;
+            skipped.push({ item: label, severity: 'error', message: `left out: ${problem}` });
+            return;
+        }
+        rows.push({
+            question_text: prepared.question_text, question_type: prepared.question_type,
+            options: prepared.options, correct_answer: prepared.correct_answer,
+            marks: prepared.marks, negative_marks: prepared.negative_marks,
+            difficulty: prepared.difficulty || null, tags: normalizeTags([...(prepared.tags || []), ...tags]),
+            learning_objectives: normalizeObjectives(prepared.learning_objectives), created_by: userId,
+        });
+    });
+    if (rows.length === 0) return { added: [], skipped };
+
+    const { data, error } = await supabase.from('questions').insert(rows).select();
+    if (error) throw error;
+    await supabase.from('audit_logs').insert({
+        action: 'QUESTIONS_IMPORTED', user_id: userId, target_type: 'question',
+        details: { question_ids: data.map(q => q.id), skipped: skipped.length },
+    });
+    return { added: data, skipped };
+}
+
+/**
+ * Delete a question nobody has used — a duplicate that was never put on a
+ * test or answered. Used questions are kept: answers and tests point at them.
+ * @param {object} supabase — client
+ * @param {object} question — from fetchBank()
+ * @param {string} userId
+ */
+export async function deleteUnusedQuestion(supabase, question, userId) {
+    if (question.usage.tests_used > 0 || question.usage.times_answered > 0) {
+        throw new Error('This question has been used in a test and cannot be deleted');
+    }
+    const { error } = await supabase.from('questions').delete().eq('id', question.id);
+    if (error) throw error;
+    await supabase.from('audit_logs').insert({
+        action: 'QUESTION_DELETED', user_id: userId, target_type: 'question', target_id: question.id,
+        details: { question_text: question.question_text },
+    });
+}
+
+/**
+ * Every test a question appeared in, newest first, with how it did there.
+ * @param {object} supabase — client
+ * @param {object} question
+ * @returns {Promise<Array<{ test_id: string, title: string, start_time: string, fixed: boolean,
+ *   papers: number, versions: number[], answered: number, correct: number, score_share: number | null }>>}
+ *   papers counts sessions that drew it from a pool; versions are the ones
+ *   the test and its papers pinned; score_share is the mean share of the marks earned
+ */
+export async function fetchUsageHistory(supabase, question) {
+    const [fixed, drawn, answers] = await Promise.all([
+        supabase.from('test_questions')
+            .select('test_id, marks, question_versions(version), tests(title, start_time)')
+            .eq('question_id', question.id),
+        supabase.from('session_questions')
+            .select('session_id, marks, pool_id, question_versions(version), exam_sessions(test_id, tests(title, start_time))')
+            .eq('question_id', question.id),
+        supabase.from('answers')
+            .select('session_id, is_correct, marks_awarded, grading_status, exam_sessions(test_id, tests(title, start_time))')
+            .eq('question_id', question.id),
+    ]);
+    const failed = fixed.error || drawn.error || answers.error;
+    if (failed) throw failed;
+
+    const tests = new Map();
+    const entry = (testId, test) => {
+        if (!tests.has(testId)) {
+            tests.set(testId, {
+                test_id: testId, title: test?.title || 'Deleted test', start_time: test?.start_time || null,
+                fixed: false, papers: 0, versions: new Set(), answered: 0, correct: 0, earned: 0, possible: 0,
+            });
+        }
+        return tests.get(testId);
+    };
+
+    const fixedMarks = new Map();
+    (fixed.data || []).forEach(l => {
+        const row = entry(l.test_id, l.tests);
+        row.fixed = true;
+        if (l.question_versions) row.versions.add(l.question_versions.version);
+        fixedMarks.set(l.test_id, l.marks ?? question.marks);
+    });
+    const paperMarks = new Map();
+    (drawn.data || []).forEach(l => {
+        if (!l.exam_sessions) return;
+        const row = entry(l.exam_sessions.test_id, l.exam_sessions.tests);
+        if (l.pool_id) row.papers++;
+        if (l.question_versions) row.versions.add(l.question_versions.version);
+        paperMarks.set(l.session_id, l.marks);
+    });
+    (answers.data || []).forEach(a => {
+        if (!a.exam_sessions || a.grading_status === 'pending') return;
+        const testId = a.exam_sessions.test_id;
+        const row = entry(testId, a.exam_sessions.tests);
+        const marks = paperMarks.get(a.session_id) ?? fixedMarks.get(testId) ?? question.marks;
+        row.answered++;
+        if (a.is_correct) row.correct++;
+        row.earned += Math.max(0, Number(a.marks_awarded) || 0);
+        row.possible += marks || 0;
+    });
+
+    return [...tests.values()]
+        .map(({ earned, possible, versions, ...row }) => ({
+            ...row, versions: [...versions].sort((a, b) => a - b), score_share: possible > 0 ? earned / possible : null,
+        }))
+        .sort((a, b) => new Date(b.start_time || 0) - new Date(a.start_time || 0));
+}
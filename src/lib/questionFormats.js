@@ -0,0 +1,451 @@
+/**
+ * Question Formats — importers for the plain-text and spreadsheet formats
+ * teachers keep questions in: Moodle GIFT, Aiken, CSV and XLSX (plus QTI 2.1
+ * packages, read by src/lib/qti.js).
+ *
+ * Every importer returns the same shape as parseQtiPackage(): questions in
+ * the authoring form TestCreation edits, each with a `source` ("Line 12",
+ * "Row 4") so problems can be traced back to the file, and a report of
+ * { item, severity, message } entries for what could not be read.
+ * previewQuestions() then checks each question the way saving would.
+ */
+
+import { readZip, downloadBlob } from './zipArchive';
+import { readQtiFile } from './qti';
+import {
+    QUESTION_TYPES, TRUE_FALSE_OPTIONS, BLANK_MARKER, DIFFICULTIES,
+    prepareQuestion, validateQuestion, normalizeTags,
+} from './questionTypes';
+
+// ─────────────────────────────────────────────
+// CONFIGURATION
+// ─────────────────────────────────────────────
+
+export const IMPORT_FORMATS = {
+    gift: 'Moodle GIFT (.gift, .txt)',
+    aiken: 'Aiken (.txt)',
+    csv: 'CSV (.csv)',
+    xlsx: 'Excel (.xlsx)',
+    qti: 'QTI 2.1 package (.zip, .xml)',
+};
+
+export const IMPORT_ACCEPT = '.gift,.txt,.csv,.xlsx,.zip,.xml';
+
+// Spreadsheet columns, in template order. Lists inside a cell are split by |
+export const SPREADSHEET_COLUMNS = [
+    'question_type', 'question_text', 'options', 'correct_answer', 'tolerance',
+    'marks', 'negative_marks', 'difficulty', 'tags', 'learning_objectives',
+];
+
+const SPREADSHEET_TEMPLATE = [
+    SPREADSHEET_COLUMNS.join(','),
+    'MCQ_SINGLE,What is 2 + 2?,3|4|5,4,,1,0,Easy,arithmetic,',
+    'MCQ_MULTIPLE,Which are prime?,2|3|4|6,2|3,,2,0,Medium,"primes, number theory",',
+    'TRUE_FALSE,The earth orbits the sun.,,True,,1,0,Easy,astronomy,',
+    'NUMERIC,Value of pi to two decimals?,,3.14,0.01,1,0,Medium,,',
+    'SHORT_TEXT,Capital of France?,,Paris|Paris city,,1,0,Easy,geography,',
+    'FILL_BLANK,Water boils at ___ degrees and freezes at ___.,,100;0|zero,,2,0,Easy,,',
+    'MATCHING,Match the capitals.,France|Japan,Paris|Tokyo,,2,0,Medium,geography,',
+    'ORDERING,Order from smallest.,,1|2|3,,1,0,Easy,,',
+    'ESSAY,Discuss the causes of World War I.,,,,10,0,Hard,history,Explain historical causation',
+].join('\n');
+
+// GIFT escapes → placeholders while the question is split up
+const GIFT_ESCAPES = { '\\\\': '\uE000', '\\~': '\uE001', '\\=': '\uE002', '\\#': '\uE003', '\\{': '\uE004', '\\}': '\uE005', '\\:': '\uE006' };
+const GIFT_UNESCAPE = Object.fromEntries(Object.entries(GIFT_ESCAPES).map(([k, v]) => [v, k.slice(1)]));
+
+// ─────────────────────────────────────────────
+// HELPERS
+// ─────────────────────────────────────────────
+
+const splitList = (cell, sep = '|') => String(cell ?? '').split(sep).map(v => v.trim()).filter(Boolean);
+
+function errorEntry(source, message) {
+    return { item: source, severity: 'error', message: `left out: ${message}` };
+}
+
+/** Question type from a key (MCQ_SINGLE) or its label (MCQ Single), any case. */
+function typeFromCell(cell) {
+    const wanted = String(cell || '').trim().toLowerCase().replace(/[\s/_-]+/g, '');
+    return Object.entries(QUESTION_TYPES).find(([key, label]) => (
+        key.toLowerCase().replace(/_/g, '') === wanted || label.toLowerCase().replace(/[\s/_-]+/g, '') === wanted
+    ))?.[0] || null;
+}
+
+// ─── GIFT ───
+
+function giftUnescape(text) {
+    return String(text || '').replace(/[\uE000-\uE006]/g, c => GIFT_UNESCAPE[c]).replace(/\\n/g, '\n');
+}
+
+/** Question text from GIFT: [format] markers dropped, HTML reduced to text. */
+function giftText(text, warnings) {
+    let out = giftUnescape(text).trim();
+    const format = out.match(/^\[(html|moodle|plain|markdown)\]/i);
+    if (format) out = out.slice(format[0].length).trim();
+    if (format?.[1].toLowerCase() === 'html' || /<[a-z][^>]*>/i.test(out)) {
+        if (/<img\b/i.test(out)) warnings.push('images were not imported');
+        out = out.replace(/<br\s*\/?>/gi, '\n').replace(/<\/p>/gi, '\n\n').replace(/<[^>]+>/g, '')
+            .replace(/&nbsp;/g, ' ').replace(/&lt;/g, '<').replace(/&gt;/g, '>').replace(/&amp;/g, '&').trim();
+    }
+    return out;
+}
+
+/** Answer block entries: { mark: '=' | '~', weight, text } with feedback removed. */
+function giftAnswers(block) {
+    const entries = [];
+    const re = /([=~])(%-?\d+(?:\.\d+)?%)?([^=~]*)/g;
+    let m;
+    while ((m = re.exec(block)) !== null) {
+        if (!m[0]) break;
+        const text = giftUnescape(m[3].split('#')[0]).trim();
+        entries.push({ mark: m[1], weight: m[2] ? parseFloat(m[2].slice(1)) : null, text });
+    }
+    return entries;
+}
+
+function giftQuestion(chunk, source, category) {
+    const warnings = [];
+    let raw = chunk.replace(/\\\\|\\[~=#{}:]/g, e => GIFT_ESCAPES[e]);
+    const title = raw.match(/^::(.*?)::/s);
+    if (title) raw = raw.slice(title[0].length);
+
+    const open = raw.indexOf('{');
+    const close = raw.indexOf('}', open);
+    if (open < 0 || close < 0) return { error: 'no answer block { } found', warnings };
+    const before = raw.slice(0, open);
+    const after = raw.slice(close + 1).trim();
+    const block = raw.slice(open + 1, close).trim();
+    const missingWord = after.length > 0;
+    const questionText = giftText(missingWord ? `${before.trim()} ${BLANK_MARKER} ${after}` : before, warnings);
+    if (!questionText) return { error: 'the question has no text', warnings };
+
+    const question = {
+        source, question_text: questionText, question_type: null, options: [], correct_answer: [],
+        marks: 1, negative_marks: 0, tags: category ? [category] : [],
+    };
+
+    if (block === '') {
+        question.question_type = 'ESSAY';
+        question.options = { min_words: '', max_words: '', rubric: [] };
+    } else if (/^(T|TRUE|F|FALSE)(#.*)?$/is.test(block)) {
+        question.question_type = 'TRUE_FALSE';
+        question.options = [...TRUE_FALSE_OPTIONS];
+        question.correct_answer = [/^T/i.test(block) ? 'True' : 'False'];
+    } else if (block.startsWith('#')) {
+        const body = block.slice(1).trim();
+        const first = body.startsWith('=') ? giftAnswers(body).find(a => a.mark === '=')?.text : body.split('#')[0].trim();
+        if (body.startsWith('=') && giftAnswers(body).filter(a => a.mark === '=').length > 1) {
+            warnings.push('only the first of several numeric answers was kept');
+        }
+        const range = String(first || '').match(/^(-?[\d.]+)\.\.(-?[\d.]+)$/);
+        const [value, tolerance] = range
+            ? [(Number(range[1]) + Number(range[2])) / 2, Math.abs(Number(range[2]) - Number(range[1])) / 2]
+            : String(first || '').split(':').map(Number);
+        if (!Number.isFinite(value)) return { error: 'the numeric answer is not a number', warnings };
+        question.question_type = 'NUMERIC';
+        question.correct_answer = [{ value: String(value), tolerance: Number.isFinite(tolerance) ? tolerance : 0 }];
+    } else {
+        const answers = giftAnswers(block);
+        if (answers.length === 0) return { error: 'the answer block could not be read', warnings };
+        if (answers.every(a => a.mark === '=' && a.text.includes('->'))) {
+            const pairs = answers.map(a => a.text.split('->').map(part => part.trim()));
+            const matched = pairs.filter(([left]) => left);
+            question.question_type = 'MATCHING';
+            question.options = { left: matched.map(([left]) => left), right: [] };
+            question.correct_answer = matched.map(([, right]) => right);
+            if (matched.length < pairs.length) warnings.push('extra answers without a match were left out');
+        } else if (answers.some(a => a.mark === '~')) {
+            const weighted = answers.some(a => a.weight != null);
+            const correct = answers.filter(a => (weighted ? a.weight > 0 : a.mark === '='));
+            if (weighted && answers.some(a => a.weight > 0 && a.weight < 100)) {
+                warnings.push('partial weights became a multiple-answer question; every positive option counts as correct');
+            }
+            question.question_type = correct.length > 1 || (weighted && answers.some(a => a.weight > 0 && a.weight < 100))
+                ? 'MCQ_MULTIPLE' : 'MCQ_SINGLE';
+            question.options = answers.map(a => a.text);
+            question.correct_answer = correct.map(a => a.text);
+        } else {
+            if (answers.some(a => a.weight != null && a.weight < 100)) warnings.push('partially weighted answers are accepted in full');
+            const accepted = answers.map(a => a.text).filter(Boolean);
+            if (missingWord) {
+                question.question_type = 'FILL_BLANK';
+                question.correct_answer = [accepted];
+            } else {
+                question.question_type = 'SHORT_TEXT';
+                question.correct_answer = accepted;
+            }
+        }
+    }
+    return { question, warnings };
+}
+
+// ─── CSV / XLSX ───
+
+/** CSV text → rows of cells (quoted fields, "" escapes, CRLF, BOM). */
+export function parseCsv(text) {
+    const rows = [];
+    let row = [];
+    let cell = '';
+    let quoted = false;
+    const src = String(text || '').replace(/^\uFEFF/, '');
+    for (let i = 0; i < src.length; i++) {
+        const c = src[i];
+        if (quoted) {
+            if (c === '"' && src[i + 1] === '"') { cell += '"'; i++; }
+            else if (c === '"') quoted = false;
+            else cell += c;
+        } else if (c === '"' && cell === '') {
+            quoted = true;
+        } else if (c === ',') {
+            row.push(cell); cell = '';
+        } else if (c === '\n' || c === '\r') {
+            if (c === '\r' && src[i + 1] === '\n') i++;
+            row.push(cell); rows.push(row); row = []; cell = '';
+        } else {
+            cell += c;
+        }
+    }
+    if (cell !== '' || row.length > 0) { row.push(cell); rows.push(row); }
+    return rows.filter(r => r.some(v => String(v).trim() !== ''));
+}
+
+const columnIndex = (ref) => [...String(ref).replace(/\d+$/, '')].reduce((n, ch) => n * 26 + ch.charCodeAt(0) - 64, 0) - 1;
+
+/** First worksheet of an .xlsx file as rows of cell text. */
+async function readXlsx(file) {
+    const files = await readZip(file);
+    const decoder = new TextDecoder();
+    const xml = (path) => (files.has(path) ? new DOMParser().parseFromString(decoder.decode(files.get(path)), 'application/xml') : null);
+    const all = (node, name) => (node ? Array.from(node.getElementsByTagNameNS('*', name)) : []);
+
+    const workbook = xml('xl/workbook.xml');
+    if (!workbook) throw new Error('Not an Excel workbook');
+    const sheet = all(workbook, 'sheet')[0];
+    const relId = sheet?.getAttributeNS('http://schemas.openxmlformats.org/officeDocument/2006/relationships', 'id')
+        || sheet?.getAttribute('r:id');
+    const target = all(xml('xl/_rels/workbook.xml.rels'), 'Relationship').find(r => r.getAttribute('Id') === relId)?.getAttribute('Target');
+    const sheetPath = target ? (target.startsWith('/') ? target.slice(1) : `xl/${target}`) : 'xl/worksheets/sheet1.xml';
+    const worksheet = xml(sheetPath);
+    if (!worksheet) throw new Error('The workbook has no worksheet');
+
+    const shared = all(xml('xl/sharedStrings.xml'), 'si').map(si => all(si, 't').map(t => t.textContent).join(''));
+    return all(worksheet, 'row').map(r => {
+        const cells = [];
+        all(r, 'c').forEach((c, i) => {
+            const type = c.getAttribute('t');
+            const raw = all(c, 'v')[0]?.textContent ?? '';
+            let text;
+            if (type === 's') text = shared[Number(raw)] ?? '';
+            else if (type === 'inlineStr') text = all(c, 't').map(t => t.textContent).join('');
+            else if (type === 'b') text = raw === '1' ? 'TRUE' : 'FALSE';
+            else text = raw;
+            cells[c.getAttribute('r') ? columnIndex(c.getAttribute('r')) : i] = text;
+        });
+        return Array.from(cells, v => v ?? '');
+    }).filter(r => r.some(v => String(v).trim() !== ''));
+}
+
+/** One spreadsheet row (keyed by column name) as a question. */
+function rowQuestion(row, source) {
+    const type = typeFromCell(row.question_type);
+    if (!type) return { error: `unknown question type "${row.question_type || ''}"` };
+    const text = String(row.question_text || '').trim();
+    if (!text) return { error: 'the question text is empty' };
+    if (type === 'CODE') return { error: 'code questions need hidden tests and cannot be imported from a spreadsheet' };
+
+    const options = splitList(row.options);
+    const answers = splitList(row.correct_answer);
+    const question = {
+        source, question_text: text, question_type: type, options: [], correct_answer: [],
+        marks: parseInt(row.marks) || 1,
+        negative_marks: -Math.abs(parseInt(row.negative_marks) || 0),
+        difficulty: DIFFICULTIES.find(d => d.toLowerCase() === String(row.difficulty || '').trim().toLowerCase()) || null,
+        tags: splitList(row.tags, ','),
+        learning_objectives: splitList(row.learning_objectives, ';'),
+    };
+
+    switch (type) {
+        case 'MCQ_SINGLE':
+        case 'MCQ_MULTIPLE':
+            question.options = options;
+            // "B" or "A|C" pick options by letter when no option has that text
+            question.correct_answer = answers.map(a => (
+                options.includes(a) || !/^[A-Z]$/i.test(a) ? a : options[a.toUpperCase().charCodeAt(0) - 65] ?? a
+            ));
+            break;
+        case 'TRUE_FALSE':
+            question.options = [...TRUE_FALSE_OPTIONS];
+            question.correct_answer = answers.slice(0, 1).map(a => (/^(t|true|yes|1)$/i.test(a) ? 'True' : 'False'));
+            break;
+        case 'NUMERIC':
+            question.correct_answer = [{ value: answers[0] ?? '', tolerance: Math.abs(Number(row.tolerance) || 0) }];
+            break;
+        case 'SHORT_TEXT':
+            question.correct_answer = answers;
+            break;
+        case 'FILL_BLANK':
+            question.correct_answer = String(row.correct_answer || '').split(';').map(blank => splitList(blank));
+            break;
+        case 'MATCHING':
+            question.options = { left: options, right: [] };
+            question.correct_answer = answers;
+            break;
+        case 'ORDERING':
+            question.correct_answer = answers;
+            break;
+        case 'ESSAY':
+            question.options = { min_words: '', max_words: '', rubric: [] };
+            question.correct_answer = String(row.correct_answer || '').trim() ? [String(row.correct_answer).trim()] : [];
+            break;
+        default:
+            break;
+    }
+    return { question };
+}
+
+// ─────────────────────────────────────────────
+// API
+// ─────────────────────────────────────────────
+
+/**
+ * Moodle GIFT text. Questions are separated by blank lines; $CATEGORY
+ * lines become a tag (the category's last part) on the questions after them.
+ */
+export function parseGift(text) {
+    const questions = [];
+    const report = [];
+    let category = null;
+    let chunk = [];
+    let startLine = 1;
+
+    const flush = () => {
+        const body = chunk.join('\n').trim();
+        chunk = [];
+        if (!body) return;
+        const source = `Line ${startLine}`;
+        const { question, error, warnings } = giftQuestion(body, source, category);
+        warnings.forEach(message => report.push({ item: source, severity: 'warning', message }));
+        if (error) report.push(errorEntry(source, error));
+        else questions.push(question);
+    };
+
+    String(text || '').replace(/^\uFEFF/, '').split(/\r?\n/).forEach((line, i) => {
+        const trimmed = line.trim();
+        if (trimmed.startsWith('//')) return;
+        const cat = trimmed.match(/^\$CATEGORY:\s*(.+)$/i);
+        if (cat) {
+            flush();
+            category = normalizeTags([cat[1].split('/').pop().replace(/^\$\w+\$/, '')])[0] || null;
+            return;
+        }
+        if (!trimmed) { flush(); return; }
+        if (chunk.length === 0) startLine = i + 1;
+        chunk.push(line);
+    });
+    flush();
+    return { format: 'gift', title: null, durationMinutes: null, sections: [], questions, report };
+}
+
+/** Aiken text: question, lettered options, then "ANSWER: X". */
+export function parseAiken(text) {
+    const questions = [];
+    const report = [];
+    let current = null;
+
+    String(text || '').replace(/^\uFEFF/, '').split(/\r?\n/).forEach((line, i) => {
+        const trimmed = line.trim();
+        if (!trimmed) return;
+        if (!current) current = { source: `Line ${i + 1}`, text: [], options: [] };
+
+        const option = trimmed.match(/^([A-Z])[.)]\s+(.*)$/);
+        const answer = trimmed.match(/^ANSWER:\s*([A-Z])\s*$/i);
+        if (answer) {
+            const index = answer[1].toUpperCase().charCodeAt(0) - 65;
+            if (current.options.length < 2) report.push(errorEntry(current.source, 'fewer than two options'));
+            else if (!current.options[index]) report.push(errorEntry(current.source, `answer ${answer[1]} is not one of the options`));
+            else {
+                questions.push({
+                    source: current.source, question_text: current.text.join('\n'), question_type: 'MCQ_SINGLE',
+                    options: current.options, correct_answer: [current.options[index]], marks: 1, negative_marks: 0,
+                });
+            }
+            current = null;
+        } else if (option && option[1].charCodeAt(0) - 65 === current.options.length && current.text.length > 0) {
+            current.options.push(option[2].trim());
+        } else if (current.options.length === 0) {
+            current.text.push(trimmed);
+        } else {
+            report.push(errorEntry(current.source, `line ${i + 1} is neither an option nor the ANSWER line`));
+            current = null;
+        }
+    });
+    if (current) report.push(errorEntry(current.source, 'no ANSWER line'));
+    return { format: 'aiken', title: null, durationMinutes: null, sections: [], questions, report };
+}
+
+/**
+ * Spreadsheet rows (CSV or XLSX); the first row names the columns (see
+ * SPREADSHEET_COLUMNS — unknown columns are ignored, order is free).
+ * @param {string[][]} rows
+ */
+export function parseSpreadsheet(rows, format = 'csv') {
+    const questions = [];
+    const report = [];
+    const header = (rows[0] || []).map(h => String(h).trim().toLowerCase().replace(/\s+/g, '_'));
+    const missing = ['question_type', 'question_text'].filter(c => !header.includes(c));
+    if (missing.length) {
+        report.push({ item: 'Row 1', severity: 'error', message: `missing column${missing.length > 1 ? 's' : ''} ${missing.join(', ')}` });
+        return { format, title: null, durationMinutes: null, sections: [], questions, report };
+    }
+    rows.slice(1).forEach((cells, i) => {
+        const source = `Row ${i + 2}`;
+        const row = Object.fromEntries(header.map((h, j) => [h, cells[j] ?? '']));
+        const { question, error } = rowQuestion(row, source);
+        if (error) report.push(errorEntry(source, error));
+        else questions.push(question);
+    });
+    return { format, title: null, durationMinutes: null, sections: [], questions, report };
+}
+
+/** Aiken files are options and ANSWER lines; anything with { } blocks is GIFT. */
+export function detectTextFormat(text) {
+    if (/^ANSWER:\s*[A-Z]\s*$/im.test(text) && !/\{[^}]*\}/.test(text)) return 'aiken';
+    return 'gift';
+}
+
+/**
+ * Read an uploaded question file of any supported format.
+ * @param {File} file
+ * @returns {Promise<{ format: string, title: string | null, durationMinutes: number | null,
+ *   sections: object[], questions: object[], report: object[] }>}
+ */
+export async function readQuestionFile(file) {
+    const ext = file.name.toLowerCase().split('.').pop();
+    if (ext === 'zip' || ext === 'xml') return { format: 'qti', ...(await readQtiFile(file)) };
+    if (ext === 'xlsx') return parseSpreadsheet(await readXlsx(file), 'xlsx');
+    const text = await file.text();
+    if (ext === 'csv') return parseSpreadsheet(parseCsv(text), 'csv');
+    return detectTextFormat(text) === 'aiken' ? parseAiken(text) : parseGift(text);
+}
+
+/**
+ * Each question with the problem saving it would hit, if any.
+ * @param {object[]} questions — authoring form
+ * @returns {Array<{ question: object, prepared: object, problem: string | null }>}
+ */
+export function previewQuestions(questions) {
+    return questions.map(question => {
+        const prepared = prepareQuestion({
+            ...question, marks: parseInt(question.marks) || 1, negative_marks: parseInt(question.negative_marks) || 0,
+        });
+        const problem = validateQuestion(prepared)
+            || (String(prepared.question_text || '').trim() ? null : 'the question text is empty');
+        return { question, prepared, problem };
+    });
+}
+
+/** Download the spreadsheet template with one example row per type. */
+export function downloadSpreadsheetTemplate() {
+    downloadBlob(new Blob([SPREADSHEET_TEMPLATE], { type: 'text/csv' }), 'questions_template.csv');
+}
@@ -0,0 +1,136 @@
+/**
+ * Question Paper — the questions one exam session actually got.
+ *
+ * When a session is created, the draw_session_paper trigger
+ * (supabase/question_pools_migration.sql) copies the test's fixed questions
+ * (test_questions) into session_questions and adds a random draw from the bank
+ * for each pool rule (test_question_pools). Everything that looks at a
+ * candidate's questions — the exam, grade-exam, the result page, exports and
+ * essay grading — reads that paper. Sessions created before pools existed
+ * have no paper rows and fall back to the test's fixed questions.
+ *
+ * Paper and test rows pin a question version (question_versions_migration.sql),
+ * so a question shows the text and answer key it had when the test was set,
+ * however the bank question has been corrected since.
+ */
+
+// ─────────────────────────────────────────────
+// CONFIGURATION
+// ─────────────────────────────────────────────
+
+// Embeds for paper rows: the bank question and the pinned version. Exam
+// clients leave out correct_answer — grading happens in grade-exam.
+const WITH_KEY = 'questions(*), question_versions(*)';
+const WITHOUT_KEY = 'questions(id, question_text, question_type, options, marks), '
+    + 'question_versions(id, version, question_text, question_type, options, marks)';
+
+// Version fields that replace the bank question's current content
+const VERSION_CONTENT = ['question_text', 'question_type', 'options', 'correct_answer'];
+
+// ─────────────────────────────────────────────
+// HELPERS
+// ─────────────────────────────────────────────
+
+/**
+ * Paper rows as question objects: the pinned version's content, the paper's
+ * marks and section. Rows without a pinned version use the bank question.
+ * @param {object[]} links — rows with marks, negative_marks, section_id, questions, question_versions
+ */
+export function flattenPaper(links) {
+    return (links || []).filter(l => l.questions).map(l => {
+        const pinned = l.question_versions;
+        const content = {};
+        if (pinned) VERSION_CONTENT.forEach(f => { if (f in pinned) content[f] = pinned[f]; });
+        return {
+            ...l.questions,
+            ...content,
+            version: pinned?.version ?? null,
+            question_version_id: pinned?.id ?? null,
+            marks: l.marks ?? pinned?.marks ?? l.questions.marks,
+            negative_marks: l.negative_marks ?? l.questions.negative_marks,
+            section_id: l.section_id ?? null,
+        };
+    });
+}
+
+// ─────────────────────────────────────────────
+// API
+// ─────────────────────────────────────────────
+
+/**
+ * One session's questions in paper order.
+ * @param {object} supabase — client
+ * @param {{ id: string, test_id: string }} session
+ * @param {{ answerKey?: boolean }} [options] — answerKey: false leaves out
+ *   correct_answer (exam clients)
+ * @returns {Promise<object[]>} flattened questions (see flattenPaper)
+ */
+export async function fetchPaper(supabase, session, { answerKey = true } = {}) {
+    const select = `marks, negative_marks, section_id, ${answerKey ? WITH_KEY : WITHOUT_KEY}`;
+    const { data, error } = await supabase
+        .from('session_questions').select(select).eq('session_id', session.id).order('question_order');
+    if (error) throw error;
+    if (data?.length) return flattenPaper(data);
+
+    const { data: fixed, error: fixedErr } = await supabase
+        .from('test_questions').select(select).eq('test_id', session.test_id).order('question_order');
+    if (fixedErr) throw fixedErr;
+    return flattenPaper(fixed);
+}
+
+/**
+ * Every question that appears on any of a test's papers — the fixed questions
+ * first, then drawn ones in the order they were first drawn — and which
+ * questions each session got.
+ * @param {object} supabase — client
+ * @param {string} testId
+ * @param {string[]} sessionIds
+ * @returns {Promise<{ questions: object[], papers: Map<string, Set<string>> }>}
+ *   papers maps session id → question ids on that session's paper
+ */
+export async function fetchTestPapers(supabase, testId, sessionIds) {
+    const { data: fixed, error } = await supabase
+        .from('test_questions').select(`marks, negative_marks, section_id, ${WITH_KEY}`)
+        .eq('test_id', testId).order('question_order');
+    if (error) throw error;
+
+    let drawn = [];
+    if (sessionIds.length > 0) {
+        const { data, error: drawnErr } = await supabase
+            .from('session_questions').select(`session_id, marks, negative_marks, section_id, ${WITH_KEY}`)
+            .in('session_id', sessionIds).order('question_order');
+        if (drawnErr) throw drawnErr;
+        drawn = data || [];
+    }
+
+    const questions = flattenPaper(fixed);
+    const fixedIds = new Set(questions.map(q => q.id));
+    const seen = new Set(fixedIds);
+    flattenPaper(drawn).forEach(q => {
+        if (!seen.has(q.id)) {
+            seen.add(q.id);
+            questions.push(q);
+        }
+    });
+
+    const papers = new Map(sessionIds.map(id => [id, new Set()]));
+    drawn.forEach(l => papers.get(l.session_id)?.add(l.questions?.id));
+    papers.forEach((ids, id) => { if (ids.size === 0) papers.set(id, fixedIds); });
+
+    return { questions, papers };
+}
+
+/**
+ * How many bank questions a pool rule can draw from.
+ * @param {object} supabase — client
+ * @param {{ difficulty?: string, tags?: string[], question_type?: string }} rule
+ */
+export async function countPoolMatches(supabase, { difficulty, tags, question_type: questionType }) {
+    let query = supabase.from('questions').select('id', { count: 'exact', head: true });
+    if (difficulty) query = query.eq('difficulty', difficulty);
+    if (questionType) query = query.eq('question_type', questionType);
+    if (tags?.length) query = query.contains('tags', tags);
+    const { count, error } = await query;
+    if (error) throw error;
+    return count || 0;
+}
@@ -0,0 +1,311 @@
+/**
+ * Question Types — authoring defaults, validation and display helpers for
+ * every supported questions.question_type.
+ *
+ * Grading rules (and the JSON shapes of correct_answer / selected_answer)
+ * live in supabase/functions/_shared/grading.js so the grade-exam edge
+ * function and the web app score answers identically.
+ *
+ * Exam clients never receive correct_answer, so types whose options would
+ * otherwise give the answer away (MATCHING, ORDERING) store their options
+ * shuffled — see prepareQuestion(). CODE questions keep their hidden tests
+ * in correct_answer for the same reason; the runner that executes them is
+ * shared too (supabase/functions/_shared/codeRunner.js).
+ */
+import { CODE_LANGUAGES } from '../../supabase/functions/_shared/codeRunner.js';
+
+export {
+    gradeAnswer, gradeAdjusted, answerShare, isAnswered, normalizeText, PARTIAL_CREDIT_TYPES, MANUAL_TYPES,
+} from '../../supabase/functions/_shared/grading.js';
+export { runTests, passedShare, CODE_LANGUAGES } from '../../supabase/functions/_shared/codeRunner.js';
+
+// ─────────────────────────────────────────────
+// CONFIGURATION
+// ─────────────────────────────────────────────
+export const QUESTION_TYPES = {
+    MCQ_SINGLE: 'MCQ Single',
+    MCQ_MULTIPLE: 'MCQ Multiple',
+    TRUE_FALSE: 'True / False',
+    NUMERIC: 'Numeric',
+    SHORT_TEXT: 'Short Text',
+    FILL_BLANK: 'Fill in the Blanks',
+    MATCHING: 'Matching',
+    ORDERING: 'Ordering',
+    ESSAY: 'Essay',
+    CODE: 'Code',
+};
+
+export const TRUE_FALSE_OPTIONS = ['True', 'False'];
+
+// Three or more underscores in the question text mark a blank
+export const BLANK_MARKER = '___';
+const BLANK_PATTERN = /_{3,}/g;
+
+// CODE function names must be valid identifiers
+const FUNCTION_NAME_PATTERN = /^[A-Za-z_][A-Za-z0-9_]*$/;
+
+// questions.difficulty; pool rules draw by difficulty and tags
+export const DIFFICULTIES = ['Easy', 'Medium', 'Hard'];
+
+// ─────────────────────────────────────────────
+// AUTHORING
+// ─────────────────────────────────────────────
+
+/**
+ * Empty options / correct_answer for a freshly picked question type.
+ * @param {string} type — question_type
+ */
+export function blankAnswerKey(type) {
+    switch (type) {
+        case 'TRUE_FALSE': return { options: [...TRUE_FALSE_OPTIONS], correct_answer: [] };
+        case 'NUMERIC': return { options: [], correct_answer: [{ value: '', tolerance: 0 }] };
+        case 'SHORT_TEXT': return { options: [], correct_answer: [''] };
+        case 'FILL_BLANK': return { options: [], correct_answer: [] };
+        case 'MATCHING': return { options: { left: ['', '', ''], right: [] }, correct_answer: ['', '', ''] };
+        case 'ORDERING': return { options: [], correct_answer: ['', '', ''] };
+        case 'ESSAY': return { options: { min_words: '', max_words: '', rubric: [] }, correct_answer: [] };
+        case 'CODE': return {
+            options: { language: 'javascript', function_name: 'solve', starter_code: '', samples: [{ args: '', expected: '' }] },
+            correct_answer: [{ args: '', expected: '' }],
+        };
+        default: return { options: ['', '', '', ''], correct_answer: [] };
+    }
+}
+
+/** Tags as stored: trimmed, lower case, no duplicates. */
+export function normalizeTags(tags) {
+    return [...new Set((tags || []).map(t => String(t).trim().toLowerCase()).filter(Boolean))];
+}
+
+/** Words in an essay answer. */
+export function countWords(text) {
+    return String(text || '').trim().split(/\s+/).filter(Boolean).length;
+}
+
+/** Sum of an essay rubric's criterion marks. */
+export function rubricTotal(rubric) {
+    return (rubric || []).reduce((sum, c) => sum + (Number(c.marks) || 0), 0);
+}
+
+/** Number of blanks marked in a FILL_BLANK question text. */
+export function countBlanks(text) {
+    return (String(text || '').match(BLANK_PATTERN) || []).length;
+}
+
+/**
+ * Question text as shown to students — FILL_BLANK markers become numbered
+ * gaps that line up with the numbered inputs.
+ * @param {object} question
+ */
+export function displayText(question) {
+    if (question?.question_type !== 'FILL_BLANK') return question?.question_text || '';
+    let n = 0;
+    return (question.question_text || '').replace(BLANK_PATTERN, () => `(${++n}) ______`);
+}
+
+/** Test case arguments as typed by an author: "2, [1, 3]". */
+export function formatTestArgs(args) {
+    return (Array.isArray(args) ? args : []).map(a => JSON.stringify(a)).join(', ');
+}
+
+/**
+ * Stored question in the form the authoring editors work on — CODE test
+ * cases go back to the JSON text an author types. prepareQuestion() undoes it.
+ * @param {object} question — questions row (or a question version)
+ */
+export function editableQuestion(question) {
+    if (question?.question_type !== 'CODE') return question;
+    const typed = (list) => (list || []).map(t => ({ args: formatTestArgs(t.args), expected: JSON.stringify(t.expected) }));
+    return {
+        ...question,
+        options: { ...question.options, samples: typed(question.options?.samples) },
+        correct_answer: typed(question.correct_answer),
+    };
+}
+
+/**
+ * Authored CODE test case → { args, expected }. Arguments are a comma
+ * separated list of JSON values, expected is one JSON value; a test that
+ * does not parse comes back with invalid: true.
+ * @param {{ args: string, expected: string }} test
+ */
+function parseTestCase(test) {
+    try {
+        const args = Array.isArray(test.args) ? test.args : JSON.parse(`[${String(test.args ?? '').trim()}]`);
+        return { args, expected: JSON.parse(String(test.expected ?? '').trim()) };
+    } catch {
+        return { ...test, invalid: true };
+    }
+}
+
+/** Shuffled copy that differs from the input whenever that is possible. */
+function shuffled(items) {
+    const out = [...items];
+    for (let i = out.length - 1; i > 0; i--) {
+        const j = Math.floor(Math.random() * (i + 1));
+        [out[i], out[j]] = [out[j], out[i]];
+    }
+    if (new Set(items).size > 1 && out.every((v, i) => v === items[i])) out.push(out.shift());
+    return out;
+}
+
+/**
+ * Normalised copy of an authored question, ready to insert: trims text,
+ * drops empty entries and derives the student-facing options.
+ * @param {object} q — question being edited in TestCreation
+ */
+export function prepareQuestion(q) {
+    const trimList = (list) => (list || []).map(v => String(v ?? '').trim()).filter(Boolean);
+
+    switch (q.question_type) {
+        case 'TRUE_FALSE':
+            return { ...q, options: [...TRUE_FALSE_OPTIONS] };
+        case 'NUMERIC': {
+            const key = q.correct_answer?.[0] || {};
+            const value = String(key.value ?? '').trim() === '' ? null : Number(key.value);
+            return { ...q, options: [], correct_answer: [{ value, tolerance: Math.abs(Number(key.tolerance) || 0) }] };
+        }
+        case 'SHORT_TEXT':
+            return { ...q, options: [], correct_answer: trimList(q.correct_answer) };
+        case 'FILL_BLANK':
+            return { ...q, options: [], correct_answer: (q.correct_answer || []).map(trimList) };
+        case 'MATCHING': {
+            const pairs = (q.options?.left || [])
+                .map((left, i) => [String(left).trim(), String(q.correct_answer?.[i] ?? '').trim()])
+                .filter(([left, right]) => left && right);
+            const right = pairs.map(([, r]) => r);
+            return {
+                ...q,
+                options: { left: pairs.map(([l]) => l), right: shuffled([...new Set(right)]) },
+                correct_answer: right,
+            };
+        }
+        case 'ORDERING': {
+            const items = trimList(q.correct_answer);
+            return { ...q, options: shuffled(items), correct_answer: items };
+        }
+        case 'ESSAY': {
+            const limit = (v) => (parseInt(v) > 0 ? parseInt(v) : null);
+            const rubric = (q.options?.rubric || [])
+                .map(c => ({ criterion: String(c.criterion || '').trim(), marks: Number(c.marks) || 0 }))
+                .filter(c => c.criterion);
+            return {
+                ...q,
+                options: { min_words: limit(q.options?.min_words), max_words: limit(q.options?.max_words), rubric },
+                correct_answer: trimList(q.correct_answer).slice(0, 1),
+            };
+        }
+        case 'CODE': {
+            const opts = q.options || {};
+            const tests = (list) => (list || [])
+                .filter(t => String(t.args ?? '').trim() || String(t.expected ?? '').trim())
+                .map(parseTestCase);
+            return {
+                ...q,
+                options: {
+                    language: opts.language || 'javascript',
+                    function_name: String(opts.function_name || '').trim(),
+                    starter_code: opts.starter_code || '',
+                    samples: tests(opts.samples),
+                },
+                correct_answer: tests(q.correct_answer),
+            };
+        }
+        default:
+            // correct_answer holds the option text verbatim — drop empty options, don't trim
+            return { ...q, options: (q.options || []).filter(o => String(o ?? '').trim()) };
+    }
+}
+
+/**
+ * First problem with an authored question's answer key, or null if it can be saved.
+ * Expects the output of prepareQuestion().
+ * @param {object} q
+ */
+export function validateQuestion(q) {
+    const key = q.correct_answer || [];
+    switch (q.question_type) {
+        case 'MCQ_SINGLE':
+        case 'TRUE_FALSE':
+            return key.length === 1 ? null : 'mark exactly one correct option';
+        case 'MCQ_MULTIPLE':
+            return key.length > 0 ? null : 'mark at least one correct option';
+        case 'NUMERIC':
+            return Number.isFinite(key[0]?.value) ? null : 'enter the numeric answer';
+        case 'SHORT_TEXT':
+            return key.length > 0 ? null : 'add at least one accepted answer';
+        case 'FILL_BLANK': {
+            const blanks = countBlanks(q.question_text);
+            if (blanks === 0) return `mark each blank in the text with ${BLANK_MARKER}`;
+            return key.length === blanks && key.every(a => a.length > 0) ? null : 'add an accepted answer for every blank';
+        }
+        case 'MATCHING':
+            return key.length >= 2 ? null : 'add at least two complete pairs';
+        case 'ORDERING':
+            return key.length >= 2 ? null : 'add at least two items';
+        case 'ESSAY': {
+            const { min_words, max_words, rubric } = q.options || {};
+            if (min_words && max_words && min_words > max_words) return 'minimum words is above the maximum';
+            if (rubric?.length && rubricTotal(rubric) !== q.marks) {
+                return `rubric criteria add up to ${rubricTotal(rubric)} marks, the question is worth ${q.marks}`;
+            }
+            return null;
+        }
+        case 'CODE': {
+            const { language, function_name, samples } = q.options || {};
+            if (!CODE_LANGUAGES[language]) return 'choose a language the code runner supports';
+            if (!FUNCTION_NAME_PATTERN.test(function_name || '')) return 'enter the name of the function students write';
+            if ([...(samples || []), ...key].some(t => t.invalid)) return 'test arguments and expected values must be valid JSON';
+            return key.length > 0 ? null : 'add at least one hidden test';
+        }
+        default:
+            return null;
+    }
+}
+
+// ─────────────────────────────────────────────
+// DISPLAY
+// ─────────────────────────────────────────────
+
+/**
+ * Student answer as one line of text (review screens, CSV export).
+ * @param {object} question
+ * @param {Array} answer — answers.selected_answer
+ */
+export function formatAnswer(question, answer) {
+    const given = Array.isArray(answer) ? answer : [];
+    switch (question?.question_type) {
+        case 'FILL_BLANK':
+            return given.map((v, i) => `(${i + 1}) ${v || '—'}`).join('  ');
+        case 'MATCHING':
+            return (question.options?.left || []).map((left, i) => `${left} → ${given[i] || '—'}`).join('; ');
+        case 'ORDERING':
+            return given.join(' → ');
+        default:
+            return given.join(', ');
+    }
+}
+
+/**
+ * Answer key as one line of text.
+ * @param {object} question — with correct_answer
+ */
+export function formatCorrectAnswer(question) {
+    const key = Array.isArray(question?.correct_answer) ? question.correct_answer : [];
+    switch (question?.question_type) {
+        case 'NUMERIC': {
+            const { value, tolerance } = key[0] || {};
+            return tolerance ? `${value} (± ${tolerance})` : String(value ?? '');
+        }
+        case 'SHORT_TEXT':
+            return key.join(' / ');
+        case 'FILL_BLANK':
+            return key.map((accepted, i) => `(${i + 1}) ${[].concat(accepted).join(' / ')}`).join('  ');
+        case 'ESSAY':
+            return key[0] || '(graded manually)';
+        case 'CODE':
+            return `${key.length} hidden test${key.length === 1 ? '' : 's'}`;
+        default:
+            return formatAnswer(question, key);
+    }
+}
@@ -0,0 +1,163 @@
+/**
+ * Question Versions — edit history of a bank question and publishing
+ * corrections.
+ *
+ * Every change to a question's content is kept as an immutable row in
+ * question_versions (supabase/question_versions_migration.sql). Tests pin
+ * the version they were created with and candidates' papers the version
+ * they were drawn at, so a published correction reaches tests set from now
+ * on — past exams are still shown and graded as they were sat.
+ */
+
+import { prepareQuestion, validateQuestion, formatCorrectAnswer } from './questionTypes';
+
+// ─────────────────────────────────────────────
+// CONFIGURATION
+// ─────────────────────────────────────────────
+
+// Past this many words on either side the diff falls back to before/after
+const DIFF_WORD_LIMIT = 600;
+
+// ─────────────────────────────────────────────
+// HELPERS
+// ─────────────────────────────────────────────
+
+/** Question text without markup, for diffs. */
+function textOf(html) {
+    return String(html || '').replace(/<[^>]*>/g, ' ').replace(/&nbsp;/g, ' ').replace(/\s+/g, ' ').trim();
+}
+
+function optionsText(version) {
+    const opts = version?.options;
+    if (Array.isArray(opts)) return opts.join(' | ');
+    if (opts?.left) return `${opts.left.join(' | ')} ⇄ ${(opts.right || []).join(' | ')}`;
+    return JSON.stringify(opts || {});
+}
+
+/**
+ * Word-level diff of two texts (longest common subsequence).
+ * @returns {Array<{ op: 'same' | 'added' | 'removed', text: string }>}
+ */
+export function diffWords(before, after) {
+    const a = textOf(before).split(' ').filter(Boolean);
+    const b = textOf(after).split(' ').filter(Boolean);
+    if (a.length > DIFF_WORD_LIMIT || b.length > DIFF_WORD_LIMIT) {
+        return [{ op: 'removed', text: a.join(' ') }, { op: 'added', text: b.join(' ') }].filter(p => p.text);
+    }
+
+    // lcs[i][j] = common words of a[i..] and b[j..]
+    const lcs = Array.from({ length: a.length + 1 }, () => new Array(b.length + 1).fill(0));
+    for (let i = a.length - 1; i >= 0; i--) {
+        for (let j = b.length - 1; j >= 0; j--) {
+            lcs[i][j] = a[i] === b[j] ? lcs[i + 1][j + 1] + 1 : Math.max(lcs[i + 1][j], lcs[i][j + 1]);
+        }
+    }
+
+    const parts = [];
+    const push = (op, word) => {
+        const last = parts[parts.length - 1];
+        if (last?.op === op) last.text += ` ${word}`;
+        else parts.push({ op, text: word });
+    };
+    let i = 0, j = 0;
+    while (i < a.length && j < b.length) {
+        if (a[i] === b[j]) { push('same', a[i]); i++; j++; }
+        else if (lcs[i + 1][j] >= lcs[i][j + 1]) push('removed', a[i++]);
+        else push('added', b[j++]);
+    }
+    while (i < a.length) push('removed', a[i++]);
+    while (j < b.length) push('added', b[j++]);
+    return parts;
+}
+
+/**
+ * What changed from one version to the next.
+ * @param {object | null} previous — the earlier version (null for version 1)
+ * @param {object} version
+ * @returns {Array<{ field: string, before: string, after: string, diff?: Array }>}
+ *   question text changes come with a word diff
+ */
+export function versionChanges(previous, version) {
+    if (!previous) return [];
+    const changes = [];
+    if (textOf(previous.question_text) !== textOf(version.question_text)) {
+        changes.push({
+            field: 'Question text', before: textOf(previous.question_text), after: textOf(version.question_text),
+            diff: diffWords(previous.question_text, version.question_text),
+        });
+    }
+    const compare = (field, read) => {
+        const before = read(previous);
+        const after = read(version);
+        if (before !== after) changes.push({ field, before, after });
+    };
+    compare('Options', optionsText);
+    if (JSON.stringify(previous.correct_answer) !== JSON.stringify(version.correct_answer)) {
+        const before = formatCorrectAnswer(previous);
+        const after = formatCorrectAnswer(version);
+        // CODE keys only summarise as a test count
+        changes.push({ field: 'Correct answer', before, after: after === before ? `${after} (changed)` : after });
+    }
+    compare('Marks', v => `${v.marks ?? '—'} / −${v.negative_marks ?? 0}`);
+    return changes;
+}
+
+// ─────────────────────────────────────────────
+// API
+// ─────────────────────────────────────────────
+
+/**
+ * Every version of a question, newest first, with its author.
+ * @param {object} supabase — client
+ * @param {string} questionId
+ * @returns {Promise<object[]>} question_versions rows with author
+ */
+export async function fetchVersions(supabase, questionId) {
+    const { data, error } = await supabase
+        .from('question_versions')
+        .select('*, author:created_by(id, full_name, username)')
+        .eq('question_id', questionId)
+        .order('version', { ascending: false });
+    if (error) throw error;
+    return data || [];
+}
+
+/**
+ * Publish corrected content as the question's next version. Tests created
+ * from now on use it; tests already set keep the version they pinned.
+ * @param {object} supabase — client
+ * @param {object} question — questions row being corrected
+ * @param {object} draft — edited question (authoring form, see editableQuestion())
+ * @param {string} note — why it changed
+ * @param {string} userId — who published it
+ * @returns {Promise<object>} the new question_versions row
+ */
+export async function publishVersion(supabase, question, draft, note, userId) {
+    const prepared = prepareQuestion({
+        ...draft,
+        question_type: question.question_type,
+        marks: parseInt(draft.marks) || 0,
+        negative_marks: parseInt(draft.negative_marks) || 0,
+    });
+    const problem = validateQuestion(prepared);
+    if (problem) throw new Error(`Cannot publish: ${problem}`);
+    if (!textOf(prepared.question_text)) throw new Error('Cannot publish: the question text is empty');
+
+    const { data, error } = await supabase.rpc('publish_question_version', {
+        p_question_id: question.id,
+        p_question_text: prepared.question_text,
+        p_options: prepared.options,
+        p_correct_answer: prepared.correct_answer,
+        p_marks: prepared.marks,
+        p_negative_marks: prepared.negative_marks,
+        p_change_note: note,
+        p_author: userId,
+    });
+    if (error) throw error;
+
+    await supabase.from('audit_logs').insert({
+        action: 'QUESTION_VERSION_PUBLISHED', user_id: userId, target_type: 'question', target_id: question.id,
+        details: { version: data.version, change_note: data.change_note },
+    });
+    return data;
+}
@@ -0,0 +1,269 @@
+/**
+ * Re-grade — fix the answer key of a test that has already been sat.
+ *
+ * Papers pin the question version they were set with, so correcting a bank
+ * question never changes past results. Instead a teacher adjusts the key for
+ * one test: replacement keys (accept more than one answer, or a corrected
+ * one) or dropping the question for everyone. Adjustments are kept in
+ * test_key_adjustments (supabase/regrade_migration.sql) and grade-exam
+ * applies them, so later re-grades (essay marking) keep them too.
+ *
+ * The new scores are previewed here with the shared grading rules before
+ * anything is saved; applying re-grades every completed session through
+ * grade-exam, audits the before/after scores and notifies the students whose
+ * score changed.
+ */
+
+import { fetchTestPapers } from './questionPaper';
+import { gradeAnswer, gradeAdjusted, formatCorrectAnswer, MANUAL_TYPES } from './questionTypes';
+
+// ─────────────────────────────────────────────
+// CONFIGURATION
+// ─────────────────────────────────────────────
+
+// Keys picked from the options — each accepted option of a single-answer
+// question is a key of its own
+export const OPTION_KEY_TYPES = ['MCQ_SINGLE', 'TRUE_FALSE', 'MCQ_MULTIPLE'];
+
+// Keys typed into the answer key editor (one replacement key; SHORT_TEXT and
+// FILL_BLANK already accept alternatives separated by |)
+export const EDITABLE_KEY_TYPES = ['NUMERIC', 'SHORT_TEXT', 'FILL_BLANK'];
+
+// Only dropped — a new key would need the code run again or a teacher's marks
+export const DROP_ONLY_TYPES = ['ESSAY', 'CODE'];
+
+// Sessions a re-grade rescores — terminated and invalidated ones keep their
+// voided score (grade-exam refuses them too)
+export const REGRADE_STATUSES = ['completed', 'submitted'];
+
+const round2 = (n) => Math.round(n * 100) / 100;
+
+// ─────────────────────────────────────────────
+// HELPERS
+// ─────────────────────────────────────────────
+
+/** True when an adjustment changes how the question is graded. */
+export const isAdjusted = (adjustment) => !!adjustment && (adjustment.dropped || adjustment.answer_keys?.length > 0);
+
+/** Every answer a re-grade accepts for a question, for review screens. */
+export function formatAcceptedKeys(question, adjustment) {
+    return adjustment.answer_keys.map(key => formatCorrectAnswer({ ...question, correct_answer: key })).join(' or ');
+}
+
+/**
+ * Marks an answer would get with an adjustment (or with none) — grade-exam's
+ * rules, without running code: CODE answers reuse their stored test results.
+ */
+function regradedMarks(question, answer, settings, adjustment) {
+    const item = { question, marks: question.marks ?? 0, penalty: Math.abs(question.negative_marks ?? 0) };
+    const selected = answer?.selected_answer || [];
+    if (isAdjusted(adjustment)) return gradeAdjusted(item, selected, settings, adjustment).marks_awarded;
+    if (!answer) return 0;
+    if (MANUAL_TYPES.includes(question.question_type)) {
+        return answer.grading_status === 'graded' ? Number(answer.marks_awarded) || 0 : 0;
+    }
+    if (question.question_type === 'CODE') {
+        const run = answer.code_results;
+        return gradeAnswer(item, selected, settings, run?.total ? run.passed / run.total : 0).marks_awarded;
+    }
+    return gradeAnswer(item, selected, settings).marks_awarded;
+}
+
+// ─────────────────────────────────────────────
+// API
+// ─────────────────────────────────────────────
+
+/**
+ * A test's re-grade adjustments.
+ * @param {object} supabase — client
+ * @param {string} testId
+ * @returns {Promise<Map<string, object>>} question id → test_key_adjustments row
+ */
+export async function fetchKeyAdjustments(supabase, testId) {
+    const { data, error } = await supabase.from('test_key_adjustments').select('*').eq('test_id', testId);
+    if (error) throw error;
+    return new Map((data || []).map(a => [a.question_id, a]));
+}
+
+/**
+ * Everything the re-grade dialog needs for one test.
+ * @param {object} supabase — client
+ * @param {string} testId
+ * @returns {Promise<{ sessions: object[], questions: object[], papers: Map, answers: object[],
+ *   adjustments: object[], bankKeys: Map<string, { correct_answer: Array, options: any }> }>}
+ *   questions are every question on any paper (pinned content); bankKeys is
+ *   each question's current bank content, to offer a correction published since
+ */
+export async function loadRegrade(supabase, testId) {
+    const { data: sessions, error: sErr } = await supabase
+        .from('exam_sessions')
+        .select('id, student_id, status, score, grading_status, users:student_id(username, full_name)')
+        .eq('test_id', testId)
+        .in('status', REGRADE_STATUSES);
+    if (sErr) throw sErr;
+
+    const sessionIds = (sessions || []).map(s => s.id);
+    const { questions, papers } = await fetchTestPapers(supabase, testId, sessionIds);
+
+    let answers = [];
+    if (sessionIds.length > 0) {
+        const { data, error } = await supabase
+            .from('answers')
+            .select('session_id, question_id, selected_answer, marks_awarded, grading_status, code_results')
+            .in('session_id', sessionIds);
+        if (error) throw error;
+        answers = data || [];
+    }
+
+    const adjustments = [...(await fetchKeyAdjustments(supabase, testId)).values()];
+
+    let bankKeys = new Map();
+    if (questions.length > 0) {
+        const { data: bank, error: bErr } = await supabase
+            .from('questions').select('id, correct_answer, options').in('id', questions.map(q => q.id));
+        if (bErr) throw bErr;
+        bankKeys = new Map((bank || []).map(q => [q.id, q]));
+    }
+
+    return { sessions: sessions || [], questions, papers, answers, adjustments, bankKeys };
+}
+
+/**
+ * Scores every session would get with the given adjustments. Questions no
+ * adjustment touches (now or before) keep the marks they were given.
+ * @param {{ sessions: object[], questions: object[], papers: Map, answers: object[] }} data — from loadRegrade()
+ * @param {object} settings — tests.settings
+ * @param {Map<string, object>} next — question id → adjustment being applied
+ * @param {Map<string, object>} previous — question id → adjustment already saved
+ * @returns {Array<{ session: object, before: number | null, after: number, delta: number }>}
+ */
+export function previewRegrade({ sessions, questions, papers, answers }, settings, next, previous) {
+    const answerOf = new Map(answers.map(a => [`${a.session_id}:${a.question_id}`, a]));
+    const byId = new Map(questions.map(q => [q.id, q]));
+
+    return sessions.map(session => {
+        let total = 0;
+        (papers.get(session.id) || new Set()).forEach(id => {
+            const question = byId.get(id);
+            if (!question) return;
+            const answer = answerOf.get(`${session.id}:${id}`);
+            total += isAdjusted(next.get(id)) || isAdjusted(previous.get(id))
+                ? regradedMarks(question, answer, settings, next.get(id))
+                : Number(answer?.marks_awarded) || 0;
+        });
+        const after = round2(Math.max(0, total));
+        const before = session.score === null || session.score === undefined ? null : Number(session.score);
+        return { session, before, after, delta: round2(after - (before ?? 0)) };
+    });
+}
+
+/**
+ * Put a test's key adjustments back to the rows saved before a re-grade.
+ * @param {object} supabase — client
+ * @param {string} testId
+ * @param {Map<string, object>} previous — question id → test_key_adjustments row
+ */
+async function restoreKeyAdjustments(supabase, testId, previous) {
+    const { error } = await supabase.from('test_key_adjustments').delete().eq('test_id', testId);
+    if (error) throw error;
+    if (previous.size === 0) return;
+    const { error: insertErr } = await supabase.from('test_key_adjustments').insert([...previous.values()]);
+    if (insertErr) throw insertErr;
+}
+
+/**
+ * Save the adjustments and re-grade every completed session of the test
+ * through grade-exam, then audit the change and notify each student whose
+ * score moved. When every re-grade fails the previous adjustments are
+ * restored and an error is thrown instead.
+ * @param {object} supabase — client
+ * @param {{ test: object, sessions: object[], adjustments: Map<string, object>, previous: Map<string, object>, userId: string }} regrade
+ *   adjustments: question id → { answer_keys, dropped, note } (unadjusted entries are removed)
+ * @returns {Promise<{ rows: object[], failed: object[], notified: number }>}
+ *   rows: { session, before, after, delta } with the scores grade-exam wrote
+ */
+export async function applyRegrade(supabase, { test, sessions, adjustments, previous, userId }) {
+    const keep = [...adjustments.entries()].filter(([, a]) => isAdjusted(a));
+    if (keep.length > 0) {
+        const { error } = await supabase.from('test_key_adjustments').upsert(keep.map(([questionId, a]) => ({
+            test_id: test.id,
+            question_id: questionId,
+            answer_keys: a.dropped ? [] : a.answer_keys,
+            dropped: !!a.dropped,
+            note: a.note?.trim() || null,
+            created_by: userId,
+        })), { onConflict: 'test_id,question_id' });
+        if (error) throw error;
+    }
+    const removed = [...previous.keys()].filter(id => !isAdjusted(adjustments.get(id)));
+    if (removed.length > 0) {
+        const { error } = await supabase.from('test_key_adjustments')
+            .delete().eq('test_id', test.id).in('question_id', removed);
+        if (error) throw error;
+    }
+
+    // One at a time: CODE answers run their hidden tests again
+    const failed = [];
+    for (const session of sessions) {
+        const { data, error } = await supabase.functions.invoke('grade-exam', { body: { sessionId: session.id } });
+        if (error || data?.error) {
+            console.warn('[Regrade] Re-grade failed:', session.id, error || data.error);
+            failed.push({ session, error: data?.error || error.message });
+        }
+    }
+
+    // Nothing was re-graded: put the saved keys back so scores and keys agree,
+    // and leave no audit entry or notices for a re-grade that didn't happen
+    if (sessions.length > 0 && failed.length === sessions.length) {
+        await restoreKeyAdjustments(supabase, test.id, previous);
+        throw new Error(`Re-grade failed for every session (${failed[0].error}) — the answer key changes were not kept.`);
+    }
+
+    const { data: after, error: readErr } = await supabase
+        .from('exam_sessions').select('id, score, grading_status').in('id', sessions.map(s => s.id));
+    if (readErr) throw readErr;
+    const now = new Map((after || []).map(s => [s.id, s]));
+    const rows = sessions.map(session => {
+        const before = session.score === null || session.score === undefined ? null : Number(session.score);
+        const score = now.get(session.id)?.score;
+        const updated = score === null || score === undefined ? null : Number(score);
+        return {
+            session: { ...session, ...now.get(session.id) },
+            before,
+            after: updated,
+            delta: round2((updated ?? 0) - (before ?? 0)),
+        };
+    });
+    const changed = rows.filter(r => r.delta !== 0);
+
+    await supabase.from('audit_logs').insert({
+        action: 'TEST_REGRADED',
+        user_id: userId,
+        target_type: 'test',
+        target_id: test.id,
+        details: {
+            adjustments: keep.map(([questionId, a]) => ({
+                question_id: questionId, dropped: !!a.dropped, answer_keys: a.dropped ? [] : a.answer_keys, note: a.note || null,
+            })),
+            removed_adjustments: removed,
+            sessions: sessions.length,
+            changed: changed.map(r => ({ session_id: r.session.id, student_id: r.session.student_id, before: r.before, after: r.after })),
+            failed: failed.map(f => f.session.id),
+        },
+    });
+
+    // Students still waiting for essay marks aren't told their score yet
+    const notices = await Promise.allSettled(changed.map(r => supabase.functions.invoke('send-notification', {
+        body: {
+            userId: r.session.student_id,
+            type: 'RESULT_REGRADED',
+            message: r.session.grading_status === 'pending'
+                ? `Your result for "${test.title}" was re-graded after an answer key correction.`
+                : `Your result for "${test.title}" was re-graded after an answer key correction: ${r.before ?? '—'} → ${r.after} / ${test.total_marks}.`,
+            metadata: { test_id: test.id, session_id: r.session.id, before: r.before, after: r.after },
+        },
+    })));
+    const notified = notices.filter(n => n.status === 'fulfilled' && !n.value.error && !n.value.data?.error).length;
+
+    return { rows, failed, notified };
+}
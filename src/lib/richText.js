@@ -0,0 +1,251 @@
+/**
+ * Rich Text — the markup question and option text is written in, as the
+ * RichTextEditor toolbar inserts it:
+ *
+ *   **bold**  *italic*  `code`  [text](url)
+ *   ![caption](url) — an image, audio clip or PDF (src/lib/questionAttachments.js)
+ *   - bullet / 1. numbered lines
+ *   ```lang … ``` code blocks, syntax highlighted
+ *   $…$ or \(…\) inline maths, $$…$$ or \[…\] display maths (LaTeX, KaTeX)
+ *
+ * parseRichText() turns text into blocks of inline nodes for
+ * src/components/RichText.jsx to render. Nothing is turned into HTML here
+ * except KaTeX's own output, so question text can't inject markup.
+ */
+import katex from 'katex';
+
+// ─────────────────────────────────────────────
+// CONFIGURATION
+// ─────────────────────────────────────────────
+
+// An inline $…$ needs no space inside the dollars and no digit after the
+// closing one, so prices like "$5 and $10" stay text
+const INLINE_PATTERN = new RegExp([
+    /\\\$/.source,                                          // escaped dollar
+    /\$(?!\s)((?:\\.|[^$\\\n])+?)(?<!\s)\$(?!\d)/.source,   // $maths$
+    /\\\((.+?)\\\)/.source,                                 // \(maths\)
+    /`([^`\n]+)`/.source,                                   // `code`
+    /!\[([^\]\n]*)\]\(([^)\s]+)\)/.source,                  // ![alt](src)
+    /\[([^\]\n]+)\]\(([^)\s]+)\)/.source,                   // [text](href)
+    /\*\*(?!\s)(.+?)(?<!\s)\*\*/.source,                    // **bold**
+    /\*(?![\s*])(.+?)(?<![\s*])\*/.source,                  // *italic*
+].join('|'), 'g');
+
+const FENCE = /^\s*```\s*([\w+#-]*)\s*$/;
+const BULLET = /^\s*[-*]\s+(.*)$/;
+const NUMBERED = /^\s*\d+[.)]\s+(.*)$/;
+
+const LANGUAGE_ALIASES = {
+    js: 'javascript', jsx: 'javascript', ts: 'javascript', typescript: 'javascript', node: 'javascript',
+    py: 'python', python3: 'python',
+    cpp: 'c', 'c++': 'c', cc: 'c', h: 'c', cs: 'c', csharp: 'c', 'c#': 'c',
+    kotlin: 'java', kt: 'java',
+    postgres: 'sql', postgresql: 'sql', mysql: 'sql', sqlite: 'sql',
+};
+
+const KEYWORDS = {
+    javascript: `async await break case catch class const continue debugger default delete do else export extends
+        false finally for from function if import in instanceof let new null of return static super switch this
+        throw true try typeof undefined var void while yield`,
+    python: `and as assert async await break class continue def del elif else except False finally for from global
+        if import in is lambda None nonlocal not or pass print raise return self True try while with yield`,
+    java: `abstract boolean break byte case catch char class const continue default do double else enum extends
+        false final finally float for if implements import instanceof int interface long new null package private
+        protected public return short static String super switch synchronized this throw throws true try var void
+        volatile while`,
+    c: `auto bool break case catch char class const continue default delete do double else enum extern false
+        float for goto if include inline int long namespace new NULL nullptr private protected public return short
+        signed sizeof static std string struct switch template this throw true try typedef typename union unsigned
+        using virtual void volatile while`,
+    sql: `add all alter and as asc avg between by case count create default delete desc distinct drop else end
+        exists foreign from group having in index inner insert into is join key left like limit max min not null on
+        or order outer primary references right select set sum table then union unique update values view when where`,
+};
+
+// Comments, and Python's docstrings (highlighted as strings)
+const COMMENT_PATTERNS = {
+    python: [/#.*/, /"""[\s\S]*?"""/, /'''[\s\S]*?'''/],
+    sql: [/--.*/, /\/\*[\s\S]*?\*\//],
+    default: [/\/\/.*/, /\/\*[\s\S]*?\*\//],
+};
+
+// ─────────────────────────────────────────────
+// HELPERS
+// ─────────────────────────────────────────────
+
+function safeUrl(url) {
+    return /^(https?:|data:image\/)/i.test(url) ? url : null;
+}
+
+function parseInline(text) {
+    const nodes = [];
+    let last = 0;
+    const pushText = (t) => {
+        if (!t) return;
+        const prev = nodes[nodes.length - 1];
+        if (prev?.type === 'text') prev.text += t;
+        else nodes.push({ type: 'text', text: t });
+    };
+
+    for (const m of text.matchAll(INLINE_PATTERN)) {
+        pushText(text.slice(last, m.index));
+        last = m.index + m[0].length;
+        const [whole, dollarMath, parenMath, code, alt, src, linkText, href, bold, italic] = m;
+
+        if (whole === '\\$') pushText('$');
+        else if (dollarMath !== undefined || parenMath !== undefined) nodes.push({ type: 'math', tex: dollarMath ?? parenMath });
+        else if (code !== undefined) nodes.push({ type: 'code', text: code });
+        else if (src !== undefined) {
+            if (safeUrl(src)) nodes.push({ type: 'image', src, alt });
+            else pushText(whole);
+        } else if (href !== undefined) {
+            if (safeUrl(href)) nodes.push({ type: 'link', href, children: parseInline(linkText) });
+            else pushText(whole);
+        } else if (bold !== undefined) nodes.push({ type: 'strong', children: parseInline(bold) });
+        else if (italic !== undefined) nodes.push({ type: 'em', children: parseInline(italic) });
+    }
+    pushText(text.slice(last));
+    return nodes;
+}
+
+/** Collect lines up to one ending a display-maths block. */
+function collectMath(lines, start, open, close) {
+    const first = lines[start].trim().slice(open.length);
+    if (first.endsWith(close) && first.length >= close.length) {
+        return { tex: first.slice(0, -close.length), next: start + 1 };
+    }
+    const body = [first];
+    for (let i = start + 1; i < lines.length; i++) {
+        const line = lines[i].trim();
+        if (line.endsWith(close)) {
+            body.push(line.slice(0, -close.length));
+            return { tex: body.join('\n'), next: i + 1 };
+        }
+        body.push(lines[i]);
+    }
+    return null;
+}
+
+// ─────────────────────────────────────────────
+// API
+// ─────────────────────────────────────────────
+
+/**
+ * Split rich text into blocks.
+ * @param {string} text
+ * @returns {Array<
+ *   { type: 'paragraph', children: object[] } |
+ *   { type: 'list', ordered: boolean, items: object[][] } |
+ *   { type: 'code', language: string, code: string } |
+ *   { type: 'math', tex: string }
+ * >} inline children are { type: 'text' | 'code', text } | { type: 'math', tex }
+ *   | { type: 'strong' | 'em', children } | { type: 'link', href, children } | { type: 'image', src, alt }
+ */
+export function parseRichText(text) {
+    const lines = String(text ?? '').replace(/\r\n?/g, '\n').split('\n');
+    const blocks = [];
+    let paragraph = [];
+
+    const endParagraph = () => {
+        // Single line breaks inside a paragraph are kept — questions lay out lines by hand
+        if (paragraph.length) blocks.push({ type: 'paragraph', children: parseInline(paragraph.join('\n')) });
+        paragraph = [];
+    };
+
+    let i = 0;
+    while (i < lines.length) {
+        const line = lines[i];
+        const trimmed = line.trim();
+
+        const fence = line.match(FENCE);
+        if (fence) {
+            endParagraph();
+            const code = [];
+            i++;
+            while (i < lines.length && !/^\s*```\s*$/.test(lines[i])) code.push(lines[i++]);
+            blocks.push({ type: 'code', language: fence[1].toLowerCase(), code: code.join('\n') });
+            i++;
+            continue;
+        }
+
+        const mathOpen = trimmed.startsWith('$$') ? ['$$', '$$'] : trimmed.startsWith('\\[') ? ['\\[', '\\]'] : null;
+        const math = mathOpen && collectMath(lines, i, ...mathOpen);
+        if (math) {
+            endParagraph();
+            blocks.push({ type: 'math', tex: math.tex.trim() });
+            i = math.next;
+            continue;
+        }
+
+        const listPattern = BULLET.test(line) ? BULLET : NUMBERED.test(line) ? NUMBERED : null;
+        if (listPattern) {
+            endParagraph();
+            const items = [];
+            while (i < lines.length && listPattern.test(lines[i])) {
+                items.push(parseInline(lines[i].match(listPattern)[1]));
+                i++;
+            }
+            blocks.push({ type: 'list', ordered: listPattern === NUMBERED, items });
+            continue;
+        }
+
+        if (trimmed === '') endParagraph();
+        else paragraph.push(line);
+        i++;
+    }
+    endParagraph();
+    return blocks;
+}
+
+/**
+ * Render LaTeX with KaTeX. Mistakes come back as KaTeX's red error text
+ * rather than throwing, so a half-typed formula in the editor preview is fine.
+ * @returns {string} HTML
+ */
+export function renderMath(tex, displayMode = false) {
+    return katex.renderToString(tex, { displayMode, throwOnError: false, strict: 'ignore', output: 'html' });
+}
+
+/**
+ * Split code into highlight tokens. Languages without a keyword list
+ * still get strings, numbers and comments picked out.
+ * @param {string} code
+ * @param {string} [language]
+ * @returns {Array<{ type: 'plain' | 'keyword' | 'string' | 'number' | 'comment', text: string }>}
+ */
+export function highlightCode(code, language = '') {
+    const lang = LANGUAGE_ALIASES[language] || language;
+    const caseless = lang === 'sql';
+    const keywords = new Set((KEYWORDS[lang] || '').split(/\s+/).filter(Boolean).map(k => (caseless ? k.toLowerCase() : k)));
+    const comments = (COMMENT_PATTERNS[lang] || COMMENT_PATTERNS.default).map(p => p.source).join('|');
+    const pattern = new RegExp([
+        `(${comments})`,
+        /("(?:\\.|[^"\\\n])*"|'(?:\\.|[^'\\\n])*'|`(?:\\.|[^`\\])*`)/.source,
+        /(\b\d+(?:\.\d+)?(?:e[+-]?\d+)?\b|\b0x[\da-f]+\b)/.source,
+        /([A-Za-z_]\w*)/.source,
+    ].join('|'), 'gi');
+
+    const tokens = [];
+    const push = (type, text) => {
+        const prev = tokens[tokens.length - 1];
+        if (prev?.type === type) prev.text += text;
+        else tokens.push({ type, text });
+    };
+    let last = 0;
+    for (const m of code.matchAll(pattern)) {
+        push('plain', code.slice(last, m.index));
+        last = m.index + m[0].length;
+        const [whole, comment, string, number, word] = m;
+        if (comment) push(lang === 'python' && !comment.startsWith('#') ? 'string' : 'comment', whole);
+        else if (string) push('string', whole);
+        else if (number) push('number', whole);
+        else push(keywords.has(caseless ? word.toLowerCase() : word) ? 'keyword' : 'plain', whole);
+    }
+    push('plain', code.slice(last));
+    return tokens.filter(t => t.text);
+}
+
+/** Whether text uses any markup, i.e. a rendered preview would differ from it. */
+export function hasMarkup(text) {
+    return /[*`$[\]]|\\[([]|^\s*([-*]|\d+[.)])\s/m.test(String(text ?? ''));
+}
@@ -0,0 +1,330 @@
+/**
+ * RiskEngine — Centralized risk fusion for all proctoring modules.
+ *
+ * Proctoring modules no longer decide flag severity themselves. Each module
+ * reports a *risk signal* and the engine decides whether it becomes a flag,
+ * which severity it gets and which auto-action the exam client should take.
+ *
+ * SIGNAL SHAPE (what modules emit through onFlag / onStatusChange):
+ *   {
+ *     type:       'IDENTITY_MISMATCH' | 'PHONE_DETECTED' | ...,
+ *     module:     'identity' | 'vision' | 'audio' | 'system' | 'network',
+ *     score:      0..1   — module-local risk score
+ *     confidence: 0..1   — how much the module trusts that score
+ *     message:    human readable description
+ *     details:    evidence snapshot (sub-scores, matches, counts...)
+ *   }
+ *
+ * FUSION:
+ *   channel_risk = max(decayed previous risk, score × confidence)
+ *   fused        = Σ(weight_i × channel_risk_i)
+ *
+ * DECISION:
+ *   signal risk ≥ SIGNAL_ORANGE  OR fused ≥ FUSED_ORANGE → ORANGE
+ *   fused ≥ FUSED_RED                                    → RED
+ *
+ * TEMPORAL ESCALATION (Improvement Plans/RiskEngineArchitecture.md):
+ *   - 3 ORANGE flags within 5 minutes           → RED
+ *   - identity mismatch for more than 2 cycles  → RED
+ *   - system AND network channels both high     → RED instantly
+ *
+ * A single noisy module can therefore raise at most an ORANGE flag on its own;
+ * RED always needs corroboration (fusion or repetition).
+ *
+ * RED CONSEQUENCE LADDER:
+ *   A RED flag does not terminate outright. RED flags are counted per flag
+ *   type and the count picks the auto-action:
+ *     count < pause_at      → 'warn'
+ *     count ≥ pause_at      → 'pause'      (session waits for a proctor)
+ *     count ≥ terminate_at  → 'terminate'
+ *   A threshold of 0 disables that step. `by_type` overrides the default rule
+ *   for individual flag types (e.g. IMPERSONATION terminating on the first hit).
+ */
+
+// ─────────────────────────────────────────────
+// CONFIGURATION
+// ─────────────────────────────────────────────
+export const RISK_ENGINE_DEFAULTS = {
+    // Fusion weights per channel (sum to 1.0)
+    WEIGHTS: {
+        identity: 0.30,
+        network: 0.20,
+        system: 0.20,
+        vision: 0.15,
+        audio: 0.15,
+    },
+
+    // Thresholds
+    SIGNAL_ORANGE: 0.45,        // Single-signal risk above this → ORANGE
+    FUSED_ORANGE: 0.35,         // Fused risk above this → ORANGE
+    FUSED_RED: 0.55,            // Fused risk above this → RED
+
+    // Temporal escalation
+    ESCALATION_ORANGE_COUNT: 3,             // ORANGE flags...
+    ESCALATION_WINDOW_MS: 5 * 60 * 1000,    // ...within this window → RED
+    IDENTITY_MISMATCH_CYCLES: 2,            // Mismatch cycles above this → RED
+    SYSTEM_NETWORK_HIGH: 0.70,              // Both channels above this → RED
+
+    // Channel risk decays with this half-life so stale evidence fades out
+    DECAY_HALF_LIFE_MS: 60000,
+
+    // Same flag type is not raised twice within this window (across modules)
+    FLAG_DEBOUNCE_MS: 5000,
+
+    // Auto-action for ORANGE flags (RED goes through RED_LADDER)
+    AUTO_ACTIONS: {
+        ORANGE: 'warn',
+    },
+
+    // RED count per flag type at which the session is paused / terminated
+    RED_LADDER: {
+        default: { pause_at: 2, terminate_at: 3 },
+        by_type: {},
+    },
+
+    // Which channel's evidence is attached first when several contributed
+    EVIDENCE_PRIORITY: ['identity', 'network', 'system', 'vision', 'audio'],
+};
+
+const CHANNELS = Object.keys(RISK_ENGINE_DEFAULTS.WEIGHTS);
+
+const IDENTITY_MISMATCH_TYPES = new Set(['IDENTITY_MISMATCH', 'IMPERSONATION']);
+
+// ─────────────────────────────────────────────
+// MAIN ENGINE CLASS
+// ─────────────────────────────────────────────
+export class RiskEngine {
+    /**
+     * @param {object} config — partial overrides of RISK_ENGINE_DEFAULTS
+     */
+    constructor(config = {}) {
+        this.configure(config);
+        this.reset();
+    }
+
+    /**
+     * Merge config overrides onto the defaults. Nested WEIGHTS, AUTO_ACTIONS
+     * and RED_LADDER objects are merged key-by-key.
+     */
+    configure(config = {}) {
+        const ladder = config.RED_LADDER || {};
+        this.config = {
+            ...RISK_ENGINE_DEFAULTS,
+            ...config,
+            WEIGHTS: { ...RISK_ENGINE_DEFAULTS.WEIGHTS, ...(config.WEIGHTS || {}) },
+            AUTO_ACTIONS: { ...RISK_ENGINE_DEFAULTS.AUTO_ACTIONS, ...(config.AUTO_ACTIONS || {}) },
+            RED_LADDER: {
+                default: { ...RISK_ENGINE_DEFAULTS.RED_LADDER.default, ...(ladder.default || {}) },
+                by_type: { ...(ladder.by_type || {}) },
+            },
+        };
+    }
+
+    reset() {
+        this.channels = {};
+        CHANNELS.forEach(c => {
+            this.channels[c] = { risk: 0, updatedAt: 0, evidence: null };
+        });
+        this.orangeHistory = [];   // timestamps of raised ORANGE flags
+        this.lastFlagTime = {};    // flag type → timestamp
+        this.identityCycles = 0;
+        this.redCounts = {};       // flag type → RED flags raised so far
+    }
+
+    /**
+     * Restore RED counts after a reload so the ladder cannot be reset by
+     * refreshing the exam page.
+     * @param {string[]} types — flag_type of each RED flag already on the session
+     */
+    restoreRedCounts(types = []) {
+        this.redCounts = {};
+        types.forEach(t => { this.redCounts[t] = (this.redCounts[t] || 0) + 1; });
+    }
+
+    // ─────────────────────────────────────────
+    // INGESTION
+    // ─────────────────────────────────────────
+
+    /**
+     * Feed one risk signal into the engine.
+     * @param {object} signal — see SIGNAL SHAPE above
+     * @returns {null | { flag, action, fused, channels }} decision, or null if no flag is raised
+     */
+    ingest(signal) {
+        if (!signal?.type) return null;
+        const now = Date.now();
+
+        // Identity recovered — clear the identity channel and mismatch streak
+        if (signal.type === 'RESOLVED') {
+            this.identityCycles = 0;
+            this.channels.identity = { risk: 0, updatedAt: now, evidence: null };
+            return null;
+        }
+
+        const channel = CHANNELS.includes(signal.module) ? signal.module : 'system';
+        const score = clamp01(signal.score ?? 0);
+        const confidence = clamp01(signal.confidence ?? 1);
+        const signalRisk = score * confidence;
+
+        // ── Update channel risk ──
+        const current = this._decayedRisk(channel, now);
+        this.channels[channel] = {
+            risk: Math.max(current, signalRisk),
+            updatedAt: now,
+            evidence: {
+                type: signal.type,
+                message: signal.message,
+                score,
+                confidence,
+                details: signal.details || {},
+                at: new Date(now).toISOString(),
+            },
+        };
+
+        if (IDENTITY_MISMATCH_TYPES.has(signal.type)) {
+            this.identityCycles = Math.max(this.identityCycles + 1, signal.details?.cycles || 0);
+        }
+
+        const fused = this.getFusedRisk(now);
+
+        // ── Decide severity ──
+        let severity = null;
+        let reason = null;
+
+        if (signalRisk >= this.config.SIGNAL_ORANGE) {
+            severity = 'ORANGE';
+            reason = 'signal';
+        }
+        if (fused >= this.config.FUSED_ORANGE) {
+            severity = 'ORANGE';
+            reason = reason || 'fusion';
+        }
+        if (fused >= this.config.FUSED_RED) {
+            severity = 'RED';
+            reason = 'fusion';
+        }
+        if (IDENTITY_MISMATCH_TYPES.has(signal.type) && this.identityCycles > this.config.IDENTITY_MISMATCH_CYCLES) {
+            severity = 'RED';
+            reason = 'identity_persistent';
+        }
+        if (this._decayedRisk('system', now) >= this.config.SYSTEM_NETWORK_HIGH &&
+            this._decayedRisk('network', now) >= this.config.SYSTEM_NETWORK_HIGH) {
+            severity = 'RED';
+            reason = 'system_network';
+        }
+
+        if (!severity) return null;
+
+        // ── Debounce same flag type across modules ──
+        if (this.lastFlagTime[signal.type] && now - this.lastFlagTime[signal.type] < this.config.FLAG_DEBOUNCE_MS) {
+            return null;
+        }
+        this.lastFlagTime[signal.type] = now;
+
+        // ── Temporal escalation: repeated ORANGE → RED ──
+        if (severity === 'ORANGE') {
+            const cutoff = now - this.config.ESCALATION_WINDOW_MS;
+            this.orangeHistory = this.orangeHistory.filter(t => t > cutoff);
+            this.orangeHistory.push(now);
+            if (this.orangeHistory.length >= this.config.ESCALATION_ORANGE_COUNT) {
+                severity = 'RED';
+                reason = 'orange_escalation';
+                this.orangeHistory = [];
+            }
+        }
+
+        const channels = this.getChannelRisks(now);
+        const ladder = severity === 'RED' ? this._climbLadder(signal.type) : null;
+
+        return {
+            flag: {
+                type: signal.type,
+                module: channel,
+                severity,
+                message: signal.message,
+                confidence,
+                score: signalRisk,
+                details: {
+                    ...(signal.details || {}),
+                    risk: {
+                        fused,
+                        channels,
+                        reason,
+                        evidence: this._priorityEvidence(now, channel),
+                    },
+                    ...(ladder ? { ladder } : {}),
+                },
+            },
+            action: ladder ? ladder.action : (this.config.AUTO_ACTIONS[severity] || 'none'),
+            fused,
+            channels,
+        };
+    }
+
+    // ─────────────────────────────────────────
+    // SNAPSHOTS
+    // ─────────────────────────────────────────
+
+    getChannelRisks(now = Date.now()) {
+        const out = {};
+        CHANNELS.forEach(c => { out[c] = this._decayedRisk(c, now); });
+        return out;
+    }
+
+    getFusedRisk(now = Date.now()) {
+        const risks = this.getChannelRisks(now);
+        return CHANNELS.reduce((sum, c) => sum + (this.config.WEIGHTS[c] || 0) * risks[c], 0);
+    }
+
+    // ─────────────────────────────────────────
+    // INTERNALS
+    // ─────────────────────────────────────────
+
+    _decayedRisk(channel, now) {
+        const ch = this.channels[channel];
+        if (!ch || !ch.updatedAt) return 0;
+        const elapsed = now - ch.updatedAt;
+        return ch.risk * Math.pow(0.5, elapsed / this.config.DECAY_HALF_LIFE_MS);
+    }
+
+    /**
+     * Count one more RED flag of this type and pick the ladder step.
+     * @returns {{ count, action, rule }}
+     */
+    _climbLadder(type) {
+        const count = (this.redCounts[type] || 0) + 1;
+        this.redCounts[type] = count;
+
+        const rule = { ...this.config.RED_LADDER.default, ...(this.config.RED_LADDER.by_type[type] || {}) };
+        let action = 'warn';
+        if (rule.pause_at && count >= rule.pause_at) action = 'pause';
+        if (rule.terminate_at && count >= rule.terminate_at) action = 'terminate';
+
+        return { count, action, rule };
+    }
+
+    /**
+     * Evidence from the highest-priority channel that still carries risk,
+     * falling back to the channel that raised the flag.
+     */
+    _priorityEvidence(now, fallbackChannel) {
+        for (const c of this.config.EVIDENCE_PRIORITY) {
+            if (this.channels[c]?.evidence && this._decayedRisk(c, now) >= this.config.SIGNAL_ORANGE) {
+                return { channel: c, ...this.channels[c].evidence };
+            }
+        }
+        return { channel: fallbackChannel, ...this.channels[fallbackChannel]?.evidence };
+    }
+}
+
+function clamp01(v) {
+    return Math.min(1, Math.max(0, Number(v) || 0));
+}
+
+/**
+ * Create a fresh engine for one exam session.
+ * @param {object} config — partial overrides of RISK_ENGINE_DEFAULTS
+ */
+export const createRiskEngine = (config = {}) => new RiskEngine(config);
+
+export default createRiskEngine;
@@ -0,0 +1,68 @@
+/**
+ * Session Chat — proctor ↔ candidate messages for one exam session.
+ *
+ * Messages live in `session_messages` (Realtime-published) and each one is
+ * copied into audit_logs as SESSION_CHAT_MESSAGE so the conversation is part
+ * of the session's audit trail.
+ */
+
+// ─────────────────────────────────────────────
+// CONFIGURATION
+// ─────────────────────────────────────────────
+export const MAX_MESSAGE_LENGTH = 500;
+
+// Common proctoring instructions — one click to send from LiveSessionMonitor
+export const CANNED_MESSAGES = [
+    'Please reposition your camera so your face is clearly visible.',
+    'Please keep your eyes on the exam screen.',
+    'Please make sure no one else is in the room.',
+    'Please put your phone away.',
+    'Please reduce the background noise around you.',
+    'Please close all other applications.',
+    'Your connection looks unstable — please check your network.',
+    'Thank you, please continue with your exam.',
+];
+
+// ─────────────────────────────────────────────
+// API
+// ─────────────────────────────────────────────
+
+/**
+ * Full conversation for a session, oldest first.
+ * @param {object} supabase — client
+ * @param {string} sessionId
+ */
+export async function loadChatMessages(supabase, sessionId) {
+    const { data, error } = await supabase
+        .from('session_messages')
+        .select('*')
+        .eq('session_id', sessionId)
+        .order('created_at', { ascending: true });
+    if (error) throw error;
+    return data || [];
+}
+
+/**
+ * Send a message and record it in the audit trail.
+ * @param {object} supabase — client
+ * @param {{ sessionId: string, senderId: string, role: 'proctor' | 'student', body: string }} msg
+ * @returns {Promise<object>} inserted session_messages row
+ */
+export async function sendChatMessage(supabase, { sessionId, senderId, role, body }) {
+    const text = body.trim().slice(0, MAX_MESSAGE_LENGTH);
+    const { data, error } = await supabase
+        .from('session_messages')
+        .insert({ session_id: sessionId, sender_id: senderId, sender_role: role, body: text })
+        .select()
+        .single();
+    if (error) throw error;
+
+    await supabase.from('audit_logs').insert({
+        action: 'SESSION_CHAT_MESSAGE',
+        user_id: senderId,
+        target_type: 'exam_session',
+        target_id: sessionId,
+        details: { message_id: data.id, sender_role: role, body: text },
+    });
+    return data;
+}
@@ -0,0 +1,63 @@
+/**
+ * Session Heartbeat — liveness of a candidate's exam client.
+ *
+ * ExamSession writes `last_heartbeat_at` + a `heartbeat` snapshot on its
+ * exam_sessions row every HEARTBEAT_INTERVAL_MS. LiveSessionMonitor receives
+ * those updates over Realtime and classifies each session:
+ *
+ *   live          heartbeat within HEARTBEAT_STALE_MS
+ *   stale         one or two heartbeats missed
+ *   disconnected  no heartbeat for HEARTBEAT_LOST_MS → CONNECTION_LOST event
+ *   unknown       client never sent a heartbeat (older builds)
+ *
+ * Heartbeat snapshot shape:
+ *   { question_index, total_questions, answered_count, time_left, online, paused, monitors: [],
+ *     risk: { fused, vision, audio } }
+ */
+
+// ─────────────────────────────────────────────
+// CONFIGURATION
+// ─────────────────────────────────────────────
+export const HEARTBEAT_CONFIG = {
+    HEARTBEAT_INTERVAL_MS: 15000,
+    HEARTBEAT_STALE_MS: 40000,      // > 2 missed beats
+    HEARTBEAT_LOST_MS: 90000,       // 6 missed beats → connection lost
+};
+
+export const CONNECTIVITY_LABELS = {
+    live: 'Live',
+    stale: 'Stale',
+    disconnected: 'Disconnected',
+    unknown: 'No heartbeat',
+};
+
+export const CONNECTIVITY_COLORS = {
+    live: 'success',
+    stale: 'warning',
+    disconnected: 'error',
+    unknown: 'default',
+};
+
+/**
+ * @param {object} session — exam_sessions row
+ * @param {number} now — epoch ms
+ * @returns {'live' | 'stale' | 'disconnected' | 'unknown'}
+ */
+export function connectivityOf(session, now = Date.now()) {
+    if (!session?.last_heartbeat_at) return 'unknown';
+    const age = now - new Date(session.last_heartbeat_at).getTime();
+    if (age >= HEARTBEAT_CONFIG.HEARTBEAT_LOST_MS) return 'disconnected';
+    if (age >= HEARTBEAT_CONFIG.HEARTBEAT_STALE_MS) return 'stale';
+    return 'live';
+}
+
+/**
+ * "12s ago" / "4m ago" / "1h ago"
+ */
+export function formatLastSeen(iso, now = Date.now()) {
+    if (!iso) return '—';
+    const sec = Math.max(0, Math.floor((now - new Date(iso).getTime()) / 1000));
+    if (sec < 60) return `${sec}s ago`;
+    if (sec < 3600) return `${Math.floor(sec / 60)}m ago`;
+    return `${Math.floor(sec / 3600)}h ago`;
+}
@@ -0,0 +1,114 @@
+/**
+ * Session Snapshots — low-frame-rate camera thumbnails for proctors.
+ *
+ * ExamSession grabs a frame from the shared camera stream every
+ * `policy.snapshots.interval_s`, scales it down to a small JPEG and upserts it
+ * as `session-snapshots/<session id>.jpg` — one object per session, always the
+ * latest frame. exam_sessions.snapshot_at is bumped after each upload, so
+ * LiveSessionMonitor hears about the new frame over Realtime and reloads the
+ * image with a cache-busting query string.
+ *
+ * Auth note: App uses custom auth (anon role) — bucket MUST be public.
+ */
+import { supabase } from './supabase';
+
+// ─────────────────────────────────────────────
+// CONFIGURATION
+// ─────────────────────────────────────────────
+export const SNAPSHOT_CONFIG = {
+    BUCKET: 'session-snapshots',
+    WIDTH: 320,                 // px — height follows the camera aspect ratio
+    JPEG_QUALITY: 0.6,
+    MIN_INTERVAL_MS: 5000,      // floor for per-test intervals (bandwidth)
+};
+
+// ─────────────────────────────────────────────
+// UPLOADER (student side)
+// ─────────────────────────────────────────────
+export class SnapshotUploader {
+    constructor() {
+        this.video = null;
+        this.canvas = null;
+        this.timer = null;
+        this.sessionId = null;
+        this.busy = false;
+    }
+
+    /**
+     * @param {MediaStream} stream — shared camera stream
+     * @param {string} sessionId
+     * @param {number} intervalMs
+     */
+    start(stream, sessionId, intervalMs) {
+        this.stop();
+        if (!stream?.getVideoTracks().length) return;
+
+        this.sessionId = sessionId;
+        this.canvas = document.createElement('canvas');
+        this.video = document.createElement('video');
+        this.video.muted = true;
+        this.video.playsInline = true;
+        this.video.srcObject = stream;
+        this.video.onloadeddata = () => this._capture();   // first frame right away
+        this.video.play().catch(err => console.warn('[SessionSnapshots] Video play failed:', err));
+
+        this.timer = setInterval(() => this._capture(), Math.max(SNAPSHOT_CONFIG.MIN_INTERVAL_MS, intervalMs));
+    }
+
+    stop() {
+        if (this.timer) clearInterval(this.timer);
+        if (this.video) {
+            this.video.onloadeddata = null;
+            this.video.srcObject = null;
+        }
+        this.timer = null;
+        this.video = null;
+        this.canvas = null;
+    }
+
+    async _capture() {
+        const video = this.video;
+        if (this.busy || !video || video.readyState < 2 || !video.videoWidth) return;
+        this.busy = true;
+        try {
+            const canvas = this.canvas;
+            canvas.width = SNAPSHOT_CONFIG.WIDTH;
+            canvas.height = Math.round(video.videoHeight * SNAPSHOT_CONFIG.WIDTH / video.videoWidth);
+            canvas.getContext('2d').drawImage(video, 0, 0, canvas.width, canvas.height);
+
+            const blob = await new Promise(resolve => canvas.toBlob(resolve, 'image/jpeg', SNAPSHOT_CONFIG.JPEG_QUALITY));
+            if (!blob) return;
+
+            const { error } = await supabase.storage
+                .from(SNAPSHOT_CONFIG.BUCKET)
+                .upload(`${this.sessionId}.jpg`, blob, { upsert: true, contentType: 'image/jpeg', cacheControl: '0' });
+            if (error) throw error;
+
+            await supabase.from('exam_sessions')
+                .update({ snapshot_at: new Date().toISOString() })
+                .eq('id', this.sessionId);
+        } catch (err) {
+            console.warn('[SessionSnapshots] Snapshot upload failed:', err);
+        } finally {
+            this.busy = false;
+        }
+    }
+}
+
+export function createSnapshotUploader() {
+    return new SnapshotUploader();
+}
+
+// ─────────────────────────────────────────────
+// VIEWER (proctor side)
+// ─────────────────────────────────────────────
+
+/**
+ * Public URL of the session's latest snapshot, or null if none was taken yet.
+ * @param {object} session — exam_sessions row (id, snapshot_at)
+ */
+export function snapshotUrl(session) {
+    if (!session?.snapshot_at) return null;
+    const { data } = supabase.storage.from(SNAPSHOT_CONFIG.BUCKET).getPublicUrl(`${session.id}.jpg`);
+    return `${data.publicUrl}?t=${new Date(session.snapshot_at).getTime()}`;
+}
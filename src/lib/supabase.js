@@ -7,6 +7,19 @@ if (!supabaseUrl || !supabaseAnonKey) {
     throw new Error('[supabase] VITE_SUPABASE_URL or VITE_SUPABASE_ANON_KEY is not set. Create a .env file — see .env.example.');
 }
 
+// Edge functions learn who is calling from the token sign-in issued
+// (supabase/functions/_shared/sessionToken.js); the database doesn't need it
+const fetchWithSession = (input, init = {}) => {
+    const url = typeof input === 'string' ? input : input.url;
+    let token = null;
+    try {
+        token = JSON.parse(localStorage.getItem('pw_session'))?.token;
+    } catch { /* no stored session */ }
+    if (!token || !url.includes('/functions/v1/')) return fetch(input, init);
+    const headers = new Headers(init.headers);
+    headers.set('x-pw-session', token);
+    return fetch(input, { ...init, headers });
+};
 
 export const supabase = createClient(supabaseUrl, supabaseAnonKey, {
     auth: {
@@ -14,6 +27,7 @@ export const supabase = createClient(supabaseUrl, supabaseAnonKey, {
         persistSession: true,
         detectSessionInUrl: false,
     },
+    global: { fetch: fetchWithSession },
 });
 
 export default supabase;
@@ -23,7 +23,7 @@ import { FilesetResolver, FaceLandmarker } from "@mediapipe/tasks-vision";
  *   - Multiple face detection for "extra person" flags
  *   - Blendshape support for enhanced facial expression analysis
  *
- * TRIGGER: final_score > 0.60 → ORANGE FLAG
+ * TRIGGER: final_score > 0.60 → risk signal (severity decided by RiskEngine)
  */
 
 // ─────────────────────────────────────────────
@@ -76,9 +76,13 @@ const CONFIG = {
     WEIGHT_LIP: 0.10,
 
     // Thresholds
-    FLAG_THRESHOLD: 0.60,       // Score above this → ORANGE FLAG
+    FLAG_THRESHOLD: 0.60,       // Score above this → report to RiskEngine
     FLAG_DEBOUNCE_MS: 5000,     // Min time between flags
 
+    // Confidence attached to reported signals
+    SIGNAL_CONFIDENCE: 0.80,    // Landmark-based behavior scoring
+    MULTI_FACE_CONFIDENCE: 0.90,
+
     // Smoothing
     SMOOTHING_ALPHA: 0.3,       // Exponential smoothing factor
 };
@@ -136,6 +140,9 @@ class ExponentialSmoother {
 // ─────────────────────────────────────────────
 class VisionIntelligenceService {
     constructor() {
+        // Per-test tunables (flag threshold / debounce) — see configure()
+        this.config = { ...CONFIG };
+
         this.faceLandmarker = null;
         this.isRunning = false;
         this.isInitialized = false;
@@ -194,6 +201,21 @@ class VisionIntelligenceService {
     // LIFECYCLE
     // ─────────────────────────────────────────
 
+    /**
+     * Apply the test's behavior policy (proctoringPolicy.js `behavior`).
+     * flag_threshold is the gaze/head-pose score (and face-lost penalty) that
+     * raises an orange flag; debounce_ms spaces those flags out. Camera and
+     * landmark settings keep the CONFIG defaults.
+     * @param {{ flag_threshold?: number, debounce_ms?: number }} policy
+     */
+    configure(policy = {}) {
+        this.config = {
+            ...CONFIG,
+            FLAG_THRESHOLD: policy.flag_threshold ?? CONFIG.FLAG_THRESHOLD,
+            FLAG_DEBOUNCE_MS: policy.debounce_ms ?? CONFIG.FLAG_DEBOUNCE_MS,
+        };
+    }
+
     async initialize() {
         if (this.faceLandmarker) return;
 
@@ -527,7 +549,7 @@ class VisionIntelligenceService {
             }
 
             // Flag if face lost too long
-            if (penalty > CONFIG.FLAG_THRESHOLD && lostDuration > 5000) {
+            if (penalty > this.config.FLAG_THRESHOLD && lostDuration > 5000) {
                 this._triggerFlag('Face not detected — student may have left frame');
             }
         }
@@ -546,9 +568,10 @@ class VisionIntelligenceService {
         if (this.onOrangeFlag) {
             this.onOrangeFlag({
                 type: 'MULTIPLE_FACES',
+                module: 'vision',
                 message: `${count} faces detected — possible unauthorized person`,
-                severity: 'high',
-                score: 0.8,
+                score: 0.9,
+                confidence: CONFIG.MULTI_FACE_CONFIDENCE,
                 details: { faceCount: count },
             });
         }
@@ -663,7 +686,7 @@ class VisionIntelligenceService {
         };
 
         // ── FLAG CHECK ──
-        if (this.score > CONFIG.FLAG_THRESHOLD) {
+        if (this.score > this.config.FLAG_THRESHOLD) {
             this._triggerFlag(this._getFlagMessage());
         }
     }
@@ -683,16 +706,17 @@ class VisionIntelligenceService {
 
     _triggerFlag(message) {
         const now = Date.now();
-        if (now - this._lastFlagTime < CONFIG.FLAG_DEBOUNCE_MS) return;
+        if (now - this._lastFlagTime < this.config.FLAG_DEBOUNCE_MS) return;
 
         this._lastFlagTime = now;
 
         if (this.onOrangeFlag) {
             this.onOrangeFlag({
                 type: 'VISION_INTELLIGENCE',
+                module: 'vision',
                 message: message || 'Suspicious visual behavior detected',
-                severity: 'medium',
                 score: this.score,
+                confidence: CONFIG.SIGNAL_CONFIDENCE,
                 details: {
                     breakdown: this.lastBreakdown,
                     faceCount: this.faceCount,
@@ -0,0 +1,179 @@
+/**
+ * Zip Archive — reads and writes the zip packages content is exchanged in
+ * (IMS QTI content packages).
+ *
+ * Only what those packages need: files with UTF-8 names, stored or
+ * deflated, no encryption and no ZIP64 (archives under 4 GB). Deflate
+ * comes from the browser's CompressionStream, so no zip library is bundled.
+ */
+
+// ─────────────────────────────────────────────
+// CONFIGURATION
+// ─────────────────────────────────────────────
+
+const LOCAL_HEADER = 0x04034b50;
+const CENTRAL_HEADER = 0x02014b50;
+const END_OF_CENTRAL_DIRECTORY = 0x06054b50;
+
+const STORED = 0;
+const DEFLATED = 8;
+
+// General purpose flag: names are UTF-8
+const UTF8_NAMES = 0x0800;
+
+// ─────────────────────────────────────────────
+// HELPERS
+// ─────────────────────────────────────────────
+
+let crcTable = null;
+
+function crc32(bytes) {
+    if (!crcTable) {
+        crcTable = new Uint32Array(256);
+        for (let n = 0; n < 256; n++) {
+            let c = n;
+            for (let k = 0; k < 8; k++) c = c & 1 ? 0xEDB88320 ^ (c >>> 1) : c >>> 1;
+            crcTable[n] = c >>> 0;
+        }
+    }
+    let crc = 0xFFFFFFFF;
+    for (let i = 0; i < bytes.length; i++) crc = crcTable[(crc ^ bytes[i]) & 0xFF] ^ (crc >>> 8);
+    return (crc ^ 0xFFFFFFFF) >>> 0;
+}
+
+async function transform(bytes, stream) {
+    const out = await new Response(new Blob([bytes]).stream().pipeThrough(stream)).arrayBuffer();
+    return new Uint8Array(out);
+}
+
+/** Date and time fields of a zip header (DOS format, local time). */
+function dosDateTime(date) {
+    return {
+        time: (date.getHours() << 11) | (date.getMinutes() << 5) | (date.getSeconds() >> 1),
+        date: ((date.getFullYear() - 1980) << 9) | ((date.getMonth() + 1) << 5) | date.getDate(),
+    };
+}
+
+// ─────────────────────────────────────────────
+// API
+// ─────────────────────────────────────────────
+
+/**
+ * Zip files into one archive.
+ * @param {Array<{ name: string, data: string | Uint8Array }>} files — strings are written as UTF-8
+ * @returns {Promise<Blob>} application/zip
+ */
+export async function createZip(files) {
+    const encoder = new TextEncoder();
+    const { time, date } = dosDateTime(new Date());
+    const parts = [];
+    const central = [];
+    let offset = 0;
+
+    for (const file of files) {
+        const name = encoder.encode(file.name);
+        const raw = typeof file.data === 'string' ? encoder.encode(file.data) : file.data;
+        const deflated = await transform(raw, new CompressionStream('deflate-raw'));
+        const method = deflated.length < raw.length ? DEFLATED : STORED;
+        const body = method === DEFLATED ? deflated : raw;
+        const crc = crc32(raw);
+
+        const local = new DataView(new ArrayBuffer(30));
+        local.setUint32(0, LOCAL_HEADER, true);
+        local.setUint16(4, 20, true);
+        local.setUint16(6, UTF8_NAMES, true);
+        local.setUint16(8, method, true);
+        local.setUint16(10, time, true);
+        local.setUint16(12, date, true);
+        local.setUint32(14, crc, true);
+        local.setUint32(18, body.length, true);
+        local.setUint32(22, raw.length, true);
+        local.setUint16(26, name.length, true);
+        parts.push(new Uint8Array(local.buffer), name, body);
+
+        const entry = new DataView(new ArrayBuffer(46));
+        entry.setUint32(0, CENTRAL_HEADER, true);
+        entry.setUint16(4, 20, true);
+        entry.setUint16(6, 20, true);
+        entry.setUint16(8, UTF8_NAMES, true);
+        entry.setUint16(10, method, true);
+        entry.setUint16(12, time, true);
+        entry.setUint16(14, date, true);
+        entry.setUint32(16, crc, true);
+        entry.setUint32(20, body.length, true);
+        entry.setUint32(24, raw.length, true);
+        entry.setUint16(28, name.length, true);
+        entry.setUint32(42, offset, true);
+        central.push(new Uint8Array(entry.buffer), name);
+
+        offset += 30 + name.length + body.length;
+    }
+
+    const centralSize = central.reduce((sum, p) => sum + p.length, 0);
+    const end = new DataView(new ArrayBuffer(22));
+    end.setUint32(0, END_OF_CENTRAL_DIRECTORY, true);
+    end.setUint16(8, files.length, true);
+    end.setUint16(10, files.length, true);
+    end.setUint32(12, centralSize, true);
+    end.setUint32(16, offset, true);
+
+    return new Blob([...parts, ...central, new Uint8Array(end.buffer)], { type: 'application/zip' });
+}
+
+/**
+ * Unzip an archive.
+ * @param {Blob | ArrayBuffer} archive
+ * @returns {Promise<Map<string, Uint8Array>>} file path → contents (folders left out)
+ */
+export async function readZip(archive) {
+    const buffer = archive instanceof ArrayBuffer ? archive : await archive.arrayBuffer();
+    const view = new DataView(buffer);
+    const bytes = new Uint8Array(buffer);
+    const decoder = new TextDecoder();
+
+    // The end record sits in the last 22 bytes plus an optional comment
+    let end = -1;
+    for (let i = buffer.byteLength - 22; i >= Math.max(0, buffer.byteLength - 22 - 0xFFFF); i--) {
+        if (view.getUint32(i, true) === END_OF_CENTRAL_DIRECTORY) { end = i; break; }
+    }
+    if (end < 0) throw new Error('Not a zip file');
+
+    const count = view.getUint16(end + 10, true);
+    let pos = view.getUint32(end + 16, true);
+    if (count === 0xFFFF || pos === 0xFFFFFFFF) throw new Error('ZIP64 archives are not supported');
+
+    const files = new Map();
+    for (let n = 0; n < count; n++) {
+        if (view.getUint32(pos, true) !== CENTRAL_HEADER) throw new Error('Damaged zip file');
+        const flags = view.getUint16(pos + 8, true);
+        const method = view.getUint16(pos + 10, true);
+        const size = view.getUint32(pos + 20, true);
+        const nameLength = view.getUint16(pos + 28, true);
+        const extraLength = view.getUint16(pos + 30, true);
+        const commentLength = view.getUint16(pos + 32, true);
+        const localOffset = view.getUint32(pos + 42, true);
+        const name = decoder.decode(bytes.subarray(pos + 46, pos + 46 + nameLength));
+        pos += 46 + nameLength + extraLength + commentLength;
+
+        if (name.endsWith('/')) continue;
+        if (flags & 0x1) throw new Error(`${name} is encrypted`);
+        const start = localOffset + 30 + view.getUint16(localOffset + 26, true) + view.getUint16(localOffset + 28, true);
+        const body = bytes.subarray(start, start + size);
+        if (method === STORED) files.set(name, body);
+        else if (method === DEFLATED) files.set(name, await transform(body, new DecompressionStream('deflate-raw')));
+        else throw new Error(`${name} uses an unsupported compression method`);
+    }
+    return files;
+}
+
+/** Start a browser download of a blob. */
+export function downloadBlob(blob, filename) {
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = filename;
+    document.body.appendChild(link);
+    link.click();
+    document.body.removeChild(link);
+    URL.revokeObjectURL(url);
+}
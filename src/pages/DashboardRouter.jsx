@@ -23,6 +23,8 @@ import StudentPerformance from './StudentPerformance';
 import FaceRegistration from './FaceRegistration';
 import TestResults from './TestResults';
 import StudentTestResult from './StudentTestResult';
+import EssayGrading from './EssayGrading';
+import QuestionBank from './QuestionBank';
 import AdminBlacklistManager from '../components/AdminBlacklistManager';
 import PWTestSession from './PWTestSession';
 
@@ -72,6 +74,8 @@ export default function DashboardRouter() {
                         <Route path="face-registration" element={<FaceRegistration />} />
                         <Route path="test-results/:testId" element={<TestResults />} />
                         <Route path="results/:sessionId" element={<StudentTestResult />} />
+                        <Route path="grading/:testId" element={<EssayGrading />} />
+                        <Route path="question-bank" element={<QuestionBank />} />
                         <Route path="blacklist" element={<AdminBlacklistManager />} />
 
                         {/* Default redirect based on role */}
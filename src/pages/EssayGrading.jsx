@@ -0,0 +1,301 @@
+import { useState, useEffect, useMemo } from 'react';
+import { useParams, useNavigate } from 'react-router-dom';
+import {
+    Box, Card, CardContent, Typography, Button, Chip, LinearProgress, Alert,
+    Paper, List, ListItemButton, ListItemText, TextField, MenuItem,
+    ToggleButtonGroup, ToggleButton, Divider,
+} from '@mui/material';
+import { ArrowBack, Save, NavigateNext, VisibilityOff, CheckCircle } from '@mui/icons-material';
+import { supabase } from '../lib/supabase';
+import useAuthStore from '../store/authStore';
+import { loadGradingQueue, saveEssayGrade, regradeSession, candidateLabel } from '../lib/essayGrading';
+import { countWords } from '../lib/questionTypes';
+import RichText from '../components/RichText';
+
+/**
+ * EssayGrading — teacher workspace for marking ESSAY answers of one test.
+ * Queue per question; rubric criteria (or a single score), comment, and
+ * anonymous candidates when the test has settings.blind_grading.
+ */
+export default function EssayGrading() {
+    const { testId } = useParams();
+    const navigate = useNavigate();
+    const { user } = useAuthStore();
+
+    const [test, setTest] = useState(null);
+    const [questions, setQuestions] = useState([]);
+    const [sessions, setSessions] = useState([]);
+    const [answers, setAnswers] = useState([]);
+    const [loading, setLoading] = useState(true);
+    const [error, setError] = useState('');
+    const [notice, setNotice] = useState('');
+
+    const [questionId, setQuestionId] = useState('');
+    const [filter, setFilter] = useState('pending');
+    const [answerId, setAnswerId] = useState(null);
+    const [draft, setDraft] = useState({ scores: [], marks: '', comment: '' });
+    const [saving, setSaving] = useState(false);
+    // Mark saved but the session score not recalculated: { sessionId, message }
+    const [regradeFailure, setRegradeFailure] = useState(null);
+    const [retrying, setRetrying] = useState(false);
+
+    useEffect(() => {
+        loadGradingQueue(supabase, testId)
+            .then(data => {
+                setTest(data.test);
+                setQuestions(data.questions);
+                setSessions(data.sessions);
+                setAnswers(data.answers);
+                setQuestionId(data.questions[0]?.id || '');
+            })
+            .catch(err => {
+                console.error('[EssayGrading] Failed to load queue:', err);
+                setError(err.message || 'Failed to load grading queue');
+            })
+            .finally(() => setLoading(false));
+    }, [testId]);
+
+    const blind = !!test?.settings?.blind_grading;
+    const question = questions.find(q => q.id === questionId);
+    const rubric = question?.options?.rubric || [];
+    const sessionIndex = useMemo(() => new Map(sessions.map((s, i) => [s.id, i])), [sessions]);
+
+    // Pending first; blind mode keeps the anonymous (session id) order
+    const queue = useMemo(() => answers
+        .filter(a => a.question_id === questionId && (filter === 'all' || a.grading_status === 'pending'))
+        .sort((a, b) => (a.grading_status === b.grading_status ? 0 : a.grading_status === 'pending' ? -1 : 1)
+            || sessionIndex.get(a.session_id) - sessionIndex.get(b.session_id)),
+    [answers, questionId, filter, sessionIndex]);
+
+    const current = answers.find(a => a.id === answerId);
+    const currentSession = sessions.find(s => s.id === current?.session_id);
+
+    // Load the selected answer's existing grade into the form
+    useEffect(() => {
+        if (!current) return;
+        setDraft({
+            scores: rubric.map((_, i) => current.rubric_scores?.[i] ?? ''),
+            marks: current.grading_status === 'graded' ? Number(current.marks_awarded) : '',
+            comment: current.grader_comment || '',
+        });
+    }, [answerId]);
+
+    // Keep a selection while working through the queue
+    useEffect(() => {
+        if (!queue.some(a => a.id === answerId)) setAnswerId(queue[0]?.id || null);
+    }, [queue, answerId]);
+
+    const draftTotal = rubric.length > 0
+        ? draft.scores.reduce((sum, v) => sum + (Number(v) || 0), 0)
+        : Number(draft.marks) || 0;
+    const draftComplete = rubric.length > 0
+        ? draft.scores.every(v => v !== '' && v != null)
+        : draft.marks !== '' && draft.marks != null;
+
+    const handleSave = async (advance) => {
+        if (!current || !question) return;
+        setSaving(true);
+        setError(''); setNotice('');
+        try {
+            const { answer, session, regradeError } = await saveEssayGrade(supabase, {
+                answer: current,
+                question,
+                rubricScores: rubric.length > 0 ? draft.scores.map(v => Number(v) || 0) : null,
+                marks: draftTotal,
+                comment: draft.comment,
+                graderId: user.id,
+            });
+            setAnswers(prev => prev.map(a => (a.id === answer.id ? answer : a)));
+            if (session) {
+                applySessionGrade(answer.session_id, session);
+                setRegradeFailure(null);
+            } else {
+                setRegradeFailure({ sessionId: answer.session_id, message: regradeError });
+            }
+            if (advance) {
+                const next = queue.find(a => a.id !== answer.id && a.grading_status === 'pending');
+                setAnswerId(next?.id || answer.id);
+            }
+        } catch (err) {
+            console.error('[EssayGrading] Save failed:', err);
+            setError(err.message || 'Failed to save grade');
+        }
+        setSaving(false);
+    };
+
+    const applySessionGrade = (sessionId, session) => {
+        setSessions(prev => prev.map(s => (s.id === sessionId
+            ? { ...s, score: session.score, grading_status: session.gradingPending ? 'pending' : 'complete' } : s)));
+    };
+
+    const handleRetryRegrade = async () => {
+        setRetrying(true);
+        try {
+            applySessionGrade(regradeFailure.sessionId, await regradeSession(supabase, regradeFailure.sessionId));
+            setRegradeFailure(null);
+            setNotice('');
+        } catch (err) {
+            console.error('[EssayGrading] Re-grade retry failed:', err);
+            setRegradeFailure(prev => ({ ...prev, message: err.message }));
+        }
+        setRetrying(false);
+    };
+
+    if (loading) return <LinearProgress />;
+
+    const pendingTotal = answers.filter(a => a.grading_status === 'pending').length;
+    const completeSessions = sessions.filter(s => s.grading_status !== 'pending').length;
+
+    // ═══════════════════════════════════════════
+    // RENDER
+    // ═══════════════════════════════════════════
+    return (
+        <Box>
+            <Button startIcon={<ArrowBack />} onClick={() => navigate(-1)} sx={{ mb: 2 }}>Back</Button>
+
+            <Box sx={{ display: 'flex', justifyContent: 'space-between', alignItems: 'flex-start', mb: 3, gap: 2, flexWrap: 'wrap' }}>
+                <Box>
+                    <Typography variant="h4" fontWeight={700}>{test?.title} — Essay Grading</Typography>
+                    <Typography color="text.secondary">
+                        {pendingTotal} answers to mark · {completeSessions}/{sessions.length} sessions fully graded
+                    </Typography>
+                </Box>
+                {blind && <Chip icon={<VisibilityOff />} label="Blind grading" color="secondary" variant="outlined" />}
+            </Box>
+
+            {error && <Alert severity="error" sx={{ mb: 2 }}>{error}</Alert>}
+            {notice && <Alert severity="warning" sx={{ mb: 2 }} onClose={() => setNotice('')}>{notice}</Alert>}
+            {regradeFailure && (
+                <Alert severity="error" sx={{ mb: 2 }}
+                    action={
+                        <Button color="inherit" size="small" onClick={handleRetryRegrade} disabled={retrying}>
+                            {retrying ? 'Retrying...' : 'Retry re-grade'}
+                        </Button>
+                    }>
+                    The mark was saved, but the session could not be re-graded ({regradeFailure.message}). Its score
+                    is not recalculated and stays hidden from the student until a re-grade succeeds.
+                </Alert>
+            )}
+
+            {questions.length === 0 ? (
+                <Alert severity="info">This test has no essay questions.</Alert>
+            ) : (
+                <Box sx={{ display: 'flex', gap: 2, alignItems: 'flex-start' }}>
+                    {/* Queue */}
+                    <Paper sx={{ width: 300, flexShrink: 0, p: 2 }}>
+                        <TextField select fullWidth size="small" label="Question" value={questionId}
+                            onChange={e => { setQuestionId(e.target.value); setAnswerId(null); }} sx={{ mb: 1.5 }}>
+                            {questions.map((q, i) => {
+                                const pending = answers.filter(a => a.question_id === q.id && a.grading_status === 'pending').length;
+                                return (
+                                    <MenuItem key={q.id} value={q.id}>
+                                        Essay {i + 1}{pending > 0 ? ` · ${pending} pending` : ' · done'}
+                                    </MenuItem>
+                                );
+                            })}
+                        </TextField>
+                        <ToggleButtonGroup size="small" exclusive fullWidth value={filter}
+                            onChange={(e, v) => v && setFilter(v)} sx={{ mb: 1.5 }}>
+                            <ToggleButton value="pending">Pending</ToggleButton>
+                            <ToggleButton value="all">All</ToggleButton>
+                        </ToggleButtonGroup>
+                        <List dense disablePadding sx={{ maxHeight: 520, overflowY: 'auto' }}>
+                            {queue.map(a => {
+                                const s = sessions.find(x => x.id === a.session_id);
+                                return (
+                                    <ListItemButton key={a.id} selected={a.id === answerId} onClick={() => setAnswerId(a.id)}
+                                        sx={{ borderRadius: 1, mb: 0.5 }}>
+                                        <ListItemText
+                                            primary={candidateLabel(s, sessionIndex.get(a.session_id), blind)}
+                                            secondary={`${countWords(a.selected_answer?.[0])} words`}
+                                        />
+                                        <GradeChip answer={a} />
+                                    </ListItemButton>
+                                );
+                            })}
+                            {queue.length === 0 && (
+                                <Typography variant="body2" color="text.secondary" sx={{ textAlign: 'center', py: 3 }}>
+                                    {filter === 'pending' ? 'All answers to this question are marked.' : 'No answers to this question.'}
+                                </Typography>
+                            )}
+                        </List>
+                    </Paper>
+
+                    {/* Answer + grading form */}
+                    <Card sx={{ flex: 1 }}><CardContent sx={{ p: 3 }}>
+                        <Typography variant="overline" color="text.secondary">Question · {question?.marks} marks</Typography>
+                        <Typography variant="h6" sx={{ mb: 1, lineHeight: 1.6 }}><RichText text={question?.question_text} /></Typography>
+                        {question?.correct_answer?.[0] && (
+                            <Alert severity="info" sx={{ mb: 2 }}>
+                                <strong>Grader notes:</strong> {question.correct_answer[0]}
+                            </Alert>
+                        )}
+
+                        {!current ? (
+                            <Typography color="text.secondary" sx={{ py: 4, textAlign: 'center' }}>Select an answer from the queue.</Typography>
+                        ) : (
+                            <>
+                                <Divider sx={{ my: 2 }} />
+                                <Box sx={{ display: 'flex', justifyContent: 'space-between', mb: 1 }}>
+                                    <Typography variant="subtitle2" fontWeight={600}>
+                                        {candidateLabel(currentSession, sessionIndex.get(current.session_id), blind)}
+                                    </Typography>
+                                    <Typography variant="caption" color="text.secondary">
+                                        {countWords(current.selected_answer?.[0])} words
+                                        {question?.options?.max_words ? ` (max ${question.options.max_words})` : ''}
+                                    </Typography>
+                                </Box>
+                                <Paper variant="outlined" sx={{ p: 2, mb: 3, maxHeight: 420, overflowY: 'auto' }}>
+                                    <Typography variant="body1" sx={{ whiteSpace: 'pre-wrap', wordBreak: 'break-word' }}>
+                                        {current.selected_answer?.[0]}
+                                    </Typography>
+                                </Paper>
+
+                                {rubric.length > 0 ? (
+                                    <Box sx={{ display: 'flex', flexDirection: 'column', gap: 1.5, mb: 2 }}>
+                                        {rubric.map((c, i) => (
+                                            <Box key={i} sx={{ display: 'flex', alignItems: 'center', gap: 2 }}>
+                                                <Typography variant="body2" sx={{ flex: 1 }}>{c.criterion}</Typography>
+                                                <TextField size="small" type="number" value={draft.scores[i] ?? ''} sx={{ width: 110 }}
+                                                    label={`of ${c.marks}`} inputProps={{ min: 0, max: c.marks, step: 0.5 }}
+                                                    onChange={e => {
+                                                        const v = e.target.value === '' ? '' : Math.min(c.marks, Math.max(0, Number(e.target.value)));
+                                                        setDraft(d => ({ ...d, scores: d.scores.map((x, j) => (j === i ? v : x)) }));
+                                                    }} />
+                                            </Box>
+                                        ))}
+                                    </Box>
+                                ) : (
+                                    <TextField size="small" type="number" label={`Marks (of ${question?.marks})`} value={draft.marks}
+                                        inputProps={{ min: 0, max: question?.marks, step: 0.5 }} sx={{ width: 180, mb: 2 }}
+                                        onChange={e => setDraft(d => ({
+                                            ...d, marks: e.target.value === '' ? '' : Math.min(question.marks, Math.max(0, Number(e.target.value))),
+                                        }))} />
+                                )}
+
+                                <TextField fullWidth multiline minRows={2} label="Comment for the student" value={draft.comment}
+                                    onChange={e => setDraft(d => ({ ...d, comment: e.target.value }))} sx={{ mb: 2 }} />
+
+                                <Box sx={{ display: 'flex', alignItems: 'center', gap: 1 }}>
+                                    <Typography fontWeight={700} sx={{ mr: 'auto' }}>Total: {draftTotal} / {question?.marks}</Typography>
+                                    <Button variant="outlined" startIcon={<Save />} disabled={saving || !draftComplete}
+                                        onClick={() => handleSave(false)}>Save</Button>
+                                    <Button variant="contained" endIcon={<NavigateNext />} disabled={saving || !draftComplete}
+                                        onClick={() => handleSave(true)}>Save &amp; Next</Button>
+                                </Box>
+                            </>
+                        )}
+                    </CardContent></Card>
+                </Box>
+            )}
+        </Box>
+    );
+}
+
+/**
+ * Pending / marked status of one essay answer in the queue
+ */
+function GradeChip({ answer }) {
+    if (answer.grading_status === 'pending') return <Chip label="Pending" size="small" color="warning" variant="outlined" />;
+    return <Chip icon={<CheckCircle />} label={Number(answer.marks_awarded)} size="small" color="success" variant="outlined" />;
+}
@@ -1,15 +1,15 @@
-import { useState, useEffect, useCallback, useRef } from 'react';
-import { useParams, useNavigate } from 'react-router-dom';
+import { useState, useEffect, useCallback, useRef, useMemo } from 'react';
+import { useParams, useNavigate, useSearchParams } from 'react-router-dom';
 import {
-    Box, Card, CardContent, Typography, Button, Chip, RadioGroup,
-    FormControlLabel, Radio, Checkbox, LinearProgress, Dialog, DialogTitle,
+    Box, Card, CardContent, Typography, Button, Chip,
+    LinearProgress, Dialog, DialogTitle,
     DialogContent, DialogActions, Alert, IconButton, Tooltip, Paper,
     Snackbar, Slide,
 } from '@mui/material';
 import {
     Timer, NavigateBefore, NavigateNext, Flag, Send,
     CheckCircle, Circle, Warning, Error as ErrorIcon, ArrowBack,
-    Calculate, Schedule, Wifi, WifiOff,
+    Calculate, Schedule, Wifi, WifiOff, PauseCircle, Campaign, Lock, Bookmark, BookmarkBorder,
 } from '@mui/icons-material';
 import { supabase } from '../lib/supabase';
 import useAuthStore from '../store/authStore';
@@ -28,38 +28,87 @@ import ObjectDetection from '../components/proctoring/ObjectDetection';
 // Floating panel wrapper for draggable monitors
 import FloatingPanel from '../components/FloatingPanel';
 
+// Proctor ↔ candidate chat
+import SessionChat from '../components/SessionChat';
+
 // In-app calculator
 import ExamCalculator from '../components/ExamCalculator';
 
 // Admin Override panel
 import AdminOverridePanel from '../components/AdminOverridePanel';
 
+// Answer input for every question type (shared with PWTestSession)
+import QuestionInput from '../components/QuestionInput';
+import RichText from '../components/RichText';
+import { displayText, isAnswered } from '../lib/questionTypes';
+
+// Palette and pre-submit review (shared with PWTestSession)
+import QuestionPalette from '../components/QuestionPalette';
+import SubmitReview from '../components/SubmitReview';
+
 // Evidence capture & proctoring media service
 import { getEvidenceCapture } from '../lib/evidenceCapture';
 import { mediaService } from '../lib/proctoringService';
 
-// ─────────────────────────────────────────────
-// FLAG SEVERITY HELPERS
-// ─────────────────────────────────────────────
-const severityMap = { high: 'RED', medium: 'ORANGE', low: 'ORANGE' };
+// Risk fusion — the only place flag severity and auto-actions are decided
+import { createRiskEngine } from '../lib/riskEngine';
+
+// Per-test proctoring policy (monitors, thresholds, RED action)
+import {
+    MONITOR_KEYS, resolvePolicy, disabledModulesFor, riskEngineConfigFor, fetchAllowedProcesses,
+} from '../lib/proctoringPolicy';
+
+// Liveness heartbeat read by LiveSessionMonitor
+import { HEARTBEAT_CONFIG } from '../lib/sessionHeartbeat';
+
+// Server-authoritative deadline (DB trigger) + server clock offset
+import { fetchClockOffset, sessionDeadline, secondsUntil, isClosedError } from '../lib/examDeadline';
+
+// Sections with their own timers and no-return locks (server-enforced)
+import {
+    fetchSections, arrangeQuestions, isClosed, sectionDeadline, enterSection, sectionErrorMessage,
+} from '../lib/examSections';
+
+// The candidate's own paper: fixed questions plus their pool draw
+import { fetchPaper } from '../lib/questionPaper';
+
+// Question images/audio/PDFs kept in memory so a dropped connection doesn't hide them
+import { prefetchAttachments, releaseAttachments } from '../lib/questionAttachments';
+
+// Low-frame-rate camera thumbnails for the proctor's wall
+import { createSnapshotUploader } from '../lib/sessionSnapshots';
+
+// Proctor → client command channel (suspend, resume, terminate, extra time, message)
+import { COMMANDS, pendingCommands, acknowledgeCommand } from '../lib/proctorCommands';
+
+// Attempt limit, cooling-off and reported score (limit enforced by a DB trigger)
+import {
+    OPEN_STATUSES, summarizeAttempts, fetchAttemptGrants, attemptKey, attemptStatusText, attemptErrorMessage,
+    SCORING_POLICIES,
+} from '../lib/examAttempts';
+
+// Pause in typing before a text answer is saved
+const ANSWER_SAVE_DEBOUNCE_MS = 800;
 
 // ─────────────────────────────────────────────
 // MAIN COMPONENT — mirrors PWTestSession.jsx exactly
 //   Differences from PWTest:
 //   - Questions, answers, flags → Supabase DB
 //   - Face verification via IdentityMonitor (DB embeddings)
-//   - RED flag terminates session immediately
+//   - RED flags climb the policy's consequence ladder: warn → pause → terminate
 //   - Evidence capture enabled
 //   - Waiting screen for scheduled exams
 // ─────────────────────────────────────────────
 export default function ExamSession() {
     const { testId } = useParams();
+    const [searchParams] = useSearchParams();
     const navigate = useNavigate();
     const { user } = useAuthStore();
 
     // ─── DB-loaded state ───
     const [test, setTest] = useState(null);
-    const [questions, setQuestions] = useState([]);
+    const [questions, setQuestions] = useState([]);       // display order — grouped by section
+    const [sections, setSections] = useState([]);         // with [start, end) question ranges
     const [session, setSession] = useState(null);
     const [loading, setLoading] = useState(true);
     const [error, setError] = useState('');
@@ -70,16 +119,36 @@ export default function ExamSession() {
     const [timeLeft, setTimeLeft] = useState(0);
     const [submitted, setSubmitted] = useState(false);
     const [submitting, setSubmitting] = useState(false);
+    const [finalScore, setFinalScore] = useState(null);  // from grade-exam / exam_sessions.score
+    const [gradingPending, setGradingPending] = useState(false); // essays still to be marked by a teacher
+    const [attempts, setAttempts] = useState(null);        // summarizeAttempts() for this student
     const [confirmSubmit, setConfirmSubmit] = useState(false);
+    const [sectionConfirm, setSectionConfirm] = useState(null);   // section the candidate asked to move to (jumpTo: question index)
+    const [marked, setMarked] = useState([]);              // question ids marked for review
+    const [movingSection, setMovingSection] = useState(false);
+    const [hiddenInstructions, setHiddenInstructions] = useState([]); // section ids
     const [overrideOpen, setOverrideOpen] = useState(false);
     const [disabledModules, setDisabledModules] = useState([]);
     const [preChecksComplete, setPreChecksComplete] = useState(false);
     const [sharedStream, setSharedStream] = useState(null); // ONE stream for all monitors
     const [cameraStream, setCameraStream] = useState(null); // For ObjectDetection / evidence
     const timerRef = useRef(null);
+    const deadlineRef = useRef(null);       // epoch ms, from exam_sessions.deadline_at
+    const sectionDeadlineRef = useRef(null); // epoch ms, from exam_sessions.section_deadline_at
+    const autoSubmitRef = useRef(null);      // latest handlers for the timer interval
+    const sectionTimeUpRef = useRef(null);
+    const clockOffsetRef = useRef(0);       // server clock − local clock (ms)
     const clickCountRef = useRef(0);
     const clickTimerRef = useRef(null);
+    const typingSaveRef = useRef({});      // questionId → debounce timer for text answers
+    const [saveStatus, setSaveStatus] = useState({}); // questionId → 'saving' | 'saved' | 'offline' (essay / code editors)
     const evidenceRef = useRef(getEvidenceCapture());
+    const riskEngineRef = useRef(createRiskEngine());
+
+    // ─── Proctoring policy (from tests.settings.proctoring) ───
+    const policy = useMemo(() => resolvePolicy(test?.settings), [test]);
+    const [paused, setPaused] = useState(false);
+    const [pauseReason, setPauseReason] = useState('');
 
     // ─── Waiting screen state ───
     const [isWaiting, setIsWaiting] = useState(false);
@@ -88,6 +157,14 @@ export default function ExamSession() {
     // ─── Online/offline ───
     const [isOnline, setIsOnline] = useState(navigator.onLine);
 
+    // ─── Heartbeat ───
+    const heartbeatStateRef = useRef({});   // latest exam state, read by the heartbeat interval
+    const connectionLostAtRef = useRef(null); // first failed beat (or server-side connection_lost_at)
+
+    // ─── Proctor commands ───
+    const [proctorMessages, setProctorMessages] = useState([]); // MESSAGE commands awaiting dismissal
+    const commandHandlerRef = useRef(null);  // latest applyCommand, called from the Realtime callback
+
     // ─── Flag state ───
     const [flags, setFlags] = useState([]); // local mirror for UI display
     const [warningMsg, setWarningMsg] = useState('');
@@ -96,10 +173,11 @@ export default function ExamSession() {
     // ─── Calculator state ───
     const [calcOpen, setCalcOpen] = useState(false);
 
-    // ─── Flag Handler (DB + evidence + RED termination) ───
-    const logFlag = useCallback(async (flag) => {
+    // ─── Flag Handler (DB + evidence + auto-action) ───
+    // Only called with flags produced by the RiskEngine — see handleSignal.
+    const logFlag = useCallback(async (flag, action) => {
         if (!session || submitted) return;
-        const dbSeverity = severityMap[flag.severity] || flag.severity;
+        const dbSeverity = flag.severity;
         const timestamp = new Date().toISOString();
 
         // Local mirror for UI
@@ -117,8 +195,9 @@ export default function ExamSession() {
                 session_id: session.id,
                 flag_type: flag.type,
                 severity: dbSeverity,
-                module: flag.type?.split('_')[0]?.toLowerCase() || 'unknown',
-                metadata: { message: flag.message },
+                module: flag.module,
+                confidence: flag.confidence,
+                metadata: { message: flag.message, score: flag.score, ...flag.details },
                 timestamp,
             }).select().single();
 
@@ -150,14 +229,17 @@ export default function ExamSession() {
             }
 
             // Show toast warning
-            if (dbSeverity === 'RED' || dbSeverity === 'ORANGE') {
+            if (action === 'warn' && dbSeverity === 'RED') {
+                setWarningMsg(`RED Flag (warning ${flag.details?.ladder?.count}): ${flag.message} — repeated violations will pause your exam.`);
+                setWarningOpen(true);
+            } else if (dbSeverity === 'RED' || dbSeverity === 'ORANGE') {
                 setWarningMsg(`${dbSeverity} Flag: ${flag.message}`);
                 setWarningOpen(true);
             }
 
-            // RED flag → terminate session immediately
-            if (dbSeverity === 'RED') {
-                console.log('[ExamSession] RED FLAG — terminating session');
+            // Auto-action chosen by the RiskEngine's RED ladder
+            if (action === 'terminate') {
+                console.log('[ExamSession] RiskEngine auto-action — terminating session');
                 stopAllProctoring();
                 await supabase.from('exam_sessions').update({
                     status: 'terminated',
@@ -167,13 +249,43 @@ export default function ExamSession() {
                 setSubmitted(true);
                 setError('Exam terminated due to severe violation: ' + flag.message);
                 if (timerRef.current) clearInterval(timerRef.current);
+            } else if (action === 'pause') {
+                console.log('[ExamSession] RiskEngine auto-action — pausing session for proctor review');
+                await supabase.from('exam_sessions').update({ status: 'paused' }).eq('id', session.id);
+                setPauseReason(flag.message);
+                setPaused(true);
             }
         } catch (err) {
             console.error('Flag log error', err);
         }
 
         console.log(`[ExamSession] ${dbSeverity} FLAG: ${flag.message} (${flag.type})`);
-    }, [session, submitted]);
+    }, [session?.id, submitted]);
+
+    // ─── Risk Signal Handler (all monitors report here) ───
+    const handleSignal = useCallback((signal) => {
+        if (!session || submitted || paused) return;
+        const decision = riskEngineRef.current.ingest(signal);
+        if (decision) logFlag(decision.flag, decision.action);
+    }, [session?.id, submitted, paused, logFlag]);
+
+    // ─── Apply the test's policy: monitor set + RiskEngine RED action ───
+    useEffect(() => {
+        setDisabledModules(disabledModulesFor(policy));
+        riskEngineRef.current.configure(riskEngineConfigFor(policy));
+    }, [policy]);
+
+    // ─── Start enforcement with this test's allowed app categories ───
+    const startEnforcement = useCallback(async () => {
+        if (!window.electronAPI) return;
+        try {
+            const allowed = await fetchAllowedProcesses(supabase, policy);
+            await window.electronAPI.setWhitelist(allowed);
+        } catch (err) {
+            console.warn('[ExamSession] Could not apply policy whitelist:', err);
+        }
+        await window.electronAPI.startEnforcement();
+    }, [policy]);
 
     // ─── Stop Backend IPC Services (safe for cleanup, no state changes) ───
     const stopBackendServices = useCallback(() => {
@@ -225,31 +337,24 @@ export default function ExamSession() {
             setTest(testData);
             setTimeLeft(testData.duration_minutes * 60);
 
-            // Fetch questions via junction table
-            const { data: qData } = await supabase
-                .from('test_questions')
-                .select('questions(*)')
-                .eq('test_id', testId)
-                .order('question_order');
-            const flatQuestions = qData?.map(q => q.questions) || [];
-            setQuestions(flatQuestions);
+            const testSections = await fetchSections(supabase, testId);
 
-            // Find or create session
+            // Resume the open attempt; a finished one is shown unless a new
+            // attempt was asked for (?attempt=new) and the policy allows it
             let existingSession;
-            const { data: sessions } = await supabase
-                .from('exam_sessions')
-                .select('*')
-                .eq('test_id', testId)
-                .eq('student_id', user.id)
-                .in('status', ['in_progress', 'completed', 'terminated']);
-
-            if (sessions && sessions.length > 0) {
-                existingSession = sessions[0];
-                if (existingSession.status === 'completed' || existingSession.status === 'terminated') {
-                    setSubmitted(true);
-                    if (existingSession.status === 'terminated') {
-                        setError('This exam was terminated due to proctoring violations.');
-                    }
+            const summary = await loadAttempts(testData);
+            const startNew = !summary.latest || (searchParams.get('attempt') === 'new' && summary.canStart);
+
+            if (summary.open) {
+                existingSession = summary.open;
+                if (existingSession.status === 'paused') setPaused(true);
+            } else if (!startNew) {
+                existingSession = summary.latest;
+                setSubmitted(true);
+                setFinalScore(existingSession.score);
+                setGradingPending(existingSession.grading_status === 'pending');
+                if (existingSession.status === 'terminated') {
+                    setError('This exam was terminated due to proctoring violations.');
                 }
             } else {
                 const { data: newSession, error: sessionErr } = await supabase
@@ -258,48 +363,96 @@ export default function ExamSession() {
                         test_id: testId,
                         student_id: user.id,
                         status: 'in_progress',
-                        started_at: new Date().toISOString(),
                     })
                     .select().single();
                 if (sessionErr) {
-                    // Duplicate race condition
+                    // Duplicate race condition — another device opened the attempt first
                     const { data: retry } = await supabase
                         .from('exam_sessions').select('*')
                         .eq('test_id', testId).eq('student_id', user.id)
-                        .eq('status', 'in_progress').single();
+                        .in('status', OPEN_STATUSES).maybeSingle();
                     if (retry) {
                         existingSession = retry;
                     } else {
+                        const refused = attemptErrorMessage(sessionErr);
+                        if (refused) throw new Error(refused);
                         throw sessionErr;
                     }
                 } else {
                     existingSession = newSession;
                 }
+                loadAttempts(testData).catch(err => console.warn('[ExamSession] Could not refresh attempts:', err));
             }
 
-            setSession(existingSession);
-
-            // Load any saved answers
-            const { data: savedAns } = await supabase
-                .from('answers').select('*').eq('session_id', existingSession.id);
-            const ansMap = {};
-            savedAns?.forEach(a => { ansMap[a.question_id] = a.selected_answer; });
-            setAnswers(ansMap);
-
-            // Timer logic — check if waiting
-            if (!existingSession.status.match(/completed|terminated/) && testData.start_time) {
+            // Clock, deadlines and the waiting state go in before the session
+            // does — setting the session lets the countdown start
+            clockOffsetRef.current = await fetchClockOffset(supabase);
+            deadlineRef.current = sessionDeadline(existingSession, testData);
+            sectionDeadlineRef.current = sectionDeadline(existingSession);
+            if (OPEN_STATUSES.includes(existingSession.status) && testData.start_time) {
                 const startTime = new Date(testData.start_time).getTime();
                 const now = Date.now();
                 if (now < startTime) {
                     setIsWaiting(true);
                     setWaitRemaining(Math.floor((startTime - now) / 1000));
                 } else {
-                    // Already started — calculate remaining time
-                    const elapsed = (now - new Date(existingSession.started_at).getTime()) / 1000;
-                    const remaining = Math.max(0, testData.duration_minutes * 60 - elapsed);
-                    setTimeLeft(Math.floor(remaining));
+                    // Already started — remaining time comes from the server deadlines
+                    setTimeLeft(remainingSeconds());
                 }
             }
+            setSession(existingSession);
+
+            // The paper is drawn when the session is created — without
+            // correct_answer, grading happens in the grade-exam edge function
+            const flatQuestions = await fetchPaper(supabase, existingSession, { answerKey: false });
+
+            // Section layout (shuffles are seeded by the session, so reloads
+            // keep the order) and the section the server has open
+            const arranged = arrangeQuestions(testSections, flatQuestions, existingSession.id);
+            setQuestions(arranged.questions);
+            setSections(arranged.sections);
+
+            // Not awaited: questions show straight away, attachments load from the network until cached
+            prefetchAttachments(flatQuestions).then(({ total, failed }) => {
+                if (failed > 0) console.warn(`[ExamSession] ${failed} of ${total} question attachments could not be prefetched`);
+            });
+            const resumeIn = arranged.sections.find(sec => sec.id === existingSession.current_section_id);
+            if (resumeIn) setCurrentQ(resumeIn.start);
+            connectionLostAtRef.current = existingSession.connection_lost_at
+                ? new Date(existingSession.connection_lost_at).getTime()
+                : null;
+
+            // Rebuild the RED ladder so a reload can't reset it — only flags
+            // since the last proctor reinstatement count
+            let redQuery = supabase
+                .from('flags').select('flag_type')
+                .eq('session_id', existingSession.id)
+                .eq('severity', 'RED');
+            if (existingSession.reinstated_at) redQuery = redQuery.gt('timestamp', existingSession.reinstated_at);
+            const { data: redFlags } = await redQuery;
+            riskEngineRef.current.restoreRedCounts((redFlags || []).map(f => f.flag_type));
+
+            // Commands issued while this client was closed: status and extra time
+            // are already on the session row, so only messages still need showing
+            try {
+                const pending = await pendingCommands(supabase, existingSession.id);
+                pending.forEach(cmd => {
+                    if (cmd.command === COMMANDS.MESSAGE) {
+                        setProctorMessages(prev => [...prev, cmd]);
+                    } else {
+                        acknowledgeCommand(supabase, cmd.id, { applied_on_load: true });
+                    }
+                });
+            } catch (err) {
+                console.warn('[ExamSession] Could not load pending proctor commands:', err);
+            }
+
+            // Load any saved answers
+            const { data: savedAns } = await supabase
+                .from('answers').select('*').eq('session_id', existingSession.id);
+            const ansMap = {};
+            savedAns?.forEach(a => { ansMap[a.question_id] = a.selected_answer; });
+            setAnswers(ansMap);
         } catch (err) {
             console.error('Failed to load exam', err);
             setError(err.message || 'Failed to load exam');
@@ -307,6 +460,17 @@ export default function ExamSession() {
         setLoading(false);
     };
 
+    // ─── This student's attempts at the test ───
+    const loadAttempts = async (testData) => {
+        const { data: sessions, error: sErr } = await supabase
+            .from('exam_sessions').select('*').eq('test_id', testId).eq('student_id', user.id);
+        if (sErr) throw sErr;
+        const grants = await fetchAttemptGrants(supabase, [testId], user.id);
+        const summary = summarizeAttempts(testData, sessions || [], grants.get(attemptKey(testId, user.id)) || 0);
+        setAttempts(summary);
+        return summary;
+    };
+
     // ─── Sync offline answers ───
     const syncOfflineAnswers = async () => {
         if (!navigator.onLine) return;
@@ -316,7 +480,8 @@ export default function ExamSession() {
             const newPending = [];
             for (const ans of pending) {
                 const { error } = await supabase.from('answers').upsert(ans, { onConflict: 'session_id,question_id' });
-                if (error) newPending.push(ans);
+                // Answers rejected because the exam is over are dropped, not retried
+                if (error && !isClosedError(error)) newPending.push(ans);
             }
             localStorage.setItem('pw_offline_answers', JSON.stringify(newPending));
             if (newPending.length === 0) console.log('Sync complete');
@@ -334,6 +499,7 @@ export default function ExamSession() {
             if (timerRef.current) clearInterval(timerRef.current);
             if (clickTimerRef.current) clearTimeout(clickTimerRef.current);
             stopBackendServices();
+            releaseAttachments();
         };
     }, [testId]);
 
@@ -372,7 +538,7 @@ export default function ExamSession() {
             if (disabledModules.includes('enforcement')) {
                 window.electronAPI.stopEnforcement();
             } else {
-                window.electronAPI.startEnforcement();
+                startEnforcement();
             }
 
             // Network Service
@@ -382,9 +548,11 @@ export default function ExamSession() {
                 window.electronAPI.startNetworkMonitor();
             }
         }
-    }, [disabledModules, preChecksComplete, submitted]);
+    }, [disabledModules, preChecksComplete, submitted, startEnforcement]);
 
     // ─── Start proctoring when PreChecks complete AND not waiting ───
+    // Keyed on the session id: section changes, resumes and extra time replace
+    // the session object and must not start the monitors a second time
     useEffect(() => {
         if (preChecksComplete && !submitted && !isWaiting && session) {
             console.log('[ExamSession] Exam phase started — mounting monitors. disabledModules:', disabledModules);
@@ -422,7 +590,7 @@ export default function ExamSession() {
             // Start Backend Services (if not disabled)
             if (window.electronAPI) {
                 if (!disabledModules.includes('enforcement')) {
-                    window.electronAPI.startEnforcement();
+                    startEnforcement();
                     console.log('[ExamSession] Enforcement started');
                 }
                 if (!disabledModules.includes('network')) {
@@ -431,19 +599,80 @@ export default function ExamSession() {
                 }
             }
 
-            // Start countdown timer
-            timerRef.current = setInterval(() => {
-                setTimeLeft(prev => {
-                    if (prev <= 1) {
-                        clearInterval(timerRef.current);
-                        handleAutoSubmit();
-                        return 0;
-                    }
-                    return prev - 1;
-                });
-            }, 1000);
+            // Start countdown timer (stays frozen if the session was left paused)
+            if (!paused) startTimer();
+        }
+    }, [preChecksComplete, submitted, isWaiting, session?.id]);
+
+    // ─── Freeze the countdown while the session is paused ───
+    useEffect(() => {
+        if (paused && timerRef.current) {
+            clearInterval(timerRef.current);
+            timerRef.current = null;
         }
-    }, [preChecksComplete, submitted, isWaiting, session]);
+    }, [paused]);
+
+    // ─── Heartbeat: publish client liveness + progress for the proctor ───
+    heartbeatStateRef.current = {
+        question_index: currentQ,
+        total_questions: questions.length,
+        answered_count: questions.filter(q => isAnswered(answers[q.id])).length,
+        time_left: timeLeft,
+        online: isOnline,
+        paused,
+        monitors: MONITOR_KEYS.filter(m => !disabledModules.includes(m)),
+    };
+
+    useEffect(() => {
+        if (!session || submitted || !preChecksComplete) return;
+
+        const beat = async () => {
+            const now = new Date().toISOString();
+            const engine = riskEngineRef.current;
+            const channels = engine.getChannelRisks();
+            const round = (v) => Math.round(v * 100) / 100;
+            const { error: hbErr } = await supabase.from('exam_sessions').update({
+                last_heartbeat_at: now,
+                heartbeat: {
+                    ...heartbeatStateRef.current,
+                    risk: { fused: round(engine.getFusedRisk()), vision: round(channels.vision), audio: round(channels.audio) },
+                },
+                connection_lost_at: null,
+            }).eq('id', session.id);
+
+            if (hbErr) {
+                if (!connectionLostAtRef.current) connectionLostAtRef.current = Date.now();
+                return;
+            }
+
+            // First beat after a gap (network drop or client restart) — close it on the timeline
+            if (connectionLostAtRef.current) {
+                await supabase.from('session_events').insert({
+                    session_id: session.id,
+                    event_type: 'CONNECTION_RESTORED',
+                    details: { offline_ms: Date.now() - connectionLostAtRef.current },
+                });
+                connectionLostAtRef.current = null;
+            }
+        };
+
+        beat();
+        const interval = setInterval(beat, HEARTBEAT_CONFIG.HEARTBEAT_INTERVAL_MS);
+        window.addEventListener('online', beat);
+        return () => {
+            clearInterval(interval);
+            window.removeEventListener('online', beat);
+        };
+    }, [session?.id, submitted, preChecksComplete]);
+
+    // ─── Camera snapshots for LiveSessionMonitor's thumbnail wall ───
+    useEffect(() => {
+        const intervalS = policy.snapshots.interval_s;
+        if (!session || submitted || !preChecksComplete || !sharedStream || !intervalS) return;
+        const uploader = createSnapshotUploader();
+        uploader.start(sharedStream, session.id, intervalS * 1000);
+        return () => uploader.stop();
+    }, [session?.id, submitted, preChecksComplete, sharedStream, policy]);
 
     // ─── Handle Waiting Countdown ───
     useEffect(() => {
@@ -488,19 +717,29 @@ export default function ExamSession() {
     };
 
     // ─── Answer handler (save to DB + offline fallback) ───
-    const handleAnswer = async (questionId, value, isMulti = false) => {
-        let newAnswer;
-        if (isMulti) {
-            const current = answers[questionId] || [];
-            newAnswer = current.includes(value)
-                ? current.filter(v => v !== value)
-                : [...current, value];
+    // Keystrokes in text answers are saved once typing pauses; submit saves
+    // whatever is on screen anyway.
+    const handleAnswer = (questionId, newAnswer, typed = false) => {
+        setAnswers(prev => ({ ...prev, [questionId]: newAnswer }));
+        clearTimeout(typingSaveRef.current[questionId]);
+        if (typed) {
+            setSaveStatus(prev => ({ ...prev, [questionId]: 'saving' }));
+            typingSaveRef.current[questionId] = setTimeout(() => saveAnswer(questionId, newAnswer), ANSWER_SAVE_DEBOUNCE_MS);
         } else {
-            newAnswer = [value];
+            saveAnswer(questionId, newAnswer);
         }
-        setAnswers(prev => ({ ...prev, [questionId]: newAnswer }));
+    };
+
+    // Pending text-answer saves are superseded by submit and dropped on unmount
+    const cancelTypingSaves = () => {
+        Object.values(typingSaveRef.current).forEach(clearTimeout);
+        typingSaveRef.current = {};
+    };
+    useEffect(() => cancelTypingSaves, []);
 
-        // Save to DB
+    const saveAnswer = async (questionId, newAnswer) => {
+        delete typingSaveRef.current[questionId];
+        const markSaved = (status) => setSaveStatus(prev => ({ ...prev, [questionId]: status }));
         if (session) {
             const ansRecord = {
                 session_id: session.id,
@@ -509,76 +748,267 @@ export default function ExamSession() {
             };
             try {
                 if (navigator.onLine) {
-                    await supabase.from('answers').upsert(ansRecord, { onConflict: 'session_id,question_id' });
+                    const { error: saveErr } = await supabase.from('answers').upsert(ansRecord, { onConflict: 'session_id,question_id' });
+                    if (isClosedError(saveErr)) {
+                        markSaved(null);
+                        setWarningMsg('Time is up — this answer was not saved.');
+                        setWarningOpen(true);
+                    } else if (saveErr) {
+                        throw saveErr;
+                    } else {
+                        markSaved('saved');
+                    }
                 } else {
                     const pending = JSON.parse(localStorage.getItem('pw_offline_answers') || '[]');
                     pending.push(ansRecord);
                     localStorage.setItem('pw_offline_answers', JSON.stringify(pending));
+                    markSaved('offline');
                 }
             } catch (err) {
                 console.error('Answer save error:', err);
                 const pending = JSON.parse(localStorage.getItem('pw_offline_answers') || '[]');
                 pending.push(ansRecord);
                 localStorage.setItem('pw_offline_answers', JSON.stringify(pending));
+                markSaved('offline');
             }
         }
     };
 
+    // Whole-exam or section time, whichever runs out first
+    const remainingSeconds = () => {
+        const left = secondsUntil(deadlineRef.current, clockOffsetRef.current);
+        if (!sectionDeadlineRef.current) return left;
+        return Math.min(left, secondsUntil(sectionDeadlineRef.current, clockOffsetRef.current));
+    };
+
+    // ─── Countdown timer (recomputed from the server deadlines every tick) ───
+    const startTimer = () => {
+        if (timerRef.current) clearInterval(timerRef.current);
+        timerRef.current = setInterval(() => {
+            // No deadline yet — secondsUntil() would read it as time up
+            if (deadlineRef.current === null) return;
+            const examLeft = secondsUntil(deadlineRef.current, clockOffsetRef.current);
+            const left = remainingSeconds();
+            setTimeLeft(left);
+            if (left > 0) return;
+            clearInterval(timerRef.current);
+            timerRef.current = null;
+            if (examLeft <= 0) autoSubmitRef.current?.();
+            else sectionTimeUpRef.current?.();
+        }, 1000);
+    };
+
+    // ─── Re-read the deadlines after the server moved them (resume, extra time) ───
+    const refreshDeadline = async () => {
+        const { data } = await supabase
+            .from('exam_sessions')
+            .select('started_at, deadline_at, extra_time_minutes, current_section_id, section_deadline_at, section_seconds_used')
+            .eq('id', session.id).single();
+        if (!data) return;
+        setSession(prev => ({ ...prev, ...data }));
+        deadlineRef.current = sessionDeadline(data, test);
+        sectionDeadlineRef.current = sectionDeadline(data);
+        setTimeLeft(remainingSeconds());
+    };
+
+    // ─── Paused session: check whether a proctor has resumed or ended it ───
+    const checkPauseStatus = async () => {
+        const { data } = await supabase
+            .from('exam_sessions').select('status').eq('id', session.id).single();
+        if (data?.status === 'in_progress') {
+            await refreshDeadline();
+            setPaused(false);
+            setPauseReason('');
+            startTimer();
+        } else if (data?.status === 'terminated') {
+            setPaused(false);
+            setSubmitted(true);
+            setError('This exam was terminated by the proctor.');
+        }
+    };
+
+    // ─── Proctor commands: apply, then acknowledge back to LiveSessionMonitor ───
+    const applyCommand = async (cmd) => {
+        if (submitted) return;
+        const payload = cmd.payload || {};
+        let details = {};
+
+        if (cmd.command === COMMANDS.SUSPEND) {
+            setPauseReason(payload.reason || 'Paused by the proctor.');
+            setPaused(true);
+        } else if (cmd.command === COMMANDS.RESUME) {
+            await refreshDeadline();
+            setPaused(false);
+            setPauseReason('');
+            startTimer();
+        } else if (cmd.command === COMMANDS.TERMINATE) {
+            stopAllProctoring();
+            if (timerRef.current) clearInterval(timerRef.current);
+            setPaused(false);
+            setSubmitted(true);
+            setError('This exam was terminated by the proctor.' + (payload.reason ? ` Reason: ${payload.reason}` : ''));
+        } else if (cmd.command === COMMANDS.EXTRA_TIME) {
+            // The proctor already raised extra_time_minutes; the trigger moved deadline_at
+            await refreshDeadline();
+            details = { time_left: remainingSeconds() };
+        } else if (cmd.command === COMMANDS.MESSAGE) {
+            // Acknowledged when the candidate dismisses it — see dismissProctorMessage
+            setProctorMessages(prev => [...prev, cmd]);
+            return;
+        }
+
+        try {
+            await acknowledgeCommand(supabase, cmd.id, details);
+        } catch (err) {
+            console.error('[ExamSession] Command acknowledgement failed:', err);
+        }
+    };
+    commandHandlerRef.current = applyCommand;
+
+    // New chat message while the panel may be minimized — surface it as a toast
+    const handleProctorChat = useCallback((msg) => {
+        setWarningMsg(`Proctor: ${msg.body}`);
+        setWarningOpen(true);
+    }, []);
+
+    const dismissProctorMessage = async () => {
+        const [cmd, ...rest] = proctorMessages;
+        setProctorMessages(rest);
+        try {
+            await acknowledgeCommand(supabase, cmd.id, { read: true });
+        } catch (err) {
+            console.error('[ExamSession] Message acknowledgement failed:', err);
+        }
+    };
+
+    useEffect(() => {
+        if (!session || submitted) return;
+        const channel = supabase
+            .channel(`proctor-commands-${session.id}`)
+            .on('postgres_changes', {
+                event: 'INSERT',
+                schema: 'public',
+                table: 'proctor_commands',
+                filter: `session_id=eq.${session.id}`,
+            }, (payload) => commandHandlerRef.current?.(payload.new))
+            .subscribe();
+        return () => { supabase.removeChannel(channel); };
+    }, [session?.id, submitted]);
+
+    // ─── Marked for review: kept per session so a reload keeps them ───
+    useEffect(() => {
+        if (!session?.id) return;
+        try {
+            setMarked(JSON.parse(localStorage.getItem(`pw_marked_${session.id}`) || '[]'));
+        } catch {
+            setMarked([]);
+        }
+    }, [session?.id]);
+
+    const toggleMarked = (questionId) => {
+        const next = marked.includes(questionId) ? marked.filter(id => id !== questionId) : [...marked, questionId];
+        setMarked(next);
+        localStorage.setItem(`pw_marked_${session.id}`, JSON.stringify(next));
+    };
+
+    // ─── Sections: the open one, and moving to another ───
+    const openSection = sections.find(sec => sec.id === session?.current_section_id) || null;
+    const range = openSection ? { start: openSection.start, end: openSection.end } : { start: 0, end: questions.length };
+    const nextSection = openSection
+        ? sections.slice(sections.indexOf(openSection) + 1).find(sec => !isClosed(session, sec)) || null
+        : null;
+
+    // Persist what's on screen for these questions. Once the exam or section
+    // is over the server rejects changes and keeps the answers it accepted in time.
+    const persistAnswers = async (list) => {
+        const { error: saveErr } = await supabase.from('answers').upsert(
+            list.map(q => ({ session_id: session.id, question_id: q.id, selected_answer: answers[q.id] || [] })),
+            { onConflict: 'session_id,question_id' },
+        );
+        if (saveErr && !isClosedError(saveErr)) throw saveErr;
+    };
+
+    // The section being left is saved first — its answers are closed afterwards
+    const moveToSection = async (target, at = target.start) => {
+        setMovingSection(true);
+        try {
+            cancelTypingSaves();
+            await persistAnswers(questions.slice(range.start, range.end));
+            const updated = await enterSection(supabase, session.id, target.id);
+            setSession(updated);
+            sectionDeadlineRef.current = sectionDeadline(updated);
+            setCurrentQ(at);
+            setTimeLeft(remainingSeconds());
+            if (!paused) startTimer();
+        } finally {
+            setMovingSection(false);
+        }
+    };
+
+    const confirmSectionMove = async () => {
+        try {
+            await moveToSection(sectionConfirm, sectionConfirm.jumpTo);
+        } catch (err) {
+            console.error('[ExamSession] Section change failed:', err);
+            setWarningMsg(sectionErrorMessage(err));
+            setWarningOpen(true);
+        }
+        setSectionConfirm(null);
+    };
+
+    // Section time ran out: carry on in the next section that can still be
+    // opened (later ones first), or submit when none is left
+    const handleSectionTimeUp = async () => {
+        const from = sections.indexOf(openSection);
+        const candidates = [...sections.slice(from + 1), ...sections.slice(0, from)].filter(sec => !isClosed(session, sec));
+        for (const target of candidates) {
+            try {
+                await moveToSection(target);
+                setWarningMsg(`Time is up for ${openSection.title} — moved on to ${target.title}.`);
+                setWarningOpen(true);
+                return;
+            } catch (err) {
+                console.warn(`[ExamSession] Could not open section ${target.title}:`, err);
+            }
+        }
+        await submitExam();
+    };
+
     // ─── Submit handler ───
     const handleAutoSubmit = async () => {
         await submitExam();
     };
+    autoSubmitRef.current = handleAutoSubmit;
+    sectionTimeUpRef.current = handleSectionTimeUp;
 
     const submitExam = async () => {
         setSubmitting(true);
+        cancelTypingSaves();
         try {
-            // Calculate total score
-            let totalScore = 0;
-            for (const q of questions) {
-                const ans = answers[q.id] || [];
-                const isCorrect = ans.length > 0 && JSON.stringify([...(q.correct_answer || [])].sort()) === JSON.stringify([...ans].sort());
-                totalScore += isCorrect ? q.marks : 0;
-            }
-
-            // Query flags
-            let red_flags = 0;
-            let orange_flags = 0;
-            try {
-                const { data: flagData } = await supabase
-                    .from('flags').select('severity').eq('session_id', session.id);
-                flagData?.forEach(f => {
-                    if (f.severity === 'RED') red_flags++;
-                    if (f.severity === 'ORANGE') orange_flags++;
-                });
-            } catch (e) { console.warn('Flag count error', e); }
-
-            // Save all answers
-            const answerRecords = questions.map(q => ({
-                session_id: session.id,
-                question_id: q.id,
-                selected_answer: answers[q.id] || [],
-                is_correct: (answers[q.id]?.length > 0) && JSON.stringify([...(q.correct_answer || [])].sort()) === JSON.stringify([...(answers[q.id] || [])].sort()),
-                marks_awarded: ((answers[q.id]?.length > 0) && JSON.stringify([...(q.correct_answer || [])].sort()) === JSON.stringify([...(answers[q.id] || [])].sort())) ? q.marks : 0,
-            }));
-
-            await supabase.from('answers').upsert(answerRecords, { onConflict: 'session_id,question_id' });
-
-            // Update session
-            await supabase.from('exam_sessions').update({
-                status: 'completed',
-                ended_at: new Date().toISOString(),
-                score: totalScore,
-                red_flags,
-                orange_flags,
-            }).eq('id', session.id);
-
+            // Only the open section's answers can still change
+            await syncOfflineAnswers();
+            await persistAnswers(questions.slice(range.start, range.end));
+
+            // Grading, flag counts and the status change happen server-side —
+            // correct answers never reach this client
+            const { data: result, error: gradeErr } = await supabase.functions.invoke('grade-exam', {
+                body: { sessionId: session.id, submit: true },
+            });
+            if (gradeErr || result?.error) throw gradeErr || new Error(result.error);
+
+            setFinalScore(result.score);
+            setGradingPending(!!result.gradingPending);
             stopAllProctoring();
             if (timerRef.current) clearInterval(timerRef.current);
             setSubmitted(true);
             setConfirmSubmit(false);
+            localStorage.removeItem(`pw_marked_${session.id}`);
+            loadAttempts(test).catch(err => console.warn('[ExamSession] Could not refresh attempts:', err));
         } catch (err) {
+            // Keep the exam open so the student can retry
             console.error('Submit error:', err);
-            setError(err.message);
+            setWarningMsg('Submission failed — check your connection and submit again.');
+            setWarningOpen(true);
         }
         setSubmitting(false);
     };
@@ -639,6 +1069,15 @@ export default function ExamSession() {
     // RENDER: Post-submission / Termination view
     // ═══════════════════════════════════════════
     if (submitted) {
+        // Which attempt this was and what's left — not shown for single-attempt tests
+        const scoring = SCORING_POLICIES.find(p => p.value === attempts?.policy.scoring);
+        const attemptNote = attempts && session && (attempts.allowed !== 1 || attempts.used > 1) && (
+            <Typography variant="body2" color="text.secondary" sx={{ mt: 2 }}>
+                Attempt {session.attempt_number ?? 1}{attempts.allowed ? ` of ${attempts.allowed}` : ''} · {attemptStatusText(attempts)}
+                {attempts.used > 1 && ` · your result counts the ${scoring.label.toLowerCase()}`}
+            </Typography>
+        );
+
         // Termination view
         if (error) {
             return (
@@ -650,6 +1089,7 @@ export default function ExamSession() {
                         <Typography variant="h3" fontWeight={700} color="error">0/{test?.total_marks || 0}</Typography>
                         <Typography color="text.secondary">Score Voided</Typography>
                     </CardContent></Card>
+                    {attemptNote}
                     <Button variant="contained" sx={{ mt: 3 }} onClick={() => navigate('/dashboard')}
                         startIcon={<ArrowBack />}>Back to Dashboard</Button>
                 </Box>
@@ -657,23 +1097,28 @@ export default function ExamSession() {
         }
 
         // Normal submission view
-        const totalScore = questions.reduce((acc, q) => {
-            const ans = answers[q.id] || [];
-            const isCorrect = ans.length > 0 && JSON.stringify([...(q.correct_answer || [])].sort()) === JSON.stringify([...ans].sort());
-            return acc + (isCorrect ? q.marks : 0);
-        }, 0);
-
         return (
             <Box sx={{ textAlign: 'center', py: 6, maxWidth: 600, mx: 'auto' }}>
                 <CheckCircle sx={{ fontSize: 72, color: '#4ECDC4', mb: 2 }} />
                 <Typography variant="h4" fontWeight={700} gutterBottom>Exam Submitted</Typography>
                 <Typography color="text.secondary" sx={{ mb: 3 }}>{test?.title}</Typography>
                 <Card><CardContent sx={{ p: 3 }}>
-                    <Typography variant="h3" fontWeight={700} color="primary">{totalScore}/{test?.total_marks || 0}</Typography>
-                    <Typography color="text.secondary">Your Score</Typography>
+                    {gradingPending ? (
+                        <>
+                            <Typography variant="h5" fontWeight={700} color="primary">Awaiting grading</Typography>
+                            <Typography color="text.secondary">
+                                Your essay answers are being marked — your score will appear in your results once grading is complete.
+                            </Typography>
+                        </>
+                    ) : (
+                        <>
+                            <Typography variant="h3" fontWeight={700} color="primary">{finalScore ?? '—'}/{test?.total_marks || 0}</Typography>
+                            <Typography color="text.secondary">Your Score</Typography>
+                        </>
+                    )}
                     <Box sx={{ mt: 2, display: 'flex', justifyContent: 'center', gap: 2 }}>
-                        <Chip label={`${questions.filter(q => answers[q.id]?.length > 0).length} Answered`} color="success" />
-                        <Chip label={`${questions.filter(q => !answers[q.id] || answers[q.id].length === 0).length} Skipped`} variant="outlined" />
+                        <Chip label={`${questions.filter(q => isAnswered(answers[q.id])).length} Answered`} color="success" />
+                        <Chip label={`${questions.filter(q => !isAnswered(answers[q.id])).length} Skipped`} variant="outlined" />
                         <Chip label={`${flags.length} Flags`} color={flags.length > 0 ? 'warning' : 'default'} />
                     </Box>
 
@@ -698,6 +1143,7 @@ export default function ExamSession() {
                         </Box>
                     )}
                 </CardContent></Card>
+                {attemptNote}
                 <Button variant="contained" sx={{ mt: 3 }} onClick={() => navigate('/dashboard')}
                     startIcon={<ArrowBack />}>Back to Dashboard</Button>
             </Box>
@@ -708,8 +1154,20 @@ export default function ExamSession() {
     // RENDER: Active exam view (mirrors PWTest exactly)
     // ═══════════════════════════════════════════
     const currentQuestion = questions[currentQ];
-    const answeredCount = questions.filter(q => answers[q.id]?.length > 0).length;
+    const answeredCount = questions.filter(q => isAnswered(answers[q.id])).length;
+    const isMarked = !!currentQuestion && marked.includes(currentQuestion.id);
     const isUrgent = timeLeft < 120;
+    // Review screen links: questions in the open section directly, others
+    // through the section change (closed sections can't be reopened)
+    const sectionOf = (i) => sections.find(sec => i >= sec.start && i < sec.end);
+    const canJump = (i) => (i >= range.start && i < range.end) || !isClosed(session, sectionOf(i));
+    const jumpTo = (i) => {
+        setConfirmSubmit(false);
+        if (i >= range.start && i < range.end) setCurrentQ(i);
+        else setSectionConfirm({ ...sectionOf(i), jumpTo: i });
+    };
+    // Modules switched off by an admin override, on top of the test's policy
+    const overrideCount = disabledModules.filter(m => policy.monitors[m]).length;
 
     return (
         <Box sx={{ display: 'flex', gap: 2, height: '100vh', p: 2 }}>
@@ -724,11 +1182,16 @@ export default function ExamSession() {
                 }} onClick={handleTimerClick}>
                     <Box sx={{ display: 'flex', alignItems: 'center', gap: 1 }}>
                         <Typography variant="body2" fontWeight={600}>{test?.title || 'Exam'}</Typography>
+                        {openSection && (
+                            <Chip size="small" color="primary" variant="outlined"
+                                icon={openSection.locked ? <Lock /> : undefined}
+                                label={`Section ${sections.indexOf(openSection) + 1}/${sections.length}: ${openSection.title}`} />
+                        )}
                         {!isOnline && (
                             <Chip icon={<WifiOff />} label="Offline" size="small" color="error" />
                         )}
-                        {disabledModules.length > 0 && (
-                            <Chip label={`Override: ${disabledModules.length} module(s) disabled`} size="small" color="warning" />
+                        {overrideCount > 0 && (
+                            <Chip label={`Override: ${overrideCount} module(s) disabled`} size="small" color="warning" />
                         )}
                         <Chip label={`${flags.length} flags`} size="small" color={flags.length > 0 ? 'warning' : 'default'} variant="outlined" />
                     </Box>
@@ -743,12 +1206,25 @@ export default function ExamSession() {
                     </IconButton>
                 </Paper>
 
+                {/* Section instructions — dismissible per section */}
+                {openSection?.instructions && !hiddenInstructions.includes(openSection.id) && (
+                    <Alert severity="info" sx={{ mb: 2, whiteSpace: 'pre-wrap' }}
+                        onClose={() => setHiddenInstructions(prev => [...prev, openSection.id])}>
+                        <strong>{openSection.title}:</strong> {openSection.instructions}
+                    </Alert>
+                )}
+
                 {/* Question Card — identical to PWTest */}
                 <Card sx={{ flex: 1, overflow: 'auto' }}><CardContent sx={{ p: 3 }}>
                     <Box sx={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', mb: 2 }}>
                         <Chip label={`Question ${currentQ + 1} of ${questions.length}`} size="small" />
                         <Box sx={{ display: 'flex', alignItems: 'center', gap: 1 }}>
                             <Chip label={`${currentQuestion?.marks} marks`} size="small" color="primary" variant="outlined" />
+                            <Button size="small" color="warning" variant={isMarked ? 'contained' : 'outlined'}
+                                startIcon={isMarked ? <Bookmark /> : <BookmarkBorder />}
+                                onClick={() => toggleMarked(currentQuestion.id)}>
+                                {isMarked ? 'Marked for Review' : 'Mark for Review'}
+                            </Button>
                             <Tooltip title="Calculator">
                                 <IconButton
                                     size="small"
@@ -765,63 +1241,33 @@ export default function ExamSession() {
                     </Box>
 
                     <Typography variant="h6" sx={{ mb: 3, lineHeight: 1.6 }}>
-                        {currentQuestion?.question_text}
+                        <RichText text={displayText(currentQuestion)} />
                     </Typography>
 
-                    {/* Options — MCQ Single */}
-                    {currentQuestion?.question_type === 'MCQ_SINGLE' && (
-                        <RadioGroup
-                            value={answers[currentQuestion.id]?.[0] || ''}
-                            onChange={(e) => handleAnswer(currentQuestion.id, e.target.value)}
-                        >
-                            {currentQuestion.options?.map((opt, i) => (
-                                <FormControlLabel key={i} value={opt} control={<Radio />}
-                                    label={<Typography variant="body1">{String.fromCharCode(65 + i)}. {opt}</Typography>}
-                                    sx={{
-                                        mb: 1, p: 1.5, borderRadius: 2, mx: 0,
-                                        border: '1px solid',
-                                        borderColor: answers[currentQuestion.id]?.[0] === opt ? 'rgba(108,99,255,0.5)' : 'rgba(148,163,184,0.1)',
-                                        bgcolor: answers[currentQuestion.id]?.[0] === opt ? 'rgba(108,99,255,0.08)' : 'transparent',
-                                        '&:hover': { bgcolor: 'rgba(148,163,184,0.04)' },
-                                    }}
-                                />
-                            ))}
-                        </RadioGroup>
-                    )}
-
-                    {/* Options — MCQ Multi */}
-                    {currentQuestion?.question_type === 'MCQ_MULTI' && (
-                        <Box>
-                            {currentQuestion.options?.map((opt, i) => (
-                                <FormControlLabel key={i}
-                                    control={
-                                        <Checkbox
-                                            checked={(answers[currentQuestion.id] || []).includes(opt)}
-                                            onChange={() => handleAnswer(currentQuestion.id, opt, true)}
-                                        />
-                                    }
-                                    label={<Typography variant="body1">{String.fromCharCode(65 + i)}. {opt}</Typography>}
-                                    sx={{
-                                        display: 'flex', mb: 1, p: 1.5, borderRadius: 2, mx: 0,
-                                        border: '1px solid',
-                                        borderColor: (answers[currentQuestion.id] || []).includes(opt) ? 'rgba(108,99,255,0.5)' : 'rgba(148,163,184,0.1)',
-                                        bgcolor: (answers[currentQuestion.id] || []).includes(opt) ? 'rgba(108,99,255,0.08)' : 'transparent',
-                                        '&:hover': { bgcolor: 'rgba(148,163,184,0.04)' },
-                                    }}
-                                />
-                            ))}
-                        </Box>
+                    {currentQuestion && (
+                        <QuestionInput
+                            key={currentQuestion.id}
+                            question={currentQuestion}
+                            value={answers[currentQuestion.id]}
+                            onChange={(next, typed) => handleAnswer(currentQuestion.id, next, typed)}
+                            saveStatus={saveStatus[currentQuestion.id]}
+                        />
                     )}
                 </CardContent></Card>
 
-                {/* Navigation — identical to PWTest */}
+                {/* Navigation — within the open section; the last question leads on to the next one */}
                 <Box sx={{ display: 'flex', justifyContent: 'space-between', mt: 2 }}>
-                    <Button startIcon={<NavigateBefore />} onClick={() => setCurrentQ(Math.max(0, currentQ - 1))}
-                        disabled={currentQ === 0} variant="outlined">Previous</Button>
+                    <Button startIcon={<NavigateBefore />} onClick={() => setCurrentQ(Math.max(range.start, currentQ - 1))}
+                        disabled={currentQ <= range.start} variant="outlined">Previous</Button>
                     <Button variant="contained" color="warning" onClick={() => setConfirmSubmit(true)}
                         startIcon={<Send />}>Submit Exam</Button>
-                    <Button endIcon={<NavigateNext />} onClick={() => setCurrentQ(Math.min(questions.length - 1, currentQ + 1))}
-                        disabled={currentQ === questions.length - 1} variant="outlined">Next</Button>
+                    {nextSection && currentQ >= range.end - 1 ? (
+                        <Button endIcon={<NavigateNext />} onClick={() => setSectionConfirm(nextSection)}
+                            variant="outlined">Next Section</Button>
+                    ) : (
+                        <Button endIcon={<NavigateNext />} onClick={() => setCurrentQ(Math.min(range.end - 1, currentQ + 1))}
+                            disabled={currentQ >= range.end - 1} variant="outlined">Next</Button>
+                    )}
                 </Box>
             </Box>
 
@@ -832,68 +1278,106 @@ export default function ExamSession() {
                     {answeredCount}/{questions.length} answered
                 </Typography>
                 <LinearProgress variant="determinate" value={(answeredCount / questions.length) * 100} sx={{ mb: 2, borderRadius: 1 }} />
-                <Box sx={{ display: 'flex', flexWrap: 'wrap', gap: 0.8 }}>
-                    {questions.map((q, i) => {
-                        const isAnswered = answers[q.id]?.length > 0;
-                        const isCurrent = i === currentQ;
-                        return (
-                            <Tooltip key={q.id} title={isAnswered ? 'Answered' : 'Not answered'}>
-                                <Box onClick={() => setCurrentQ(i)} sx={{
-                                    width: 36, height: 36, borderRadius: 1, display: 'flex', alignItems: 'center',
-                                    justifyContent: 'center', cursor: 'pointer', fontSize: 13, fontWeight: 600,
-                                    border: isCurrent ? '2px solid #6C63FF' : '1px solid rgba(148,163,184,0.2)',
-                                    bgcolor: isAnswered ? 'rgba(78,205,196,0.2)' : 'transparent',
-                                    color: isAnswered ? '#4ECDC4' : 'text.secondary',
-                                    '&:hover': { bgcolor: 'rgba(108,99,255,0.1)' },
+                {sections.length > 0 && (
+                    <Box sx={{ mb: 2, display: 'flex', flexDirection: 'column', gap: 0.5 }}>
+                        {sections.map((sec, i) => {
+                            const isOpen = sec.id === openSection?.id;
+                            const closed = isClosed(session, sec);
+                            const done = questions.slice(sec.start, sec.end).filter(q => isAnswered(answers[q.id])).length;
+                            return (
+                                <Box key={sec.id} onClick={() => !isOpen && !closed && setSectionConfirm(sec)} sx={{
+                                    p: 0.75, borderRadius: 1, display: 'flex', alignItems: 'center', gap: 0.5,
+                                    cursor: isOpen || closed ? 'default' : 'pointer',
+                                    border: isOpen ? '1px solid rgba(108,99,255,0.5)' : '1px solid rgba(148,163,184,0.1)',
+                                    bgcolor: isOpen ? 'rgba(108,99,255,0.08)' : 'transparent',
+                                    opacity: closed ? 0.5 : 1,
                                 }}>
-                                    {i + 1}
+                                    {closed && <Lock sx={{ fontSize: 14 }} />}
+                                    <Typography variant="caption" fontWeight={isOpen ? 700 : 400} sx={{ flex: 1 }} noWrap>
+                                        {i + 1}. {sec.title}
+                                    </Typography>
+                                    <Typography variant="caption" color="text.secondary">{done}/{sec.end - sec.start}</Typography>
                                 </Box>
-                            </Tooltip>
-                        );
-                    })}
-                </Box>
-                <Box sx={{ mt: 2, display: 'flex', gap: 1, flexWrap: 'wrap' }}>
-                    <Box sx={{ display: 'flex', alignItems: 'center', gap: 0.5 }}>
-                        <Box sx={{ width: 10, height: 10, borderRadius: '50%', bgcolor: 'rgba(78,205,196,0.5)' }} />
-                        <Typography variant="caption">Answered</Typography>
-                    </Box>
-                    <Box sx={{ display: 'flex', alignItems: 'center', gap: 0.5 }}>
-                        <Box sx={{ width: 10, height: 10, borderRadius: '50%', bgcolor: 'rgba(148,163,184,0.3)' }} />
-                        <Typography variant="caption">Unanswered</Typography>
+                            );
+                        })}
                     </Box>
-                </Box>
+                )}
+                <QuestionPalette questions={questions} range={range} currentIndex={currentQ}
+                    answers={answers} marked={marked} onSelect={setCurrentQ} />
             </Paper>
 
-            {/* Submit Confirmation — identical to PWTest */}
-            <Dialog open={confirmSubmit} onClose={() => setConfirmSubmit(false)}>
-                <DialogTitle>Submit Exam?</DialogTitle>
+            {/* Review before submit — identical to PWTest */}
+            <SubmitReview open={confirmSubmit} onClose={() => setConfirmSubmit(false)} onConfirm={submitExam}
+                submitting={submitting} questions={questions} answers={answers} marked={marked}
+                timeLeft={formatTime(timeLeft)} flagCount={flags.length} onJump={jumpTo} canJump={canJump} />
+
+            {/* Section change — warns when the section being left is locked */}
+            <Dialog open={!!sectionConfirm} onClose={() => !movingSection && setSectionConfirm(null)} maxWidth="xs" fullWidth>
+                <DialogTitle>Go to {sectionConfirm?.title}?</DialogTitle>
                 <DialogContent>
-                    <Typography gutterBottom>Are you sure you want to submit?</Typography>
-                    <Box sx={{ mt: 1 }}>
-                        <Typography variant="body2">Answered: {answeredCount}/{questions.length}</Typography>
-                        <Typography variant="body2">Unanswered: {questions.length - answeredCount}</Typography>
-                        <Typography variant="body2">Time remaining: {formatTime(timeLeft)}</Typography>
-                        <Typography variant="body2">Flags detected: {flags.length}</Typography>
-                    </Box>
-                    {questions.length - answeredCount > 0 && (
-                        <Alert severity="warning" sx={{ mt: 2 }}>You have unanswered questions!</Alert>
+                    {openSection && (
+                        <Typography variant="body2" gutterBottom>
+                            Answered in {openSection.title}:{' '}
+                            {questions.slice(range.start, range.end).filter(q => isAnswered(answers[q.id])).length}/{range.end - range.start}
+                        </Typography>
+                    )}
+                    <Typography variant="body2" color="text.secondary">
+                        {sectionConfirm?.title} has its own timer ({sectionConfirm?.duration_minutes} min).
+                    </Typography>
+                    {openSection?.locked && (
+                        <Alert severity="warning" sx={{ mt: 2 }}>
+                            You cannot return to {openSection.title} once you leave it.
+                        </Alert>
                     )}
                 </DialogContent>
                 <DialogActions>
-                    <Button onClick={() => setConfirmSubmit(false)}>Continue Exam</Button>
-                    <Button variant="contained" color="warning" onClick={submitExam} disabled={submitting}>
-                        {submitting ? 'Submitting...' : 'Confirm Submit'}
+                    <Button onClick={() => setSectionConfirm(null)} disabled={movingSection}>Stay</Button>
+                    <Button variant="contained" onClick={confirmSectionMove} disabled={movingSection}>
+                        {movingSection ? 'Saving...' : 'Continue'}
                     </Button>
                 </DialogActions>
             </Dialog>
 
+            {/* Paused by the RED ladder or a proctor — blocks the exam until a proctor resumes */}
+            <Dialog open={paused && !submitted} disableEscapeKeyDown maxWidth="xs" fullWidth>
+                <DialogTitle sx={{ display: 'flex', alignItems: 'center', gap: 1 }}>
+                    <PauseCircle color="warning" /> Exam Paused
+                </DialogTitle>
+                <DialogContent>
+                    <Typography variant="body2" sx={{ mb: 1 }}>
+                        Your exam has been paused pending proctor review. The timer is stopped.
+                    </Typography>
+                    {pauseReason && (
+                        <Alert severity="warning" sx={{ mt: 1 }}>{pauseReason}</Alert>
+                    )}
+                </DialogContent>
+                <DialogActions>
+                    <Button variant="contained" onClick={checkPauseStatus}>Check Status</Button>
+                </DialogActions>
+            </Dialog>
+
+            {/* Message pushed by the proctor — one at a time, acknowledged on dismiss */}
+            <Dialog open={proctorMessages.length > 0 && !submitted} disableEscapeKeyDown maxWidth="xs" fullWidth>
+                <DialogTitle sx={{ display: 'flex', alignItems: 'center', gap: 1 }}>
+                    <Campaign color="primary" /> Message from Proctor
+                </DialogTitle>
+                <DialogContent>
+                    <Typography variant="body2" sx={{ whiteSpace: 'pre-wrap' }}>
+                        {proctorMessages[0]?.payload?.text}
+                    </Typography>
+                </DialogContent>
+                <DialogActions>
+                    <Button variant="contained" onClick={dismissProctorMessage}>OK</Button>
+                </DialogActions>
+            </Dialog>
+
             {/* Admin Override Panel — same as PWTest */}
             <AdminOverridePanel
                 open={overrideOpen}
                 onClose={(modules) => {
                     setOverrideOpen(false);
                     if (modules && modules.length > 0) {
-                        setDisabledModules(modules);
+                        setDisabledModules([...new Set([...disabledModulesFor(policy), ...modules])]);
                     }
                 }}
                 sessionId={session?.id}
@@ -905,28 +1389,35 @@ export default function ExamSession() {
             {/* (Same layout as PWTest + IdentityMonitor)   */}
             {/* ═══════════════════════════════════════════ */}
             {!submitted && !disabledModules.includes('identity') && sharedStream && (
-                <IdentityMonitor active={!submitted} onStatusChange={logFlag} stream={sharedStream} hidden />
+                <IdentityMonitor active={!submitted} onStatusChange={handleSignal} stream={sharedStream} config={policy.identity} hidden />
             )}
             {!submitted && !disabledModules.includes('device') && (
-                <DeviceMonitor active={!submitted} onFlag={logFlag} />
+                <DeviceMonitor active={!submitted} onFlag={handleSignal} config={policy.device} />
             )}
             {!submitted && !disabledModules.includes('behavior') && sharedStream && (
                 <FloatingPanel title="Vision AI" defaultPosition={{ x: window.innerWidth - 310, y: window.innerHeight - 380 }} width={280}>
-                    <VisionBehaviorMonitor active={!submitted} onFlag={logFlag} stream={sharedStream} />
+                    <VisionBehaviorMonitor active={!submitted} onFlag={handleSignal} stream={sharedStream} config={policy.behavior} />
                 </FloatingPanel>
             )}
             {!submitted && !disabledModules.includes('audio') && sharedStream && (
                 <FloatingPanel title="Audio Intelligence" defaultPosition={{ x: window.innerWidth - 330, y: window.innerHeight - 200 }} width={300}>
-                    <AudioIntelligence active={!submitted} onFlag={logFlag} stream={sharedStream} />
+                    <AudioIntelligence active={!submitted} onFlag={handleSignal} stream={sharedStream} config={policy.audio} />
                 </FloatingPanel>
             )}
             {!submitted && !disabledModules.includes('network') && (
                 <FloatingPanel title="System Monitor" defaultPosition={{ x: 16, y: window.innerHeight - 300 }} width={280}>
-                    <NetworkMonitor active={!submitted} onFlag={logFlag} />
+                    <NetworkMonitor active={!submitted} onFlag={handleSignal} config={policy.network} />
                 </FloatingPanel>
             )}
             {!submitted && !disabledModules.includes('object_detection') && cameraStream && (
-                <ObjectDetection active={!submitted} stream={cameraStream} onFlag={logFlag} />
+                <ObjectDetection active={!submitted} stream={cameraStream} onFlag={handleSignal} config={policy.object_detection} />
+            )}
+
+            {/* Proctor chat — independent of the monitor overrides */}
+            {!submitted && session && (
+                <FloatingPanel title="Proctor Chat" defaultPosition={{ x: 16, y: 96 }} width={300} defaultMinimized>
+                    <SessionChat sessionId={session.id} role="student" height={220} onIncoming={handleProctorChat} />
+                </FloatingPanel>
             )}
 
             {/* In-App Calculator */}
@@ -10,6 +10,7 @@ import {
     PlayArrow, Videocam, Person, Schedule, Info,
 } from '@mui/icons-material';
 import { supabase } from '../lib/supabase';
+import { SCORING_POLICIES, attemptPolicy, policyResult } from '../lib/examAttempts';
 
 import useAuthStore from '../store/authStore';
 
@@ -32,6 +33,8 @@ export default function FlagReview() {
     const [reviewNotes, setReviewNotes] = useState('');
     const [videoBlobUrl, setVideoBlobUrl] = useState(null);
     const [videoLoading, setVideoLoading] = useState(false);
+    // The flagged student's attempts at the test, for the score its policy reports
+    const [attempts, setAttempts] = useState([]);
 
     // When a flag is selected, fetch its video as a blob to bypass Electron CORS
     // Direct https:// URLs fail in Electron with MEDIA_ERR_SRC_NOT_SUPPORTED (code 4)
@@ -74,6 +77,20 @@ export default function FlagReview() {
         };
     }, [selectedFlag?.evidence_url]);
 
+    useEffect(() => {
+        const session = selectedFlag?.exam_sessions;
+        setAttempts([]);
+        if (!session?.test_id) return;
+        supabase.from('exam_sessions')
+            .select('id, test_id, student_id, status, score, grading_status, attempt_number')
+            .eq('test_id', session.test_id).eq('student_id', session.student_id)
+            .order('attempt_number')
+            .then(({ data, error }) => {
+                if (error) console.error('[FlagReview] Attempts load failed:', error);
+                else setAttempts(data || []);
+            });
+    }, [selectedFlag?.id]);
+
     useEffect(() => { loadFilters(); }, []);
 
     const loadFilters = async () => {
@@ -153,7 +170,8 @@ export default function FlagReview() {
                     exam_sessions (
                         student_id,
                         test_id,
-                        tests ( title, course_id )
+                        attempt_number,
+                        tests ( title, course_id, total_marks, settings )
                     )
                 `)
                 .order('timestamp', { ascending: false })
@@ -249,6 +267,19 @@ export default function FlagReview() {
     const orangeFlags = flags.filter(f => f.severity === 'medium' || f.severity === 'ORANGE' || f.severity === 'YELLOW').length;
     const unreviewedFlags = flags.filter(f => !f.reviewed).length;
 
+    // Score the test's attempt policy reports for the flagged student, now and
+    // with this attempt invalidated (only shown when the test allows retakes)
+    const flaggedTest = selectedFlag?.exam_sessions?.tests;
+    const policy = flaggedTest ? attemptPolicy(flaggedTest) : null;
+    const multiple = !!policy && policy.max_attempts !== 1 && attempts.length > 0;
+    const reported = multiple ? policyResult(attempts, policy.scoring) : null;
+    const afterInvalidation = multiple
+        ? policyResult(attempts.map(a => (a.id === selectedFlag.session_id ? { ...a, status: 'invalidated' } : a)), policy.scoring)
+        : null;
+    const policyLabel = multiple ? SCORING_POLICIES.find(p => p.value === policy.scoring)?.label : '';
+    const scoreText = (result) => (result.pending ? 'pending essay marking'
+        : result.score === null ? 'none' : `${result.score} / ${flaggedTest.total_marks}`);
+
     if (loading) return <LinearProgress />;
 
     return (
@@ -361,7 +392,14 @@ export default function FlagReview() {
                                             {f.metadata?.message || '—'}
                                         </Typography>
                                     </TableCell>
-                                    <TableCell>{f.exam_sessions?.tests?.title || '—'}</TableCell>
+                                    <TableCell>
+                                        {f.exam_sessions?.tests?.title || '—'}
+                                        {f.exam_sessions?.tests && attemptPolicy(f.exam_sessions.tests).max_attempts !== 1 && (
+                                            <Typography variant="caption" color="text.secondary" display="block">
+                                                Attempt {f.exam_sessions.attempt_number ?? 1}
+                                            </Typography>
+                                        )}
+                                    </TableCell>
                                     <TableCell>
                                         <Typography variant="caption">
                                             {f.timestamp ? new Date(f.timestamp).toLocaleString() : '—'}
@@ -444,6 +482,11 @@ export default function FlagReview() {
                             <Grid size={{ xs: 6 }}>
                                 <Typography variant="body2"><strong>Test:</strong> {selectedFlag?.exam_sessions?.tests?.title || '—'}</Typography>
                                 <Typography variant="body2"><strong>Message:</strong> {selectedFlag?.metadata?.message || '—'}</Typography>
+                                {reported && (
+                                    <Typography variant="body2">
+                                        <strong>Reported score:</strong> {scoreText(reported)} ({policyLabel}, attempt {selectedFlag.exam_sessions.attempt_number ?? 1} of {attempts.length})
+                                    </Typography>
+                                )}
                             </Grid>
                         </Grid>
                     </Paper>
@@ -523,6 +566,11 @@ export default function FlagReview() {
                                 onChange={e => setReviewNotes(e.target.value)}
                                 placeholder="Add notes about this flag..."
                             />
+                            {reviewAction === 'invalidate' && afterInvalidation && (
+                                <Alert severity="info" sx={{ mt: 2 }}>
+                                    Invalidating this attempt changes the student's reported score from {scoreText(reported)} to {scoreText(afterInvalidation)}.
+                                </Alert>
+                            )}
                         </>
                     )}
 
@@ -1,68 +1,394 @@
-import { useState, useEffect, useRef } from 'react';
+import { useState, useEffect, useRef, useCallback, useMemo } from 'react';
 import {
     Box, Card, CardContent, Typography, Chip, Button, Table, TableHead,
     TableRow, TableCell, TableBody, LinearProgress, Grid, Dialog,
     DialogTitle, DialogContent, DialogActions, TextField, Alert,
-    IconButton, Tooltip, Avatar, Badge,
+    IconButton, Tooltip, Avatar, Badge, TableSortLabel, Snackbar,
+    ToggleButtonGroup, ToggleButton,
 } from '@mui/material';
 import {
     Visibility, PauseCircle, PlayArrow, StopCircle, Refresh,
-    Flag, Warning, CheckCircle, Person, Timer,
+    Flag, Warning, CheckCircle, Person, Timer, Restore,
+    VolumeUp, VolumeOff, FiberManualRecord, Close, WifiOff, Wifi,
+    MoreTime, Campaign, HourglassTop, DoneAll, Chat,
+    ViewList, GridView, VideocamOff,
 } from '@mui/icons-material';
 import { supabase } from '../lib/supabase';
 import useAuthStore from '../store/authStore';
+import {
+    HEARTBEAT_CONFIG, CONNECTIVITY_LABELS, CONNECTIVITY_COLORS, connectivityOf, formatLastSeen,
+} from '../lib/sessionHeartbeat';
+import { COMMANDS, COMMAND_LABELS, issueCommand } from '../lib/proctorCommands';
+import SessionChat from '../components/SessionChat';
+import { snapshotUrl } from '../lib/sessionSnapshots';
+import { sessionDeadline } from '../lib/examDeadline';
+import { OPEN_STATUSES } from '../lib/examAttempts';
+
+// Terminated sessions stay listed (for reinstatement) this long after ending
+const REINSTATE_WINDOW_MS = 24 * 60 * 60 * 1000;
+
+const SESSION_SELECT = '*, tests(title, duration_minutes, start_time, courses(name)), users:student_id(username, email)';
+const LIVE_STATUSES = ['in_progress', 'paused', 'terminated'];
+const FEED_LIMIT = 200;            // flags / events kept in the live feed
+const RED_HIGHLIGHT_MS = 10000;    // row pulses this long after a RED flag
+const CLOCK_TICK_MS = 5000;        // local re-render for time left / last seen (no DB polling)
+
+const EVENT_LABELS = {
+    CONNECTION_LOST: 'Connection lost',
+    CONNECTION_RESTORED: 'Connection restored',
+};
+
+// Dialog action → command pushed to the exam client (reinstate needs none: the client was closed)
+const ACTION_COMMANDS = {
+    suspend: COMMANDS.SUSPEND,
+    resume: COMMANDS.RESUME,
+    terminate: COMMANDS.TERMINATE,
+    extra_time: COMMANDS.EXTRA_TIME,
+    message: COMMANDS.MESSAGE,
+};
+const ACTION_TITLES = {
+    suspend: 'Suspend Session',
+    resume: 'Resume Session',
+    terminate: 'Terminate Session',
+    reinstate: 'Reinstate Session',
+    extra_time: 'Grant Extra Time',
+    message: 'Message Candidate',
+};
+const ACTION_COLORS = { suspend: 'warning', resume: 'success', terminate: 'error', reinstate: 'primary', extra_time: 'primary', message: 'primary' };
+
+const STATUS_LABELS = { in_progress: 'Active', paused: 'Paused', terminated: 'Terminated' };
+const STATUS_COLORS = { in_progress: 'success', paused: 'warning', terminated: 'error' };
+
+const isVisible = (s) => LIVE_STATUSES.includes(s.status) &&
+    (s.status !== 'terminated' || (s.ended_at && new Date(s.ended_at).getTime() > Date.now() - REINSTATE_WINDOW_MS));
+
+// Terminated sessions: time left is frozen at the moment of termination,
+// paused ones at the moment of suspension (the server extends the deadline on resume)
+const minutesRemaining = (s, now) => {
+    const until = s.status === 'terminated' && s.ended_at ? new Date(s.ended_at).getTime()
+        : s.status === 'paused' && s.paused_at ? new Date(s.paused_at).getTime()
+            : now;
+    return Math.floor(Math.max(0, (sessionDeadline(s, s.tests) - until) / 60000));
+};
+
+// Same bands as the RiskEngine's FUSED_ORANGE / FUSED_RED
+const riskLevel = (value = 0) => (value >= 0.55 ? 'error' : value >= 0.35 ? 'warning' : 'success');
+const RISK_HEX = { error: '#FF4D6A', warning: '#FFB74D', success: '#4ECDC4' };
+
+// Short alert tone for RED flags — one shared AudioContext for the page
+let alertCtx = null;
+function playAlertTone() {
+    try {
+        alertCtx = alertCtx || new (window.AudioContext || window.webkitAudioContext)();
+        const osc = alertCtx.createOscillator();
+        const gain = alertCtx.createGain();
+        osc.type = 'square';
+        osc.frequency.value = 880;
+        gain.gain.setValueAtTime(0.15, alertCtx.currentTime);
+        gain.gain.exponentialRampToValueAtTime(0.001, alertCtx.currentTime + 0.6);
+        osc.connect(gain).connect(alertCtx.destination);
+        osc.start();
+        osc.stop(alertCtx.currentTime + 0.6);
+    } catch (err) {
+        console.warn('[LiveSessionMonitor] Alert tone failed:', err);
+    }
+}
 
 export default function LiveSessionMonitor() {
     const { user } = useAuthStore();
-    const [sessions, setSessions] = useState([]);
+    const [sessionMap, setSessionMap] = useState({});   // session id → row (+ joins, risk)
+    const [feed, setFeed] = useState([]);               // flags, newest first
+    const [events, setEvents] = useState([]);           // session_events, newest first
     const [loading, setLoading] = useState(true);
     const [selectedSession, setSelectedSession] = useState(null);
     const [actionDialog, setActionDialog] = useState(false);
     const [actionType, setActionType] = useState('');
     const [actionReason, setActionReason] = useState('');
+    const [extraMinutes, setExtraMinutes] = useState(5);
+    const [actionError, setActionError] = useState('');
+    const [commands, setCommands] = useState({});       // session id → latest proctor command
+    const [chatSession, setChatSession] = useState(null); // session whose chat dialog is open
+    const [unread, setUnread] = useState({});           // session id → candidate messages not yet seen
+    const [view, setView] = useState('table');          // 'table' | 'grid' (camera wall)
+    const [viewSessionId, setViewSessionId] = useState(null); // enlarged camera view
     const [success, setSuccess] = useState('');
-    const refreshInterval = useRef(null);
 
-    useEffect(() => {
-        loadSessions();
-        // Auto-refresh every 10 seconds
-        refreshInterval.current = setInterval(loadSessions, 10000);
-        return () => { if (refreshInterval.current) clearInterval(refreshInterval.current); };
-    }, []);
+    // ─── Live state ───
+    const [realtimeStatus, setRealtimeStatus] = useState('CONNECTING');
+    const [now, setNow] = useState(Date.now());
+    const [highlighted, setHighlighted] = useState({}); // session id → true while pulsing
+    const [redAlert, setRedAlert] = useState(null);      // { session, flag }
+    const [soundOn, setSoundOn] = useState(true);
+    const [feedSessionId, setFeedSessionId] = useState(null);
+    const [orderBy, setOrderBy] = useState('risk');
+    const [order, setOrder] = useState('desc');
 
-    const loadSessions = async () => {
+    // Realtime callbacks are bound once — they read current state through refs
+    const sessionsRef = useRef({});
+    const soundRef = useRef(true);
+    const channelRef = useRef(null);
+    const markingLostRef = useRef(new Set());            // sessions with a CONNECTION_LOST write in flight
+    const chatSessionRef = useRef(null);
+    useEffect(() => { chatSessionRef.current = chatSession?.id || null; }, [chatSession]);
+    useEffect(() => { sessionsRef.current = sessionMap; }, [sessionMap]);
+    useEffect(() => { soundRef.current = soundOn; }, [soundOn]);
+
+    // ─── Initial snapshot (one sessions query + one flags query, no N+1) ───
+    const loadSessions = useCallback(async () => {
         try {
             const { data } = await supabase
                 .from('exam_sessions')
-                .select('*, tests(title, duration_minutes, start_time, courses(name)), users:student_id(username, email)')
-                .in('status', ['in_progress', 'paused'])
+                .select(SESSION_SELECT)
+                .in('status', LIVE_STATUSES)
                 .order('started_at', { ascending: false });
 
-            // Fetch flag counts per session
-            const enriched = await Promise.all((data || []).map(async (s) => {
-                const { count: flagCount } = await supabase
-                    .from('flags').select('id', { count: 'exact', head: true }).eq('session_id', s.id);
-                const elapsed = (Date.now() - new Date(s.started_at).getTime()) / 60000;
-                const remaining = Math.max(0, (s.tests?.duration_minutes || 0) - elapsed);
-                return { ...s, flagCount: flagCount || 0, minutesRemaining: Math.floor(remaining) };
-            }));
+            const visible = (data || []).filter(isVisible);
+            const ids = visible.map(s => s.id);
+
+            let recent = [];
+            let recentEvents = [];
+            let recentCommands = [];
+            if (ids.length > 0) {
+                const [{ data: flagData }, { data: eventData }, { data: commandData }] = await Promise.all([
+                    supabase
+                        .from('flags')
+                        .select('id, session_id, flag_type, severity, module, metadata, timestamp')
+                        .in('session_id', ids)
+                        .order('timestamp', { ascending: false })
+                        .limit(FEED_LIMIT),
+                    supabase
+                        .from('session_events')
+                        .select('*')
+                        .in('session_id', ids)
+                        .order('created_at', { ascending: false })
+                        .limit(FEED_LIMIT),
+                    supabase
+                        .from('proctor_commands')
+                        .select('*')
+                        .in('session_id', ids)
+                        .order('created_at', { ascending: false })
+                        .limit(FEED_LIMIT),
+                ]);
+                recent = flagData || [];
+                recentEvents = eventData || [];
+                recentCommands = commandData || [];
+            }
+
+            // Latest fused risk per session comes from its newest flag
+            const map = {};
+            visible.forEach(s => { map[s.id] = { ...s, risk: 0 }; });
+            [...recent].reverse().forEach(f => {
+                if (map[f.session_id]) map[f.session_id].risk = f.metadata?.risk?.fused ?? map[f.session_id].risk;
+            });
+
+            // Newest command per session (rows arrive newest first)
+            const latest = {};
+            recentCommands.forEach(c => { if (!latest[c.session_id]) latest[c.session_id] = c; });
 
-            setSessions(enriched);
+            setSessionMap(map);
+            setFeed(recent);
+            setEvents(recentEvents);
+            setCommands(latest);
         } catch (err) { console.error(err); }
         setLoading(false);
-    };
+    }, []);
+
+    // ─── Realtime: exam_sessions changes ───
+    const handleSessionChange = useCallback(async (payload) => {
+        if (payload.eventType === 'DELETE') {
+            setSessionMap(prev => {
+                const next = { ...prev };
+                delete next[payload.old.id];
+                return next;
+            });
+            return;
+        }
+
+        const row = payload.new;
+        if (!isVisible(row)) {
+            setSessionMap(prev => {
+                if (!prev[row.id]) return prev;
+                const next = { ...prev };
+                delete next[row.id];
+                return next;
+            });
+            return;
+        }
+
+        if (sessionsRef.current[row.id]) {
+            // Merge — the payload carries no joined tests/users
+            setSessionMap(prev => ({ ...prev, [row.id]: { ...prev[row.id], ...row } }));
+            return;
+        }
+
+        // New session — fetch it once with its joins
+        const { data } = await supabase
+            .from('exam_sessions').select(SESSION_SELECT).eq('id', row.id).single();
+        if (data) setSessionMap(prev => ({ ...prev, [data.id]: { ...data, risk: prev[data.id]?.risk ?? 0 } }));
+    }, []);
+
+    // ─── Realtime: new flags ───
+    const handleFlagInsert = useCallback((payload) => {
+        const flag = payload.new;
+        const session = sessionsRef.current[flag.session_id];
+        if (!session) return;
+
+        setFeed(prev => [flag, ...prev].slice(0, FEED_LIMIT));
+        setSessionMap(prev => prev[flag.session_id]
+            ? { ...prev, [flag.session_id]: { ...prev[flag.session_id], risk: flag.metadata?.risk?.fused ?? prev[flag.session_id].risk } }
+            : prev);
+
+        if (flag.severity === 'RED') {
+            setRedAlert({ session, flag });
+            setHighlighted(prev => ({ ...prev, [flag.session_id]: true }));
+            setTimeout(() => {
+                setHighlighted(prev => {
+                    const next = { ...prev };
+                    delete next[flag.session_id];
+                    return next;
+                });
+            }, RED_HIGHLIGHT_MS);
+            if (soundRef.current) playAlertTone();
+        }
+    }, []);
+
+    // ─── Realtime: timeline events ───
+    const handleEventInsert = useCallback((payload) => {
+        if (!sessionsRef.current[payload.new.session_id]) return;
+        setEvents(prev => [payload.new, ...prev].slice(0, FEED_LIMIT));
+    }, []);
+
+    // ─── Realtime: proctor commands (INSERT when sent, UPDATE when acknowledged) ───
+    const handleCommandChange = useCallback((payload) => {
+        const cmd = payload.new;
+        if (!sessionsRef.current[cmd.session_id]) return;
+        setCommands(prev => {
+            const current = prev[cmd.session_id];
+            if (current && current.id !== cmd.id && new Date(current.created_at) > new Date(cmd.created_at)) return prev;
+            return { ...prev, [cmd.session_id]: cmd };
+        });
+    }, []);
+
+    // ─── Realtime: candidate chat messages → unread badge ───
+    const handleChatInsert = useCallback((payload) => {
+        const msg = payload.new;
+        if (msg.sender_role !== 'student' || !sessionsRef.current[msg.session_id]) return;
+        if (chatSessionRef.current === msg.session_id) return;
+        setUnread(prev => ({ ...prev, [msg.session_id]: (prev[msg.session_id] || 0) + 1 }));
+    }, []);
+
+    useEffect(() => {
+        loadSessions();
+
+        channelRef.current = supabase
+            .channel('live-session-monitor')
+            .on('postgres_changes', { event: '*', schema: 'public', table: 'exam_sessions' }, handleSessionChange)
+            .on('postgres_changes', { event: 'INSERT', schema: 'public', table: 'flags' }, handleFlagInsert)
+            .on('postgres_changes', { event: 'INSERT', schema: 'public', table: 'session_events' }, handleEventInsert)
+            .on('postgres_changes', { event: 'INSERT', schema: 'public', table: 'proctor_commands' }, handleCommandChange)
+            .on('postgres_changes', { event: 'UPDATE', schema: 'public', table: 'proctor_commands' }, handleCommandChange)
+            .on('postgres_changes', { event: 'INSERT', schema: 'public', table: 'session_messages' }, handleChatInsert)
+            .subscribe((status) => setRealtimeStatus(status));
+
+        const clock = setInterval(() => setNow(Date.now()), CLOCK_TICK_MS);
+
+        return () => {
+            clearInterval(clock);
+            if (channelRef.current) {
+                supabase.removeChannel(channelRef.current);
+                channelRef.current = null;
+            }
+        };
+    }, [loadSessions, handleSessionChange, handleFlagInsert, handleEventInsert, handleCommandChange, handleChatInsert]);
+
+    // ─── Heartbeats stopped → record CONNECTION_LOST once per gap ───
+    // The conditional update makes this safe with several proctors watching:
+    // only the client whose update matches the row writes the event.
+    useEffect(() => {
+        Object.values(sessionMap).forEach(async (s) => {
+            if (s.status === 'terminated' || s.connection_lost_at) return;
+            if (connectivityOf(s, now) !== 'disconnected' || markingLostRef.current.has(s.id)) return;
+
+            markingLostRef.current.add(s.id);
+            try {
+                const cutoff = new Date(now - HEARTBEAT_CONFIG.HEARTBEAT_LOST_MS).toISOString();
+                const { data } = await supabase
+                    .from('exam_sessions')
+                    .update({ connection_lost_at: new Date().toISOString() })
+                    .eq('id', s.id)
+                    .is('connection_lost_at', null)
+                    .lt('last_heartbeat_at', cutoff)
+                    .select('id');
+                if (data?.length) {
+                    await supabase.from('session_events').insert({
+                        session_id: s.id,
+                        event_type: 'CONNECTION_LOST',
+                        details: { last_heartbeat_at: s.last_heartbeat_at, last_state: s.heartbeat },
+                        created_by: user.id,
+                    });
+                }
+            } catch (err) {
+                console.error('[LiveSessionMonitor] Failed to record connection loss:', err);
+            }
+            markingLostRef.current.delete(s.id);
+        });
+    }, [now, sessionMap, user]);
 
     const handleAction = async () => {
         if (!selectedSession || !actionType) return;
+        setActionError('');
         try {
+            let changes = null;
             if (actionType === 'suspend') {
-                await supabase.from('exam_sessions').update({ status: 'paused' }).eq('id', selectedSession.id);
+                changes = { status: 'paused' };
             } else if (actionType === 'resume') {
-                await supabase.from('exam_sessions').update({ status: 'in_progress' }).eq('id', selectedSession.id);
+                changes = { status: 'in_progress' };
             } else if (actionType === 'terminate') {
-                await supabase.from('exam_sessions').update({
-                    status: 'terminated', ended_at: new Date().toISOString(),
-                }).eq('id', selectedSession.id);
+                changes = { status: 'terminated', ended_at: new Date().toISOString() };
+            } else if (actionType === 'extra_time') {
+                changes = { extra_time_minutes: (selectedSession.extra_time_minutes || 0) + extraMinutes };
+            } else if (actionType === 'reinstate') {
+                // Only one attempt per student may be open (idx_exam_sessions_open_attempt):
+                // a retake started since this one ended has to finish first
+                const { data: open, error: openErr } = await supabase
+                    .from('exam_sessions')
+                    .select('id')
+                    .eq('test_id', selectedSession.test_id)
+                    .eq('student_id', selectedSession.student_id)
+                    .in('status', OPEN_STATUSES)
+                    .neq('id', selectedSession.id)
+                    .limit(1);
+                if (openErr) throw openErr;
+                if (open.length) {
+                    throw new Error(`${selectedSession.users?.username} already has another attempt open on this test. End that attempt before reinstating this one.`);
+                }
+                // set_session_deadline() adds the time spent terminated to
+                // paused_seconds, so the student gets back exactly the time they
+                // had left. Saved answers stay on the session and are reloaded
+                // by ExamSession.
+                changes = {
+                    status: 'in_progress',
+                    ended_at: null,
+                    score: null,
+                    reinstated_at: new Date().toISOString(),
+                };
+            }
+            // A rejected update leaves the student untouched — no notice, no audit entry
+            if (changes) {
+                const { error } = await supabase.from('exam_sessions').update(changes).eq('id', selectedSession.id);
+                if (error) throw error;
+            }
+
+            // Push to the running exam client; its acknowledgement arrives over Realtime
+            if (ACTION_COMMANDS[actionType]) {
+                await issueCommand(supabase, {
+                    sessionId: selectedSession.id,
+                    command: ACTION_COMMANDS[actionType],
+                    payload: actionType === 'message' ? { text: actionReason }
+                        : actionType === 'extra_time' ? { minutes: extraMinutes, reason: actionReason }
+                            : { reason: actionReason },
+                    issuedBy: user.id,
+                });
             }
 
             await supabase.from('audit_logs').insert({
@@ -70,34 +396,109 @@ export default function LiveSessionMonitor() {
                 user_id: user.id,
                 target_id: selectedSession.id,
                 target_type: 'exam_session',
-                details: { reason: actionReason, student: selectedSession.users?.username },
+                details: {
+                    reason: actionReason,
+                    student: selectedSession.users?.username,
+                    ...(actionType === 'reinstate' ? { minutes_restored: minutesRemaining(selectedSession, Date.now()) } : {}),
+                    ...(actionType === 'extra_time' ? { minutes: extraMinutes } : {}),
+                },
             });
 
-            setSuccess(`Session ${actionType}d successfully`);
+            // The row itself updates through the Realtime subscription
+            setSuccess(ACTION_COMMANDS[actionType]
+                ? `${COMMAND_LABELS[ACTION_COMMANDS[actionType]]} sent to ${selectedSession.users?.username}`
+                : `Session ${actionType}d successfully`);
             setActionDialog(false);
             setActionReason('');
-            loadSessions();
-        } catch (err) { console.error(err); }
+        } catch (err) {
+            console.error(err);
+            setActionError(`Could not ${ACTION_TITLES[actionType].toLowerCase()}: ${err.message}`);
+        }
     };
 
     const openAction = (session, type) => {
         setSelectedSession(session);
         setActionType(type);
+        setExtraMinutes(5);
+        setActionError('');
         setActionDialog(true);
     };
 
+    const openChat = (session) => {
+        setChatSession(session);
+        setUnread(prev => ({ ...prev, [session.id]: 0 }));
+    };
+
+    const handleSort = (column) => {
+        if (orderBy === column) {
+            setOrder(order === 'asc' ? 'desc' : 'asc');
+        } else {
+            setOrderBy(column);
+            setOrder(column === 'student' || column === 'time' ? 'asc' : 'desc');
+        }
+    };
+
+    // ─── Derived rows ───
+    const sessions = useMemo(() => {
+        const rows = Object.values(sessionMap).map(s => ({ ...s, minutesRemaining: minutesRemaining(s, now) }));
+        const key = {
+            risk: s => s.risk || 0,
+            flags: s => (s.red_flags || 0) * 1000 + (s.total_flags || 0),
+            time: s => s.minutesRemaining,
+            student: s => s.users?.username || '',
+        }[orderBy];
+        const dir = order === 'asc' ? 1 : -1;
+        return rows.sort((a, b) => {
+            const ka = key(a), kb = key(b);
+            if (ka < kb) return -dir;
+            if (ka > kb) return dir;
+            return (b.red_flags || 0) - (a.red_flags || 0);
+        });
+    }, [sessionMap, now, orderBy, order]);
+
+    // Flags and timeline events merged, newest first
+    const timeline = useMemo(() => [
+        ...feed.map(f => ({ kind: 'flag', at: f.timestamp, item: f })),
+        ...events.map(e => ({ kind: 'event', at: e.created_at, item: e })),
+    ].sort((a, b) => new Date(b.at) - new Date(a.at)), [feed, events]);
+    const visibleFeed = feedSessionId ? timeline.filter(t => t.item.session_id === feedSessionId) : timeline;
+
     if (loading) return <LinearProgress />;
 
+    const activeCount = sessions.filter(s => s.status !== 'terminated').length;
+    const viewed = viewSessionId ? sessions.find(s => s.id === viewSessionId) : null;
+    const isLive = realtimeStatus === 'SUBSCRIBED';
+
     return (
         <Box>
             <Box sx={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', mb: 3 }}>
                 <Box>
                     <Typography variant="h4" fontWeight={700}>Live Session Monitor</Typography>
-                    <Typography color="text.secondary">
-                        {sessions.length} active session{sessions.length !== 1 ? 's' : ''} — auto-refreshes every 10s
-                    </Typography>
+                    <Box sx={{ display: 'flex', alignItems: 'center', gap: 1 }}>
+                        <Typography color="text.secondary">
+                            {activeCount} active session{activeCount !== 1 ? 's' : ''}
+                        </Typography>
+                        <Chip
+                            icon={<FiberManualRecord sx={{ fontSize: 10 }} />}
+                            label={isLive ? 'Live' : 'Connecting…'}
+                            size="small"
+                            color={isLive ? 'success' : 'default'}
+                            variant="outlined"
+                        />
+                    </Box>
+                </Box>
+                <Box sx={{ display: 'flex', gap: 1 }}>
+                    <ToggleButtonGroup size="small" exclusive value={view} onChange={(e, v) => v && setView(v)}>
+                        <ToggleButton value="table" aria-label="Table view"><ViewList fontSize="small" /></ToggleButton>
+                        <ToggleButton value="grid" aria-label="Camera wall"><GridView fontSize="small" /></ToggleButton>
+                    </ToggleButtonGroup>
+                    <Tooltip title={soundOn ? 'Mute RED alerts' : 'Unmute RED alerts'}>
+                        <IconButton onClick={() => setSoundOn(!soundOn)}>
+                            {soundOn ? <VolumeUp /> : <VolumeOff />}
+                        </IconButton>
+                    </Tooltip>
+                    <Button startIcon={<Refresh />} onClick={loadSessions} variant="outlined">Resync</Button>
                 </Box>
-                <Button startIcon={<Refresh />} onClick={loadSessions} variant="outlined">Refresh Now</Button>
             </Box>
 
             {success && <Alert severity="success" sx={{ mb: 2 }} onClose={() => setSuccess('')}>{success}</Alert>}
@@ -118,107 +519,471 @@ export default function LiveSessionMonitor() {
                 </Grid>
                 <Grid size={{ xs: 6, md: 3 }}>
                     <Card><CardContent sx={{ p: 2, textAlign: 'center' }}>
-                        <Typography variant="h3" fontWeight={700} sx={{ color: '#FF4D6A' }}>{sessions.reduce((a, s) => a + s.red_flags, 0)}</Typography>
+                        <Typography variant="h3" fontWeight={700} sx={{ color: '#FF4D6A' }}>{sessions.reduce((a, s) => a + (s.red_flags || 0), 0)}</Typography>
                         <Typography variant="caption" color="text.secondary">Total Red Flags</Typography>
                     </CardContent></Card>
                 </Grid>
                 <Grid size={{ xs: 6, md: 3 }}>
                     <Card><CardContent sx={{ p: 2, textAlign: 'center' }}>
-                        <Typography variant="h3" fontWeight={700} sx={{ color: '#FFB74D' }}>{sessions.reduce((a, s) => a + s.orange_flags, 0)}</Typography>
+                        <Typography variant="h3" fontWeight={700} sx={{ color: '#FFB74D' }}>{sessions.reduce((a, s) => a + (s.orange_flags || 0), 0)}</Typography>
                         <Typography variant="caption" color="text.secondary">Total Orange Flags</Typography>
                     </CardContent></Card>
                 </Grid>
             </Grid>
 
-            {/* Sessions Table */}
-            <Card><CardContent sx={{ p: 0 }}>
-                <Table>
-                    <TableHead><TableRow>
-                        <TableCell>Student</TableCell><TableCell>Test</TableCell><TableCell>Time Left</TableCell>
-                        <TableCell>Status</TableCell><TableCell>Flags</TableCell><TableCell>Actions</TableCell>
-                    </TableRow></TableHead>
-                    <TableBody>
-                        {sessions.map(s => (
-                            <TableRow key={s.id} hover sx={{ bgcolor: s.red_flags > 2 ? 'rgba(255,77,106,0.04)' : 'inherit' }}>
-                                <TableCell>
-                                    <Box sx={{ display: 'flex', alignItems: 'center', gap: 1 }}>
-                                        <Badge badgeContent={s.flagCount} color="error" max={99}>
-                                            <Avatar sx={{ width: 32, height: 32 }}>{s.users?.username?.[0]?.toUpperCase()}</Avatar>
-                                        </Badge>
-                                        <Box>
-                                            <Typography variant="body2" fontWeight={600}>{s.users?.username}</Typography>
-                                            <Typography variant="caption" color="text.secondary">{s.users?.email}</Typography>
-                                        </Box>
-                                    </Box>
-                                </TableCell>
-                                <TableCell>
-                                    <Typography variant="body2">{s.tests?.title}</Typography>
-                                    <Typography variant="caption" color="text.secondary">{s.tests?.courses?.name}</Typography>
-                                </TableCell>
-                                <TableCell>
-                                    <Box sx={{ display: 'flex', alignItems: 'center', gap: 0.5 }}>
-                                        <Timer sx={{ fontSize: 16, color: s.minutesRemaining < 5 ? '#FF4D6A' : 'text.secondary' }} />
-                                        <Typography variant="body2" sx={{ color: s.minutesRemaining < 5 ? '#FF4D6A' : 'inherit', fontFamily: 'monospace' }}>
-                                            {s.minutesRemaining} min
-                                        </Typography>
-                                    </Box>
-                                </TableCell>
-                                <TableCell>
-                                    <Chip label={s.status === 'in_progress' ? 'Active' : 'Paused'} size="small"
-                                        color={s.status === 'in_progress' ? 'success' : 'warning'} />
-                                </TableCell>
-                                <TableCell>
-                                    <Box sx={{ display: 'flex', gap: 0.5 }}>
-                                        <Chip label={`${s.red_flags} R`} size="small" color="error" variant="outlined" />
-                                        <Chip label={`${s.orange_flags} O`} size="small" color="warning" variant="outlined" />
-                                    </Box>
-                                </TableCell>
-                                <TableCell>
-                                    <Box sx={{ display: 'flex', gap: 0.5 }}>
-                                        {s.status === 'in_progress' ? (
-                                            <Tooltip title="Suspend"><IconButton size="small" color="warning"
-                                                onClick={() => openAction(s, 'suspend')}><PauseCircle fontSize="small" /></IconButton></Tooltip>
-                                        ) : (
-                                            <Tooltip title="Resume"><IconButton size="small" color="success"
-                                                onClick={() => openAction(s, 'resume')}><PlayArrow fontSize="small" /></IconButton></Tooltip>
-                                        )}
-                                        <Tooltip title="Terminate"><IconButton size="small" color="error"
-                                            onClick={() => openAction(s, 'terminate')}><StopCircle fontSize="small" /></IconButton></Tooltip>
-                                    </Box>
-                                </TableCell>
-                            </TableRow>
-                        ))}
-                        {sessions.length === 0 && (
-                            <TableRow><TableCell colSpan={6} align="center" sx={{ py: 6 }}>
-                                <Visibility sx={{ fontSize: 48, color: 'text.secondary', mb: 1 }} />
-                                <Typography color="text.secondary">No active exam sessions</Typography>
-                            </TableCell></TableRow>
-                        )}
-                    </TableBody>
-                </Table>
-            </CardContent></Card>
+            <Grid container spacing={2}>
+                {/* Sessions Table / Camera Wall */}
+                <Grid size={{ xs: 12, lg: 8 }}>
+                    {view === 'grid' ? (
+                        <Grid container spacing={1.5}>
+                            {sessions.map(s => (
+                                <Grid key={s.id} size={{ xs: 6, md: 4, xl: 3 }}>
+                                    <SnapshotTile session={s} now={now} highlighted={!!highlighted[s.id]}
+                                        onClick={() => setViewSessionId(s.id)} />
+                                </Grid>
+                            ))}
+                            {sessions.length === 0 && (
+                                <Grid size={12}>
+                                    <Card><CardContent sx={{ textAlign: 'center', py: 6 }}>
+                                        <Visibility sx={{ fontSize: 48, color: 'text.secondary', mb: 1 }} />
+                                        <Typography color="text.secondary">No active exam sessions</Typography>
+                                    </CardContent></Card>
+                                </Grid>
+                            )}
+                        </Grid>
+                    ) : (
+                        <Card><CardContent sx={{ p: 0 }}>
+                            <Table size="small">
+                                <TableHead><TableRow>
+                                    <TableCell>
+                                        <TableSortLabel active={orderBy === 'student'} direction={orderBy === 'student' ? order : 'asc'}
+                                            onClick={() => handleSort('student')}>Student</TableSortLabel>
+                                    </TableCell>
+                                    <TableCell>Test</TableCell>
+                                    <TableCell>
+                                        <TableSortLabel active={orderBy === 'time'} direction={orderBy === 'time' ? order : 'asc'}
+                                            onClick={() => handleSort('time')}>Time Left</TableSortLabel>
+                                    </TableCell>
+                                    <TableCell>Status</TableCell>
+                                    <TableCell>Connection</TableCell>
+                                    <TableCell>
+                                        <TableSortLabel active={orderBy === 'risk'} direction={orderBy === 'risk' ? order : 'desc'}
+                                            onClick={() => handleSort('risk')}>Risk</TableSortLabel>
+                                    </TableCell>
+                                    <TableCell>
+                                        <TableSortLabel active={orderBy === 'flags'} direction={orderBy === 'flags' ? order : 'desc'}
+                                            onClick={() => handleSort('flags')}>Flags</TableSortLabel>
+                                    </TableCell>
+                                    <TableCell>Actions</TableCell>
+                                </TableRow></TableHead>
+                                <TableBody>
+                                    {sessions.map(s => (
+                                        <TableRow key={s.id} hover selected={feedSessionId === s.id}
+                                            onClick={() => setFeedSessionId(feedSessionId === s.id ? null : s.id)}
+                                            sx={{
+                                                cursor: 'pointer',
+                                                bgcolor: s.red_flags > 2 ? 'rgba(255,77,106,0.04)' : 'inherit',
+                                                ...(highlighted[s.id] && {
+                                                    animation: 'redPulse 1s ease-in-out infinite',
+                                                    '@keyframes redPulse': {
+                                                        '0%, 100%': { bgcolor: 'rgba(255,77,106,0.05)' },
+                                                        '50%': { bgcolor: 'rgba(255,77,106,0.30)' },
+                                                    },
+                                                }),
+                                            }}>
+                                            <TableCell>
+                                                <Box sx={{ display: 'flex', alignItems: 'center', gap: 1 }}>
+                                                    <Badge badgeContent={s.total_flags} color="error" max={99}>
+                                                        <Avatar sx={{ width: 32, height: 32 }}>{s.users?.username?.[0]?.toUpperCase()}</Avatar>
+                                                    </Badge>
+                                                    <Box>
+                                                        <Typography variant="body2" fontWeight={600}>{s.users?.username}</Typography>
+                                                        <Typography variant="caption" color="text.secondary">{s.users?.email}</Typography>
+                                                    </Box>
+                                                </Box>
+                                            </TableCell>
+                                            <TableCell>
+                                                <Typography variant="body2">{s.tests?.title}</Typography>
+                                                <Typography variant="caption" color="text.secondary">{s.tests?.courses?.name}</Typography>
+                                            </TableCell>
+                                            <TableCell>
+                                                <Box sx={{ display: 'flex', alignItems: 'center', gap: 0.5 }}>
+                                                    <Timer sx={{ fontSize: 16, color: s.minutesRemaining < 5 ? '#FF4D6A' : 'text.secondary' }} />
+                                                    <Typography variant="body2" sx={{ color: s.minutesRemaining < 5 ? '#FF4D6A' : 'inherit', fontFamily: 'monospace' }}>
+                                                        {s.minutesRemaining} min
+                                                    </Typography>
+                                                </Box>
+                                            </TableCell>
+                                            <TableCell>
+                                                <Chip label={STATUS_LABELS[s.status]} size="small" color={STATUS_COLORS[s.status]} />
+                                                {commands[s.id] && <CommandStatus command={commands[s.id]} />}
+                                            </TableCell>
+                                            <TableCell>
+                                                <ConnectionCell session={s} now={now} />
+                                            </TableCell>
+                                            <TableCell sx={{ minWidth: 90 }}>
+                                                <RiskBar value={s.risk} />
+                                            </TableCell>
+                                            <TableCell>
+                                                <Box sx={{ display: 'flex', gap: 0.5 }}>
+                                                    <Chip label={`${s.red_flags || 0} R`} size="small" color="error" variant="outlined" />
+                                                    <Chip label={`${s.orange_flags || 0} O`} size="small" color="warning" variant="outlined" />
+                                                </Box>
+                                            </TableCell>
+                                            <TableCell onClick={e => e.stopPropagation()}>
+                                                <Box sx={{ display: 'flex', gap: 0.5 }}>
+                                                    {s.status === 'terminated' ? (
+                                                        <Tooltip title="Reinstate"><span><IconButton size="small" color="primary"
+                                                            disabled={s.minutesRemaining <= 0}
+                                                            onClick={() => openAction(s, 'reinstate')}><Restore fontSize="small" /></IconButton></span></Tooltip>
+                                                    ) : s.status === 'in_progress' ? (
+                                                        <Tooltip title="Suspend"><IconButton size="small" color="warning"
+                                                            onClick={() => openAction(s, 'suspend')}><PauseCircle fontSize="small" /></IconButton></Tooltip>
+                                                    ) : (
+                                                        <Tooltip title="Resume"><IconButton size="small" color="success"
+                                                            onClick={() => openAction(s, 'resume')}><PlayArrow fontSize="small" /></IconButton></Tooltip>
+                                                    )}
+                                                    {s.status !== 'terminated' && (
+                                                        <>
+                                                            <Tooltip title="Terminate"><IconButton size="small" color="error"
+                                                                onClick={() => openAction(s, 'terminate')}><StopCircle fontSize="small" /></IconButton></Tooltip>
+                                                            <Tooltip title="Extra time"><IconButton size="small" color="primary"
+                                                                onClick={() => openAction(s, 'extra_time')}><MoreTime fontSize="small" /></IconButton></Tooltip>
+                                                            <Tooltip title="Message candidate"><IconButton size="small" color="primary"
+                                                                onClick={() => openAction(s, 'message')}><Campaign fontSize="small" /></IconButton></Tooltip>
+                                                        </>
+                                                    )}
+                                                    <Tooltip title="Chat"><IconButton size="small" onClick={() => openChat(s)}>
+                                                        <Badge badgeContent={unread[s.id]} color="primary" max={9}><Chat fontSize="small" /></Badge>
+                                                    </IconButton></Tooltip>
+                                                </Box>
+                                            </TableCell>
+                                        </TableRow>
+                                    ))}
+                                    {sessions.length === 0 && (
+                                        <TableRow><TableCell colSpan={8} align="center" sx={{ py: 6 }}>
+                                            <Visibility sx={{ fontSize: 48, color: 'text.secondary', mb: 1 }} />
+                                            <Typography color="text.secondary">No active exam sessions</Typography>
+                                        </TableCell></TableRow>
+                                    )}
+                                </TableBody>
+                            </Table>
+                        </CardContent></Card>
+                    )}
+                </Grid>
+
+                {/* Live Flag Feed */}
+                <Grid size={{ xs: 12, lg: 4 }}>
+                    <Card sx={{ height: '100%' }}><CardContent sx={{ p: 2 }}>
+                        <Box sx={{ display: 'flex', alignItems: 'center', justifyContent: 'space-between', mb: 1 }}>
+                            <Box sx={{ display: 'flex', alignItems: 'center', gap: 1 }}>
+                                <Flag color="warning" fontSize="small" />
+                                <Typography variant="subtitle1" fontWeight={600}>Live Flag Feed</Typography>
+                            </Box>
+                            {feedSessionId && (
+                                <Chip
+                                    icon={<Person sx={{ fontSize: 14 }} />}
+                                    label={sessionMap[feedSessionId]?.users?.username || 'Session'}
+                                    size="small"
+                                    onDelete={() => setFeedSessionId(null)}
+                                />
+                            )}
+                        </Box>
+                        <Box sx={{ maxHeight: 560, overflow: 'auto' }}>
+                            {visibleFeed.map(t => t.kind === 'flag' ? (
+                                <FeedItem key={t.item.id} flag={t.item} student={sessionMap[t.item.session_id]?.users?.username} />
+                            ) : (
+                                <EventItem key={t.item.id} event={t.item} student={sessionMap[t.item.session_id]?.users?.username} />
+                            ))}
+                            {visibleFeed.length === 0 && (
+                                <Box sx={{ textAlign: 'center', py: 4 }}>
+                                    <CheckCircle sx={{ fontSize: 36, color: 'text.secondary', mb: 1 }} />
+                                    <Typography variant="body2" color="text.secondary">No flags yet</Typography>
+                                </Box>
+                            )}
+                        </Box>
+                    </CardContent></Card>
+                </Grid>
+            </Grid>
+
+            {/* RED flag alert */}
+            <Snackbar
+                open={!!redAlert}
+                autoHideDuration={RED_HIGHLIGHT_MS}
+                onClose={() => setRedAlert(null)}
+                anchorOrigin={{ vertical: 'top', horizontal: 'right' }}
+            >
+                <Alert
+                    severity="error"
+                    variant="filled"
+                    icon={<Warning />}
+                    action={<IconButton size="small" color="inherit" onClick={() => setRedAlert(null)}><Close fontSize="small" /></IconButton>}
+                    onClick={() => redAlert && setFeedSessionId(redAlert.flag.session_id)}
+                    sx={{ cursor: 'pointer' }}
+                >
+                    <strong>RED — {redAlert?.session?.users?.username}</strong>: {redAlert?.flag?.metadata?.message || redAlert?.flag?.flag_type}
+                </Alert>
+            </Snackbar>
+
+            {/* Enlarged camera view */}
+            <Dialog open={!!viewed} onClose={() => setViewSessionId(null)} maxWidth="md" fullWidth>
+                <DialogTitle sx={{ display: 'flex', alignItems: 'center', justifyContent: 'space-between' }}>
+                    <Box>
+                        {viewed?.users?.username}
+                        <Typography variant="caption" color="text.secondary" sx={{ display: 'block' }}>
+                            {viewed?.tests?.title} · snapshot {formatLastSeen(viewed?.snapshot_at, now)}
+                        </Typography>
+                    </Box>
+                    <IconButton size="small" onClick={() => setViewSessionId(null)}><Close fontSize="small" /></IconButton>
+                </DialogTitle>
+                <DialogContent>
+                    {viewed && (
+                        <>
+                            <SnapshotImage session={viewed} height={420} />
+                            <Grid container spacing={2} sx={{ mt: 1 }}>
+                                <Grid size={{ xs: 4, md: 2 }}><Typography variant="caption">Fused risk</Typography><RiskBar value={viewed.risk} /></Grid>
+                                <Grid size={{ xs: 4, md: 2 }}><Typography variant="caption">Vision</Typography><RiskBar value={viewed.heartbeat?.risk?.vision} /></Grid>
+                                <Grid size={{ xs: 4, md: 2 }}><Typography variant="caption">Audio</Typography><RiskBar value={viewed.heartbeat?.risk?.audio} /></Grid>
+                                <Grid size={{ xs: 12, md: 6 }}><ConnectionCell session={viewed} now={now} /></Grid>
+                            </Grid>
+                        </>
+                    )}
+                </DialogContent>
+                <DialogActions>
+                    <Button startIcon={<Flag />} onClick={() => { setFeedSessionId(viewed.id); setViewSessionId(null); }}>Show Flags</Button>
+                    <Button startIcon={<Chat />} onClick={() => openChat(viewed)}>Chat</Button>
+                </DialogActions>
+            </Dialog>
+
+            {/* Proctor ↔ candidate chat */}
+            <Dialog open={!!chatSession} onClose={() => setChatSession(null)} maxWidth="sm" fullWidth>
+                <DialogTitle sx={{ display: 'flex', alignItems: 'center', justifyContent: 'space-between' }}>
+                    Chat — {chatSession?.users?.username}
+                    <IconButton size="small" onClick={() => setChatSession(null)}><Close fontSize="small" /></IconButton>
+                </DialogTitle>
+                <DialogContent sx={{ p: 0 }}>
+                    {chatSession && <SessionChat sessionId={chatSession.id} role="proctor" height={360} />}
+                </DialogContent>
+            </Dialog>
 
             {/* Action Dialog */}
             <Dialog open={actionDialog} onClose={() => setActionDialog(false)} maxWidth="sm" fullWidth>
-                <DialogTitle sx={{ textTransform: 'capitalize' }}>{actionType} Session</DialogTitle>
+                <DialogTitle>{ACTION_TITLES[actionType]}</DialogTitle>
                 <DialogContent>
                     <Typography variant="body2" sx={{ mb: 2 }}>
                         Student: <strong>{selectedSession?.users?.username}</strong> | Test: <strong>{selectedSession?.tests?.title}</strong>
                     </Typography>
-                    <TextField fullWidth multiline rows={3} label="Reason (required)" value={actionReason}
-                        onChange={e => setActionReason(e.target.value)} placeholder="Enter reason for this action..." />
+                    {actionType === 'extra_time' && (
+                        <TextField fullWidth type="number" label="Minutes to add" value={extraMinutes} sx={{ mb: 2 }}
+                            inputProps={{ min: 1, max: 240 }}
+                            onChange={e => setExtraMinutes(Math.max(1, parseInt(e.target.value) || 1))} />
+                    )}
+                    <TextField fullWidth multiline rows={3}
+                        label={actionType === 'message' ? 'Message to candidate (required)' : 'Reason (required)'}
+                        value={actionReason}
+                        onChange={e => setActionReason(e.target.value)}
+                        placeholder={actionType === 'message' ? 'Shown on the candidate\'s screen...' : 'Enter reason for this action...'} />
                     {actionType === 'terminate' && (
-                        <Alert severity="warning" sx={{ mt: 2 }}>This will end the student's exam immediately and cannot be undone.</Alert>
+                        <Alert severity="warning" sx={{ mt: 2 }}>This will end the student's exam immediately. It can be reinstated from this page for 24 hours.</Alert>
                     )}
+                    {actionType === 'reinstate' && (
+                        <Alert severity="info" sx={{ mt: 2 }}>
+                            The session is restored with its saved answers and {selectedSession && minutesRemaining(selectedSession, now)} minute(s) remaining.
+                            The student must reopen the exam to continue.
+                        </Alert>
+                    )}
+                    {actionError && <Alert severity="error" sx={{ mt: 2 }}>{actionError}</Alert>}
                 </DialogContent>
                 <DialogActions>
                     <Button onClick={() => setActionDialog(false)}>Cancel</Button>
                     <Button variant="contained" onClick={handleAction} disabled={!actionReason.trim()}
-                        color={actionType === 'terminate' ? 'error' : actionType === 'suspend' ? 'warning' : 'success'}>
-                        Confirm {actionType}
+                        color={ACTION_COLORS[actionType] || 'primary'}>
+                        {actionType === 'message' ? 'Send' : 'Confirm'}
                     </Button>
                 </DialogActions>
             </Dialog>
         </Box>
     );
 }
+
+/**
+ * Fused risk (0..1) from the session's latest RiskEngine decision
+ */
+function RiskBar({ value = 0 }) {
+    const pct = Math.round(value * 100);
+    const color = riskLevel(value);
+    return (
+        <Box>
+            <Typography variant="caption" fontWeight={600} color={`${color}.main`}>{pct}%</Typography>
+            <LinearProgress variant="determinate" value={Math.min(100, pct)} color={color}
+                sx={{ height: 4, borderRadius: 1 }} />
+        </Box>
+    );
+}
+
+/**
+ * One line in the live flag feed
+ */
+function FeedItem({ flag, student }) {
+    return (
+        <Box sx={{ display: 'flex', gap: 1, py: 0.75, borderBottom: '1px solid', borderColor: 'divider' }}>
+            <Chip
+                label={flag.severity}
+                size="small"
+                color={flag.severity === 'RED' ? 'error' : 'warning'}
+                sx={{ width: 70, fontSize: 10, flexShrink: 0 }}
+            />
+            <Box sx={{ minWidth: 0, flex: 1 }}>
+                <Typography variant="caption" fontWeight={600} sx={{ display: 'block' }}>
+                    {student || 'Unknown'} · {flag.flag_type}
+                </Typography>
+                <Typography variant="caption" color="text.secondary" sx={{ display: 'block' }} noWrap>
+                    {flag.metadata?.message}
+                </Typography>
+            </Box>
+            <Typography variant="caption" color="text.secondary" sx={{ flexShrink: 0 }}>
+                {new Date(flag.timestamp).toLocaleTimeString()}
+            </Typography>
+        </Box>
+    );
+}
+
+/**
+ * Heartbeat status: badge, last-seen time and the candidate's progress
+ */
+function ConnectionCell({ session, now }) {
+    if (session.status === 'terminated') {
+        return <Typography variant="caption" color="text.secondary">—</Typography>;
+    }
+    const state = connectivityOf(session, now);
+    const hb = session.heartbeat;
+    return (
+        <Box>
+            <Box sx={{ display: 'flex', alignItems: 'center', gap: 0.5 }}>
+                <Chip label={CONNECTIVITY_LABELS[state]} size="small" color={CONNECTIVITY_COLORS[state]}
+                    variant={state === 'live' ? 'outlined' : 'filled'} />
+                {hb && (hb.online
+                    ? <Wifi sx={{ fontSize: 14, color: 'text.secondary' }} />
+                    : <Tooltip title="Client reports offline"><WifiOff sx={{ fontSize: 14, color: '#FF4D6A' }} /></Tooltip>)}
+            </Box>
+            <Typography variant="caption" color="text.secondary" sx={{ display: 'block' }}>
+                seen {formatLastSeen(session.last_heartbeat_at, now)}
+            </Typography>
+            {hb && (
+                <Typography variant="caption" color="text.secondary" sx={{ display: 'block' }}>
+                    Q{(hb.question_index ?? 0) + 1}/{hb.total_questions} · {hb.answered_count} answered · {hb.monitors?.length ?? 0} monitors
+                </Typography>
+            )}
+        </Box>
+    );
+}
+
+/**
+ * One timeline event in the live feed (connection lost / restored, ...)
+ */
+function EventItem({ event, student }) {
+    const lost = event.event_type === 'CONNECTION_LOST';
+    return (
+        <Box sx={{ display: 'flex', gap: 1, py: 0.75, borderBottom: '1px solid', borderColor: 'divider', alignItems: 'center' }}>
+            <Box sx={{ width: 70, display: 'flex', justifyContent: 'center', flexShrink: 0 }}>
+                {lost ? <WifiOff sx={{ fontSize: 18, color: '#FF4D6A' }} /> : <Wifi sx={{ fontSize: 18, color: '#4ECDC4' }} />}
+            </Box>
+            <Box sx={{ minWidth: 0, flex: 1 }}>
+                <Typography variant="caption" fontWeight={600} sx={{ display: 'block' }}>
+                    {student || 'Unknown'} · {EVENT_LABELS[event.event_type] || event.event_type}
+                </Typography>
+                {event.details?.offline_ms != null && (
+                    <Typography variant="caption" color="text.secondary" sx={{ display: 'block' }}>
+                        Offline for {Math.round(event.details.offline_ms / 1000)}s
+                    </Typography>
+                )}
+            </Box>
+            <Typography variant="caption" color="text.secondary" sx={{ flexShrink: 0 }}>
+                {new Date(event.created_at).toLocaleTimeString()}
+            </Typography>
+        </Box>
+    );
+}
+
+/**
+ * Delivery state of the latest command pushed to the session's exam client
+ */
+function CommandStatus({ command }) {
+    const acked = !!command.acknowledged_at;
+    return (
+        <Tooltip title={acked
+            ? `Acknowledged ${new Date(command.acknowledged_at).toLocaleTimeString()}`
+            : `Sent ${new Date(command.created_at).toLocaleTimeString()} — waiting for the exam client`}>
+            <Box sx={{ display: 'flex', alignItems: 'center', gap: 0.5, mt: 0.5 }}>
+                {acked
+                    ? <DoneAll sx={{ fontSize: 14, color: '#4ECDC4' }} />
+                    : <HourglassTop sx={{ fontSize: 14, color: 'text.secondary' }} />}
+                <Typography variant="caption" color="text.secondary">
+                    {COMMAND_LABELS[command.command]} · {acked ? 'delivered' : 'pending'}
+                </Typography>
+            </Box>
+        </Tooltip>
+    );
+}
+
+/**
+ * Latest camera snapshot, or a placeholder until the first one arrives
+ */
+function SnapshotImage({ session, height }) {
+    const url = snapshotUrl(session);
+    if (!url) {
+        return (
+            <Box sx={{ height, display: 'flex', flexDirection: 'column', alignItems: 'center', justifyContent: 'center', bgcolor: 'action.hover' }}>
+                <VideocamOff sx={{ color: 'text.secondary' }} />
+                <Typography variant="caption" color="text.secondary">No snapshot yet</Typography>
+            </Box>
+        );
+    }
+    return <Box component="img" src={url} alt="" sx={{ width: '100%', height, objectFit: 'cover', display: 'block', bgcolor: '#000' }} />;
+}
+
+/**
+ * Camera wall tile: snapshot with status and vision / audio risk overlays
+ */
+function SnapshotTile({ session, now, highlighted, onClick }) {
+    const state = connectivityOf(session, now);
+    const risk = session.heartbeat?.risk;
+    return (
+        <Card onClick={onClick} sx={{
+            cursor: 'pointer',
+            border: '2px solid',
+            borderColor: highlighted ? '#FF4D6A' : 'transparent',
+            ...(highlighted && {
+                animation: 'tilePulse 1s ease-in-out infinite',
+                '@keyframes tilePulse': {
+                    '0%, 100%': { boxShadow: '0 0 0 0 rgba(255,77,106,0.2)' },
+                    '50%': { boxShadow: '0 0 0 6px rgba(255,77,106,0.45)' },
+                },
+            }),
+        }}>
+            <Box sx={{ position: 'relative' }}>
+                <SnapshotImage session={session} height={140} />
+                <Box sx={{ position: 'absolute', top: 6, left: 6, right: 6, display: 'flex', justifyContent: 'space-between' }}>
+                    <Chip label={STATUS_LABELS[session.status]} size="small" color={STATUS_COLORS[session.status]} />
+                    {session.status !== 'terminated' && state !== 'live' && (
+                        <Chip label={CONNECTIVITY_LABELS[state]} size="small" color={CONNECTIVITY_COLORS[state]} />
+                    )}
+                </Box>
+                <Box sx={{ position: 'absolute', bottom: 0, left: 0, right: 0, px: 1, py: 0.25, display: 'flex', justifyContent: 'space-between', bgcolor: 'rgba(0,0,0,0.6)' }}>
+                    {[['Risk', session.risk], ['Vision', risk?.vision], ['Audio', risk?.audio]].map(([label, value]) => (
+                        <Typography key={label} variant="caption" fontWeight={600}
+                            sx={{ color: value == null ? '#bbb' : RISK_HEX[riskLevel(value)] }}>
+                            {label} {value == null ? '—' : `${Math.round(value * 100)}%`}
+                        </Typography>
+                    ))}
+                </Box>
+            </Box>
+            <Box sx={{ p: 1 }}>
+                <Typography variant="body2" fontWeight={600} noWrap>{session.users?.username}</Typography>
+                <Typography variant="caption" color="text.secondary" noWrap sx={{ display: 'block' }}>
+                    {session.minutesRemaining} min left · {session.red_flags || 0} R / {session.orange_flags || 0} O
+                </Typography>
+            </Box>
+        </Card>
+    );
+}
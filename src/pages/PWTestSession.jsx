@@ -1,15 +1,14 @@
 import { useState, useEffect, useCallback, useRef } from 'react';
 import { useNavigate } from 'react-router-dom';
 import {
-    Box, Card, CardContent, Typography, Button, Chip, RadioGroup,
-    FormControlLabel, Radio, LinearProgress, Dialog, DialogTitle,
-    DialogContent, DialogActions, Alert, IconButton, Tooltip, Paper,
+    Box, Card, CardContent, Typography, Button, Chip,
+    LinearProgress, Alert, IconButton, Tooltip, Paper,
     Snackbar, Slide,
 } from '@mui/material';
 import {
     Timer, NavigateBefore, NavigateNext, Flag, Send,
     CheckCircle, Circle, Warning, Error as ErrorIcon, ArrowBack,
-    Calculate, Security, Face,
+    Calculate, Security, Face, Bookmark, BookmarkBorder,
 } from '@mui/icons-material';
 
 // Pre-test checks (same as student ExamSession)
@@ -31,8 +30,20 @@ import ExamCalculator from '../components/ExamCalculator';
 // Admin Override panel (same as ExamSession)
 import AdminOverridePanel from '../components/AdminOverridePanel';
 
+// Answer input for every question type (same as ExamSession)
+import QuestionInput from '../components/QuestionInput';
+import RichText from '../components/RichText';
+import { displayText, isAnswered, gradeAnswer } from '../lib/questionTypes';
+
+// Palette and pre-submit review (same as ExamSession)
+import QuestionPalette from '../components/QuestionPalette';
+import SubmitReview from '../components/SubmitReview';
+
+// Risk fusion — same severity decisions as ExamSession
+import { createRiskEngine } from '../lib/riskEngine';
+
 // ─────────────────────────────────────────────
-// DUMMY MCQ QUESTIONS (demo)
+// DUMMY QUESTIONS (demo) — one of each question type after the MCQs
 // ─────────────────────────────────────────────
 const DEMO_QUESTIONS = [
     {
@@ -77,21 +88,46 @@ const DEMO_QUESTIONS = [
         question_type: 'MCQ_SINGLE', options: ['useState', 'useEffect', 'useReducer', 'useMemo'],
         correct_answer: ['useEffect'], marks: 2,
     },
+    {
+        id: 'q9', question_text: 'HTTP is a stateless protocol.',
+        question_type: 'TRUE_FALSE', options: ['True', 'False'],
+        correct_answer: ['True'], marks: 2,
+    },
+    {
+        id: 'q10', question_text: 'How many bits are in 2 kilobytes? (1 KB = 1024 bytes)',
+        question_type: 'NUMERIC', options: [],
+        correct_answer: [{ value: 16384, tolerance: 0 }], marks: 2,
+    },
+    {
+        id: 'q11', question_text: 'Which HTML tag creates a hyperlink? (tag name only)',
+        question_type: 'SHORT_TEXT', options: [],
+        correct_answer: ['a', '<a>'], marks: 2,
+    },
+    {
+        id: 'q12', question_text: 'In Git, ___ records staged changes and ___ uploads commits to a remote.',
+        question_type: 'FILL_BLANK', options: [],
+        correct_answer: [['commit', 'git commit'], ['push', 'git push']], marks: 2,
+    },
+    {
+        id: 'q13', question_text: 'Match each port with its protocol.',
+        question_type: 'MATCHING', options: { left: ['22', '80', '443'], right: ['HTTPS', 'SSH', 'HTTP'] },
+        correct_answer: ['SSH', 'HTTP', 'HTTPS'], marks: 2,
+    },
+    {
+        id: 'q14', question_text: 'Order the stages of compiling a C program.',
+        question_type: 'ORDERING', options: ['Linking', 'Preprocessing', 'Assembly', 'Compilation'],
+        correct_answer: ['Preprocessing', 'Compilation', 'Assembly', 'Linking'], marks: 2,
+    },
 ];
 
 const DEMO_DURATION_MINUTES = 30;
-const DEMO_TEST = { title: 'PW Demo Test', total_marks: 16 };
-
-// ─────────────────────────────────────────────
-// FLAG SEVERITY HELPERS
-// ─────────────────────────────────────────────
-const severityMap = { high: 'RED', medium: 'ORANGE', low: 'ORANGE' };
+const DEMO_TEST = { title: 'PW Demo Test', total_marks: DEMO_QUESTIONS.reduce((sum, q) => sum + q.marks, 0) };
 
 // ─────────────────────────────────────────────
 // MAIN COMPONENT — mirrors ExamSession.jsx exactly
 //   Differences:
 //   - No server/supabase — all local
-//   - Flags show as toast notifications, never terminate
+//   - Flags show as toast notifications, RiskEngine auto-actions ignored
 //   - Alt-tab allowed (flagged but not blocked)
 //   - No evidence capture / video recording
 //   - Face verification via localStorage
@@ -106,6 +142,7 @@ export default function PWTestSession() {
     const [timeLeft, setTimeLeft] = useState(DEMO_DURATION_MINUTES * 60);
     const [submitted, setSubmitted] = useState(false);
     const [confirmSubmit, setConfirmSubmit] = useState(false);
+    const [marked, setMarked] = useState([]);              // question ids marked for review
     const [overrideOpen, setOverrideOpen] = useState(false);
     const [disabledModules, setDisabledModules] = useState([]);
     const [preChecksComplete, setPreChecksComplete] = useState(false);
@@ -113,6 +150,7 @@ export default function PWTestSession() {
     const timerRef = useRef(null);
     const clickCountRef = useRef(0);
     const clickTimerRef = useRef(null);
+    const riskEngineRef = useRef(createRiskEngine());
 
     // Flag state — local only
     const [flags, setFlags] = useState([]);
@@ -135,7 +173,7 @@ export default function PWTestSession() {
     // ─── Flag Handler (local only — NO database, NO evidence, NO termination) ───
     const logFlag = useCallback((flag) => {
         if (submitted) return;
-        const dbSeverity = severityMap[flag.severity] || flag.severity;
+        const dbSeverity = flag.severity;
         const timestamp = new Date().toLocaleTimeString();
 
         const enrichedFlag = {
@@ -156,6 +194,13 @@ export default function PWTestSession() {
         console.log(`[PW Test] ${dbSeverity} FLAG: ${flag.message} (${flag.type})`);
     }, [submitted]);
 
+    // ─── Risk Signal Handler (severity decided by RiskEngine, action ignored) ───
+    const handleSignal = useCallback((signal) => {
+        if (submitted) return;
+        const decision = riskEngineRef.current.ingest(signal);
+        if (decision) logFlag(decision.flag);
+    }, [submitted, logFlag]);
+
     // ─── Stop Backend IPC Services (safe for cleanup, no state changes) ───
     const stopBackendServices = useCallback(() => {
         if (window.electronAPI) {
@@ -286,8 +331,7 @@ export default function PWTestSession() {
     };
 
     // ─── Answer handler (local only) ───
-    const handleAnswer = (questionId, value) => {
-        const newAnswer = [value];
+    const handleAnswer = (questionId, newAnswer) => {
         setAnswers(prev => ({ ...prev, [questionId]: newAnswer }));
     };
 
@@ -321,11 +365,8 @@ export default function PWTestSession() {
     // RENDER: Post-submission view
     // ═══════════════════════════════════════════
     if (submitted) {
-        const totalScore = questions.reduce((acc, q) => {
-            const ans = answers[q.id] || [];
-            const isCorrect = ans.length > 0 && JSON.stringify(q.correct_answer?.sort()) === JSON.stringify(ans.sort());
-            return acc + (isCorrect ? q.marks : 0);
-        }, 0);
+        const totalScore = questions.reduce((acc, q) =>
+            acc + gradeAnswer({ question: q, marks: q.marks, penalty: 0 }, answers[q.id], {}).marks_awarded, 0);
 
         return (
             <Box sx={{ textAlign: 'center', py: 6, maxWidth: 600, mx: 'auto' }}>
@@ -338,8 +379,8 @@ export default function PWTestSession() {
                     <Typography variant="h3" fontWeight={700} color="primary">{totalScore}/{DEMO_TEST.total_marks}</Typography>
                     <Typography color="text.secondary">Your Score</Typography>
                     <Box sx={{ mt: 2, display: 'flex', justifyContent: 'center', gap: 2 }}>
-                        <Chip label={`${questions.filter(q => answers[q.id]?.length > 0).length} Answered`} color="success" />
-                        <Chip label={`${questions.filter(q => !answers[q.id] || answers[q.id].length === 0).length} Skipped`} variant="outlined" />
+                        <Chip label={`${questions.filter(q => isAnswered(answers[q.id])).length} Answered`} color="success" />
+                        <Chip label={`${questions.filter(q => !isAnswered(answers[q.id])).length} Skipped`} variant="outlined" />
                         <Chip label={`${flags.length} Flags`} color={flags.length > 0 ? 'warning' : 'default'} />
                     </Box>
 
@@ -374,8 +415,14 @@ export default function PWTestSession() {
     // RENDER: Active exam view (mirrors ExamSession exactly)
     // ═══════════════════════════════════════════
     const currentQuestion = questions[currentQ];
-    const answeredCount = questions.filter(q => answers[q.id]?.length > 0).length;
+    const answeredCount = questions.filter(q => isAnswered(answers[q.id])).length;
+    const isMarked = marked.includes(currentQuestion.id);
     const isUrgent = timeLeft < 120;
+    const toggleMarked = (id) => setMarked(prev => (prev.includes(id) ? prev.filter(m => m !== id) : [...prev, id]));
+    const jumpTo = (i) => {
+        setConfirmSubmit(false);
+        setCurrentQ(i);
+    };
 
     return (
         <Box sx={{ display: 'flex', gap: 2, height: '100vh', p: 2 }}>
@@ -412,6 +459,11 @@ export default function PWTestSession() {
                         <Chip label={`Question ${currentQ + 1} of ${questions.length}`} size="small" />
                         <Box sx={{ display: 'flex', alignItems: 'center', gap: 1 }}>
                             <Chip label={`${currentQuestion?.marks} marks`} size="small" color="primary" variant="outlined" />
+                            <Button size="small" color="warning" variant={isMarked ? 'contained' : 'outlined'}
+                                startIcon={isMarked ? <Bookmark /> : <BookmarkBorder />}
+                                onClick={() => toggleMarked(currentQuestion.id)}>
+                                {isMarked ? 'Marked for Review' : 'Mark for Review'}
+                            </Button>
                             <Tooltip title="Calculator">
                                 <IconButton
                                     size="small"
@@ -428,27 +480,15 @@ export default function PWTestSession() {
                     </Box>
 
                     <Typography variant="h6" sx={{ mb: 3, lineHeight: 1.6 }}>
-                        {currentQuestion?.question_text}
+                        <RichText text={displayText(currentQuestion)} />
                     </Typography>
 
-                    {/* Options — MCQ Single */}
-                    <RadioGroup
-                        value={answers[currentQuestion.id]?.[0] || ''}
-                        onChange={(e) => handleAnswer(currentQuestion.id, e.target.value)}
-                    >
-                        {currentQuestion.options?.map((opt, i) => (
-                            <FormControlLabel key={i} value={opt} control={<Radio />}
-                                label={<Typography variant="body1">{String.fromCharCode(65 + i)}. {opt}</Typography>}
-                                sx={{
-                                    mb: 1, p: 1.5, borderRadius: 2, mx: 0,
-                                    border: '1px solid',
-                                    borderColor: answers[currentQuestion.id]?.[0] === opt ? 'rgba(108,99,255,0.5)' : 'rgba(148,163,184,0.1)',
-                                    bgcolor: answers[currentQuestion.id]?.[0] === opt ? 'rgba(108,99,255,0.08)' : 'transparent',
-                                    '&:hover': { bgcolor: 'rgba(148,163,184,0.04)' },
-                                }}
-                            />
-                        ))}
-                    </RadioGroup>
+                    <QuestionInput
+                        key={currentQuestion.id}
+                        question={currentQuestion}
+                        value={answers[currentQuestion.id]}
+                        onChange={(next) => handleAnswer(currentQuestion.id, next)}
+                    />
                 </CardContent></Card>
 
                 {/* Navigation — identical to ExamSession */}
@@ -469,36 +509,8 @@ export default function PWTestSession() {
                     {answeredCount}/{questions.length} answered
                 </Typography>
                 <LinearProgress variant="determinate" value={(answeredCount / questions.length) * 100} sx={{ mb: 2, borderRadius: 1 }} />
-                <Box sx={{ display: 'flex', flexWrap: 'wrap', gap: 0.8 }}>
-                    {questions.map((q, i) => {
-                        const isAnswered = answers[q.id]?.length > 0;
-                        const isCurrent = i === currentQ;
-                        return (
-                            <Tooltip key={q.id} title={isAnswered ? 'Answered' : 'Not answered'}>
-                                <Box onClick={() => setCurrentQ(i)} sx={{
-                                    width: 36, height: 36, borderRadius: 1, display: 'flex', alignItems: 'center',
-                                    justifyContent: 'center', cursor: 'pointer', fontSize: 13, fontWeight: 600,
-                                    border: isCurrent ? '2px solid #6C63FF' : '1px solid rgba(148,163,184,0.2)',
-                                    bgcolor: isAnswered ? 'rgba(78,205,196,0.2)' : 'transparent',
-                                    color: isAnswered ? '#4ECDC4' : 'text.secondary',
-                                    '&:hover': { bgcolor: 'rgba(108,99,255,0.1)' },
-                                }}>
-                                    {i + 1}
-                                </Box>
-                            </Tooltip>
-                        );
-                    })}
-                </Box>
-                <Box sx={{ mt: 2, display: 'flex', gap: 1, flexWrap: 'wrap' }}>
-                    <Box sx={{ display: 'flex', alignItems: 'center', gap: 0.5 }}>
-                        <Box sx={{ width: 10, height: 10, borderRadius: '50%', bgcolor: 'rgba(78,205,196,0.5)' }} />
-                        <Typography variant="caption">Answered</Typography>
-                    </Box>
-                    <Box sx={{ display: 'flex', alignItems: 'center', gap: 0.5 }}>
-                        <Box sx={{ width: 10, height: 10, borderRadius: '50%', bgcolor: 'rgba(148,163,184,0.3)' }} />
-                        <Typography variant="caption">Unanswered</Typography>
-                    </Box>
-                </Box>
+                <QuestionPalette questions={questions} currentIndex={currentQ}
+                    answers={answers} marked={marked} onSelect={setCurrentQ} />
 
                 {/* ─── Liveness & Spoof Risk Panel ─── */}
                 {sharedStream && (
@@ -588,26 +600,12 @@ export default function PWTestSession() {
             </Paper>
 
 
-            <Dialog open={confirmSubmit} onClose={() => setConfirmSubmit(false)}>
-                <DialogTitle>Submit Exam?</DialogTitle>
-                <DialogContent>
-                    <Typography gutterBottom>Are you sure you want to submit?</Typography>
-                    <Box sx={{ mt: 1 }}>
-                        <Typography variant="body2">Answered: {answeredCount}/{questions.length}</Typography>
-                        <Typography variant="body2">Unanswered: {questions.length - answeredCount}</Typography>
-                        <Typography variant="body2">Time remaining: {formatTime(timeLeft)}</Typography>
-                        <Typography variant="body2">Flags detected: {flags.length}</Typography>
-                    </Box>
-                    {questions.length - answeredCount > 0 && (
-                        <Alert severity="warning" sx={{ mt: 2 }}>You have unanswered questions!</Alert>
-                    )}
-                    <Alert severity="info" sx={{ mt: 1 }}>This is a demo — no data is saved to any server.</Alert>
-                </DialogContent>
-                <DialogActions>
-                    <Button onClick={() => setConfirmSubmit(false)}>Continue Exam</Button>
-                    <Button variant="contained" color="warning" onClick={submitExam}>Confirm Submit</Button>
-                </DialogActions>
-            </Dialog>
+            {/* Review before submit — identical to ExamSession */}
+            <SubmitReview open={confirmSubmit} onClose={() => setConfirmSubmit(false)} onConfirm={submitExam}
+                questions={questions} answers={answers} marked={marked}
+                timeLeft={formatTime(timeLeft)} flagCount={flags.length} onJump={jumpTo}>
+                <Alert severity="info" sx={{ mt: 1 }}>This is a demo — no data is saved to any server.</Alert>
+            </SubmitReview>
 
             {/* Admin Override Panel — same as ExamSession */}
             <AdminOverridePanel
@@ -630,26 +628,26 @@ export default function PWTestSession() {
                     active={!submitted}
                     hidden={true}
                     stream={sharedStream}
-                    onStatusChange={logFlag}
+                    onStatusChange={handleSignal}
                     onLivenessUpdate={handleLivenessUpdate}
                 />
             )}
             {!submitted && !disabledModules.includes('device') && (
-                <DeviceMonitor active={!submitted} onFlag={logFlag} />
+                <DeviceMonitor active={!submitted} onFlag={handleSignal} />
             )}
             {!submitted && !disabledModules.includes('behavior') && sharedStream && (
                 <FloatingPanel title="Vision AI" defaultPosition={{ x: window.innerWidth - 310, y: window.innerHeight - 380 }} width={280}>
-                    <VisionBehaviorMonitor active={!submitted} onFlag={logFlag} stream={sharedStream} />
+                    <VisionBehaviorMonitor active={!submitted} onFlag={handleSignal} stream={sharedStream} />
                 </FloatingPanel>
             )}
             {!submitted && !disabledModules.includes('audio') && sharedStream && (
                 <FloatingPanel title="Audio Intelligence" defaultPosition={{ x: window.innerWidth - 330, y: window.innerHeight - 200 }} width={300}>
-                    <AudioIntelligence active={!submitted} onFlag={logFlag} stream={sharedStream} />
+                    <AudioIntelligence active={!submitted} onFlag={handleSignal} stream={sharedStream} />
                 </FloatingPanel>
             )}
             {!submitted && !disabledModules.includes('network') && (
                 <FloatingPanel title="System Monitor" defaultPosition={{ x: 16, y: window.innerHeight - 300 }} width={280}>
-                    <NetworkMonitor active={!submitted} onFlag={logFlag} />
+                    <NetworkMonitor active={!submitted} onFlag={handleSignal} />
                 </FloatingPanel>
             )}
 
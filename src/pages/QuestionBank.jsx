@@ -0,0 +1,558 @@
+import { useState, useEffect, useMemo } from 'react';
+import {
+    Box, Card, CardContent, Typography, Button, Chip, LinearProgress, Alert, Grid,
+    TextField, MenuItem, Checkbox, Pagination, ToggleButtonGroup, ToggleButton,
+    Dialog, DialogTitle, DialogContent, DialogActions, Divider, Tooltip, IconButton,
+    Table, TableHead, TableBody, TableRow, TableCell,
+} from '@mui/material';
+import { Search, Edit, ContentCopy, Delete, Info, UploadFile, Download } from '@mui/icons-material';
+import { supabase } from '../lib/supabase';
+import useAuthStore from '../store/authStore';
+import TagInput from '../components/TagInput';
+import QuestionVersions from '../components/QuestionVersions';
+import QuestionImportDialog from '../components/QuestionImportDialog';
+import ConversionReport from '../components/ConversionReport';
+import RichText from '../components/RichText';
+import { QUESTION_TYPES, DIFFICULTIES, formatCorrectAnswer } from '../lib/questionTypes';
+import {
+    fetchBank, filterQuestions, facetCounts, findDuplicates, correctRate, normalizeObjectives,
+    saveTaxonomy, bulkEditQuestions, deleteUnusedQuestion, fetchUsageHistory, plainText, addToBank,
+} from '../lib/questionBank';
+import { exportQuestionsQti } from '../lib/qti';
+import { downloadBlob } from '../lib/zipArchive';
+
+const PAGE_SIZE = 20;
+
+// Facets in the order they are shown
+const FACET_LABELS = {
+    question_type: 'Type',
+    difficulty: 'Difficulty',
+    tags: 'Tags',
+    learning_objectives: 'Learning Objectives',
+    created_by: 'Author',
+    course_id: 'Course',
+};
+
+const percent = (share) => (share == null ? '—' : `${Math.round(share * 100)}%`);
+
+/**
+ * QuestionBank — the whole bank with faceted search, taxonomy editing (one
+ * question or many at once), duplicate detection and each question's usage
+ * history across tests.
+ */
+export default function QuestionBank() {
+    const { user } = useAuthStore();
+
+    const [questions, setQuestions] = useState([]);
+    const [courses, setCourses] = useState([]);
+    const [loading, setLoading] = useState(true);
+    const [error, setError] = useState('');
+    const [notice, setNotice] = useState('');
+
+    const [view, setView] = useState('browse');
+    const [search, setSearch] = useState('');
+    const [filters, setFilters] = useState({});
+    const [page, setPage] = useState(1);
+    const [selected, setSelected] = useState([]);
+    const [detail, setDetail] = useState(null);
+    const [bulkOpen, setBulkOpen] = useState(false);
+    const [importOpen, setImportOpen] = useState(false);
+    const [report, setReport] = useState(null);
+
+    useEffect(() => {
+        Promise.all([
+            fetchBank(supabase),
+            supabase.from('courses').select('id, name, code').then(({ data }) => data || []),
+        ])
+            .then(([bank, courseList]) => {
+                setQuestions(bank);
+                setCourses(courseList);
+            })
+            .catch(err => {
+                console.error('[QuestionBank] Failed to load:', err);
+                setError(err.message || 'Failed to load the question bank');
+            })
+            .finally(() => setLoading(false));
+    }, []);
+
+    const results = useMemo(() => filterQuestions(questions, filters, search), [questions, filters, search]);
+    const duplicates = useMemo(() => (view === 'duplicates' ? findDuplicates(results) : []), [view, results]);
+    const knownTags = useMemo(() => [...new Set(questions.flatMap(q => q.tags || []))].sort(), [questions]);
+    const knownObjectives = useMemo(() => [...new Set(questions.flatMap(q => q.learning_objectives || []))].sort(), [questions]);
+
+    // Back to the first page whenever the result set changes
+    useEffect(() => { setPage(1); }, [filters, search, view]);
+
+    const valueLabel = (facet, value) => {
+        if (value === '') return 'Not set';
+        if (facet === 'question_type') return QUESTION_TYPES[value] || value;
+        if (facet === 'created_by') {
+            const author = questions.find(q => q.created_by === value)?.author;
+            return author?.full_name || author?.username || 'Unknown';
+        }
+        if (facet === 'course_id') {
+            const course = courses.find(c => c.id === value);
+            return course ? `${course.name} (${course.code})` : 'Unknown course';
+        }
+        return value;
+    };
+
+    const toggleFilter = (facet, value) => {
+        const current = filters[facet] || [];
+        setFilters({
+            ...filters,
+            [facet]: current.includes(value) ? current.filter(v => v !== value) : [...current, value],
+        });
+    };
+
+    const toggleSelected = (id) => {
+        setSelected(selected.includes(id) ? selected.filter(s => s !== id) : [...selected, id]);
+    };
+
+    // Rows coming back from an update keep the page's derived fields
+    const mergeUpdated = (rows) => {
+        const byId = new Map(rows.map(r => [r.id, r]));
+        setQuestions(prev => prev.map(q => (byId.has(q.id) ? { ...q, ...byId.get(q.id) } : q)));
+    };
+
+    const handleBulkEdit = async (edit) => {
+        setError(''); setNotice('');
+        try {
+            const rows = await bulkEditQuestions(supabase, questions.filter(q => selected.includes(q.id)), edit, user.id);
+            mergeUpdated(rows);
+            setNotice(`Updated ${rows.length} question${rows.length === 1 ? '' : 's'}.`);
+            setBulkOpen(false);
+        } catch (err) {
+            console.error('[QuestionBank] Bulk edit failed:', err);
+            setError(err.message || 'Bulk edit failed');
+        }
+    };
+
+    // The bank row now holds the corrected content
+    const handlePublished = (version) => {
+        const content = {
+            id: version.question_id, question_text: version.question_text, options: version.options,
+            correct_answer: version.correct_answer, marks: version.marks, negative_marks: version.negative_marks,
+            search_text: plainText(version.question_text),
+        };
+        mergeUpdated([content]);
+        setDetail(prev => (prev?.id === content.id ? { ...prev, ...content } : prev));
+        setNotice(`Published version ${version.version}. Tests already set keep the version they were created with.`);
+    };
+
+    const handleImport = async ({ questions: imported, report: readReport, tags }) => {
+        const { added, skipped } = await addToBank(supabase, imported, user.id, { tags });
+        setQuestions(prev => [
+            ...added.map(q => ({
+                ...q, author: user, course_ids: [], search_text: plainText(q.question_text),
+                usage: { tests_used: 0, times_answered: 0, times_correct: 0 },
+            })),
+            ...prev,
+        ]);
+        setImportOpen(false);
+        setNotice(`Added ${added.length} question${added.length === 1 ? '' : 's'} to the bank.`);
+        const problems = [...readReport, ...skipped];
+        if (problems.length) setReport({ title: 'Import Report', entries: problems });
+    };
+
+    // Selected questions, or every matching one when nothing is selected
+    const handleExport = async () => {
+        setError(''); setNotice('');
+        try {
+            const chosen = selected.length > 0 ? questions.filter(q => selected.includes(q.id)) : results;
+            const { blob, report: entries, exported } = await exportQuestionsQti(chosen, 'Question Bank');
+            downloadBlob(blob, `question-bank-qti-${new Date().toISOString().slice(0, 10)}.zip`);
+            setNotice(`Exported ${exported} question${exported === 1 ? '' : 's'} as QTI 2.1.`);
+            if (entries.length) setReport({ title: 'Export Report', entries });
+        } catch (err) {
+            console.error('[QuestionBank] Export failed:', err);
+            setError(err.message || 'Export failed');
+        }
+    };
+
+    const handleDelete = async (question) => {
+        if (!window.confirm('Delete this question from the bank?')) return;
+        setError(''); setNotice('');
+        try {
+            await deleteUnusedQuestion(supabase, question, user.id);
+            setQuestions(prev => prev.filter(q => q.id !== question.id));
+            setSelected(prev => prev.filter(id => id !== question.id));
+        } catch (err) {
+            setError(err.message || 'Failed to delete question');
+        }
+    };
+
+    if (loading) return <LinearProgress />;
+
+    const pageRows = results.slice((page - 1) * PAGE_SIZE, page * PAGE_SIZE);
+    const activeFilters = Object.values(filters).some(v => v?.length);
+
+    // ═══════════════════════════════════════════
+    // RENDER
+    // ═══════════════════════════════════════════
+    return (
+        <Box>
+            <Box sx={{ display: 'flex', justifyContent: 'space-between', alignItems: 'flex-start', mb: 3, gap: 2, flexWrap: 'wrap' }}>
+                <Box>
+                    <Typography variant="h4" fontWeight={700}>Question Bank</Typography>
+                    <Typography color="text.secondary">
+                        {results.length} of {questions.length} questions
+                    </Typography>
+                </Box>
+                <Box sx={{ display: 'flex', gap: 1, alignItems: 'center' }}>
+                    <Button size="small" variant="outlined" startIcon={<UploadFile />} onClick={() => setImportOpen(true)}>
+                        Import
+                    </Button>
+                    <Button size="small" variant="outlined" startIcon={<Download />} onClick={handleExport}
+                        disabled={results.length === 0}>
+                        Export QTI{selected.length > 0 ? ` (${selected.length})` : ''}
+                    </Button>
+                    <ToggleButtonGroup size="small" exclusive value={view} onChange={(_, v) => v && setView(v)}>
+                        <ToggleButton value="browse">Browse</ToggleButton>
+                        <ToggleButton value="duplicates"><ContentCopy fontSize="small" sx={{ mr: 0.5 }} />Duplicates</ToggleButton>
+                    </ToggleButtonGroup>
+                </Box>
+            </Box>
+
+            {error && <Alert severity="error" sx={{ mb: 2 }} onClose={() => setError('')}>{error}</Alert>}
+            {notice && <Alert severity="success" sx={{ mb: 2 }} onClose={() => setNotice('')}>{notice}</Alert>}
+
+            <Grid container spacing={2}>
+                {/* Facets */}
+                <Grid size={{ xs: 12, md: 3 }}>
+                    <Card><CardContent>
+                        <TextField fullWidth size="small" placeholder="Search text…" value={search}
+                            onChange={e => setSearch(e.target.value)}
+                            InputProps={{ startAdornment: <Search color="action" sx={{ mr: 1 }} /> }} />
+                        {activeFilters && (
+                            <Button size="small" sx={{ mt: 1 }} onClick={() => setFilters({})}>Clear filters</Button>
+                        )}
+                        {Object.entries(FACET_LABELS).map(([facet, label]) => (
+                            <FacetList key={facet} label={label} selected={filters[facet] || []}
+                                counts={facetCounts(questions, filters, search, facet)}
+                                valueLabel={value => valueLabel(facet, value)}
+                                onToggle={value => toggleFilter(facet, value)} />
+                        ))}
+                    </CardContent></Card>
+                </Grid>
+
+                {/* Results */}
+                <Grid size={{ xs: 12, md: 9 }}>
+                    {view === 'browse' ? (
+                        <>
+                            <Box sx={{ display: 'flex', alignItems: 'center', gap: 1, mb: 1 }}>
+                                <Checkbox
+                                    checked={results.length > 0 && results.every(q => selected.includes(q.id))}
+                                    indeterminate={selected.length > 0 && !results.every(q => selected.includes(q.id))}
+                                    onChange={e => setSelected(e.target.checked ? results.map(q => q.id) : [])} />
+                                <Typography variant="body2" color="text.secondary" sx={{ flex: 1 }}>
+                                    {selected.length > 0 ? `${selected.length} selected` : 'Select all matching'}
+                                </Typography>
+                                <Button size="small" variant="outlined" startIcon={<Edit />} disabled={selected.length === 0}
+                                    onClick={() => setBulkOpen(true)}>Bulk Edit</Button>
+                            </Box>
+                            {pageRows.map(q => (
+                                <QuestionRow key={q.id} question={q} checked={selected.includes(q.id)}
+                                    onCheck={() => toggleSelected(q.id)} onOpen={() => setDetail(q)} />
+                            ))}
+                            {results.length === 0 && (
+                                <Box sx={{ textAlign: 'center', py: 4, color: 'text.secondary' }}>
+                                    <Info sx={{ mb: 1 }} />
+                                    <Typography>No questions match these filters.</Typography>
+                                </Box>
+                            )}
+                            {results.length > PAGE_SIZE && (
+                                <Box sx={{ display: 'flex', justifyContent: 'center', mt: 2 }}>
+                                    <Pagination count={Math.ceil(results.length / PAGE_SIZE)} page={page}
+                                        onChange={(_, p) => setPage(p)} color="primary" />
+                                </Box>
+                            )}
+                        </>
+                    ) : (
+                        <>
+                            <Alert severity="info" sx={{ mb: 2 }}>
+                                {duplicates.length} group{duplicates.length === 1 ? '' : 's'} of identical or near-identical
+                                questions among the matching ones. Questions never used in a test can be deleted.
+                            </Alert>
+                            {duplicates.map((group, gIdx) => (
+                                <Card key={gIdx} sx={{ mb: 2 }}><CardContent>
+                                    <Box sx={{ display: 'flex', alignItems: 'center', gap: 1, mb: 1 }}>
+                                        <Chip size="small" color={group.exact ? 'error' : 'warning'}
+                                            label={group.exact ? 'Identical' : 'Near-identical'} />
+                                        <Box sx={{ flex: 1 }} />
+                                        <Button size="small" onClick={() => setSelected(group.questions.map(q => q.id))}>
+                                            Select group
+                                        </Button>
+                                    </Box>
+                                    {group.questions.map(q => (
+                                        <QuestionRow key={q.id} question={q} checked={selected.includes(q.id)}
+                                            onCheck={() => toggleSelected(q.id)} onOpen={() => setDetail(q)}
+                                            action={
+                                                <Tooltip title={q.usage.tests_used > 0 || q.usage.times_answered > 0
+                                                    ? 'Used in a test — kept' : 'Delete'}>
+                                                    <span>
+                                                        <IconButton size="small" color="error" onClick={() => handleDelete(q)}
+                                                            disabled={q.usage.tests_used > 0 || q.usage.times_answered > 0}>
+                                                            <Delete fontSize="small" />
+                                                        </IconButton>
+                                                    </span>
+                                                </Tooltip>
+                                            } />
+                                    ))}
+                                </CardContent></Card>
+                            ))}
+                        </>
+                    )}
+                </Grid>
+            </Grid>
+
+            <QuestionDetailDialog
+                question={detail}
+                tags={knownTags}
+                objectives={knownObjectives}
+                onClose={() => setDetail(null)}
+                userId={user?.id}
+                onSaved={row => { mergeUpdated([row]); setDetail(null); }}
+                onPublished={handlePublished}
+            />
+
+            <QuestionImportDialog
+                open={importOpen}
+                target="Bank"
+                tagging
+                skipInvalid
+                onClose={() => setImportOpen(false)}
+                onImport={handleImport}
+            />
+
+            <Dialog open={!!report} onClose={() => setReport(null)} maxWidth="md" fullWidth>
+                <DialogTitle>{report?.title}</DialogTitle>
+                <DialogContent dividers>
+                    <ConversionReport report={report?.entries} />
+                </DialogContent>
+                <DialogActions>
+                    <Button onClick={() => setReport(null)}>Close</Button>
+                </DialogActions>
+            </Dialog>
+
+            <BulkEditDialog
+                open={bulkOpen}
+                count={selected.length}
+                tags={knownTags}
+                objectives={knownObjectives}
+                onClose={() => setBulkOpen(false)}
+                onApply={handleBulkEdit}
+            />
+        </Box>
+    );
+}
+
+/** One facet: its values with how many questions each would leave. */
+function FacetList({ label, counts, selected, valueLabel, onToggle }) {
+    const [expanded, setExpanded] = useState(false);
+    if (counts.size === 0 && selected.length === 0) return null;
+    const values = [...counts.keys()];
+    selected.forEach(v => { if (!counts.has(v)) values.push(v); });
+    const shown = expanded ? values : values.slice(0, 8);
+
+    return (
+        <Box sx={{ mt: 2 }}>
+            <Divider sx={{ mb: 1 }} />
+            <Typography variant="subtitle2" gutterBottom>{label}</Typography>
+            {shown.map(value => (
+                <Box key={value} sx={{ display: 'flex', alignItems: 'center', cursor: 'pointer' }} onClick={() => onToggle(value)}>
+                    <Checkbox size="small" checked={selected.includes(value)} sx={{ p: 0.5 }} />
+                    <Typography variant="body2" sx={{ flex: 1 }} noWrap>{valueLabel(value)}</Typography>
+                    <Typography variant="caption" color="text.secondary">{counts.get(value) || 0}</Typography>
+                </Box>
+            ))}
+            {values.length > 8 && (
+                <Button size="small" onClick={() => setExpanded(!expanded)}>
+                    {expanded ? 'Show less' : `Show all ${values.length}`}
+                </Button>
+            )}
+        </Box>
+    );
+}
+
+/** A question in the result list: text, taxonomy and usage at a glance. */
+function QuestionRow({ question: q, checked, onCheck, onOpen, action }) {
+    const rate = correctRate(q.usage);
+    return (
+        <Box sx={{
+            display: 'flex', alignItems: 'flex-start', gap: 1, p: 1.5, mb: 1, borderRadius: 2,
+            border: '1px solid', borderColor: checked ? 'primary.main' : 'rgba(148,163,184,0.15)',
+        }}>
+            <Checkbox checked={checked} onChange={onCheck} sx={{ p: 0.5 }} />
+            <Box sx={{ flex: 1, minWidth: 0, cursor: 'pointer' }} onClick={onOpen}>
+                <Typography variant="body2" fontWeight={600} sx={{ maxHeight: 44, overflow: 'hidden' }}>
+                    {q.question_text}
+                </Typography>
+                <Box sx={{ display: 'flex', gap: 0.5, flexWrap: 'wrap', mt: 0.75 }}>
+                    <Chip size="small" label={QUESTION_TYPES[q.question_type] || q.question_type} />
+                    {q.difficulty && <Chip size="small" variant="outlined" label={q.difficulty} />}
+                    {(q.tags || []).map(t => <Chip key={t} size="small" variant="outlined" color="primary" label={t} />)}
+                    <Chip size="small" variant="outlined" label={`${q.marks} marks`} />
+                </Box>
+                <Typography variant="caption" color="text.secondary" sx={{ display: 'block', mt: 0.5 }}>
+                    Used in {q.usage.tests_used} test{q.usage.tests_used === 1 ? '' : 's'}
+                    {' · '}{q.usage.times_answered} answers · {percent(rate)} correct
+                    {q.author && ` · by ${q.author.full_name || q.author.username}`}
+                </Typography>
+            </Box>
+            {action}
+        </Box>
+    );
+}
+
+/** Full question with editable taxonomy and its history across tests. */
+function QuestionDetailDialog({ question, tags, objectives, userId, onClose, onSaved, onPublished }) {
+    const [draft, setDraft] = useState(null);
+    const [history, setHistory] = useState(null);
+    const [saving, setSaving] = useState(false);
+    const [error, setError] = useState('');
+
+    useEffect(() => {
+        if (!question) return;
+        setDraft({
+            difficulty: question.difficulty || '',
+            tags: question.tags || [],
+            learning_objectives: question.learning_objectives || [],
+        });
+        setHistory(null);
+        setError('');
+        fetchUsageHistory(supabase, question)
+            .then(setHistory)
+            .catch(err => setError(err.message || 'Failed to load usage history'));
+    }, [question?.id]);
+
+    const handleSave = async () => {
+        setSaving(true);
+        setError('');
+        try {
+            onSaved(await saveTaxonomy(supabase, question.id, draft));
+        } catch (err) {
+            setError(err.message || 'Failed to save');
+        }
+        setSaving(false);
+    };
+
+    return (
+        <Dialog open={!!question} onClose={onClose} maxWidth="md" fullWidth>
+            <DialogTitle>Question</DialogTitle>
+            {question && draft && (
+                <DialogContent dividers>
+                    {error && <Alert severity="error" sx={{ mb: 2 }}>{error}</Alert>}
+                    <RichText text={question.question_text} component="div" sx={{ mb: 1 }} />
+                    <Typography variant="body2" color="success.light" sx={{ mb: 1 }}>
+                        Answer: {formatCorrectAnswer(question)}
+                    </Typography>
+                    <Typography variant="caption" color="text.secondary" sx={{ display: 'block', mb: 2 }}>
+                        {QUESTION_TYPES[question.question_type] || question.question_type} · {question.marks} marks
+                        {' · '}{question.author ? `by ${question.author.full_name || question.author.username}` : 'author unknown'}
+                        {question.created_at && ` · added ${new Date(question.created_at).toLocaleDateString()}`}
+                    </Typography>
+
+                    <Box sx={{ display: 'flex', flexDirection: 'column', gap: 2 }}>
+                        <TextField select size="small" label="Difficulty" value={draft.difficulty} sx={{ maxWidth: 200 }}
+                            onChange={e => setDraft({ ...draft, difficulty: e.target.value })}>
+                            <MenuItem value="">Not set</MenuItem>
+                            {DIFFICULTIES.map(d => <MenuItem key={d} value={d}>{d}</MenuItem>)}
+                        </TextField>
+                        <TagInput value={draft.tags} suggestions={tags}
+                            onChange={value => setDraft({ ...draft, tags: value })} />
+                        <TagInput label="Learning objectives" value={draft.learning_objectives} suggestions={objectives}
+                            normalize={normalizeObjectives} separator={null}
+                            onChange={value => setDraft({ ...draft, learning_objectives: value })} />
+                    </Box>
+
+                    <Box sx={{ mt: 3 }}>
+                        <QuestionVersions question={question} userId={userId} onPublished={onPublished} />
+                    </Box>
+
+                    <Typography variant="subtitle2" sx={{ mt: 3, mb: 1 }}>Usage History</Typography>
+                    {!history ? <LinearProgress /> : history.length === 0 ? (
+                        <Typography variant="body2" color="text.secondary">Not used in any test yet.</Typography>
+                    ) : (
+                        <Table size="small">
+                            <TableHead>
+                                <TableRow>
+                                    <TableCell>Test</TableCell>
+                                    <TableCell>Date</TableCell>
+                                    <TableCell>How</TableCell>
+                                    <TableCell>Version</TableCell>
+                                    <TableCell align="right">Answers</TableCell>
+                                    <TableCell align="right">Correct</TableCell>
+                                    <TableCell align="right">Avg. Score</TableCell>
+                                </TableRow>
+                            </TableHead>
+                            <TableBody>
+                                {history.map(h => (
+                                    <TableRow key={h.test_id}>
+                                        <TableCell>{h.title}</TableCell>
+                                        <TableCell>{h.start_time ? new Date(h.start_time).toLocaleDateString() : '—'}</TableCell>
+                                        <TableCell>{h.fixed ? 'Fixed' : `Drawn for ${h.papers}`}</TableCell>
+                                        <TableCell>{h.versions.map(v => `v${v}`).join(', ') || '—'}</TableCell>
+                                        <TableCell align="right">{h.answered}</TableCell>
+                                        <TableCell align="right">{percent(h.answered > 0 ? h.correct / h.answered : null)}</TableCell>
+                                        <TableCell align="right">{percent(h.score_share)}</TableCell>
+                                    </TableRow>
+                                ))}
+                            </TableBody>
+                        </Table>
+                    )}
+                </DialogContent>
+            )}
+            <DialogActions>
+                <Button onClick={onClose}>Close</Button>
+                <Button variant="contained" onClick={handleSave} disabled={saving}>Save</Button>
+            </DialogActions>
+        </Dialog>
+    );
+}
+
+/** One taxonomy change applied to every selected question. */
+function BulkEditDialog({ open, count, tags, objectives, onClose, onApply }) {
+    const blank = { difficulty: 'keep', addTags: [], removeTags: [], addObjectives: [], removeObjectives: [] };
+    const [edit, setEdit] = useState(blank);
+    const [applying, setApplying] = useState(false);
+
+    useEffect(() => { if (open) setEdit(blank); }, [open]);
+
+    const handleApply = async () => {
+        setApplying(true);
+        const { difficulty, ...lists } = edit;
+        await onApply({ ...lists, difficulty: difficulty === 'keep' ? undefined : difficulty || null });
+        setApplying(false);
+    };
+
+    const objectiveProps = { normalize: normalizeObjectives, separator: null, suggestions: objectives };
+
+    return (
+        <Dialog open={open} onClose={onClose} maxWidth="sm" fullWidth>
+            <DialogTitle>Edit {count} Question{count === 1 ? '' : 's'}</DialogTitle>
+            <DialogContent dividers>
+                <Box sx={{ display: 'flex', flexDirection: 'column', gap: 2 }}>
+                    <TextField select size="small" label="Difficulty" value={edit.difficulty}
+                        onChange={e => setEdit({ ...edit, difficulty: e.target.value })}>
+                        <MenuItem value="keep">Leave unchanged</MenuItem>
+                        <MenuItem value="">Clear</MenuItem>
+                        {DIFFICULTIES.map(d => <MenuItem key={d} value={d}>{d}</MenuItem>)}
+                    </TextField>
+                    <TagInput label="Add tags" value={edit.addTags} suggestions={tags}
+                        onChange={value => setEdit({ ...edit, addTags: value })} />
+                    <TagInput label="Remove tags" value={edit.removeTags} suggestions={tags}
+                        onChange={value => setEdit({ ...edit, removeTags: value })} />
+                    <TagInput label="Add learning objectives" value={edit.addObjectives} {...objectiveProps}
+                        onChange={value => setEdit({ ...edit, addObjectives: value })} />
+                    <TagInput label="Remove learning objectives" value={edit.removeObjectives} {...objectiveProps}
+                        onChange={value => setEdit({ ...edit, removeObjectives: value })} />
+                </Box>
+            </DialogContent>
+            <DialogActions>
+                <Button onClick={onClose}>Cancel</Button>
+                <Button variant="contained" onClick={handleApply} disabled={applying}>Apply</Button>
+            </DialogActions>
+        </Dialog>
+    );
+}
@@ -10,6 +10,7 @@ import {
 } from 'recharts';
 import { supabase } from '../lib/supabase';
 import useAuthStore from '../store/authStore';
+import { attemptPolicy, groupAttempts, policyResult } from '../lib/examAttempts';
 
 const COLORS = ['#6C63FF', '#4ECDC4', '#FF4D6A', '#FFB74D', '#00D9FF', '#A78BFA'];
 
@@ -56,10 +57,10 @@ export default function Reports() {
             const { data: tData } = await testQuery;
             setTests(tData || []);
 
-            // All completed sessions
+            // All completed sessions — terminated attempts stay out of the reports
             let sessQuery = supabase
                 .from('exam_sessions')
-                .select('*, tests!inner(title, total_marks, course_id, courses(name))')
+                .select('*, tests!inner(title, total_marks, course_id, settings, courses(name))')
                 .in('status', ['submitted', 'completed']);
 
             if (isTeacher) {
@@ -75,10 +76,18 @@ export default function Reports() {
             const { data: sessions } = await sessQuery;
             const allSessions = sessions || [];
 
+            // One result per student and test, at the score its scoring policy
+            // reports — the same figure StudentDashboard and StudentPerformance
+            // show (essays still being marked don't count yet)
+            const results = [...groupAttempts(allSessions).values()]
+                .map(list => ({ test: list[0].tests, ...policyResult(list, attemptPolicy(list[0].tests).scoring) }))
+                .filter(r => r.score !== null)
+                .map(r => ({ ...r, pct: (r.score / (r.test?.total_marks || 1)) * 100 }));
+
             // 1. Score Distribution
             const buckets = { '0-20': 0, '21-40': 0, '41-60': 0, '61-80': 0, '81-100': 0 };
-            allSessions.forEach(s => {
-                const pct = Math.round(((s.score || 0) / (s.tests?.total_marks || 1)) * 100);
+            results.forEach(r => {
+                const pct = Math.round(r.pct);
                 if (pct <= 20) buckets['0-20']++;
                 else if (pct <= 40) buckets['21-40']++;
                 else if (pct <= 60) buckets['41-60']++;
@@ -104,31 +113,36 @@ export default function Reports() {
             });
             setFlagBreakdown(Object.entries(moduleMap).map(([name, v]) => ({ name, ...v, total: v.red + v.orange })));
 
-            // 3. Course-wise Stats
+            // 3. Course-wise Stats (flags from every attempt)
             const courseMap = {};
-            allSessions.forEach(s => {
-                const name = s.tests?.courses?.name || 'Unknown';
+            const courseOf = (name) => {
                 if (!courseMap[name]) courseMap[name] = { exams: 0, totalPct: 0, flags: 0 };
-                courseMap[name].exams++;
-                courseMap[name].totalPct += ((s.score || 0) / (s.tests?.total_marks || 1)) * 100;
-                courseMap[name].flags += (s.red_flags || 0) + (s.orange_flags || 0);
+                return courseMap[name];
+            };
+            results.forEach(r => {
+                const course = courseOf(r.test?.courses?.name || 'Unknown');
+                course.exams++;
+                course.totalPct += r.pct;
+            });
+            allSessions.forEach(s => {
+                courseOf(s.tests?.courses?.name || 'Unknown').flags += (s.red_flags || 0) + (s.orange_flags || 0);
             });
             setCourseStats(Object.entries(courseMap).map(([name, v]) => ({
                 name: name.length > 15 ? name.slice(0, 15) + '…' : name,
-                avgScore: Math.round(v.totalPct / v.exams),
+                avgScore: v.exams > 0 ? Math.round(v.totalPct / v.exams) : 0,
                 exams: v.exams,
                 flags: v.flags,
             })));
 
-            // 4. Trend over time (last 30 days)
+            // 4. Trend over time (last 30 days), dated by the attempt the score comes from
             const now = new Date();
             const thirtyDaysAgo = new Date(now - 30 * 86400000);
             const byDate = {};
-            allSessions.filter(s => new Date(s.ended_at) >= thirtyDaysAgo).forEach(s => {
-                const day = new Date(s.ended_at).toLocaleDateString('en-US', { month: 'short', day: 'numeric' });
+            results.filter(r => new Date(r.counted.ended_at) >= thirtyDaysAgo).forEach(r => {
+                const day = new Date(r.counted.ended_at).toLocaleDateString('en-US', { month: 'short', day: 'numeric' });
                 if (!byDate[day]) byDate[day] = { exams: 0, totalPct: 0 };
                 byDate[day].exams++;
-                byDate[day].totalPct += ((s.score || 0) / (s.tests?.total_marks || 1)) * 100;
+                byDate[day].totalPct += r.pct;
             });
             setTrendData(Object.entries(byDate).map(([day, v]) => ({
                 day, exams: v.exams, avgScore: Math.round(v.totalPct / v.exams),
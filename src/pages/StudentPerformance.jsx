@@ -10,6 +10,7 @@ import {
 } from '@mui/icons-material';
 import { supabase } from '../lib/supabase';
 import useAuthStore from '../store/authStore';
+import { attemptPolicy, groupAttempts, policyResult } from '../lib/examAttempts';
 
 import { useNavigate } from 'react-router-dom';
 
@@ -94,7 +95,7 @@ export default function StudentPerformance() {
         try {
             const { data, error } = await supabase
                 .from('exam_sessions')
-                .select('*, tests(title, total_marks, duration_minutes, courses(name))')
+                .select('*, tests(title, total_marks, duration_minutes, settings, courses(name))')
                 .eq('student_id', studentId)
                 // Include all non-active statuses so terminated/invalidated sessions are visible
                 .in('status', ['submitted', 'completed', 'terminated', 'invalidated'])
@@ -145,18 +146,27 @@ export default function StudentPerformance() {
         loadPerformance(id);
     };
 
-    // Calculate stats
-    const totalExams = sessions.length;
-    const avgScore = totalExams > 0
-        ? Math.round(sessions.reduce((a, s) => a + ((s.score || 0) / (s.tests?.total_marks || 1)) * 100, 0) / totalExams)
-        : 0;
-    const bestScore = totalExams > 0
-        ? Math.max(...sessions.map(s => ((s.score || 0) / (s.tests?.total_marks || 1)) * 100))
+    // Calculate stats — one result per test, at the score its scoring policy
+    // reports (retakes don't count twice; essays still being marked don't count yet)
+    const testResults = [...groupAttempts(sessions).values()].map(list => ({
+        test: list[0].tests,
+        multiple: attemptPolicy(list[0].tests).max_attempts !== 1,
+        ...policyResult(list, attemptPolicy(list[0].tests).scoring),
+    }));
+    const scored = testResults.filter(r => r.score !== null).map(r => (r.score / (r.test?.total_marks || 1)) * 100);
+    const totalExams = testResults.length;
+    const avgScore = scored.length > 0
+        ? Math.round(scored.reduce((a, pct) => a + pct, 0) / scored.length)
         : 0;
+    const bestScore = scored.length > 0 ? Math.max(...scored) : 0;
     const totalFlags = sessions.reduce((a, s) => a + (s.red_flags || 0) + (s.orange_flags || 0), 0);
-    const passRate = totalExams > 0
-        ? Math.round(sessions.filter(s => (s.score || 0) / (s.tests?.total_marks || 1) >= 0.4).length / totalExams * 100)
+    const passRate = scored.length > 0
+        ? Math.round(scored.filter(pct => pct >= 40).length / scored.length * 100)
         : 0;
+    // The attempt whose score is reported, on tests that allow retakes (an average has none)
+    const countedIds = new Set(testResults
+        .filter(r => r.multiple && r.counted && attemptPolicy(r.test).scoring !== 'average')
+        .map(r => r.counted.id));
 
     const getScoreColor = (score, total) => {
         const pct = (score / total) * 100;
@@ -256,7 +266,13 @@ export default function StudentPerformance() {
                                             sx={{ cursor: 'pointer', bgcolor: s.status === 'invalidated' ? 'rgba(255, 77, 106, 0.05)' : 'inherit' }}>
                                             <TableCell>
                                                 <Typography variant="body2" fontWeight={600}>{s.tests?.title}</Typography>
-                                                <Typography variant="caption" color="text.secondary">{s.tests?.duration_minutes} min</Typography>
+                                                <Typography variant="caption" color="text.secondary">
+                                                    {s.tests?.duration_minutes} min
+                                                    {attemptPolicy(s.tests).max_attempts !== 1 && ` • Attempt ${s.attempt_number ?? 1}`}
+                                                </Typography>
+                                                {countedIds.has(s.id) && (
+                                                    <Chip label="COUNTS" size="small" color="primary" variant="outlined" sx={{ ml: 1, height: 20, fontSize: 10 }} />
+                                                )}
                                                 {s.status === 'invalidated' && (
                                                     <Chip label="INVALIDATED" size="small" color="error" sx={{ ml: 1, height: 20, fontSize: 10 }} />
                                                 )}
@@ -13,9 +13,18 @@ import {
 } from '@mui/icons-material';
 import { supabase } from '../lib/supabase';
 import useAuthStore from '../store/authStore';
+import {
+    displayText, isAnswered, gradeAnswer, formatAnswer, formatCorrectAnswer, MANUAL_TYPES,
+} from '../lib/questionTypes';
+import { fetchPaper } from '../lib/questionPaper';
+import { fetchKeyAdjustments, formatAcceptedKeys } from '../lib/regrade';
+import RichText from '../components/RichText';
 
 const GEMINI_API_KEY = import.meta.env.VITE_GEMINI_API_KEY;
 
+// Answers picked from the question's own options render with its markup; typed answers stay literal
+const CHOICE_TYPES = ['MCQ_SINGLE', 'MCQ_MULTIPLE', 'TRUE_FALSE', 'MATCHING', 'ORDERING'];
+
 export default function StudentTestResult() {
     const { sessionId } = useParams();
     const navigate = useNavigate();
@@ -26,6 +35,7 @@ export default function StudentTestResult() {
     const [session, setSession] = useState(null);
     const [questions, setQuestions] = useState([]);
     const [answers, setAnswers] = useState({});
+    const [adjustments, setAdjustments] = useState(new Map());
     const [flags, setFlags] = useState([]);
     const [loading, setLoading] = useState(true);
     const [tabValue, setTabValue] = useState(0);
@@ -53,15 +63,10 @@ export default function StudentTestResult() {
             setSession(sessionData);
 
             if (sessionData) {
-                // Get questions via junction table
-                const { data: qData } = await supabase
-                    .from('test_questions')
-                    .select('questions(*)')
-                    .eq('test_id', sessionData.test_id)
-                    .order('question_order');
-
-                const flatQuestions = qData?.map(q => q.questions) || [];
-                setQuestions(flatQuestions);
+                // The questions this student was given, with the paper's marks
+                setQuestions(await fetchPaper(supabase, sessionData));
+                // Keys corrected (or questions dropped) by a re-grade after the test
+                setAdjustments(await fetchKeyAdjustments(supabase, sessionData.test_id).catch(() => new Map()));
 
                 // Get answers
                 const { data: aData } = await supabase
@@ -126,13 +131,25 @@ export default function StudentTestResult() {
     if (loading) return <LinearProgress />;
     if (!session) return <Typography>Result not found</Typography>;
 
-    // Calculate details
+    // Calculate details — answers graded by grade-exam carry is_correct / marks_awarded;
+    // rows saved before server-side grading are scored with the same rules here
+    const resultFor = (q) => {
+        const record = answers[q.id];
+        const selected = record?.selected_answer || [];
+        if (!isAnswered(selected)) return { status: 'skipped', selected, marks: 0 };
+        if (record.grading_status === 'pending' || (MANUAL_TYPES.includes(q.question_type) && record.grading_status !== 'graded')) {
+            return { status: 'pending', selected, marks: 0 };
+        }
+        const graded = record.is_correct != null
+            ? { is_correct: record.is_correct, marks_awarded: Number(record.marks_awarded) || 0 }
+            : gradeAnswer({ question: q, marks: q.marks, penalty: 0 }, selected, {});
+        const status = graded.is_correct ? 'correct' : graded.marks_awarded > 0 ? 'partial' : 'incorrect';
+        return { status, selected, marks: graded.marks_awarded };
+    };
+    // Students see their score only once every essay has been marked
+    const scoreWithheld = session.grading_status === 'pending' && !isAdmin && !isTeacher;
     const totalQuestions = questions.length;
-    const correctCount = questions.filter(q => {
-        const userAnsArray = answers[q.id]?.selected_answer || [];
-        const correctArray = q.correct_answer || [];
-        return userAnsArray.length > 0 && JSON.stringify(userAnsArray.sort()) === JSON.stringify(correctArray.sort());
-    }).length;
+    const correctCount = questions.filter(q => resultFor(q).status === 'correct').length;
 
     const handleAIAdvisor = async () => {
         setAdvisorOpen(true);
@@ -144,13 +161,11 @@ export default function StudentTestResult() {
             let promptText = `Analyze the following student test performance and provide a short, encouraging list of specific topics the student should focus on studying to improve. Format using Markdown (bullet points, bold text). Do not output JSON. Keep it concise, friendly, and actionable.\n\nTest Subject: ${session.tests?.title || 'General Test'}\nMarks Obtained: ${session.score} / ${session.tests?.total_marks}\n\nQuestions Analysis:\n`;
 
             questions.forEach((q, i) => {
-                const userAnsArray = answers[q.id]?.selected_answer || [];
-                const correctArray = q.correct_answer || [];
-                const isCorrect = userAnsArray.length > 0 && JSON.stringify(userAnsArray.sort()) === JSON.stringify(correctArray.sort());
-                const userAns = Array.isArray(userAnsArray) ? userAnsArray.join(', ') : userAnsArray;
-                const correctAns = Array.isArray(q.correct_answer) ? q.correct_answer.join(', ') : q.correct_answer;
+                const result = resultFor(q);
+                const userAns = formatAnswer(q, result.selected);
+                const status = { correct: 'Correct', partial: 'Partially correct' }[result.status] || 'Incorrect';
 
-                promptText += `Q${i + 1}: ${q.question_text}\nStudent Answer: ${userAns || 'Skipped'}\nCorrect Answer: ${correctAns}\nStatus: ${isCorrect ? 'Correct' : 'Incorrect'}\n\n`;
+                promptText += `Q${i + 1}: ${q.question_text}\nStudent Answer: ${userAns || 'Skipped'}\nCorrect Answer: ${formatCorrectAnswer(q)}\nStatus: ${status}\n\n`;
             });
 
             const res = await fetch(`https://generativelanguage.googleapis.com/v1beta/models/gemini-2.5-flash:generateContent?key=${GEMINI_API_KEY}`, {
@@ -208,12 +223,18 @@ export default function StudentTestResult() {
                         <Chip label="RESULT INVALIDATED" color="error" sx={{ fontSize: '1.2rem', py: 2, px: 1, fontWeight: 'bold' }} />
                     ) : (
                         <Box sx={{ display: 'flex', gap: 2, alignItems: 'center' }}>
-                            <Button variant="contained" sx={{ bgcolor: '#6C63FF', color: 'white' }} startIcon={<AutoAwesome />} onClick={handleAIAdvisor}>
-                                AI Advisor
-                            </Button>
-                            <Chip label={`Score: ${session.score} / ${session.tests?.total_marks}`}
-                                color={session.score >= (session.tests?.total_marks * 0.4) ? "success" : "error"}
-                                sx={{ fontSize: '1.2rem', py: 2, px: 1 }} />
+                            {scoreWithheld ? (
+                                <Chip label="Score: awaiting grading" color="warning" sx={{ fontSize: '1.2rem', py: 2, px: 1 }} />
+                            ) : (
+                                <>
+                                    <Button variant="contained" sx={{ bgcolor: '#6C63FF', color: 'white' }} startIcon={<AutoAwesome />} onClick={handleAIAdvisor}>
+                                        AI Advisor
+                                    </Button>
+                                    <Chip label={`Score: ${session.score} / ${session.tests?.total_marks}${session.grading_status === 'pending' ? ' (provisional)' : ''}`}
+                                        color={session.score >= (session.tests?.total_marks * 0.4) ? "success" : "error"}
+                                        sx={{ fontSize: '1.2rem', py: 2, px: 1 }} />
+                                </>
+                            )}
                         </Box>
                     )}
                 </Grid>
@@ -357,34 +378,49 @@ export default function StudentTestResult() {
 
                             <List>
                                 {questions.map((q, idx) => {
-                                    const userAnsArray = answers[q.id]?.selected_answer || [];
-                                    const correctArray = q.correct_answer || [];
-                                    const isSkipped = userAnsArray.length === 0;
-                                    const isCorrect = !isSkipped && JSON.stringify(userAnsArray.sort()) === JSON.stringify(correctArray.sort());
+                                    const result = resultFor(q);
+                                    const isSkipped = result.status === 'skipped';
+                                    const isCorrect = result.status === 'correct';
+                                    const isPartial = result.status === 'partial';
+                                    const isPending = result.status === 'pending';
+                                    const record = answers[q.id];
+                                    const adjustment = adjustments.get(q.id);
 
                                     return (
-                                        <Card key={q.id} sx={{ mb: 2, borderLeft: isCorrect ? '4px solid #4ECDC4' : isSkipped ? '4px solid #FFB74D' : '4px solid #FF4D6A' }}>
+                                        <Card key={q.id} sx={{ mb: 2, borderLeft: isCorrect ? '4px solid #4ECDC4' : (isSkipped || isPartial || isPending) ? '4px solid #FFB74D' : '4px solid #FF4D6A' }}>
                                             <CardContent>
                                                 <Box sx={{ display: 'flex', gap: 2 }}>
                                                     <Box sx={{ mt: 0.5 }}>
-                                                        {isCorrect ? <CheckCircle color="success" /> : isSkipped ? <Help color="warning" /> : <Cancel color="error" />}
+                                                        {isCorrect ? <CheckCircle color="success" /> : (isSkipped || isPartial || isPending) ? <Help color="warning" /> : <Cancel color="error" />}
                                                     </Box>
                                                     <Box sx={{ flex: 1 }}>
                                                         <Typography variant="subtitle1" fontWeight={600}>
-                                                            Q{idx + 1}. {q.question_text}
+                                                            Q{idx + 1}. <RichText text={displayText(q)} />
                                                         </Typography>
                                                         <Box sx={{ mt: 1, p: 1.5, borderRadius: 1, bgcolor: 'rgba(255,255,255,0.02)' }}>
-                                                            <Typography variant="body2" color={isCorrect ? "success.light" : "error.light"}>
-                                                                Your Answer: {isSkipped ? '(Skipped)' : userAnsArray.join(', ')}
+                                                            <Typography variant="body2" sx={{ whiteSpace: 'pre-wrap', ...(q.question_type === 'CODE' && { fontFamily: 'monospace' }) }}
+                                                                color={isCorrect ? "success.light" : (isPartial || isPending || MANUAL_TYPES.includes(q.question_type)) ? "warning.light" : "error.light"}>
+                                                                Your Answer: {isSkipped ? '(Skipped)'
+                                                                    : CHOICE_TYPES.includes(q.question_type) ? <RichText text={formatAnswer(q, result.selected)} />
+                                                                        : formatAnswer(q, result.selected)}
                                                             </Typography>
-                                                            {!isCorrect && (
+                                                            {q.question_type === 'CODE' && record?.code_results && (
+                                                                <CodeTestSummary results={record.code_results} />
+                                                            )}
+                                                            {!isCorrect && !MANUAL_TYPES.includes(q.question_type) && q.question_type !== 'CODE' && (
                                                                 <Typography variant="body2" color="success.light" sx={{ mt: 0.5 }}>
-                                                                    Correct Answer: {correctArray.join(', ')}
+                                                                    Correct Answer: <RichText text={adjustment?.answer_keys?.length
+                                                                        ? formatAcceptedKeys(q, adjustment) : formatCorrectAnswer(q)} />
                                                                 </Typography>
                                                             )}
                                                         </Box>
+                                                        {record?.grading_status === 'graded' && (
+                                                            <GraderFeedback question={q} answer={record} />
+                                                        )}
                                                         <Typography variant="caption" color="text.secondary" sx={{ mt: 1, display: 'block' }}>
-                                                            Marks: {isCorrect ? q.marks : 0} / {q.marks}
+                                                            {isPending ? `Awaiting grading · ${q.marks} marks` : `Marks: ${result.marks} / ${q.marks}`}
+                                                            {adjustment?.dropped && ' · Dropped in a re-grade — full marks for everyone'}
+                                                            {adjustment?.answer_keys?.length > 0 && ' · Answer key corrected in a re-grade'}
                                                         </Typography>
                                                     </Box>
                                                 </Box>
@@ -515,3 +551,49 @@ export default function StudentTestResult() {
         </Box>
     );
 }
+
+/**
+ * Hidden test outcome of a CODE answer (answers.code_results) — pass/fail only
+ */
+function CodeTestSummary({ results }) {
+    if (results.error) {
+        return (
+            <Typography variant="body2" color="warning.light" sx={{ mt: 0.5 }}>
+                Hidden tests could not be run: {results.error}
+            </Typography>
+        );
+    }
+    return (
+        <Box sx={{ mt: 0.5 }}>
+            <Typography variant="body2" color={results.passed === results.total ? 'success.light' : 'warning.light'}>
+                Hidden tests passed: {results.passed} / {results.total}
+            </Typography>
+            {(results.tests || []).map((t, i) => !t.passed && t.error && (
+                <Typography key={i} variant="caption" color="text.secondary" sx={{ display: 'block', fontFamily: 'monospace' }}>
+                    Test {i + 1}: {t.error}
+                </Typography>
+            ))}
+        </Box>
+    );
+}
+
+/**
+ * Rubric breakdown and grader comment of a manually graded essay
+ */
+function GraderFeedback({ question, answer }) {
+    const rubric = question.options?.rubric || [];
+    return (
+        <Box sx={{ mt: 1, p: 1.5, borderRadius: 1, bgcolor: 'rgba(108,99,255,0.05)' }}>
+            {rubric.map((c, i) => (
+                <Typography key={i} variant="body2" color="text.secondary">
+                    {c.criterion}: {answer.rubric_scores?.[i] ?? 0} / {c.marks}
+                </Typography>
+            ))}
+            {answer.grader_comment && (
+                <Typography variant="body2" sx={{ mt: rubric.length ? 1 : 0, whiteSpace: 'pre-wrap' }}>
+                    <strong>Grader comment:</strong> {answer.grader_comment}
+                </Typography>
+            )}
+        </Box>
+    );
+}
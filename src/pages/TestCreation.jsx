@@ -1,7 +1,7 @@
 import { useState, useEffect } from 'react';
 import {
     Box, Card, CardContent, Typography, Button, TextField, MenuItem,
-    IconButton, Alert, Grid, Chip, Divider, Switch, FormControlLabel,
+    IconButton, Alert, Grid, Divider, Switch, FormControlLabel,
 } from '@mui/material';
 import { Add, Delete, Save } from '@mui/icons-material';
 import { supabase } from '../lib/supabase';
@@ -10,7 +10,17 @@ import { useNavigate, useLocation } from 'react-router-dom';
 import RichTextEditor from '../components/RichTextEditor';
 import QuestionBankModal from '../components/QuestionBankModal';
 import AIGeneratorModal from '../components/AIGeneratorModal';
-import { AutoAwesome } from '@mui/icons-material';
+import ProctoringPolicyEditor from '../components/ProctoringPolicyEditor';
+import AnswerKeyEditor from '../components/AnswerKeyEditor';
+import TagInput from '../components/TagInput';
+import QuestionImportDialog from '../components/QuestionImportDialog';
+import { profilePolicy, resolvePolicy } from '../lib/proctoringPolicy';
+import {
+    QUESTION_TYPES, DIFFICULTIES, blankAnswerKey, prepareQuestion, validateQuestion, normalizeTags,
+} from '../lib/questionTypes';
+import { countPoolMatches } from '../lib/questionPaper';
+import { SCORING_POLICIES, DEFAULT_ATTEMPT_POLICY, attemptPolicy } from '../lib/examAttempts';
+import { AutoAwesome, UploadFile } from '@mui/icons-material';
 
 export default function TestCreation() {
     const navigate = useNavigate();
@@ -20,16 +30,32 @@ export default function TestCreation() {
     const [success, setSuccess] = useState('');
     const [test, setTest] = useState({
         course_id: '', title: '', description: '', duration_minutes: 60,
-        start_time: '', end_time: '', negative_marking: false,
+        start_time: '', end_time: '', negative_marking: false, partial_credit: false, blind_grading: false,
         extra_time: [], randomize_questions: false, // Array of { email: '', minutes: 0 }
+        proctoring: profilePolicy(),
+        attempts: { ...DEFAULT_ATTEMPT_POLICY },
     });
     const location = useLocation();
     const [questionBankOpen, setQuestionBankOpen] = useState(false);
     const [aiModalOpen, setAiModalOpen] = useState(false);
+    const [fileImportOpen, setFileImportOpen] = useState(false);
     const [questions, setQuestions] = useState([{
         question_text: '', question_type: 'MCQ_SINGLE', options: ['', '', '', ''],
         correct_answer: [], marks: 1, negative_marks: -1,
     }]);
+    // Optional sections; questions point at one by section_index
+    const [sections, setSections] = useState([]);
+    const duration = sections.length > 0
+        ? sections.reduce((sum, sec) => sum + (parseInt(sec.duration_minutes) || 0), 0)
+        : test.duration_minutes;
+    // Pool rules: each candidate gets its own random draw from the bank
+    const [pools, setPools] = useState([]);
+    const [poolAvailable, setPoolAvailable] = useState([]);
+    const [bankTags, setBankTags] = useState([]);
+    const poolFilters = JSON.stringify(pools.map(p => [p.difficulty, p.tags, p.question_type]));
+    const poolQuestionCount = pools.reduce((sum, p) => sum + (parseInt(p.question_count) || 0), 0);
+    const totalMarks = questions.reduce((a, q) => a + (q.marks || 0), 0)
+        + pools.reduce((sum, p) => sum + (parseInt(p.question_count) || 0) * (parseInt(p.marks) || 0), 0);
 
     useEffect(() => {
         const loadCourses = async () => {
@@ -41,13 +67,23 @@ export default function TestCreation() {
 
         loadCourses();
 
+        const loadBankTags = async () => {
+            const { data } = await supabase.from('questions').select('tags').not('tags', 'eq', '{}').limit(1000);
+            setBankTags(normalizeTags((data || []).flatMap(q => q.tags || [])).sort());
+        };
+        loadBankTags();
 
         if (location.state?.duplicateData) {
             const { test: dTest, questions: dQuestions } = location.state.duplicateData;
             setTest({
                 ...dTest, id: undefined, created_at: undefined, created_by: undefined,
                 title: `${dTest.title} (Copy)`,
-                start_time: '', end_time: '' // Reset validation
+                start_time: '', end_time: '', // Reset validation
+                proctoring: resolvePolicy(dTest.settings),
+                negative_marking: !!dTest.settings?.negative_marking,
+                partial_credit: !!dTest.settings?.partial_credit,
+                blind_grading: !!dTest.settings?.blind_grading,
+                attempts: { ...attemptPolicy(dTest), retakes_close_at: null },
             });
             setQuestions(dQuestions.map(q => ({
                 ...q, id: undefined, test_id: undefined, created_at: undefined
@@ -56,6 +92,14 @@ export default function TestCreation() {
         }
     }, [location.state]);
 
+    // How many bank questions each pool rule can draw from
+    useEffect(() => {
+        let cancelled = false;
+        Promise.all(pools.map(p => countPoolMatches(supabase, p).catch(() => null)))
+            .then(counts => { if (!cancelled) setPoolAvailable(counts); });
+        return () => { cancelled = true; };
+    }, [poolFilters]);
+
     const addQuestion = () => {
         setQuestions([...questions, {
             question_text: '', question_type: 'MCQ_SINGLE', options: ['', '', '', ''],
@@ -66,12 +110,29 @@ export default function TestCreation() {
     const handleImportQuestions = (imported) => {
         // Keep IDs to link them!
         setQuestions([...questions, ...imported.map(q => ({
-            ...q,
+            ...editableQuestion(q),
             test_id: undefined, // remove old test ref
             created_at: undefined
         }))]);
     };
 
+    // Imported file: a QTI package's sections go after ours; an untouched starter question is dropped
+    const handleImportPackage = ({ title, durationMinutes, sections: imported, questions: importedQs }) => {
+        const kept = questions.filter(q => q.id || String(q.question_text || '').trim());
+        const offset = sections.length;
+        setSections([...sections, ...imported]);
+        setQuestions([...kept, ...importedQs.map(q => (
+            imported.length > 0 ? { ...q, section_index: offset + q.section_index } : q
+        ))]);
+        setTest(prev => ({
+            ...prev,
+            title: prev.title || title || '',
+            duration_minutes: durationMinutes || prev.duration_minutes,
+        }));
+        setFileImportOpen(false);
+        setSuccess(`Imported ${importedQs.length} question${importedQs.length === 1 ? '' : 's'}. Review them before saving.`);
+    };
+
     const handleGeneratedQuestions = (generated) => {
         setQuestions([...questions, ...generated]);
     };
@@ -86,59 +147,113 @@ export default function TestCreation() {
         setTest({ ...test, extra_time: updated });
     };
 
+    const updateAttempts = (field, value) => {
+        setTest({ ...test, attempts: { ...test.attempts, [field]: value } });
+    };
+
     const removeExtraTime = (idx) => {
         const updated = test.extra_time.filter((_, i) => i !== idx);
         setTest({ ...test, extra_time: updated });
     };
 
+    const addSection = () => {
+        setSections([...sections, {
+            title: `Section ${sections.length + 1}`, instructions: '', duration_minutes: 30,
+            locked: false, shuffle_questions: false,
+        }]);
+    };
+
+    const updateSection = (idx, field, value) => {
+        setSections(sections.map((sec, i) => (i === idx ? { ...sec, [field]: value } : sec)));
+    };
+
+    // Questions and pools of a removed section move to the one before it
+    const removeSection = (idx) => {
+        const shift = (item) => {
+            const current = item.section_index || 0;
+            return current >= idx && current > 0 ? { ...item, section_index: current - 1 } : item;
+        };
+        setSections(sections.filter((_, i) => i !== idx));
+        setQuestions(questions.map(shift));
+        setPools(pools.map(shift));
+    };
+
+    const addPool = () => {
+        setPools([...pools, {
+            question_count: 5, difficulty: '', tags: [], question_type: '', marks: 1, negative_marks: -1, section_index: 0,
+        }]);
+    };
+
+    const updatePool = (idx, field, value) => {
+        setPools(pools.map((p, i) => (i === idx ? { ...p, [field]: value } : p)));
+    };
+
+    const removePool = (idx) => {
+        setPools(pools.filter((_, i) => i !== idx));
+    };
+
+    // Section placement is per test, so it never forks a bank question
+    const setQuestionSection = (idx, sectionIndex) => {
+        setQuestions(questions.map((q, i) => (i === idx ? { ...q, section_index: sectionIndex } : q)));
+    };
+
+    // A test drawn entirely from pools needs no fixed questions
     const removeQuestion = (idx) => {
-        if (questions.length > 1) setQuestions(questions.filter((_, i) => i !== idx));
+        if (questions.length > 1 || pools.length > 0) setQuestions(questions.filter((_, i) => i !== idx));
     };
 
-    const updateQuestion = (idx, field, value) => {
+    const updateQuestionFields = (idx, patch) => {
         const updated = [...questions];
         // If editing a shared question, fork it (remove ID) so it saves as new
         if (updated[idx].id) {
             const { id, ...rest } = updated[idx];
-            updated[idx] = { ...rest, [field]: value };
+            updated[idx] = { ...rest, ...patch };
         } else {
-            updated[idx] = { ...updated[idx], [field]: value };
+            updated[idx] = { ...updated[idx], ...patch };
         }
         setQuestions(updated);
     };
 
-    const updateOption = (qIdx, oIdx, value) => {
-        const updated = [...questions];
-        if (updated[qIdx].id) {
-            const { id, ...rest } = updated[qIdx];
-            updated[qIdx] = { ...rest };
-            updated[qIdx].options[oIdx] = value;
-        } else {
-            updated[qIdx].options[oIdx] = value;
-        }
-        setQuestions(updated);
-    };
+    const updateQuestion = (idx, field, value) => updateQuestionFields(idx, { [field]: value });
 
-    const toggleCorrect = (qIdx, optionValue) => {
-        const updated = [...questions];
-        const q = updated[qIdx];
-        if (q.question_type === 'MCQ_SINGLE') {
-            q.correct_answer = [optionValue];
-        } else {
-            q.correct_answer = q.correct_answer.includes(optionValue)
-                ? q.correct_answer.filter(a => a !== optionValue)
-                : [...q.correct_answer, optionValue];
-        }
-        setQuestions(updated);
+    // Switching type resets the answer key — shapes differ between types
+    const changeQuestionType = (idx, type) => {
+        const q = questions[idx];
+        const bothChoice = q.question_type.startsWith('MCQ_') && type.startsWith('MCQ_');
+        updateQuestionFields(idx, bothChoice
+            ? { question_type: type, correct_answer: type === 'MCQ_SINGLE' ? q.correct_answer.slice(0, 1) : q.correct_answer }
+            : { question_type: type, ...blankAnswerKey(type) });
     };
 
     const handleSubmit = async () => {
         setError(''); setSuccess('');
         try {
-            if (!test.title || !test.course_id || !test.start_time || !test.duration_minutes) {
+            if (!test.title || !test.course_id || !test.start_time || !duration) {
                 throw new Error('Fill all required fields');
             }
-            const totalMarks = questions.reduce((a, q) => a + q.marks, 0);
+            if (questions.length === 0 && pools.length === 0) {
+                throw new Error('Add a question or a question pool');
+            }
+            pools.forEach((p, i) => {
+                if (!(parseInt(p.question_count) > 0) || !(parseInt(p.marks) > 0)) {
+                    throw new Error(`Pool ${i + 1}: enter how many questions to draw and their marks`);
+                }
+            });
+            sections.forEach((sec, i) => {
+                if (!sec.title.trim() || !(parseInt(sec.duration_minutes) > 0)) {
+                    throw new Error(`Section ${i + 1}: enter a title and a duration`);
+                }
+                const inSection = (item) => (item.section_index || 0) === i;
+                if (!questions.some(inSection) && !pools.some(inSection)) {
+                    throw new Error(`Section ${i + 1} has no questions`);
+                }
+            });
+            // Bank questions are saved already; new ones are tidied and checked
+            const prepared = questions.map(q => (q.id ? q : prepareQuestion(q)));
+            prepared.forEach((q, i) => {
+                const problem = q.id ? null : validateQuestion(q);
+                if (problem) throw new Error(`Question ${i + 1}: ${problem}`);
+            });
             // Process extra time: convert to { student_id: minutes } map
             // Note: In real app, we'd need to resolve emails to IDs. For MVP, we'll store as-is or assume inputs are IDs/Usernames
             // Let's assume teacher enters Student ID or Username for now to simplify
@@ -146,25 +261,50 @@ export default function TestCreation() {
             test.extra_time.forEach(et => { if (et.email) extraTimeMap[et.email] = parseInt(et.minutes); });
 
             const startDate = new Date(test.start_time);
-            const endDate = new Date(startDate.getTime() + test.duration_minutes * 60000);
+            const endDate = new Date(startDate.getTime() + duration * 60000);
+            const retakesClose = parseInt(test.attempts.max_attempts) !== 1 && test.attempts.retakes_close_at
+                ? new Date(test.attempts.retakes_close_at) : null;
+            if (retakesClose && retakesClose < endDate) {
+                throw new Error('Retakes must close after the test ends');
+            }
 
             const { data: testData, error: testErr } = await supabase.from('tests').insert({
                 course_id: test.course_id, title: test.title, description: test.description,
                 start_time: startDate.toISOString(),
                 end_time: endDate.toISOString(),
-                duration_minutes: test.duration_minutes,
+                duration_minutes: duration,
                 total_marks: totalMarks, created_by: user.id,
                 settings: {
                     negative_marking: test.negative_marking,
-                    proctoring_enabled: true,
-                    extra_time_students: extraTimeMap
+                    partial_credit: test.partial_credit,
+                    blind_grading: test.blind_grading,
+                    proctoring_enabled: Object.values(test.proctoring.monitors).some(Boolean),
+                    proctoring: test.proctoring,
+                    extra_time_students: extraTimeMap,
+                    attempts: attemptPolicy({
+                        settings: { attempts: { ...test.attempts, retakes_close_at: retakesClose?.toISOString() ?? null } },
+                    }),
                 },
             }).select().single();
             if (testErr) throw testErr;
 
+            let sectionIds = [];
+            if (sections.length > 0) {
+                const { data: insertedSections, error: sErr } = await supabase.from('test_sections').insert(
+                    sections.map((sec, i) => ({
+                        test_id: testData.id, section_order: i + 1, title: sec.title.trim(),
+                        instructions: sec.instructions.trim() || null,
+                        duration_minutes: parseInt(sec.duration_minutes),
+                        locked: sec.locked, shuffle_questions: sec.shuffle_questions,
+                    })),
+                ).select('id, section_order');
+                if (sErr) throw sErr;
+                sectionIds = [...insertedSections].sort((a, b) => a.section_order - b.section_order).map(sec => sec.id);
+            }
+
             // Separate new questions vs existing bank questions
-            const newQuestions = questions.filter(q => !q.id);
-            const existingQuestions = questions.filter(q => q.id);
+            const newQuestions = prepared.filter(q => !q.id);
+            const existingQuestions = prepared.filter(q => q.id);
 
             // 1. Insert New Questions
             let createdQuestionIds = [];
@@ -172,7 +312,9 @@ export default function TestCreation() {
                 const qRows = newQuestions.map(q => ({
                     question_text: q.question_text, question_type: q.question_type,
                     options: q.options, correct_answer: q.correct_answer, marks: q.marks,
-                    negative_marks: q.negative_marks
+                    negative_marks: q.negative_marks,
+                    difficulty: q.difficulty || null, tags: normalizeTags(q.tags),
+                    learning_objectives: q.learning_objectives || [], created_by: user.id,
                     // No test_id or order here anymore
                 }));
                 const { data: insertedQs, error: qErr } = await supabase
@@ -190,7 +332,7 @@ export default function TestCreation() {
             // BUT for this scope, let's map by index offset
 
             let newQIndex = 0;
-            questions.forEach((q, index) => {
+            prepared.forEach((q, index) => {
                 let qId = q.id;
                 if (!qId) {
                     qId = createdQuestionIds[newQIndex];
@@ -202,13 +344,33 @@ export default function TestCreation() {
                         test_id: testData.id,
                         question_id: qId,
                         question_order: index + 1,
-                        marks: q.marks // Snapshot marks for this test
+                        marks: q.marks, // Snapshot marks for this test
+                        negative_marks: q.negative_marks,
+                        section_id: sectionIds[q.section_index || 0] ?? null,
                     });
                 }
             });
 
-            const { error: jErr } = await supabase.from('test_questions').insert(junctionRows);
-            if (jErr) throw jErr;
+            if (junctionRows.length > 0) {
+                const { error: jErr } = await supabase.from('test_questions').insert(junctionRows);
+                if (jErr) throw jErr;
+            }
+
+            // 3. Pool rules — drawn per candidate when their session starts
+            if (pools.length > 0) {
+                const { error: pErr } = await supabase.from('test_question_pools').insert(pools.map((p, i) => ({
+                    test_id: testData.id,
+                    pool_order: i + 1,
+                    question_count: parseInt(p.question_count),
+                    difficulty: p.difficulty || null,
+                    tags: normalizeTags(p.tags),
+                    question_type: p.question_type || null,
+                    marks: parseInt(p.marks),
+                    negative_marks: parseInt(p.negative_marks) || 0,
+                    section_id: sectionIds[p.section_index || 0] ?? null,
+                })));
+                if (pErr) throw pErr;
+            }
 
             setSuccess('Test created successfully!');
             setTimeout(() => navigate('/dashboard/tests'), 1500);
@@ -234,7 +396,9 @@ export default function TestCreation() {
                         <TextField fullWidth label="Test Title *" value={test.title} onChange={e => setTest({ ...test, title: e.target.value })} />
                     </Grid>
                     <Grid size={{ xs: 12, md: 6 }}>
-                        <TextField fullWidth label="Duration (min)" type="number" value={test.duration_minutes} onChange={e => setTest({ ...test, duration_minutes: parseInt(e.target.value) })} />
+                        <TextField fullWidth label="Duration (min)" type="number" value={duration}
+                            disabled={sections.length > 0} helperText={sections.length > 0 ? 'Sum of the section durations' : ''}
+                            onChange={e => setTest({ ...test, duration_minutes: parseInt(e.target.value) })} />
                     </Grid>
                     <Grid size={{ xs: 12, md: 6 }}>
                         <TextField fullWidth label="Start Time *" type="datetime-local" value={test.start_time}
@@ -245,11 +409,43 @@ export default function TestCreation() {
                             control={<Switch checked={test.negative_marking} onChange={(e) => setTest({ ...test, negative_marking: e.target.checked })} />}
                             label="Enable Negative Marking"
                         />
+                        <FormControlLabel
+                            control={<Switch checked={test.partial_credit} onChange={(e) => setTest({ ...test, partial_credit: e.target.checked })} />}
+                            label="Partial Credit (multi-select, blanks, matching, ordering, code)"
+                        />
+                        <FormControlLabel
+                            control={<Switch checked={test.blind_grading} onChange={(e) => setTest({ ...test, blind_grading: e.target.checked })} />}
+                            label="Blind Essay Grading"
+                        />
                         <FormControlLabel
                             control={<Switch checked={test.randomize_questions || false} onChange={(e) => setTest({ ...test, randomize_questions: e.target.checked })} />}
                             label="Randomize Questions"
                         />
                     </Grid>
+                    {/* Attempts & Retakes */}
+                    <Grid size={12}>
+                        <Divider sx={{ my: 2 }} />
+                        <Typography variant="subtitle2" gutterBottom>Attempts & Retakes</Typography>
+                        <Box sx={{ display: 'flex', gap: 2, flexWrap: 'wrap' }}>
+                            <TextField size="small" label="Attempts Allowed" type="number" value={test.attempts.max_attempts}
+                                inputProps={{ min: 0 }} helperText="0 = unlimited" sx={{ width: 180 }}
+                                onChange={e => updateAttempts('max_attempts', e.target.value)} />
+                            <TextField size="small" label="Cooling-off (min)" type="number" value={test.attempts.cooldown_minutes}
+                                inputProps={{ min: 0 }} helperText="Wait between attempts" sx={{ width: 180 }}
+                                disabled={parseInt(test.attempts.max_attempts) === 1}
+                                onChange={e => updateAttempts('cooldown_minutes', e.target.value)} />
+                            <TextField size="small" select label="Score Reported" value={test.attempts.scoring}
+                                helperText="When there are several attempts" sx={{ width: 240 }}
+                                disabled={parseInt(test.attempts.max_attempts) === 1}
+                                onChange={e => updateAttempts('scoring', e.target.value)}>
+                                {SCORING_POLICIES.map(p => <MenuItem key={p.value} value={p.value}>{p.label}</MenuItem>)}
+                            </TextField>
+                            <TextField size="small" label="Retakes Close" type="datetime-local" value={test.attempts.retakes_close_at || ''}
+                                helperText="Blank = when the test ends" sx={{ width: 240 }} InputLabelProps={{ shrink: true }}
+                                disabled={parseInt(test.attempts.max_attempts) === 1}
+                                onChange={e => updateAttempts('retakes_close_at', e.target.value)} />
+                        </Box>
+                    </Grid>
                     {/* Extra Time Allocation */}
                     <Grid size={12}>
                         <Divider sx={{ my: 2 }} />
@@ -268,16 +464,118 @@ export default function TestCreation() {
                 </Grid>
             </CardContent></Card>
 
+            {/* Proctoring Policy */}
+            <Card sx={{ mb: 3 }}><CardContent sx={{ p: 3 }}>
+                <Typography variant="h6" fontWeight={600} gutterBottom>Proctoring Policy</Typography>
+                <ProctoringPolicyEditor value={test.proctoring} onChange={proctoring => setTest({ ...test, proctoring })} />
+            </CardContent></Card>
+
+            {/* Sections */}
+            <Card sx={{ mb: 3 }}><CardContent sx={{ p: 3 }}>
+                <Typography variant="h6" fontWeight={600} gutterBottom>Sections</Typography>
+                <Typography variant="body2" color="text.secondary" sx={{ mb: 2 }}>
+                    Optional. Each section has its own timer; candidates take them in order and move on when
+                    they finish or the section's time runs out.
+                </Typography>
+                {sections.map((sec, sIdx) => (
+                    <Box key={sIdx} sx={{ mb: 2, p: 2, borderRadius: 2, border: '1px solid rgba(148,163,184,0.15)' }}>
+                        <Box sx={{ display: 'flex', gap: 2, alignItems: 'center', mb: 1.5 }}>
+                            <TextField size="small" label={`Section ${sIdx + 1} title`} value={sec.title} sx={{ flex: 1 }}
+                                onChange={e => updateSection(sIdx, 'title', e.target.value)} />
+                            <TextField size="small" label="Minutes" type="number" value={sec.duration_minutes} sx={{ width: 110 }}
+                                inputProps={{ min: 1 }} onChange={e => updateSection(sIdx, 'duration_minutes', e.target.value)} />
+                            <IconButton color="error" onClick={() => removeSection(sIdx)}><Delete /></IconButton>
+                        </Box>
+                        <TextField fullWidth size="small" multiline minRows={2} label="Instructions (shown at the start of the section)"
+                            value={sec.instructions} onChange={e => updateSection(sIdx, 'instructions', e.target.value)} />
+                        <FormControlLabel
+                            control={<Switch checked={sec.locked} onChange={e => updateSection(sIdx, 'locked', e.target.checked)} />}
+                            label="Cannot return once left"
+                        />
+                        <FormControlLabel
+                            control={<Switch checked={sec.shuffle_questions} onChange={e => updateSection(sIdx, 'shuffle_questions', e.target.checked)} />}
+                            label="Shuffle questions"
+                        />
+                    </Box>
+                ))}
+                <Button startIcon={<Add />} size="small" onClick={addSection}>Add Section</Button>
+            </CardContent></Card>
+
+            {/* Question Pools */}
+            <Card sx={{ mb: 3 }}><CardContent sx={{ p: 3 }}>
+                <Typography variant="h6" fontWeight={600} gutterBottom>Question Pools</Typography>
+                <Typography variant="body2" color="text.secondary" sx={{ mb: 2 }}>
+                    Optional. Each rule draws questions at random from the bank when a candidate starts, so
+                    every candidate gets their own paper. Drawn questions are worth the rule's marks.
+                </Typography>
+                {pools.map((p, pIdx) => {
+                    const available = poolAvailable[pIdx];
+                    const short = available != null && available < (parseInt(p.question_count) || 0);
+                    return (
+                        <Box key={pIdx} sx={{ mb: 2, p: 2, borderRadius: 2, border: '1px solid rgba(148,163,184,0.15)' }}>
+                            <Box sx={{ display: 'flex', gap: 2, alignItems: 'center', flexWrap: 'wrap' }}>
+                                <TextField size="small" label="Draw" type="number" value={p.question_count} sx={{ width: 90 }}
+                                    inputProps={{ min: 1 }} onChange={e => updatePool(pIdx, 'question_count', e.target.value)} />
+                                <TextField select size="small" label="Difficulty" value={p.difficulty} sx={{ minWidth: 130 }}
+                                    onChange={e => updatePool(pIdx, 'difficulty', e.target.value)}>
+                                    <MenuItem value="">Any</MenuItem>
+                                    {DIFFICULTIES.map(d => <MenuItem key={d} value={d}>{d}</MenuItem>)}
+                                </TextField>
+                                <TextField select size="small" label="Type" value={p.question_type} sx={{ minWidth: 150 }}
+                                    onChange={e => updatePool(pIdx, 'question_type', e.target.value)}>
+                                    <MenuItem value="">Any</MenuItem>
+                                    {Object.entries(QUESTION_TYPES).map(([type, label]) => (
+                                        <MenuItem key={type} value={type}>{label}</MenuItem>
+                                    ))}
+                                </TextField>
+                                <TagInput value={p.tags} suggestions={bankTags} label="Tagged with all of"
+                                    onChange={tags => updatePool(pIdx, 'tags', tags)} sx={{ flex: 1, minWidth: 220 }} />
+                                <TextField size="small" label="Marks each" type="number" value={p.marks} sx={{ width: 100 }}
+                                    inputProps={{ min: 1 }} onChange={e => updatePool(pIdx, 'marks', e.target.value)} />
+                                {test.negative_marking && <TextField size="small" label="-Marks" type="number" value={p.negative_marks}
+                                    sx={{ width: 80 }} inputProps={{ max: -1 }}
+                                    onChange={e => updatePool(pIdx, 'negative_marks', e.target.value)} />}
+                                {sections.length > 0 && (
+                                    <TextField select size="small" label="Section" value={Math.min(p.section_index || 0, sections.length - 1)}
+                                        onChange={e => updatePool(pIdx, 'section_index', e.target.value)} sx={{ minWidth: 140 }}>
+                                        {sections.map((sec, sIdx) => (
+                                            <MenuItem key={sIdx} value={sIdx}>{sec.title || `Section ${sIdx + 1}`}</MenuItem>
+                                        ))}
+                                    </TextField>
+                                )}
+                                <IconButton color="error" onClick={() => removePool(pIdx)}><Delete /></IconButton>
+                            </Box>
+                            <Typography variant="caption" color={short ? 'warning.main' : 'text.secondary'} sx={{ display: 'block', mt: 1 }}>
+                                {available == null
+                                    ? 'Counting matching bank questions…'
+                                    : `${available} matching question${available === 1 ? '' : 's'} in the bank`}
+                                {short && ' — candidates will get fewer questions than requested'}
+                            </Typography>
+                        </Box>
+                    );
+                })}
+                <Button startIcon={<Add />} size="small" onClick={addPool}>Add Pool Rule</Button>
+            </CardContent></Card>
+
             {/* Questions */}
             {questions.map((q, qIdx) => (
                 <Card key={qIdx} sx={{ mb: 2 }}><CardContent sx={{ p: 3 }}>
                     <Box sx={{ display: 'flex', justifyContent: 'space-between', mb: 2 }}>
                         <Typography variant="subtitle1" fontWeight={600}>Question {qIdx + 1}</Typography>
                         <Box sx={{ display: 'flex', gap: 1, alignItems: 'center' }}>
+                            {sections.length > 0 && (
+                                <TextField select size="small" label="Section" value={Math.min(q.section_index || 0, sections.length - 1)}
+                                    onChange={e => setQuestionSection(qIdx, e.target.value)} sx={{ minWidth: 140 }}>
+                                    {sections.map((sec, sIdx) => (
+                                        <MenuItem key={sIdx} value={sIdx}>{sec.title || `Section ${sIdx + 1}`}</MenuItem>
+                                    ))}
+                                </TextField>
+                            )}
                             <TextField select size="small" value={q.question_type}
-                                onChange={e => updateQuestion(qIdx, 'question_type', e.target.value)} sx={{ minWidth: 150 }}>
-                                <MenuItem value="MCQ_SINGLE">MCQ Single</MenuItem>
-                                <MenuItem value="MCQ_MULTIPLE">MCQ Multiple</MenuItem>
+                                onChange={e => changeQuestionType(qIdx, e.target.value)} sx={{ minWidth: 150 }}>
+                                {Object.entries(QUESTION_TYPES).map(([type, label]) => (
+                                    <MenuItem key={type} value={type}>{label}</MenuItem>
+                                ))}
                             </TextField>
                             <TextField size="small" label="Marks" type="number" value={q.marks} sx={{ width: 80 }}
                                 inputProps={{ min: test.negative_marking ? 1 : undefined }}
@@ -303,31 +601,26 @@ export default function TestCreation() {
                         placeholder="Enter question text..."
                     />
                     <Box sx={{ mb: 2 }} />
-                    <Typography variant="body2" color="text.secondary" sx={{ mb: 1 }}>
-                        Options (click to mark as correct):
-                    </Typography>
-                    <Grid container spacing={1}>
-                        {q.options.map((opt, oIdx) => (
-                            <Grid key={oIdx} size={{ xs: 12, sm: 6 }}>
-                                <Box sx={{ display: 'flex', gap: 1 }}>
-                                    <Chip label={String.fromCharCode(65 + oIdx)} size="small"
-                                        color={q.correct_answer.includes(opt) && opt ? 'success' : 'default'}
-                                        onClick={() => opt && toggleCorrect(qIdx, opt)} sx={{ mt: 1 }} />
-                                    <TextField fullWidth size="small" placeholder={`Option ${String.fromCharCode(65 + oIdx)}`}
-                                        value={opt} onChange={e => updateOption(qIdx, oIdx, e.target.value)} />
-                                </Box>
-                            </Grid>
-                        ))}
-                    </Grid>
+                    <AnswerKeyEditor question={q} onChange={patch => updateQuestionFields(qIdx, patch)} />
+                    <Box sx={{ display: 'flex', gap: 2, mt: 2 }}>
+                        <TextField select size="small" label="Difficulty" value={q.difficulty || ''} sx={{ minWidth: 130 }}
+                            onChange={e => updateQuestion(qIdx, 'difficulty', e.target.value)}>
+                            <MenuItem value="">Not set</MenuItem>
+                            {DIFFICULTIES.map(d => <MenuItem key={d} value={d}>{d}</MenuItem>)}
+                        </TextField>
+                        <TagInput value={q.tags} suggestions={bankTags} sx={{ flex: 1 }}
+                            onChange={tags => updateQuestion(qIdx, 'tags', tags)} />
+                    </Box>
                 </CardContent></Card>
             ))}
 
             <Box sx={{ display: 'flex', gap: 2, mt: 2 }}>
                 <Button variant="outlined" startIcon={<Add />} onClick={addQuestion}>Add Question</Button>
                 <Button variant="outlined" onClick={() => setQuestionBankOpen(true)}>Import from Bank</Button>
+                <Button variant="outlined" startIcon={<UploadFile />} onClick={() => setFileImportOpen(true)}>Import File</Button>
                 <Button variant="outlined" startIcon={<AutoAwesome />} color="secondary" onClick={() => setAiModalOpen(true)}>Generate with AI</Button>
                 <Button variant="contained" startIcon={<Save />} onClick={handleSubmit} sx={{ ml: 'auto' }}>
-                    Save Test ({questions.length} questions, {questions.reduce((a, q) => a + q.marks, 0)} marks)
+                    Save Test ({questions.length + poolQuestionCount} questions, {totalMarks} marks)
                 </Button>
             </Box>
 
@@ -337,6 +630,12 @@ export default function TestCreation() {
                 onImport={handleImportQuestions}
             />
 
+            <QuestionImportDialog
+                open={fileImportOpen}
+                onClose={() => setFileImportOpen(false)}
+                onImport={handleImportPackage}
+            />
+
             <AIGeneratorModal
                 open={aiModalOpen}
                 onClose={() => setAiModalOpen(false)}
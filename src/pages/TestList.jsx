@@ -5,16 +5,25 @@ import {
     Dialog, DialogTitle, DialogContent, DialogActions, DialogContentText,
     Select, MenuItem, InputLabel, FormControl, CircularProgress
 } from '@mui/material';
-import { Assignment, PlayArrow, Visibility, Delete, Download } from '@mui/icons-material';
+import { Assignment, PlayArrow, Visibility, Delete, Download, IosShare } from '@mui/icons-material';
 import { supabase } from '../lib/supabase';
 import useAuthStore from '../store/authStore';
 import { useNavigate } from 'react-router-dom';
+import { exportTestQti } from '../lib/qti';
+import { downloadBlob } from '../lib/zipArchive';
+import ConversionReport from '../components/ConversionReport';
+import {
+    attemptPolicy, attemptKey, groupAttempts, policyResult, summarizeAttempts, fetchAttemptGrants, attemptStatusText,
+    attemptsOpenUntil,
+} from '../lib/examAttempts';
 
 export default function TestList() {
     const navigate = useNavigate();
     const { user } = useAuthStore();
     const [tests, setTests] = useState([]);
     const [loading, setLoading] = useState(true);
+    // Students: test id → summarizeAttempts()
+    const [attempts, setAttempts] = useState(new Map());
 
     const [courses, setCourses] = useState([]);
 
@@ -35,9 +44,28 @@ export default function TestList() {
         }
         const { data } = await query.limit(50);
         setTests(data || []);
+        if (user.role === 'student' && data?.length > 0) await loadAttempts(data);
         setLoading(false);
     };
 
+    const loadAttempts = async (testRows) => {
+        try {
+            const testIds = testRows.map(t => t.id);
+            const { data: mine, error } = await supabase.from('exam_sessions')
+                .select('id, test_id, student_id, status, score, grading_status, attempt_number, started_at, ended_at')
+                .eq('student_id', user.id).in('test_id', testIds);
+            if (error) throw error;
+            const grants = await fetchAttemptGrants(supabase, testIds, user.id);
+            const groups = groupAttempts(mine || []);
+            setAttempts(new Map(testRows.map(t => {
+                const key = attemptKey(t.id, user.id);
+                return [t.id, summarizeAttempts(t, groups.get(key) || [], grants.get(key) || 0)];
+            })));
+        } catch (err) {
+            console.error('Failed to load attempts:', err);
+        }
+    };
+
 
 
     const [deleteConfirmOpen, setDeleteConfirmOpen] = useState(false);
@@ -45,6 +73,18 @@ export default function TestList() {
     const [exportOpen, setExportOpen] = useState(false);
     const [exportCourseId, setExportCourseId] = useState('');
     const [exporting, setExporting] = useState(false);
+    const [qtiReport, setQtiReport] = useState(null);
+
+    const handleExportQti = async (test) => {
+        try {
+            const { blob, report } = await exportTestQti(supabase, test);
+            downloadBlob(blob, `${test.title.replace(/[^a-z0-9]/gi, '_')}_QTI.zip`);
+            if (report.length > 0) setQtiReport(report);
+        } catch (err) {
+            console.error('QTI Export Failed:', err);
+            alert('Failed to export the test as QTI.');
+        }
+    };
 
     const handleExportCourseCSV = async () => {
         if (!exportCourseId) return;
@@ -52,7 +92,7 @@ export default function TestList() {
         try {
             // 1. Fetch all tests for this course
             const { data: courseTests } = await supabase.from('tests')
-                .select('id, title, total_marks').eq('course_id', exportCourseId).order('start_time', { ascending: true });
+                .select('id, title, total_marks, settings').eq('course_id', exportCourseId).order('start_time', { ascending: true });
 
             // 2. Fetch all enrolled students for this course
             const { data: enrollments } = await supabase.from('enrollments')
@@ -69,6 +109,9 @@ export default function TestList() {
             }
 
             // CSV Building
+            // Several attempts: the test's scoring policy picks the score
+            const attemptGroups = groupAttempts(sessions);
+
             let csvContent = "Student Name,";
             csvContent += courseTests.map(t => `"${t.title.replace(/"/g, '""')}"`).join(',') + "\n";
 
@@ -77,13 +120,16 @@ export default function TestList() {
                 let rowCols = [];
 
                 courseTests.forEach(test => {
-                    const session = sessions.find(s => s.student_id === student.id && s.test_id === test.id);
-                    if (!session) {
+                    const studentAttempts = attemptGroups.get(attemptKey(test.id, student.id));
+                    const { counted, score } = studentAttempts
+                        ? policyResult(studentAttempts, attemptPolicy(test).scoring)
+                        : { counted: null, score: null };
+                    if (!studentAttempts) {
                         rowCols.push('"Not Attempted"');
-                    } else if (session.red_flags > 0) {
+                    } else if (counted?.red_flags > 0) {
                         rowCols.push('"Exam Cancelled"');
                     } else {
-                        const scoreStr = session.score !== null ? session.score : "Pending";
+                        const scoreStr = score !== null ? score : "Pending";
                         rowCols.push(`"${scoreStr} / ${test.total_marks}"`);
                     }
                 });
@@ -128,10 +174,11 @@ export default function TestList() {
         }
     };
 
-    const getStatus = (test) => {
+    // Active while attempts can start — for staff and for retakes, until retakes close
+    const getStatus = (test, retake) => {
         const now = new Date();
         if (now < new Date(test.start_time)) return { label: 'Upcoming', color: 'info' };
-        if (now >= new Date(test.start_time) && now <= new Date(test.end_time)) return { label: 'Active', color: 'success' };
+        if (now >= new Date(test.start_time) && now <= attemptsOpenUntil(test, retake)) return { label: 'Active', color: 'success' };
         return { label: 'Completed', color: 'default' };
     };
 
@@ -160,8 +207,13 @@ export default function TestList() {
                     </TableRow></TableHead>
                     <TableBody>
                         {tests.map(t => {
-                            const status = getStatus(t);
-                            const canStart = user.role === 'student' && status.label === 'Active';
+                            // Students: resume the open attempt, or start one while the policy allows
+                            const summary = attempts.get(t.id);
+                            const status = getStatus(t, user.role !== 'student' || !!summary?.latest);
+                            const retakesClose = attemptPolicy(t).retakes_close_at;
+                            const canStart = user.role === 'student' && status.label === 'Active'
+                                && (!summary || summary.canStart || !!summary.open);
+                            const startLabel = summary?.open ? 'Resume' : summary?.latest ? 'Retake' : 'Start';
                             return (
                                 <TableRow key={t.id} hover>
                                     <TableCell><Typography variant="body2" fontWeight={600}>{t.title}</Typography></TableCell>
@@ -170,16 +222,35 @@ export default function TestList() {
                                     <TableCell>
                                         <Typography variant="caption">{new Date(t.start_time).toLocaleString()}</Typography><br />
                                         <Typography variant="caption" color="text.secondary">to {new Date(t.end_time).toLocaleString()}</Typography>
+                                        {retakesClose && (
+                                            <Typography variant="caption" color="text.secondary" display="block">
+                                                retakes until {new Date(retakesClose).toLocaleString()}
+                                            </Typography>
+                                        )}
+                                    </TableCell>
+                                    <TableCell>
+                                        <Chip label={status.label} size="small" color={status.color} />
+                                        {summary?.latest && (
+                                            <Typography variant="caption" color="text.secondary" display="block" sx={{ mt: 0.5 }}>
+                                                {summary.pending ? 'Grading pending' : `Score ${summary.score ?? '—'}/${t.total_marks}`} · {attemptStatusText(summary)}
+                                            </Typography>
+                                        )}
                                     </TableCell>
-                                    <TableCell><Chip label={status.label} size="small" color={status.color} /></TableCell>
                                     <TableCell>
                                         {canStart && <Button size="small" variant="contained" startIcon={<PlayArrow />}
-                                            onClick={() => navigate(`/dashboard/exam/${t.id}`)}>Start</Button>}
+                                            onClick={() => navigate(`/dashboard/exam/${t.id}${startLabel === 'Retake' ? '?attempt=new' : ''}`)}>
+                                            {startLabel}
+                                        </Button>}
                                         {!canStart && (
                                             <Box sx={{ display: 'flex', gap: 1 }}>
                                                 <IconButton size="small" onClick={() => navigate(`/dashboard/test-results/${t.id}`)} title="View Results">
                                                     <Visibility />
                                                 </IconButton>
+                                                {['teacher', 'admin'].includes(user.role) && (
+                                                    <IconButton size="small" onClick={() => handleExportQti(t)} title="Export as QTI 2.1">
+                                                        <IosShare />
+                                                    </IconButton>
+                                                )}
                                                 {['teacher', 'admin'].includes(user.role) && (
                                                     <IconButton size="small" onClick={() => { setTestToDelete(t.id); setDeleteConfirmOpen(true); }} title="Delete Test" color="error">
                                                         <Delete />
@@ -208,6 +279,16 @@ export default function TestList() {
                 </DialogActions>
             </Dialog>
 
+            <Dialog open={!!qtiReport} onClose={() => setQtiReport(null)} maxWidth="md" fullWidth>
+                <DialogTitle>QTI Export Report</DialogTitle>
+                <DialogContent>
+                    <ConversionReport report={qtiReport} />
+                </DialogContent>
+                <DialogActions>
+                    <Button onClick={() => setQtiReport(null)}>Close</Button>
+                </DialogActions>
+            </Dialog>
+
             <Dialog open={exportOpen} onClose={() => !exporting && setExportOpen(false)} maxWidth="sm" fullWidth>
                 <DialogTitle>Export Course CSV Report</DialogTitle>
                 <DialogContent>
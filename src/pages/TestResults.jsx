@@ -3,14 +3,22 @@ import { useParams, useNavigate } from 'react-router-dom';
 import {
     Box, Card, CardContent, Typography, Button, Table, TableHead,
     TableRow, TableCell, TableBody, LinearProgress, CircularProgress, Chip, IconButton,
-    Dialog, DialogTitle, DialogContent, DialogActions, TextField,
+    Dialog, DialogTitle, DialogContent, DialogActions, TextField, Alert,
 } from '@mui/material';
-import { ArrowBack, CheckCircle, Edit, Save, Download } from '@mui/icons-material';
+import { ArrowBack, CheckCircle, Edit, Save, Download, RateReview, Insights, Replay, AddCircleOutline } from '@mui/icons-material';
 import { supabase } from '../lib/supabase';
+import useAuthStore from '../store/authStore';
+import { formatAnswer, formatCorrectAnswer } from '../lib/questionTypes';
+import { fetchTestPapers } from '../lib/questionPaper';
+import { fetchItemAnalysis, exportItemAnalysisCsv } from '../lib/itemAnalysis';
+import ItemAnalysisReport from '../components/ItemAnalysisReport';
+import RegradeDialog from '../components/RegradeDialog';
+import { attemptPolicy, attemptKey, groupAttempts, policyResult, grantExtraAttempts } from '../lib/examAttempts';
 
 export default function TestResults() {
     const { testId } = useParams();
     const navigate = useNavigate();
+    const { user } = useAuthStore();
     const [test, setTest] = useState(null);
     const [results, setResults] = useState([]);
     const [loading, setLoading] = useState(true);
@@ -19,6 +27,15 @@ export default function TestResults() {
     const [tempScore, setTempScore] = useState(0);
     const [feedback, setFeedback] = useState('');
     const [exporting, setExporting] = useState(false);
+    const [analysis, setAnalysis] = useState(null);
+    const [analyzing, setAnalyzing] = useState(false);
+    const [analysisError, setAnalysisError] = useState('');
+    const [regradeOpen, setRegradeOpen] = useState(false);
+    const [grantFor, setGrantFor] = useState(null);   // result row whose student gets extra attempts
+    const [grantCount, setGrantCount] = useState(1);
+    const [grantReason, setGrantReason] = useState('');
+    const [granting, setGranting] = useState(false);
+    const [grantError, setGrantError] = useState('');
 
     useEffect(() => { loadResults(); }, [testId]);
 
@@ -62,30 +79,31 @@ export default function TestResults() {
         if (!test) return;
         setExporting(true);
         try {
-            // 1. Fetch all questions for columns via junction table
-            const { data: qData } = await supabase.from('test_questions')
-                .select('questions(*)')
-                .eq('test_id', testId).order('question_order', { ascending: true });
-            const safeQuestions = qData?.map(q => q.questions).filter(Boolean) || [];
-
-            // 2. Fetch all enrolled students for this test's course
+            // 1. Fetch all enrolled students for this test's course
             const { data: enrollments } = await supabase.from('enrollments')
                 .select('users!enrollments_student_id_fkey(id, full_name, username)')
                 .eq('course_id', test.course_id);
             const enrolledStudents = enrollments?.map(e => e.users) || [];
 
-            // 3. Fetch all exam sessions for this test
+            // 2. Fetch all exam sessions for this test
             const { data: sessions } = await supabase.from('exam_sessions')
                 .select('*').eq('test_id', testId);
+            const sessionIds = sessions?.map(s => s.id) || [];
+
+            // 3. Columns: every question on any student's paper (pools draw
+            //    different questions per student; cells off a paper stay empty)
+            const { questions: safeQuestions } = await fetchTestPapers(supabase, testId, sessionIds);
 
             // 4. Fetch all answers for these sessions
-            const sessionIds = sessions?.map(s => s.id) || [];
             let answers = [];
             if (sessionIds.length > 0) {
                 const { data: ansData } = await supabase.from('answers').select('*').in('session_id', sessionIds);
                 answers = ansData || [];
             }
 
+            // Several attempts: the test's scoring policy picks the session and score
+            const sessionGroups = groupAttempts(sessions || []);
+
             // CSV Building
             let csvContent = "";
             const qCols = safeQuestions.map(q => `"${(q.question_text || '').replace(/"/g, '""')}"`).join(',');
@@ -95,9 +113,8 @@ export default function TestResults() {
 
             // Correct Answers Row
             const correctCols = safeQuestions.map(q => {
-                let ans = q.correct_answer;
-                if (Array.isArray(ans)) ans = ans.join(' | ');
-                return `"${(ans || '').toString().replace(/"/g, '""')}"`;
+                const ans = formatCorrectAnswer(q);
+                return `"${ans.replace(/"/g, '""')}"`;
             }).join(',');
             csvContent += `Correct Answers,${correctCols},,\n`;
 
@@ -106,8 +123,12 @@ export default function TestResults() {
                 // Determine name
                 const studentName = `"${(student.full_name || student.username || '').replace(/"/g, '""')}"`;
 
-                // Find session
-                const session = sessions?.find(s => s.student_id === student.id);
+                // Find session — the one the scoring policy reports
+                const studentAttempts = sessionGroups.get(attemptKey(testId, student.id));
+                const { counted, score } = studentAttempts
+                    ? policyResult(studentAttempts, attemptPolicy(test).scoring)
+                    : { counted: null, score: null };
+                const session = counted || studentAttempts?.[studentAttempts.length - 1];
 
                 if (!session) {
                     // Not attempted
@@ -126,13 +147,12 @@ export default function TestResults() {
                 // Normal parsing
                 const studentAnswers = safeQuestions.map(q => {
                     const ansRecord = answers.find(a => a.session_id === session.id && a.question_id === q.id);
-                    let val = ansRecord?.selected_answer;
-                    if (Array.isArray(val)) val = val.join(' | ');
-                    return `"${(val || '').toString().replace(/"/g, '""')}"`;
+                    const val = formatAnswer(q, ansRecord?.selected_answer);
+                    return `"${val.replace(/"/g, '""')}"`;
                 }).join(',');
 
                 // Score
-                const scoreStr = session.score !== null ? session.score : "Pending";
+                const scoreStr = score !== null ? score : "Pending";
                 csvContent += `${studentName},${studentAnswers},"${scoreStr}","${test.total_marks}"\n`;
             });
 
@@ -153,8 +173,49 @@ export default function TestResults() {
         setExporting(false);
     };
 
+    const handleAnalyze = async () => {
+        setAnalyzing(true);
+        setAnalysisError('');
+        try {
+            setAnalysis(await fetchItemAnalysis(supabase, testId));
+        } catch (err) {
+            console.error('[TestResults] Item analysis failed:', err);
+            setAnalysisError(err.message || 'Item analysis failed');
+        }
+        setAnalyzing(false);
+    };
+
+    const openGrant = (result) => {
+        setGrantFor(result);
+        setGrantCount(1);
+        setGrantReason('');
+        setGrantError('');
+    };
+
+    const handleGrant = async () => {
+        setGranting(true);
+        setGrantError('');
+        try {
+            await grantExtraAttempts(supabase, {
+                test, studentId: grantFor.student_id, extraAttempts: parseInt(grantCount), reason: grantReason, userId: user.id,
+            });
+            setGrantFor(null);
+        } catch (err) {
+            console.error('[TestResults] Grant failed:', err);
+            setGrantError(err.message || 'Could not grant extra attempts');
+        }
+        setGranting(false);
+    };
+
     if (loading) return <LinearProgress />;
 
+    const pendingGrading = results.filter(r => r.grading_status === 'pending').length;
+    // Retakes: each student once in the count, and the attempt their reported score comes from
+    const policy = attemptPolicy(test);
+    const attemptGroups = groupAttempts(results);
+    const countedIds = new Set([...attemptGroups.values()]
+        .map(list => policyResult(list, policy.scoring).counted?.id).filter(Boolean));
+
     return (
         <Box>
             <Button startIcon={<ArrowBack />} onClick={() => navigate(-1)} sx={{ mb: 2 }}>Back</Button>
@@ -162,12 +223,27 @@ export default function TestResults() {
             <Box sx={{ display: 'flex', justifyContent: 'space-between', mb: 3 }}>
                 <Box>
                     <Typography variant="h4" fontWeight={700}>{test?.title} — Results</Typography>
-                    <Typography color="text.secondary">Total Marks: {test?.total_marks} | Participants: {results.length}</Typography>
+                    <Typography color="text.secondary">
+                        Total Marks: {test?.total_marks} | Participants: {attemptGroups.size}
+                        {policy.max_attempts !== 1 && ` | Attempts: ${results.length} (${policy.max_attempts || 'unlimited'} each, ${policy.scoring} counts)`}
+                    </Typography>
+                </Box>
+                <Box sx={{ display: 'flex', gap: 1, alignItems: 'flex-start' }}>
+                    {pendingGrading > 0 && (
+                        <Button variant="contained" color="warning" startIcon={<RateReview />}
+                            onClick={() => navigate(`/dashboard/grading/${testId}`)}>
+                            Grade Essays ({pendingGrading} sessions)
+                        </Button>
+                    )}
+                    <Button variant="outlined" startIcon={<Replay />} onClick={() => setRegradeOpen(true)}
+                        disabled={results.length === 0}>
+                        Re-grade
+                    </Button>
+                    <Button variant="outlined" startIcon={exporting ? <CircularProgress size={16} /> : <Download />}
+                        onClick={handleExportCSV} disabled={exporting}>
+                        {exporting ? 'Exporting...' : 'Export CSV'}
+                    </Button>
                 </Box>
-                <Button variant="outlined" startIcon={exporting ? <CircularProgress size={16} /> : <Download />}
-                    onClick={handleExportCSV} disabled={exporting}>
-                    {exporting ? 'Exporting...' : 'Export CSV'}
-                </Button>
             </Box>
 
             <Card><CardContent sx={{ p: 0 }}>
@@ -182,10 +258,21 @@ export default function TestResults() {
                                 <TableCell>
                                     <Typography variant="body2" fontWeight={600}>{r.users?.username}</Typography>
                                     <Typography variant="caption" color="text.secondary">{r.users?.email}</Typography>
+                                    {policy.max_attempts !== 1 && (
+                                        <Box sx={{ display: 'flex', alignItems: 'center', gap: 0.5 }}>
+                                            <Typography variant="caption" color="text.secondary">Attempt {r.attempt_number ?? 1}</Typography>
+                                            {policy.scoring !== 'average' && countedIds.has(r.id) && (
+                                                <Chip label="counts" size="small" color="primary" variant="outlined" sx={{ height: 18, fontSize: 10 }} />
+                                            )}
+                                        </Box>
+                                    )}
                                 </TableCell>
                                 <TableCell>
                                     <Chip label={r.status} size="small"
                                         color={r.status === 'completed' ? 'success' : r.status === 'in_progress' ? 'primary' : 'default'} />
+                                    {r.grading_status === 'pending' && (
+                                        <Chip label="grading pending" size="small" color="warning" variant="outlined" sx={{ ml: 0.5 }} />
+                                    )}
                                 </TableCell>
                                 <TableCell>{r.ended_at ? new Date(r.ended_at).toLocaleString() : '—'}</TableCell>
                                 <TableCell>
@@ -196,6 +283,9 @@ export default function TestResults() {
                                 </TableCell>
                                 <TableCell>
                                     <IconButton size="small" onClick={() => handleEdit(r)}><Edit fontSize="small" /></IconButton>
+                                    <IconButton size="small" onClick={() => openGrant(r)} title="Grant extra attempts">
+                                        <AddCircleOutline fontSize="small" />
+                                    </IconButton>
                                 </TableCell>
                             </TableRow>
                         ))}
@@ -204,6 +294,57 @@ export default function TestResults() {
                 </Table>
             </CardContent></Card>
 
+            <Card sx={{ mt: 3 }}><CardContent>
+                <Box sx={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', mb: 2 }}>
+                    <Box>
+                        <Typography variant="h6" fontWeight={600}>Item Analysis</Typography>
+                        <Typography variant="body2" color="text.secondary">
+                            Difficulty, discrimination and distractors per question, KR-20 reliability and likely miskeys
+                        </Typography>
+                    </Box>
+                    <Box sx={{ display: 'flex', gap: 1 }}>
+                        {analysis && (
+                            <Button variant="outlined" startIcon={<Download />} onClick={() => exportItemAnalysisCsv(analysis, test?.title)}>
+                                Export
+                            </Button>
+                        )}
+                        <Button variant="contained" startIcon={analyzing ? <CircularProgress size={16} /> : <Insights />}
+                            onClick={handleAnalyze} disabled={analyzing}>
+                            {analysis ? 'Refresh' : 'Run Analysis'}
+                        </Button>
+                    </Box>
+                </Box>
+                {analysisError && <Alert severity="error" sx={{ mb: 2 }}>{analysisError}</Alert>}
+                {analysis && <ItemAnalysisReport report={analysis} />}
+            </CardContent></Card>
+
+            <RegradeDialog open={regradeOpen} onClose={() => setRegradeOpen(false)} test={test} userId={user?.id}
+                onRegraded={() => { loadResults(); setAnalysis(null); }} />
+
+            <Dialog open={!!grantFor} onClose={() => !granting && setGrantFor(null)}>
+                <DialogTitle>Grant Extra Attempts</DialogTitle>
+                <DialogContent>
+                    <Typography gutterBottom>
+                        Extra attempts at this test for <strong>{grantFor?.users?.username}</strong>, on top of
+                        the {policy.max_attempts || 'unlimited'} everyone gets
+                    </Typography>
+                    {policy.max_attempts === 0 && (
+                        <Alert severity="info" sx={{ mt: 1 }}>Attempts are unlimited on this test — a grant only matters if a limit is set later.</Alert>
+                    )}
+                    {grantError && <Alert severity="error" sx={{ mt: 1 }}>{grantError}</Alert>}
+                    <TextField label="Extra Attempts" type="number" fullWidth value={grantCount} inputProps={{ min: 1 }}
+                        onChange={e => setGrantCount(e.target.value)} sx={{ mt: 2, mb: 2 }} />
+                    <TextField label="Reason" multiline rows={2} fullWidth value={grantReason}
+                        onChange={e => setGrantReason(e.target.value)} />
+                </DialogContent>
+                <DialogActions>
+                    <Button onClick={() => setGrantFor(null)} disabled={granting}>Cancel</Button>
+                    <Button variant="contained" onClick={handleGrant} disabled={granting || !(parseInt(grantCount) > 0)}>
+                        {granting ? 'Granting...' : 'Grant'}
+                    </Button>
+                </DialogActions>
+            </Dialog>
+
             <Dialog open={editOpen} onClose={() => setEditOpen(false)}>
                 <DialogTitle>Manual Grading</DialogTitle>
                 <DialogContent>
@@ -5,11 +5,15 @@ import {
 } from '@mui/material';
 import {
     Assignment, CalendarMonth, TrendingUp, PlayArrow,
-    CheckCircle, Schedule, Flag, Warning, Videocam
+    CheckCircle, Schedule, Flag, Warning, Videocam, Replay
 } from '@mui/icons-material';
 import { supabase } from '../../lib/supabase';
 import useAuthStore from '../../store/authStore';
 import AdminAuthDialog from '../../components/AdminAuthDialog';
+import {
+    attemptPolicy, attemptKey, groupAttempts, policyResult, summarizeAttempts, fetchAttemptGrants, attemptStatusText,
+    attemptsOpenUntil,
+} from '../../lib/examAttempts';
 
 import { useNavigate } from 'react-router-dom';
 
@@ -20,9 +24,10 @@ export default function StudentDashboard() {
     const { user } = useAuthStore();
     const [upcomingExams, setUpcomingExams] = useState([]);
     const [pastResults, setPastResults] = useState([]);
-    // testId → { status, sessionId, score, totalMarks }
-    // Updated instantly via Realtime so Start Exam vanishes on all devices simultaneously
-    const [mySessionMap, setMySessionMap] = useState({});
+    // Every attempt of this student — updated instantly via Realtime so
+    // Start Exam vanishes on all devices simultaneously
+    const [mySessions, setMySessions] = useState([]);
+    const [myGrants, setMyGrants] = useState(new Map()); // attemptKey() → extra attempts
     const [flagCount, setFlagCount] = useState(0);
     const [faceRegistered, setFaceRegistered] = useState(false);
     const [loading, setLoading] = useState(true);
@@ -32,7 +37,7 @@ export default function StudentDashboard() {
     useEffect(() => {
         if (user) {
             loadData();
-            fetchSessionMap();       // initial session state for all tests
+            fetchMySessions();       // initial session state for all tests
             subscribeToSessions();   // real-time lock — fires in Ms on any device
         }
         return () => {
@@ -63,14 +68,16 @@ export default function StudentDashboard() {
             const courseIds = enrollments?.map(e => e.course_id) || [];
 
             if (courseIds.length > 0) {
+                const now = new Date().toISOString();
                 const { data: tests } = await supabase
                     .from('tests')
                     .select(`
-                        id, title, start_time, end_time, duration_minutes,
+                        id, title, start_time, end_time, duration_minutes, total_marks, settings,
                         courses (name, code)
                     `)
                     .in('course_id', courseIds)
-                    .gt('end_time', new Date().toISOString()) // Fetch anything that hasn't ended yet
+                    // Anything that hasn't ended yet, or still takes retakes
+                    .or(`end_time.gt."${now}",settings->attempts->>retakes_close_at.gt."${now}"`)
                     .order('start_time', { ascending: true });
                 setUpcomingExams(tests || []);
             }
@@ -79,8 +86,8 @@ export default function StudentDashboard() {
             const { data: results } = await supabase
                 .from('exam_sessions')
                 .select(`
-                    id, score, status, ended_at,
-                    tests (title, total_marks)
+                    id, test_id, student_id, attempt_number, score, status, ended_at, grading_status,
+                    tests (title, total_marks, settings)
                 `)
                 .eq('student_id', user.id)
                 .in('status', ['completed', 'invalidated'])
@@ -132,20 +139,19 @@ export default function StudentDashboard() {
         }
     };
 
-    // ── Initial load: build testId → session map ────────────────────────────────
-    const fetchSessionMap = async () => {
+    // ── Initial load: every attempt, and extra attempts granted ─────────────────
+    const fetchMySessions = async () => {
         if (!user) return;
         const { data } = await supabase
             .from('exam_sessions')
-            .select('id, test_id, status, score, tests(total_marks)')
+            .select('id, test_id, student_id, attempt_number, status, score, grading_status, started_at, ended_at')
             .eq('student_id', user.id);
-        const map = {};
-        for (const s of (data || [])) {
-            if (!map[s.test_id]) {
-                map[s.test_id] = { status: s.status, sessionId: s.id, score: s.score, totalMarks: s.tests?.total_marks };
-            }
+        setMySessions(data || []);
+        try {
+            setMyGrants(await fetchAttemptGrants(supabase, null, user.id));
+        } catch (err) {
+            console.error('Failed to load extra attempts:', err);
         }
-        setMySessionMap(map);
     };
 
     // ── Real-time lock: fires <500 ms after session row is created on ANY device ─
@@ -162,36 +168,41 @@ export default function StudentDashboard() {
                 const s = payload.new;
                 if (!s?.test_id) return;
                 console.log('[SessionLock] ⚡ Realtime:', s.test_id, '→', s.status);
-                setMySessionMap(prev => ({
-                    ...prev,
-                    [s.test_id]: {
-                        status: s.status,
-                        sessionId: s.id,
-                        score: s.score ?? prev[s.test_id]?.score,
-                        totalMarks: prev[s.test_id]?.totalMarks,
-                    },
-                }));
+                setMySessions(prev => [...prev.filter(p => p.id !== s.id), s]);
             })
             .subscribe();
     };
 
+    /** summarizeAttempts() for one test. */
+    const attemptsFor = (test) => {
+        const key = attemptKey(test.id, user.id);
+        return summarizeAttempts(test, mySessions.filter(s => s.test_id === test.id), myGrants.get(key) || 0);
+    };
+
     /**
      * Determines the current state of an exam for this student.
      * 'upcoming'   – too early to start (>5 min before start)
      * 'ready'      – within the launch window, no session yet
-     * 'active'     – session exists and is in-progress
-     * 'completed'  – session submitted successfully
-     * 'invalidated'– session was voided by admin
+     * 'active'     – an attempt is in progress (or paused)
+     * 'retake'     – attempted, and another attempt can start now (until retakes close)
+     * 'cooldown'   – attempted, another attempt opens after the cooling-off period, before retakes close
+     * 'completed'  – attempted, no further attempt
+     * 'invalidated'– latest attempt was voided by admin
      * 'ended'      – time window has closed, no session was started
      */
-    const getExamState = (test) => {
+    const getExamState = (test, attempts) => {
         const now = new Date();
         const start = new Date(test.start_time);
         const end = new Date(test.end_time);
 
-        // Session exists → its status takes full priority (hides Start Exam immediately)
-        const session = mySessionMap[test.id];
-        if (session) return session.status; // 'active' | 'completed' | 'invalidated'
+        // Attempts exist → they take full priority (hides Start Exam immediately)
+        if (attempts.open) return 'active';
+        if (attempts.latest) {
+            const retakesClose = attemptsOpenUntil(test, true);
+            if (now <= retakesClose && attempts.canStart) return 'retake';
+            if (attempts.nextAttemptAt && attempts.nextAttemptAt <= retakesClose && attempts.remaining !== 0) return 'cooldown';
+            return attempts.latest.status === 'invalidated' ? 'invalidated' : 'completed';
+        }
 
         if (now > end) return 'ended';
         const minsToStart = (start - now) / 60000;
@@ -201,6 +212,11 @@ export default function StudentDashboard() {
 
     if (loading) return <LinearProgress sx={{ borderRadius: 1 }} />;
 
+    // Stats count each test once, at the score its scoring policy reports
+    const testResults = [...groupAttempts(pastResults).values()]
+        .map(list => policyResult(list, attemptPolicy(list[0].tests).scoring));
+    const scoredResults = testResults.filter(r => r.score !== null);
+
     return (
         <Box>
             <AdminAuthDialog
@@ -256,18 +272,27 @@ export default function StudentDashboard() {
                             ) : (
                                 <Box sx={{ maxHeight: 320, overflowY: 'auto', pr: 1 }}>
                                     {upcomingExams.map((exam) => {
-                                        const state = getExamState(exam);
-                                        const session = mySessionMap[exam.id];
+                                        const attempts = attemptsFor(exam);
+                                        const state = getExamState(exam, attempts);
                                         const start = new Date(exam.start_time);
+                                        // Reported score of the scoring policy — held back until every essay is marked
+                                        const resultSession = attempts.counted || attempts.latest;
+                                        const scoreChip = resultSession && (
+                                            <Chip icon={<CheckCircle />}
+                                                label={attempts.pending ? 'Grading' : attempts.score != null ? `✓ ${attempts.score}/${exam.total_marks ?? '?'}` : '✓ Submitted'}
+                                                size="small" color="success" variant="outlined"
+                                                onClick={() => navigate(`/dashboard/results/${resultSession.id}`)}
+                                                sx={{ cursor: 'pointer' }} />
+                                        );
 
                                         const borderColor =
-                                            state === 'ready' ? 'rgba(78,205,196,0.4)' :
+                                            state === 'ready' || state === 'retake' ? 'rgba(78,205,196,0.4)' :
                                                 state === 'active' ? 'rgba(255,152,0,0.4)' :
-                                                    state === 'completed' ? 'rgba(76,175,80,0.3)' :
+                                                    state === 'completed' || state === 'cooldown' ? 'rgba(76,175,80,0.3)' :
                                                         state === 'invalidated' ? 'rgba(244,67,54,0.3)' :
                                                             state === 'ended' ? 'rgba(128,128,128,0.2)' : 'divider';
                                         const bgColor =
-                                            state === 'ready' ? 'rgba(78,205,196,0.05)' :
+                                            state === 'ready' || state === 'retake' ? 'rgba(78,205,196,0.05)' :
                                                 state === 'active' ? 'rgba(255,152,0,0.05)' :
                                                     state === 'completed' ? 'rgba(76,175,80,0.04)' : 'action.hover';
 
@@ -283,6 +308,11 @@ export default function StudentDashboard() {
                                                         <Typography variant="caption" color="text.secondary">
                                                             {exam.courses?.name} • {exam.duration_minutes} min • {start.toLocaleString()}
                                                         </Typography>
+                                                        {attempts.latest && attempts.allowed !== 1 && (
+                                                            <Typography variant="caption" color="text.secondary" display="block">
+                                                                {attempts.used} attempt{attempts.used === 1 ? '' : 's'} • {attemptStatusText(attempts)}
+                                                            </Typography>
+                                                        )}
                                                     </Box>
 
                                                     {/* ── Per-state action ── */}
@@ -300,12 +330,16 @@ export default function StudentDashboard() {
                                                             Resume
                                                         </Button>
                                                     )}
-                                                    {state === 'completed' && (
-                                                        <Chip icon={<CheckCircle />}
-                                                            label={session?.score != null ? `✓ ${session.score}/${session.totalMarks ?? '?'}` : '✓ Submitted'}
-                                                            size="small" color="success" variant="outlined"
-                                                            onClick={() => session?.sessionId && navigate(`/dashboard/results/${session.sessionId}`)}
-                                                            sx={{ cursor: 'pointer' }} />
+                                                    {(state === 'completed' || state === 'cooldown') && scoreChip}
+                                                    {state === 'retake' && (
+                                                        <Box sx={{ display: 'flex', gap: 1, alignItems: 'center' }}>
+                                                            {scoreChip}
+                                                            <Button variant="contained" size="small" startIcon={<Replay />}
+                                                                onClick={() => navigate(`/dashboard/exam/${exam.id}?attempt=new`)}
+                                                                sx={{ background: 'linear-gradient(135deg,#4ECDC4,#44B09E)', whiteSpace: 'nowrap' }}>
+                                                                Retake
+                                                            </Button>
+                                                        </Box>
                                                     )}
                                                     {state === 'invalidated' && (
                                                         <Chip label="INVALIDATED" size="small" color="error" />
@@ -338,14 +372,14 @@ export default function StudentDashboard() {
                                     <Box sx={{ display: 'flex', gap: 3 }}>
                                         <Box sx={{ textAlign: 'center' }}>
                                             <Typography variant="h3" fontWeight={700} color="primary">
-                                                {pastResults.length}
+                                                {testResults.length}
                                             </Typography>
                                             <Typography variant="caption" color="text.secondary">Exams Taken</Typography>
                                         </Box>
                                         <Box sx={{ textAlign: 'center' }}>
                                             <Typography variant="h3" fontWeight={700} sx={{ color: '#4ECDC4' }}>
-                                                {pastResults.length > 0
-                                                    ? Math.round(pastResults.reduce((a, s) => a + (s.score || 0), 0) / pastResults.length)
+                                                {scoredResults.length > 0
+                                                    ? Math.round(scoredResults.reduce((a, r) => a + r.score, 0) / scoredResults.length)
                                                     : 0}
                                             </Typography>
                                             <Typography variant="caption" color="text.secondary">Avg Score</Typography>
@@ -391,10 +425,13 @@ export default function StudentDashboard() {
                                                         </Box>
                                                         <Typography variant="caption" color="text.secondary">
                                                             {result.ended_at ? new Date(result.ended_at).toLocaleDateString() : '—'}
+                                                            {attemptPolicy(result.tests).max_attempts !== 1 && ` • Attempt ${result.attempt_number ?? 1}`}
                                                         </Typography>
                                                     </Box>
                                                     {result.status === 'invalidated' ? (
                                                         <Typography variant="body2" fontWeight={700} color="error">VOID</Typography>
+                                                    ) : result.grading_status === 'pending' ? (
+                                                        <Chip label="Grading" size="small" color="warning" variant="outlined" />
                                                     ) : (
                                                         <Chip
                                                             label={`${result.score || 0}/${result.tests?.total_marks || 0}`}
@@ -21,6 +21,11 @@ erDiagram
     courses ||--o{ enrollments : "has"
     tests ||--o{ test_questions : "includes"
     questions ||--o{ test_questions : "is_in"
+    tests ||--o{ test_question_pools : "draws_from"
+    exam_sessions ||--o{ session_questions : "paper"
+    questions ||--o{ session_questions : "drawn_as"
+    questions ||--o{ question_versions : "versioned_as"
+    question_versions ||--o{ test_questions : "pinned_by"
     tests ||--o{ exam_sessions : "generates"
     exam_sessions ||--o{ answers : "contains"
     exam_sessions ||--o{ flags : "triggers"
@@ -10,6 +10,19 @@ async function hashPassword(password) {
     return hashArray.map(b => b.toString(16).padStart(2, '0')).join('');
 }
 
+// A signed token (see sign-in) that hasn't expired — the signature itself is
+// checked by the edge functions
+function tokenValid(token) {
+    try {
+        const [payload, signature] = (token || '').split('.');
+        if (!signature) return false;
+        const claims = JSON.parse(atob(payload.replace(/-/g, '+').replace(/_/g, '/')));
+        return claims.exp > Date.now() / 1000;
+    } catch {
+        return false;
+    }
+}
+
 const useAuthStore = create((set, get) => ({
     user: null,
     session: null,
@@ -21,10 +34,12 @@ const useAuthStore = create((set, get) => ({
         try {
             // Check for stored session
             const stored = localStorage.getItem('pw_session');
-            if (stored) {
-                const session = JSON.parse(stored);
+            const session = stored ? JSON.parse(stored) : null;
+            if (session && tokenValid(session.token)) {
                 set({ user: session.user, session, loading: false });
             } else {
+                // Sessions from before signed tokens, or expired ones, sign in again
+                localStorage.removeItem('pw_session');
                 set({ loading: false });
             }
         } catch (err) {
@@ -38,40 +53,18 @@ const useAuthStore = create((set, get) => ({
         try {
             const passwordHash = await hashPassword(password);
 
-            // Query user from database
-            const { data: users, error } = await supabase
-                .from('users')
-                .select('*')
-                .eq('username', username)
-                .eq('is_active', true)
-                .limit(1);
-
-            if (error) throw error;
-            if (!users || users.length === 0) {
-                throw new Error('Invalid username or password');
-            }
-
-            const user = users[0];
-
-            // Verify password (compare hashes)
-            if (user.password_hash !== passwordHash) {
-                throw new Error('Invalid username or password');
+            // The password is checked server-side, which signs the session token
+            // the edge functions trust (supabase/functions/sign-in)
+            const { data, error } = await supabase.functions.invoke('sign-in', {
+                body: { username, passwordHash },
+            });
+            if (error || !data?.token) {
+                throw new Error(error?.context?.status === 401
+                    ? 'Invalid username or password' : 'Could not reach the sign-in service');
             }
 
-            // Create session
-            const session = {
-                user: {
-                    id: user.id,
-                    email: user.email,
-                    username: user.username,
-                    full_name: user.full_name,
-                    role: user.role,
-                    phone: user.phone,
-                    profile_photo_url: user.profile_photo_url,
-                    first_login: user.first_login,
-                },
-                token: btoa(JSON.stringify({ id: user.id, role: user.role, ts: Date.now() })),
-            };
+            const user = data.user;
+            const session = { user, token: data.token };
 
             localStorage.setItem('pw_session', JSON.stringify(session));
 
@@ -0,0 +1,95 @@
+-- ============================================================================
+-- MULTIPLE ATTEMPTS MIGRATION FOR PROCTORWATCH
+-- Run in Supabase SQL Editor (after regrade_migration.sql)
+-- ============================================================================
+
+-- ============================================================================
+-- 1. Attempts on exam_sessions
+--    A student may now have several sessions for one test, numbered from 1.
+--    Only one of them can be open (in progress or paused) at a time — that
+--    index also settles two devices starting the same exam at once.
+-- ============================================================================
+ALTER TABLE exam_sessions DROP CONSTRAINT IF EXISTS exam_sessions_test_id_student_id_key;
+ALTER TABLE exam_sessions ADD COLUMN IF NOT EXISTS attempt_number INTEGER NOT NULL DEFAULT 1;
+
+ALTER TABLE exam_sessions DROP CONSTRAINT IF EXISTS exam_sessions_attempt_key;
+ALTER TABLE exam_sessions ADD CONSTRAINT exam_sessions_attempt_key UNIQUE (test_id, student_id, attempt_number);
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_exam_sessions_open_attempt
+  ON exam_sessions(test_id, student_id) WHERE status IN ('in_progress', 'paused');
+
+-- ============================================================================
+-- 2. Extra attempts granted by a teacher
+--    Added to the test's attempt limit for one student; one row per grant
+--    so the history stays visible.
+-- ============================================================================
+CREATE TABLE IF NOT EXISTS attempt_grants (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  test_id UUID REFERENCES tests(id) ON DELETE CASCADE,
+  student_id UUID REFERENCES users(id) ON DELETE CASCADE,
+  extra_attempts INTEGER NOT NULL CHECK (extra_attempts > 0),
+  reason TEXT,
+  granted_by UUID REFERENCES users(id) ON DELETE SET NULL,
+  created_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_attempt_grants_test_student ON attempt_grants(test_id, student_id);
+
+ALTER TABLE attempt_grants ENABLE ROW LEVEL SECURITY;
+DROP POLICY IF EXISTS "Allow all for authenticated" ON attempt_grants;
+CREATE POLICY "Allow all for authenticated" ON attempt_grants FOR ALL USING (true);
+
+-- ============================================================================
+-- 3. Attempt policy, enforced when a session is created
+--    tests.settings.attempts = { max_attempts, cooldown_minutes, scoring,
+--    retakes_close_at }
+--    max_attempts 0 is unlimited; tests without a policy allow one attempt.
+--    Retakes may start until retakes_close_at, or the test's end_time when
+--    it is not set.
+--    Scoring (highest / latest / average) only decides which score is
+--    reported, see src/lib/examAttempts.js.
+-- ============================================================================
+CREATE OR REPLACE FUNCTION start_exam_attempt()
+RETURNS TRIGGER AS $$
+DECLARE
+  policy JSONB;
+  max_attempts INTEGER;
+  cooldown_minutes INTEGER;
+  used INTEGER;
+  last_number INTEGER;
+  last_ended TIMESTAMPTZ;
+  granted INTEGER;
+  retakes_close TIMESTAMPTZ;
+BEGIN
+  SELECT COALESCE(settings -> 'attempts', '{}'::JSONB),
+         COALESCE((settings -> 'attempts' ->> 'retakes_close_at')::TIMESTAMPTZ, end_time)
+  INTO policy, retakes_close FROM tests WHERE id = NEW.test_id;
+  max_attempts := COALESCE((policy ->> 'max_attempts')::INTEGER, 1);
+  cooldown_minutes := COALESCE((policy ->> 'cooldown_minutes')::INTEGER, 0);
+
+  SELECT COUNT(*), MAX(attempt_number), MAX(COALESCE(ended_at, started_at))
+  INTO used, last_number, last_ended
+  FROM exam_sessions WHERE test_id = NEW.test_id AND student_id = NEW.student_id;
+
+  SELECT COALESCE(SUM(extra_attempts), 0) INTO granted
+  FROM attempt_grants WHERE test_id = NEW.test_id AND student_id = NEW.student_id;
+
+  IF max_attempts > 0 AND used >= max_attempts + granted THEN
+    RAISE EXCEPTION 'ATTEMPTS_EXHAUSTED: no attempts left on test %', NEW.test_id;
+  END IF;
+  IF used > 0 AND cooldown_minutes > 0 AND last_ended + make_interval(mins => cooldown_minutes) > NOW() THEN
+    RAISE EXCEPTION 'ATTEMPT_COOLDOWN: next attempt from %', last_ended + make_interval(mins => cooldown_minutes);
+  END IF;
+  IF used > 0 AND retakes_close < NOW() THEN
+    RAISE EXCEPTION 'ATTEMPTS_CLOSED: retakes of test % closed at %', NEW.test_id, retakes_close;
+  END IF;
+
+  NEW.attempt_number := COALESCE(last_number, 0) + 1;
+  RETURN NEW;
+END;
+$$ LANGUAGE plpgsql;
+
+DROP TRIGGER IF EXISTS trg_exam_sessions_attempt ON exam_sessions;
+CREATE TRIGGER trg_exam_sessions_attempt
+  BEFORE INSERT ON exam_sessions
+  FOR EACH ROW EXECUTE FUNCTION start_exam_attempt();
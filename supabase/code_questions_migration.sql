@@ -0,0 +1,25 @@
+-- ============================================================================
+-- CODE QUESTIONS MIGRATION FOR PROCTORWATCH
+-- Run in Supabase SQL Editor (after essay_grading_migration.sql)
+-- Then redeploy: supabase functions deploy grade-exam
+-- ============================================================================
+
+-- ============================================================================
+-- 1. CODE question type
+--    options: { language, function_name, starter_code, samples: [{ args, expected }] }
+--    correct_answer: hidden tests [{ args, expected }] — never sent to the exam
+--    client; grade-exam runs them on submit (functions/_shared/codeRunner.js).
+-- ============================================================================
+ALTER TABLE questions DROP CONSTRAINT IF EXISTS questions_question_type_check;
+ALTER TABLE questions ADD CONSTRAINT questions_question_type_check CHECK (question_type IN (
+  'MCQ_SINGLE', 'MCQ_MULTIPLE', 'TRUE_FALSE', 'NUMERIC',
+  'SHORT_TEXT', 'FILL_BLANK', 'MATCHING', 'ORDERING', 'ESSAY', 'CODE'
+));
+
+-- ============================================================================
+-- 2. Hidden test outcome per answer
+--    { passed, total, tests: [{ passed, error }] } — no test inputs or expected
+--    values, so the review screen can show it to students. Carries { error }
+--    instead when the runtime could not run code; re-grade the session later.
+-- ============================================================================
+ALTER TABLE answers ADD COLUMN IF NOT EXISTS code_results JSONB;
@@ -0,0 +1,120 @@
+-- ============================================================================
+-- EXAM DEADLINE MIGRATION FOR PROCTORWATCH
+-- Run in Supabase SQL Editor (after snapshot_migration.sql)
+-- ============================================================================
+
+-- ============================================================================
+-- 1. Deadline columns on exam_sessions
+--    deadline_at = started_at + duration + per-student extra time
+--                  + proctor-granted extra time + time spent paused
+-- ============================================================================
+ALTER TABLE exam_sessions ADD COLUMN IF NOT EXISTS deadline_at TIMESTAMPTZ;
+ALTER TABLE exam_sessions ADD COLUMN IF NOT EXISTS paused_at TIMESTAMPTZ;
+ALTER TABLE exam_sessions ADD COLUMN IF NOT EXISTS paused_seconds INTEGER DEFAULT 0;
+
+-- ============================================================================
+-- 2. Functions & triggers
+--    - server_time(): server clock for the client countdown
+--    - set_session_deadline(): keeps deadline_at current, clamps ended_at,
+--      and runs on every update so no client can write the timing columns
+--    - enforce_answer_deadline(): rejects answer writes after the deadline
+-- ============================================================================
+-- Server clock for the exam client's countdown
+CREATE OR REPLACE FUNCTION server_time()
+RETURNS TIMESTAMPTZ AS $$
+  SELECT NOW();
+$$ LANGUAGE sql STABLE;
+
+-- Maintains started_at / deadline_at / paused_seconds / ended_at on exam_sessions
+CREATE OR REPLACE FUNCTION set_session_deadline()
+RETURNS TRIGGER AS $$
+DECLARE
+  t RECORD;
+  student_email TEXT;
+  student_extra INTEGER;
+BEGIN
+  SELECT duration_minutes, start_time, settings INTO t FROM tests WHERE id = NEW.test_id;
+  SELECT email INTO student_email FROM users WHERE id = NEW.student_id;
+
+  -- The timing columns are the server's: clients can't write them, this trigger
+  -- works them out from OLD (time given back goes into paused_seconds)
+  IF TG_OP = 'UPDATE' THEN
+    NEW.started_at := OLD.started_at;
+    NEW.paused_at := OLD.paused_at;
+    NEW.paused_seconds := OLD.paused_seconds;
+  END IF;
+
+  IF TG_OP = 'INSERT' THEN
+    -- Server clock only; time in the waiting room before the scheduled start doesn't count
+    NEW.started_at := GREATEST(NOW(), t.start_time);
+    NEW.paused_at := NULL;
+    NEW.paused_seconds := 0;
+  ELSIF NEW.status = 'paused' AND OLD.status IS DISTINCT FROM 'paused' THEN
+    NEW.paused_at := NOW();
+  ELSIF OLD.status = 'paused' AND NEW.status IS DISTINCT FROM 'paused' AND OLD.paused_at IS NOT NULL THEN
+    -- Suspensions don't consume exam time
+    NEW.paused_seconds := COALESCE(OLD.paused_seconds, 0) + EXTRACT(EPOCH FROM NOW() - OLD.paused_at)::INTEGER;
+    NEW.paused_at := NULL;
+  ELSIF OLD.status = 'terminated' AND NEW.status = 'in_progress' AND OLD.ended_at IS NOT NULL THEN
+    -- A proctor reinstatement gives back the time spent terminated
+    NEW.paused_seconds := COALESCE(OLD.paused_seconds, 0) + EXTRACT(EPOCH FROM NOW() - OLD.ended_at)::INTEGER;
+  END IF;
+
+  student_extra := COALESCE((t.settings -> 'extra_time_students' ->> student_email)::INTEGER, 0);
+  NEW.deadline_at := NEW.started_at
+    + make_interval(mins => t.duration_minutes + student_extra + COALESCE(NEW.extra_time_minutes, 0))
+    + make_interval(secs => COALESCE(NEW.paused_seconds, 0));
+
+  -- The client can't back- or post-date the end of its own exam
+  IF TG_OP = 'UPDATE' AND NEW.status IN ('completed', 'terminated') AND OLD.status IS DISTINCT FROM NEW.status THEN
+    NEW.ended_at := LEAST(NOW(), NEW.deadline_at);
+  END IF;
+
+  RETURN NEW;
+END;
+$$ LANGUAGE plpgsql;
+
+DROP TRIGGER IF EXISTS trg_exam_sessions_deadline ON exam_sessions;
+CREATE TRIGGER trg_exam_sessions_deadline
+  BEFORE INSERT OR UPDATE ON exam_sessions
+  FOR EACH ROW EXECUTE FUNCTION set_session_deadline();
+
+-- Rejects candidate answer writes once the session is over (30s grace for auto-submit)
+CREATE OR REPLACE FUNCTION enforce_answer_deadline()
+RETURNS TRIGGER AS $$
+DECLARE
+  s RECORD;
+BEGIN
+  -- Grading updates (is_correct, marks_awarded) are not candidate writes
+  IF TG_OP = 'UPDATE' AND NEW.selected_answer IS NOT DISTINCT FROM OLD.selected_answer THEN
+    RETURN NEW;
+  END IF;
+  -- Neither are grade-exam's rows for dropped questions (service role)
+  IF NULLIF(current_setting('request.jwt.claims', true), '')::JSONB ->> 'role' = 'service_role' THEN
+    RETURN NEW;
+  END IF;
+
+  SELECT status, deadline_at INTO s FROM exam_sessions WHERE id = NEW.session_id;
+  IF s.status IN ('completed', 'terminated')
+     OR (s.deadline_at IS NOT NULL AND NOW() > s.deadline_at + INTERVAL '30 seconds') THEN
+    RAISE EXCEPTION 'EXAM_CLOSED: answers can no longer be changed for session %', NEW.session_id;
+  END IF;
+  IF s.status = 'paused' THEN
+    RAISE EXCEPTION 'EXAM_PAUSED: session % is suspended', NEW.session_id;
+  END IF;
+
+  NEW.answered_at := NOW();
+  RETURN NEW;
+END;
+$$ LANGUAGE plpgsql;
+
+DROP TRIGGER IF EXISTS trg_answers_deadline ON answers;
+CREATE TRIGGER trg_answers_deadline
+  BEFORE INSERT OR UPDATE ON answers
+  FOR EACH ROW EXECUTE FUNCTION enforce_answer_deadline();
+
+-- ============================================================================
+-- 3. Backfill sessions that are still running
+--    Naming started_at in the SET list fires the deadline trigger.
+-- ============================================================================
+UPDATE exam_sessions SET started_at = started_at WHERE status IN ('in_progress', 'paused');
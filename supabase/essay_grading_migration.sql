@@ -0,0 +1,45 @@
+-- ============================================================================
+-- ESSAY GRADING MIGRATION FOR PROCTORWATCH
+-- Run in Supabase SQL Editor (after question_types_migration.sql)
+-- Then redeploy: supabase functions deploy grade-exam
+-- ============================================================================
+
+-- ============================================================================
+-- 1. ESSAY question type
+--    options: { min_words, max_words, rubric: [{ criterion, marks }] }
+--    correct_answer: [] or ['<model answer / notes for graders>']
+-- ============================================================================
+ALTER TABLE questions DROP CONSTRAINT IF EXISTS questions_question_type_check;
+ALTER TABLE questions ADD CONSTRAINT questions_question_type_check CHECK (question_type IN (
+  'MCQ_SINGLE', 'MCQ_MULTIPLE', 'TRUE_FALSE', 'NUMERIC',
+  'SHORT_TEXT', 'FILL_BLANK', 'MATCHING', 'ORDERING', 'ESSAY'
+));
+
+-- ============================================================================
+-- 2. Per-answer manual grading
+--    grade-exam marks answered essays 'pending'; the grading workspace sets
+--    'graded' with the rubric breakdown, and grade-exam keeps those marks on
+--    every later re-grade. NULL = auto-graded question.
+-- ============================================================================
+ALTER TABLE answers ADD COLUMN IF NOT EXISTS grading_status TEXT;
+ALTER TABLE answers ADD COLUMN IF NOT EXISTS rubric_scores JSONB;
+ALTER TABLE answers ADD COLUMN IF NOT EXISTS grader_comment TEXT;
+ALTER TABLE answers ADD COLUMN IF NOT EXISTS graded_by UUID REFERENCES users(id);
+ALTER TABLE answers ADD COLUMN IF NOT EXISTS graded_at TIMESTAMPTZ;
+
+ALTER TABLE answers DROP CONSTRAINT IF EXISTS answers_grading_status_check;
+ALTER TABLE answers ADD CONSTRAINT answers_grading_status_check
+  CHECK (grading_status IN ('pending', 'graded'));
+
+CREATE INDEX IF NOT EXISTS idx_answers_grading ON answers(question_id, grading_status);
+
+-- ============================================================================
+-- 3. Session grading state
+--    'pending' while any essay is unmarked — StudentTestResult holds back the
+--    score from students until it is 'complete'.
+-- ============================================================================
+ALTER TABLE exam_sessions ADD COLUMN IF NOT EXISTS grading_status TEXT DEFAULT 'complete';
+
+ALTER TABLE exam_sessions DROP CONSTRAINT IF EXISTS exam_sessions_grading_status_check;
+ALTER TABLE exam_sessions ADD CONSTRAINT exam_sessions_grading_status_check
+  CHECK (grading_status IN ('pending', 'complete'));
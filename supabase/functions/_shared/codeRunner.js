@@ -0,0 +1,211 @@
+/**
+ * Code Runner — runs CODE answers against test cases in a sandbox.
+ *
+ * Shared like grading.js: the exam window runs the visible sample tests with
+ * it and grade-exam runs the hidden tests on submit. Student code runs in
+ * QuickJS, a separate JavaScript engine compiled to WebAssembly, in a fresh
+ * instance per answer. Only the language built-ins exist in there — no network,
+ * storage, DOM or Deno, and no prototype or constructor chain that leads back
+ * to the host — and an interrupt handler stops a test that runs too long.
+ * Nothing starts a process, so the desktop app's process blacklist (code,
+ * python, terminal …) stays meaningful during CODE exams.
+ *
+ * The engine is imported by package name: Vite resolves it from
+ * node_modules, Deno through grade-exam's deno.json.
+ *
+ * A test is { args: [...], expected }. The function named in the question's
+ * options is called with args; the test passes when its return value equals
+ * expected (deep comparison, numbers to within 1e-9).
+ */
+
+// ─────────────────────────────────────────────
+// CONFIGURATION
+// ─────────────────────────────────────────────
+
+// options.language → label
+export const CODE_LANGUAGES = { javascript: 'JavaScript' };
+
+const TEST_TIMEOUT_MS = 3000;               // per test case — catches infinite loops
+const MEMORY_LIMIT_BYTES = 64 * 1024 * 1024;
+const STACK_LIMIT_BYTES = 256 * 1024;       // runaway recursion fails inside the sandbox, not the host
+const MAX_OUTPUT_CHARS = 4000;
+
+const IDENTIFIER = /^[A-Za-z_$][\w$]*$/;
+
+// ─────────────────────────────────────────────
+// HELPERS
+// ─────────────────────────────────────────────
+
+/** Deep equality of JSON data; numbers match within 1e-9. */
+export function sameValue(a, b) {
+    if (typeof a === 'number' && typeof b === 'number') return Math.abs(a - b) <= 1e-9 || a === b;
+    if (Array.isArray(a) || Array.isArray(b)) {
+        return Array.isArray(a) && Array.isArray(b) && a.length === b.length && a.every((v, i) => sameValue(v, b[i]));
+    }
+    if (a && b && typeof a === 'object' && typeof b === 'object') {
+        const keys = Object.keys(a);
+        return keys.length === Object.keys(b).length && keys.every(k => sameValue(a[k], b[k]));
+    }
+    return a === b;
+}
+
+/** Share of tests passed, 0..1. */
+export function passedShare(results) {
+    return results.length === 0 ? 0 : results.filter(r => r.passed).length / results.length;
+}
+
+// Imported on first run and kept — the WebAssembly module is over a megabyte
+let engine = null;
+function loadEngine() {
+    if (!engine) {
+        engine = Promise.all([
+            import('quickjs-emscripten-core'),
+            import('@jitl/quickjs-singlefile-browser-release-sync'),
+        ]).then(([core, variant]) => ({ core, variant: variant.default }))
+            .catch((err) => { engine = null; throw err; });
+    }
+    return engine;
+}
+
+/** 'Name: message' of an error thrown inside the sandbox. */
+function describeError(vm, handle) {
+    const err = vm.dump(handle);
+    handle.dispose();
+    return err && typeof err === 'object' && err.message ? `${err.name || 'Error'}: ${err.message}` : String(err);
+}
+
+/**
+ * Call the student's function once. JSON.parse / JSON.stringify are taken
+ * before the student's code runs, so redefining them changes nothing.
+ * @returns {{ value: *, error: string | null }}
+ */
+function callOnce(vm, runtime, { fn, parse, stringify }, args) {
+    const argHandles = args.map(a => vm.unwrapResult(vm.callFunction(parse, vm.undefined, vm.newString(JSON.stringify(a ?? null)))));
+    const called = vm.callFunction(fn, vm.undefined, ...argHandles);
+    argHandles.forEach(h => h.dispose());
+    if (called.error) return { value: null, error: describeError(vm, called.error) };
+
+    // Async answers: run their jobs now — the interrupt handler still applies
+    const jobs = runtime.executePendingJobs();
+    if (jobs.error) {
+        called.value.dispose();
+        return { value: null, error: describeError(vm, jobs.error) };
+    }
+    const state = vm.getPromiseState(called.value);
+    if (state.type === 'pending') {
+        called.value.dispose();
+        return { value: null, error: 'Returned a promise that never settled' };
+    }
+    if (state.type === 'rejected') {
+        called.value.dispose();
+        return { value: null, error: describeError(vm, state.error) };
+    }
+    // A plain return value comes back as its own handle
+    const result = state.value;
+    if (result !== called.value) called.value.dispose();
+
+    if (vm.typeof(result) === 'undefined') {
+        result.dispose();
+        return { value: null, error: null };
+    }
+    const json = vm.callFunction(stringify, vm.undefined, result);
+    result.dispose();
+    if (json.error) return { value: null, error: describeError(vm, json.error) };
+    const text = vm.typeof(json.value) === 'string' ? vm.getString(json.value) : null;
+    json.value.dispose();
+    if (text === null) return { value: null, error: 'Return value cannot be represented as JSON' };
+    return { value: JSON.parse(text), error: null };
+}
+
+// ─────────────────────────────────────────────
+// API
+// ─────────────────────────────────────────────
+
+/**
+ * Run a student's code against test cases. Never rejects for problems in the
+ * student's code — those come back as failed results — only for a language
+ * the runner does not support or when the engine cannot be loaded.
+ * @param {{ language?: string, code: string, functionName: string, tests: Array<{ args: Array, expected: * }>, timeoutMs?: number }} run
+ * @returns {Promise<Array<{ passed: boolean, value: *, error: string | null, output: string }>>} one per test
+ */
+export async function runTests({ language = 'javascript', code, functionName, tests, timeoutMs = TEST_TIMEOUT_MS }) {
+    if (!CODE_LANGUAGES[language]) throw new Error(`${language} answers cannot be run`);
+    const { core, variant } = await loadEngine();
+    // A new WebAssembly instance per answer: nothing one answer does to the
+    // engine's memory can reach the next
+    const QuickJS = await core.newQuickJSWASMModuleFromVariant(variant);
+
+    const failAll = (error, output = '') => tests.map(() => ({ passed: false, value: null, error, output }));
+    if (!IDENTIFIER.test(functionName || '')) return failAll('Invalid function name');
+
+    const runtime = QuickJS.newRuntime();
+    runtime.setMemoryLimit(MEMORY_LIMIT_BYTES);
+    runtime.setMaxStackSize(STACK_LIMIT_BYTES);
+    const vm = runtime.newContext();
+    const held = [];
+    const hold = (handle) => { held.push(handle); return handle; };
+    const timedOut = `Timed out after ${timeoutMs / 1000}s`;
+
+    let output = '';
+    const log = hold(vm.newFunction('log', (...parts) => {
+        if (output.length >= MAX_OUTPUT_CHARS) return;
+        const line = parts.map(p => {
+            const v = vm.dump(p);
+            return typeof v === 'string' ? v : JSON.stringify(v);
+        }).join(' ');
+        output = (output + line + '\n').slice(0, MAX_OUTPUT_CHARS);
+    }));
+    const consoleObj = hold(vm.newObject());
+    ['log', 'info', 'warn', 'error', 'debug'].forEach(name => vm.setProp(consoleObj, name, log));
+    vm.setProp(vm.global, 'console', consoleObj);
+
+    const jsonObj = hold(vm.getProp(vm.global, 'JSON'));
+    const helpers = { parse: hold(vm.getProp(jsonObj, 'parse')), stringify: hold(vm.getProp(jsonObj, 'stringify')) };
+
+    const results = [];
+    try {
+        runtime.setInterruptHandler(core.shouldInterruptAfterDeadline(Date.now() + timeoutMs));
+        const loaded = vm.evalCode(`"use strict";\n${code}\n;typeof ${functionName} === 'function' ? ${functionName} : undefined;`, 'answer.js');
+        if (loaded.error) {
+            const error = describeError(vm, loaded.error);
+            return failAll(/interrupted/.test(error) ? timedOut : error, output);
+        }
+        helpers.fn = hold(loaded.value);
+        if (vm.typeof(helpers.fn) !== 'function') return failAll(`Define a function named ${functionName}`, output);
+
+        for (const test of tests) {
+            output = '';
+            runtime.setInterruptHandler(core.shouldInterruptAfterDeadline(Date.now() + timeoutMs));
+            let run;
+            try {
+                run = callOnce(vm, runtime, helpers, Array.isArray(test.args) ? test.args : []);
+            } catch (err) {
+                // The host gave out (its own stack) part-way through the engine
+                run = { value: null, error: `${err.name}: ${err.message}`, broken: true };
+            }
+            // An interrupted or broken engine is not reused: the tests after it are not run
+            if (run.broken || (run.error && /interrupted/.test(run.error))) {
+                results.push({ passed: false, value: null, error: run.broken ? run.error : timedOut, output });
+                break;
+            }
+            results.push({
+                passed: !run.error && sameValue(run.value, test.expected),
+                value: run.value,
+                error: run.error,
+                output,
+            });
+        }
+        for (let i = results.length; i < tests.length; i++) {
+            results.push({ passed: false, value: null, error: 'Not run', output: '' });
+        }
+        return results;
+    } finally {
+        try {
+            held.forEach(h => h.alive && h.dispose());
+            vm.dispose();
+            runtime.dispose();
+        } catch {
+            // A broken engine may not free cleanly; its instance is dropped either way
+        }
+    }
+}
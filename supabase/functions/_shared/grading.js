@@ -0,0 +1,145 @@
+/**
+ * Grading rules for every question type.
+ *
+ * Plain ES module with no imports so it runs in both runtimes: the grade-exam
+ * edge function (Deno) imports it relatively, and the web app imports it
+ * through src/lib/questionTypes.js (practice test scoring, review screens).
+ *
+ * Answer shapes (answers.selected_answer is always a JSON array):
+ *
+ *   MCQ_SINGLE / TRUE_FALSE  ['<option>']
+ *   MCQ_MULTIPLE             ['<option>', ...]
+ *   NUMERIC                  ['<number as typed>']
+ *   SHORT_TEXT               ['<text>']
+ *   FILL_BLANK               ['<blank 1>', '<blank 2>', ...]
+ *   MATCHING                 ['<right item for left 1>', ...]
+ *   ORDERING                 ['<item>', ...]  — in the student's order
+ *   ESSAY                    ['<text>']
+ *   CODE                     ['<source code>']
+ *
+ * correct_answer shapes:
+ *
+ *   MCQ_* / TRUE_FALSE       options that are correct
+ *   NUMERIC                  [{ value, tolerance }]
+ *   SHORT_TEXT               accepted answers
+ *   FILL_BLANK               [[accepted answers for blank 1], ...]
+ *   MATCHING                 right item for each left item, in order
+ *   ORDERING                 items in the correct order
+ *   ESSAY                    [] or ['<model answer / grading notes>']
+ *   CODE                     hidden tests [{ args: [...], expected }]
+ *
+ * ESSAY options are { min_words, max_words, rubric: [{ criterion, marks }] }.
+ * CODE options are { language, function_name, starter_code, samples } where
+ * samples are visible tests of the same shape as the hidden ones.
+ */
+
+// Question types that can earn a share of their marks (tests.settings.partial_credit)
+export const PARTIAL_CREDIT_TYPES = ['MCQ_MULTIPLE', 'FILL_BLANK', 'MATCHING', 'ORDERING', 'CODE'];
+
+// Question types marked by a teacher in the grading workspace, never automatically
+export const MANUAL_TYPES = ['ESSAY'];
+
+const round2 = (n) => Math.round(n * 100) / 100;
+
+/** Case-insensitive, trimmed, inner whitespace collapsed. */
+export const normalizeText = (s) => String(s ?? '').trim().replace(/\s+/g, ' ').toLowerCase();
+
+const sameSet = (a, b) =>
+    JSON.stringify(a.map(String).sort()) === JSON.stringify(b.map(String).sort());
+
+const acceptedText = (accepted, given) =>
+    (Array.isArray(accepted) ? accepted : [accepted]).some(a => normalizeText(a) === normalizeText(given));
+
+/**
+ * True when the student actually answered — blank text fields don't count.
+ * @param {Array} selected — answers.selected_answer
+ */
+export function isAnswered(selected) {
+    return Array.isArray(selected) && selected.some(v => String(v ?? '').trim() !== '');
+}
+
+/**
+ * Share of a question answered correctly, 0..1.
+ * @param {object} question — questions row (question_type, correct_answer)
+ * @param {Array} given — answers.selected_answer
+ */
+export function answerShare(question, given) {
+    const correct = Array.isArray(question.correct_answer) ? question.correct_answer : [];
+
+    switch (question.question_type) {
+        case 'NUMERIC': {
+            const key = correct[0] || {};
+            const value = parseFloat(given[0]);
+            if (!Number.isFinite(value) || !Number.isFinite(Number(key.value))) return 0;
+            // Small epsilon so 0.1 + 0.2 style float noise stays inside the tolerance
+            return Math.abs(value - Number(key.value)) <= Math.abs(Number(key.tolerance) || 0) + 1e-9 ? 1 : 0;
+        }
+        case 'SHORT_TEXT':
+            return acceptedText(correct, given[0]) ? 1 : 0;
+        case 'FILL_BLANK':
+            if (correct.length === 0) return 0;
+            return correct.filter((accepted, i) => acceptedText(accepted, given[i])).length / correct.length;
+        case 'MATCHING':
+        case 'ORDERING':
+            if (correct.length === 0) return 0;
+            return correct.filter((item, i) => String(given[i] ?? '') === String(item)).length / correct.length;
+        case 'MCQ_MULTIPLE': {
+            if (correct.length === 0) return 0;
+            if (sameSet(correct, given)) return 1;
+            // Right picks minus wrong picks, as a share of the right options
+            const right = given.filter(o => correct.map(String).includes(String(o))).length;
+            return Math.max(0, (right - (given.length - right)) / correct.length);
+        }
+        case 'CODE':
+            // Needs the code to run — grade-exam passes the share of hidden tests passed (codeRunner.js)
+            return 0;
+        default:
+            return correct.length > 0 && sameSet(correct, given) ? 1 : 0;
+    }
+}
+
+/**
+ * Marks for one answer. Skipped questions are never penalised; partially
+ * right multi-part answers earn their share only when the test allows
+ * partial credit. Manually graded types score 0 here — grade-exam keeps the
+ * teacher's marks instead.
+ * @param {{ question: object, marks: number, penalty: number }} item — penalty is a positive number
+ * @param {Array} selected — answers.selected_answer
+ * @param {object} settings — tests.settings (negative_marking, partial_credit)
+ * @param {number} [share] — share already worked out by the caller (CODE: hidden tests passed)
+ * @returns {{ is_correct: boolean, marks_awarded: number }}
+ */
+export function gradeAnswer(item, selected, settings, share = null) {
+    if (!isAnswered(selected) || MANUAL_TYPES.includes(item.question.question_type)) {
+        return { is_correct: false, marks_awarded: 0 };
+    }
+
+    const earned = share ?? answerShare(item.question, selected);
+    if (earned >= 1) return { is_correct: true, marks_awarded: item.marks };
+
+    if (settings?.partial_credit && earned > 0 && PARTIAL_CREDIT_TYPES.includes(item.question.question_type)) {
+        return { is_correct: false, marks_awarded: round2(item.marks * earned) };
+    }
+
+    return { is_correct: false, marks_awarded: settings?.negative_marking ? -item.penalty : 0 };
+}
+
+/**
+ * Marks for one answer to a question a re-grade changed for the whole test
+ * (test_key_adjustments). A dropped question gives everyone who had it on
+ * their paper full marks, answered or not. Replacement keys are graded like
+ * the original key, taking the best share over every accepted key — so
+ * accepting two options of an MCQ_SINGLE is two keys of one option each.
+ * @param {{ question: object, marks: number, penalty: number }} item
+ * @param {Array} selected — answers.selected_answer
+ * @param {object} settings — tests.settings
+ * @param {{ dropped: boolean, answer_keys: Array }} adjustment — answer_keys are correct_answer shapes
+ * @returns {{ is_correct: boolean, marks_awarded: number }}
+ */
+export function gradeAdjusted(item, selected, settings, adjustment) {
+    if (adjustment.dropped) return { is_correct: true, marks_awarded: item.marks };
+    const keys = Array.isArray(adjustment.answer_keys) ? adjustment.answer_keys : [];
+    if (keys.length === 0 || !isAnswered(selected)) return gradeAnswer(item, selected, settings);
+    const share = Math.max(...keys.map(key => answerShare({ ...item.question, correct_answer: key }, selected)));
+    return gradeAnswer(item, selected, settings, share);
+}
@@ -0,0 +1,235 @@
+/**
+ * Item analysis — classical test theory statistics for one test's results.
+ *
+ * Plain ES module with no imports, like grading.js: the test-statistics edge
+ * function (Deno) gathers papers and answers and calls analyzeItems(); the
+ * web app renders and exports the report it returns.
+ *
+ * Each candidate's credit on an item is marks_awarded / marks, clamped to
+ * 0–1 (negative marking counts as 0, partial credit as a share). Papers drawn
+ * from pools hold different items, so every item statistic uses only the
+ * candidates whose paper had that item, and reliability is computed over the
+ * items every candidate sat.
+ *
+ *   p-value         mean credit — the share of the marks candidates earned
+ *   discrimination  point-biserial correlation between item credit and the
+ *                   rest of the score (total minus this item), so the item
+ *                   isn't correlated with itself
+ *   upper / lower   mean credit in the top and bottom 27% by total score
+ *   distractors     per option of choice items: share choosing it overall
+ *                   and in the upper and lower groups, and the mean rest
+ *                   score of those who chose it
+ *   KR-20           internal consistency; with partial-credit items this is
+ *                   the same formula on credit shares (Cronbach's alpha)
+ */
+
+// ─────────────────────────────────────────────
+// CONFIGURATION
+// ─────────────────────────────────────────────
+export const ITEM_ANALYSIS_THRESHOLDS = {
+    MIN_RESPONSES: 5,           // fewer candidates than this: statistics shown, no flags
+    GROUP_SHARE: 0.27,          // upper / lower groups
+    HARD_P: 0.2,
+    EASY_P: 0.9,
+    WEAK_DISCRIMINATION: 0.2,
+    MISKEY_MIN_SHARE: 0.1,      // a distractor must draw this share of candidates to suggest a miskey
+};
+
+// Items whose answer is picked from options, so distractors can be analysed
+export const CHOICE_TYPES = ['MCQ_SINGLE', 'MCQ_MULTIPLE', 'TRUE_FALSE'];
+
+const round3 = (n) => (n === null || !Number.isFinite(n) ? null : Math.round(n * 1000) / 1000);
+
+const mean = (xs) => (xs.length ? xs.reduce((a, b) => a + b, 0) / xs.length : null);
+
+/** Population variance. */
+function variance(xs) {
+    const m = mean(xs);
+    return xs.length ? xs.reduce((s, x) => s + (x - m) ** 2, 0) / xs.length : null;
+}
+
+/** Pearson correlation, or null when either side doesn't vary. */
+function correlation(xs, ys) {
+    if (xs.length < 2) return null;
+    const mx = mean(xs);
+    const my = mean(ys);
+    let sxy = 0, sxx = 0, syy = 0;
+    for (let i = 0; i < xs.length; i++) {
+        sxy += (xs[i] - mx) * (ys[i] - my);
+        sxx += (xs[i] - mx) ** 2;
+        syy += (ys[i] - my) ** 2;
+    }
+    return sxx && syy ? sxy / Math.sqrt(sxx * syy) : null;
+}
+
+function median(sorted) {
+    if (!sorted.length) return null;
+    const mid = Math.floor(sorted.length / 2);
+    return sorted.length % 2 ? sorted[mid] : (sorted[mid - 1] + sorted[mid]) / 2;
+}
+
+const credit = (awarded, marks) => (marks > 0 ? Math.min(1, Math.max(0, (Number(awarded) || 0) / marks)) : 0);
+
+// ─────────────────────────────────────────────
+// ANALYSIS
+// ─────────────────────────────────────────────
+
+/**
+ * Flags on one item. Miskey checks only apply to choice items: a popular
+ * distractor whose choosers did better on the rest of the test than the
+ * key's choosers usually means the key is wrong.
+ */
+function itemFlags(item) {
+    const T = ITEM_ANALYSIS_THRESHOLDS;
+    const flags = [];
+    if (item.responses < T.MIN_RESPONSES || item.p === null) return flags;
+
+    const keyRest = Math.max(...item.options.filter(o => o.key && o.mean_rest !== null).map(o => o.mean_rest));
+    const rival = item.options
+        .filter(o => !o.key && o.mean_rest !== null && o.rate >= T.MISKEY_MIN_SHARE)
+        .sort((a, b) => b.mean_rest - a.mean_rest)
+        .find(o => o.mean_rest > keyRest);
+    if (rival) {
+        flags.push({
+            code: 'MISKEY', severity: 'error',
+            message: `Candidates who chose "${rival.option}" did better on the rest of the test than those who chose the key — check the key`,
+        });
+    } else if (item.discrimination !== null && item.discrimination < 0) {
+        flags.push({
+            code: 'NEGATIVE_DISCRIMINATION', severity: 'error',
+            message: 'Weaker candidates did better than stronger ones — check the key and the wording',
+        });
+    } else if (item.discrimination !== null && item.discrimination < T.WEAK_DISCRIMINATION) {
+        flags.push({ code: 'WEAK_DISCRIMINATION', severity: 'warning', message: 'Barely separates stronger from weaker candidates' });
+    }
+    if (item.p < T.HARD_P) flags.push({ code: 'TOO_HARD', severity: 'warning', message: 'Very few candidates earned the marks' });
+    if (item.p > T.EASY_P) flags.push({ code: 'TOO_EASY', severity: 'warning', message: 'Almost every candidate earned the marks' });
+
+    item.options
+        .filter(o => !o.key && o.rate === 0)
+        .forEach(o => flags.push({ code: 'UNUSED_DISTRACTOR', severity: 'warning', message: `Nobody chose "${o.option}"` }));
+    return flags;
+}
+
+/**
+ * Analyse a test's results.
+ * @param {Array<{ id: string, items: Array<{ question: object, marks: number }> }>} papers
+ *   — one per graded session: the questions on its paper (pinned content) and their marks
+ * @param {object[]} answers — answers rows of those sessions (session_id, question_id,
+ *   selected_answer, marks_awarded)
+ * @returns {{ summary: object, reliability: object, items: object[] }}
+ */
+export function analyzeItems(papers, answers) {
+    const T = ITEM_ANALYSIS_THRESHOLDS;
+    const answerOf = new Map(answers.map(a => [`${a.session_id}:${a.question_id}`, a]));
+
+    // Per candidate: credit and awarded marks on each item of their paper
+    const candidates = papers.map(paper => {
+        const cells = new Map();
+        let total = 0;
+        paper.items.forEach(({ question, marks }) => {
+            const answer = answerOf.get(`${paper.id}:${question.id}`);
+            const awarded = Number(answer?.marks_awarded) || 0;
+            cells.set(question.id, { credit: credit(awarded, marks), awarded, selected: answer?.selected_answer });
+            total += awarded;
+        });
+        return { id: paper.id, cells, total };
+    });
+
+    // Upper and lower groups by total score
+    const ranked = [...candidates].sort((a, b) => b.total - a.total);
+    const groupSize = Math.max(1, Math.round(ranked.length * T.GROUP_SHARE));
+    const upper = new Set(ranked.slice(0, groupSize).map(c => c.id));
+    const lower = new Set(ranked.slice(-groupSize).map(c => c.id));
+
+    // Every distinct item, in first-seen paper order
+    const questions = new Map();
+    papers.forEach(paper => paper.items.forEach(({ question, marks }) => {
+        if (!questions.has(question.id)) questions.set(question.id, { question, marks });
+    }));
+
+    const items = [...questions.values()].map(({ question, marks }, index) => {
+        const sat = candidates.filter(c => c.cells.has(question.id));
+        const credits = sat.map(c => c.cells.get(question.id).credit);
+        const rest = sat.map(c => c.total - c.cells.get(question.id).awarded);
+        const groupMean = (group) => mean(sat.filter(c => group.has(c.id)).map(c => c.cells.get(question.id).credit));
+        const answered = sat.filter(c => {
+            const selected = c.cells.get(question.id).selected;
+            return Array.isArray(selected) && selected.some(v => String(v ?? '').trim() !== '');
+        });
+
+        // Distractors: who picked each option (multi-select candidates count once per option)
+        let options = [];
+        if (CHOICE_TYPES.includes(question.question_type) && Array.isArray(question.options)) {
+            const key = (Array.isArray(question.correct_answer) ? question.correct_answer : []).map(String);
+            const chose = (c, option) => (c.cells.get(question.id).selected || []).map(String).includes(option);
+            const rateIn = (group, option) => {
+                const members = sat.filter(c => !group || group.has(c.id));
+                return members.length ? members.filter(c => chose(c, option)).length / members.length : null;
+            };
+            options = question.options.map(raw => {
+                const option = String(raw);
+                const choosers = sat.filter(c => chose(c, option));
+                return {
+                    option,
+                    key: key.includes(option),
+                    count: choosers.length,
+                    rate: round3(rateIn(null, option)),
+                    upper: round3(rateIn(upper, option)),
+                    lower: round3(rateIn(lower, option)),
+                    mean_rest: round3(mean(choosers.map(c => c.total - c.cells.get(question.id).awarded))),
+                };
+            });
+        }
+
+        const item = {
+            question_id: question.id,
+            position: index + 1,
+            question_text: question.question_text,
+            question_type: question.question_type,
+            version: question.version ?? null,
+            marks,
+            responses: sat.length,
+            omitted: sat.length - answered.length,
+            p: round3(mean(credits)),
+            discrimination: round3(correlation(credits, rest)),
+            upper_p: round3(groupMean(upper)),
+            lower_p: round3(groupMean(lower)),
+            options,
+        };
+        item.flags = itemFlags(item);
+        return item;
+    });
+
+    // Reliability over the items on every paper
+    const common = items.filter(i => i.responses === candidates.length && candidates.length > 0);
+    const k = common.length;
+    let kr20 = null;
+    if (k >= 2 && candidates.length >= 2) {
+        const sums = candidates.map(c => common.reduce((s, i) => s + c.cells.get(i.question_id).credit, 0));
+        const totalVariance = variance(sums);
+        const itemVariance = common.reduce((s, i) => s + variance(candidates.map(c => c.cells.get(i.question_id).credit)), 0);
+        if (totalVariance > 0) kr20 = (k / (k - 1)) * (1 - itemVariance / totalVariance);
+    }
+
+    const totals = candidates.map(c => c.total).sort((a, b) => a - b);
+    const sd = totals.length ? Math.sqrt(variance(totals)) : null;
+    return {
+        summary: {
+            candidates: candidates.length,
+            mean: round3(mean(totals)),
+            sd: round3(sd),
+            median: round3(median(totals)),
+            min: totals.length ? totals[0] : null,
+            max: totals.length ? totals[totals.length - 1] : null,
+            flagged_items: items.filter(i => i.flags.length > 0).length,
+        },
+        reliability: {
+            kr20: round3(kr20),
+            items: k,
+            // Standard error of measurement, in marks
+            sem: kr20 !== null && sd !== null ? round3(sd * Math.sqrt(Math.max(0, 1 - kr20))) : null,
+        },
+        items,
+    };
+}
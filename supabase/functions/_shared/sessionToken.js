@@ -0,0 +1,84 @@
+/**
+ * Session Token — who is calling an edge function.
+ *
+ * ProctorWatch signs users in against its own users table, so requests carry
+ * no Supabase Auth user. The sign-in function checks the password and issues
+ * this token; the web app sends it to every edge function in the
+ * x-pw-session header (src/lib/supabase.js) and functions that act for a
+ * user, like grade-exam, verify it.
+ *
+ * Token: base64url(claims) + '.' + base64url(HMAC-SHA256(claims)), signed
+ * with the PW_SESSION_SECRET function secret. Claims: { sub: user id, role,
+ * exp: epoch seconds }. Plain ES module with no imports, like grading.js.
+ */
+
+// ─────────────────────────────────────────────
+// CONFIGURATION
+// ─────────────────────────────────────────────
+
+export const SESSION_HEADER = 'x-pw-session';
+
+// Long enough for a full exam day; the app signs in again after it
+export const SESSION_TTL_SECONDS = 12 * 60 * 60;
+
+// ─────────────────────────────────────────────
+// HELPERS
+// ─────────────────────────────────────────────
+
+const encoder = new TextEncoder();
+
+function toBase64Url(bytes) {
+    let binary = '';
+    bytes.forEach(b => { binary += String.fromCharCode(b); });
+    return btoa(binary).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+}
+
+function fromBase64Url(text) {
+    const binary = atob(text.replace(/-/g, '+').replace(/_/g, '/'));
+    return Uint8Array.from(binary, c => c.charCodeAt(0));
+}
+
+const hmacKey = (secret, usage) => crypto.subtle.importKey(
+    'raw', encoder.encode(secret), { name: 'HMAC', hash: 'SHA-256' }, false, [usage]
+);
+
+// ─────────────────────────────────────────────
+// API
+// ─────────────────────────────────────────────
+
+/**
+ * Sign a token for a user who has just proved their password.
+ * @param {{ id: string, role: string }} user
+ * @param {string} secret — PW_SESSION_SECRET
+ * @returns {Promise<string>}
+ */
+export async function signSessionToken(user, secret) {
+    if (!secret) throw new Error('PW_SESSION_SECRET is not set');
+    const claims = { sub: user.id, role: user.role, exp: Math.floor(Date.now() / 1000) + SESSION_TTL_SECONDS };
+    const payload = toBase64Url(encoder.encode(JSON.stringify(claims)));
+    const signature = await crypto.subtle.sign('HMAC', await hmacKey(secret, 'sign'), encoder.encode(payload));
+    return `${payload}.${toBase64Url(new Uint8Array(signature))}`;
+}
+
+/**
+ * Claims of a token this server signed, or null when it is missing, forged
+ * or expired.
+ * @param {string | null} token
+ * @param {string} secret — PW_SESSION_SECRET
+ * @returns {Promise<{ sub: string, role: string, exp: number } | null>}
+ */
+export async function verifySessionToken(token, secret) {
+    if (!token || !secret) return null;
+    const [payload, signature, extra] = token.split('.');
+    if (!payload || !signature || extra !== undefined) return null;
+    try {
+        const valid = await crypto.subtle.verify(
+            'HMAC', await hmacKey(secret, 'verify'), fromBase64Url(signature), encoder.encode(payload)
+        );
+        if (!valid) return null;
+        const claims = JSON.parse(new TextDecoder().decode(fromBase64Url(payload)));
+        return claims.exp > Date.now() / 1000 ? claims : null;
+    } catch {
+        return null;
+    }
+}
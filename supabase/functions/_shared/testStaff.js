@@ -0,0 +1,21 @@
+/**
+ * Test Staff — who may mark and re-grade the sessions of a test: an admin,
+ * or the teacher of the test's course. grade-exam and grade-essay check the
+ * caller from the session token (sessionToken.js) with it.
+ */
+
+/**
+ * @param {object} supabaseClient — service-role client
+ * @param {string} userId — the caller
+ * @param {string} courseId — the test's course
+ * @returns {Promise<boolean>}
+ */
+export async function canGradeTest(supabaseClient, userId, courseId) {
+    const { data: user } = await supabaseClient
+        .from('users').select('role').eq('id', userId).eq('is_active', true).maybeSingle();
+    if (user?.role === 'admin') return true;
+    if (user?.role !== 'teacher' || !courseId) return false;
+    const { data: course } = await supabaseClient
+        .from('courses').select('teacher_id').eq('id', courseId).maybeSingle();
+    return course?.teacher_id === userId;
+}
@@ -0,0 +1,102 @@
+// Supabase Edge Function: Grade Essay
+// Deploy with: supabase functions deploy grade-essay
+//
+// Body: { answerId, marks, rubricScores?, comment? }
+//
+// Saves a teacher's mark on one essay answer for the grading workspace.
+// Answers are open to the exam client, so the database only takes marks from
+// the service role (enforce_answer_deadline); this function writes them for
+// an admin or the teacher of the test's course, the caller in the
+// x-pw-session header (../_shared/sessionToken.js). Marks are capped at what
+// the question carries on the candidate's paper. The workspace then re-grades
+// the session through grade-exam.
+
+import { serve } from "https://deno.land/std@0.168.0/http/server.ts";
+import { createClient } from "https://esm.sh/@supabase/supabase-js@2.39.0";
+import { MANUAL_TYPES } from "../_shared/grading.js";
+import { SESSION_HEADER, verifySessionToken } from "../_shared/sessionToken.js";
+import { canGradeTest } from "../_shared/testStaff.js";
+
+const corsHeaders = {
+    'Access-Control-Allow-Origin': '*',
+    'Access-Control-Allow-Headers': 'authorization, x-client-info, apikey, content-type, x-pw-session',
+};
+
+const json = (body: unknown, status = 200) => new Response(
+    JSON.stringify(body),
+    { headers: { ...corsHeaders, 'Content-Type': 'application/json' }, status }
+);
+
+const round2 = (n: number) => Math.round(n * 100) / 100;
+
+serve(async (req: Request) => {
+    if (req.method === 'OPTIONS') {
+        return new Response('ok', { headers: corsHeaders });
+    }
+
+    try {
+        const caller = await verifySessionToken(req.headers.get(SESSION_HEADER), Deno.env.get('PW_SESSION_SECRET') ?? '');
+        if (!caller) {
+            return json({ error: 'Sign in again to continue' }, 401);
+        }
+
+        const { answerId, marks, rubricScores = null, comment = null } = await req.json();
+
+        const supabaseClient = createClient(
+            Deno.env.get('SUPABASE_URL') ?? '',
+            Deno.env.get('SUPABASE_SERVICE_ROLE_KEY') ?? ''
+        );
+
+        const { data: answer } = await supabaseClient
+            .from('answers')
+            .select('id, session_id, question_id, exam_sessions(test_id, tests(course_id))')
+            .eq('id', answerId)
+            .maybeSingle();
+        if (!answer) {
+            return json({ error: 'Answer not found' }, 404);
+        }
+        if (!(await canGradeTest(supabaseClient, caller.sub, answer.exam_sessions?.tests?.course_id))) {
+            return json({ error: 'Not allowed to grade this answer' }, 403);
+        }
+
+        // The question as the candidate's paper carries it (see grade-exam)
+        const select = 'marks, questions(marks, question_type), question_versions(marks, question_type)';
+        let { data: link } = await supabaseClient
+            .from('session_questions').select(select)
+            .eq('session_id', answer.session_id).eq('question_id', answer.question_id)
+            .maybeSingle();
+        if (!link) {
+            ({ data: link } = await supabaseClient
+                .from('test_questions').select(select)
+                .eq('test_id', answer.exam_sessions?.test_id).eq('question_id', answer.question_id)
+                .maybeSingle());
+        }
+        const questionType = link?.question_versions?.question_type ?? link?.questions?.question_type;
+        if (!MANUAL_TYPES.includes(questionType)) {
+            return json({ error: 'Only essay answers are marked by hand' }, 400);
+        }
+        const available = Number(link.marks ?? link.question_versions?.marks ?? link.questions?.marks ?? 0);
+        const awarded = round2(Math.min(available, Math.max(0, Number(marks) || 0)));
+
+        const { data: updated, error } = await supabaseClient
+            .from('answers')
+            .update({
+                marks_awarded: awarded,
+                is_correct: awarded >= available,
+                rubric_scores: rubricScores,
+                grader_comment: comment?.trim() || null,
+                graded_by: caller.sub,
+                graded_at: new Date().toISOString(),
+                grading_status: 'graded',
+            })
+            .eq('id', answerId)
+            .select()
+            .single();
+        if (error) throw error;
+
+        return json({ success: true, answer: updated });
+
+    } catch (error) {
+        return json({ error: (error as Error).message }, 400);
+    }
+});
@@ -1,15 +1,107 @@
-// Supabase Edge Function: Bulk Grade Exam
+// Supabase Edge Function: Grade Exam
 // Deploy with: supabase functions deploy grade-exam
+//
+// Body: { sessionId, submit? }
+//   submit: true  — called by ExamSession on submit / auto-submit: grades the
+//                   session and marks it completed (ended_at is clamped to the
+//                   deadline by the set_session_deadline trigger). Only the
+//                   session's own student may submit it.
+//   submit: false — re-grade an already finished session (teacher tools,
+//                   and the essay grading workspace after each mark). Only an
+//                   admin or the teacher of the test's course may re-grade.
+//                   Terminated and invalidated sessions are refused: their
+//                   score stays voided.
+//
+// The caller is the user in the x-pw-session header, a token signed by the
+// sign-in function (../_shared/sessionToken.js); without one the call is refused.
+//
+// Essay answers keep the marks a teacher gave them; unmarked ones are left
+// 'pending' and exam_sessions.grading_status stays 'pending' until none remain.
+//
+// CODE answers are run against the question's hidden tests in the QuickJS
+// sandbox of ../_shared/codeRunner.js (resolved through this function's
+// deno.json); the share of tests passed is graded like any other
+// partial-credit answer and a pass/fail summary is kept in
+// answers.code_results for the review screen.
+//
+// Questions are graded against the version their paper pinned
+// (question_versions), so correcting a bank question never changes the
+// result of an exam already set with it. A wrong key on a test already sat
+// is fixed with a re-grade instead (TestResults): test_key_adjustments
+// replaces a question's key for that test only, or drops the question, and
+// every finished session is re-graded through this function.
+//
+// Correct answers never leave the server: the exam client only sends
+// selected answers and receives the score. Per-type rules live in
+// ../_shared/grading.js (shared with the web app).
 
 // @deno-types="https://deno.land/x/types/index.d.ts"
 import { serve } from "https://deno.land/std@0.168.0/http/server.ts";
 import { createClient } from "https://esm.sh/@supabase/supabase-js@2.39.0";
+import { gradeAnswer, gradeAdjusted, isAnswered, MANUAL_TYPES } from "../_shared/grading.js";
+import { runTests, passedShare } from "../_shared/codeRunner.js";
+import { SESSION_HEADER, verifySessionToken } from "../_shared/sessionToken.js";
+import { canGradeTest } from "../_shared/testStaff.js";
 
 const corsHeaders = {
     'Access-Control-Allow-Origin': '*',
-    'Access-Control-Allow-Headers': 'authorization, x-client-info, apikey, content-type',
+    'Access-Control-Allow-Headers': 'authorization, x-client-info, apikey, content-type, x-pw-session',
 };
 
+interface GradeItem {
+    question: any;
+    marks: number;      // as set on the session's paper (or the test_questions override)
+    penalty: number;    // positive number of marks deducted when wrong
+}
+
+const json = (body: unknown, status = 200) => new Response(
+    JSON.stringify(body),
+    { headers: { ...corsHeaders, 'Content-Type': 'application/json' }, status }
+);
+
+const round2 = (n: number) => Math.round(n * 100) / 100;
+
+// Ended by a proctor or after flag review — the session keeps the score it was given
+const VOIDED_STATUSES = ['terminated', 'invalidated'];
+
+// Bank question with the content of the version its paper row pinned
+const pinnedQuestion = (link: any) => {
+    const v = link.question_versions;
+    if (!v) return link.questions;
+    return {
+        ...link.questions,
+        question_text: v.question_text,
+        question_type: v.question_type,
+        options: v.options,
+        correct_answer: v.correct_answer,
+    };
+};
+
+// Runs a CODE answer against the hidden tests. An answer the runner cannot
+// run (a language it does not support) scores 0 and records why.
+async function runHiddenTests(question: any, code: string) {
+    const tests = Array.isArray(question.correct_answer) ? question.correct_answer : [];
+    try {
+        const results = await runTests({
+            language: question.options?.language,
+            code,
+            functionName: question.options?.function_name,
+            tests,
+        });
+        return {
+            share: passedShare(results),
+            summary: {
+                passed: results.filter(r => r.passed).length,
+                total: results.length,
+                tests: results.map(r => ({ passed: r.passed, error: r.error })),
+            },
+        };
+    } catch (err) {
+        console.error('[grade-exam] Code runner failed:', err);
+        return { share: 0, summary: { passed: 0, total: tests.length, error: (err as Error).message } };
+    }
+}
+
 serve(async (req: Request) => {
     // Handle CORS
     if (req.method === 'OPTIONS') {
@@ -17,7 +109,12 @@ serve(async (req: Request) => {
     }
 
     try {
-        const { sessionId } = await req.json();
+        const caller = await verifySessionToken(req.headers.get(SESSION_HEADER), Deno.env.get('PW_SESSION_SECRET') ?? '');
+        if (!caller) {
+            return json({ error: 'Sign in again to continue' }, 401);
+        }
+
+        const { sessionId, submit = false } = await req.json();
 
         const supabaseClient = createClient(
             Deno.env.get('SUPABASE_URL') ?? '',
@@ -32,17 +129,68 @@ serve(async (req: Request) => {
             .single();
 
         if (!session) {
-            return new Response(
-                JSON.stringify({ error: 'Session not found' }),
-                { headers: { ...corsHeaders, 'Content-Type': 'application/json' }, status: 404 }
-            );
+            return json({ error: 'Session not found' }, 404);
         }
 
-        // Get all questions for this test
-        const { data: questions } = await supabaseClient
-            .from('questions')
-            .select('*')
-            .eq('test_id', session.test_id);
+        // Candidates submit their own exam; re-grades are staff only
+        const allowed = submit
+            ? caller.sub === session.student_id
+            : await canGradeTest(supabaseClient, caller.sub, session.tests?.course_id);
+        if (!allowed) {
+            return json({ error: 'Not allowed to grade this session' }, 403);
+        }
+
+        if (submit) {
+            // A retried submit (e.g. the first response was lost) returns the stored result
+            if (session.status === 'completed') {
+                return json({
+                    success: true, score: session.score, totalMarks: session.tests?.total_marks,
+                    gradingPending: session.grading_status === 'pending', alreadySubmitted: true,
+                });
+            }
+            if (!['in_progress', 'paused'].includes(session.status)) {
+                return json({ error: `Session is ${session.status}` }, 409);
+            }
+        } else if (VOIDED_STATUSES.includes(session.status)) {
+            return json({ error: `Session is ${session.status} — its score is not re-graded` }, 409);
+        }
+
+        // The session's own paper (fixed questions + pool draw, with the marks
+        // they carry on it); sessions from before pools fall back to the
+        // test_questions junction, and tests from before the junction still
+        // link questions by test_id
+        const { data: paper } = await supabaseClient
+            .from('session_questions')
+            .select('marks, negative_marks, questions(*), question_versions(*)')
+            .eq('session_id', sessionId);
+        let links = paper;
+        if (!links?.length) {
+            const { data: fixed } = await supabaseClient
+                .from('test_questions')
+                .select('marks, negative_marks, questions(*), question_versions(*)')
+                .eq('test_id', session.test_id);
+            links = fixed;
+        }
+
+        let items: GradeItem[] = (links || [])
+            .filter((l: any) => l.questions)
+            .map((l: any) => ({
+                question: pinnedQuestion(l),
+                marks: l.marks ?? l.question_versions?.marks ?? l.questions.marks ?? 0,
+                penalty: Math.abs(l.negative_marks ?? l.questions.negative_marks ?? 0),
+            }));
+
+        if (items.length === 0) {
+            const { data: legacy } = await supabaseClient
+                .from('questions')
+                .select('*')
+                .eq('test_id', session.test_id);
+            items = (legacy || []).map((q: any) => ({
+                question: q,
+                marks: q.marks ?? 0,
+                penalty: Math.abs(q.negative_marks ?? 0),
+            }));
+        }
 
         // Get student answers
         const { data: answers } = await supabaseClient
@@ -50,37 +198,105 @@ serve(async (req: Request) => {
             .select('*')
             .eq('session_id', sessionId);
 
+        // Re-grade adjustments for this test (replacement keys, dropped questions)
+        const { data: adjustmentRows } = await supabaseClient
+            .from('test_key_adjustments')
+            .select('question_id, answer_keys, dropped')
+            .eq('test_id', session.test_id);
+        const adjustments = new Map((adjustmentRows || []).map((a: any) => [a.question_id, a]));
+
         // Calculate score
+        const settings = session.tests?.settings || {};
         let totalScore = 0;
-        for (const question of questions || []) {
-            const answer = answers?.find((a: any) => a.question_id === question.id);
-            if (!answer) continue;
+        let pendingEssays = 0;
+        const graded: any[] = [];
+        for (const item of items) {
+            const answer = answers?.find((a: any) => a.question_id === item.question.id);
+            const adjustment: any = adjustments.get(item.question.id);
+            // Dropped questions score full marks even where nobody answered them
+            if (!answer && !adjustment?.dropped) continue;
+            const selected = answer?.selected_answer ?? [];
 
-            const correctAnswerSorted = JSON.stringify(question.correct_answer.sort());
-            const studentAnswerSorted = JSON.stringify((answer.selected_answer || []).sort());
-
-            if (correctAnswerSorted === studentAnswerSorted) {
-                totalScore += question.marks;
-            } else if (session.tests?.settings?.negative_marking) {
-                totalScore -= question.negative_marks || 0;
+            let result;
+            if (adjustment) {
+                // A dropped essay leaves the grading queue; undropping it sends it back
+                result = {
+                    ...gradeAdjusted(item, selected, settings, adjustment),
+                    grading_status: null,
+                    code_results: answer?.code_results ?? null,
+                };
+            } else if (MANUAL_TYPES.includes(item.question.question_type) && isAnswered(answer.selected_answer)) {
+                // Teacher-marked answers keep their marks; the rest wait in the grading queue
+                result = answer.grading_status === 'graded'
+                    ? { is_correct: answer.is_correct, marks_awarded: Number(answer.marks_awarded) || 0, grading_status: 'graded' }
+                    : { is_correct: false, marks_awarded: 0, grading_status: 'pending' };
+                if (result.grading_status === 'pending') pendingEssays++;
+            } else if (item.question.question_type === 'CODE' && isAnswered(answer.selected_answer)) {
+                const run = await runHiddenTests(item.question, answer.selected_answer[0]);
+                result = {
+                    ...gradeAnswer(item, answer.selected_answer, settings, run.share),
+                    grading_status: null,
+                    code_results: run.summary,
+                };
+            } else {
+                result = { ...gradeAnswer(item, answer.selected_answer, settings), grading_status: null };
             }
+            totalScore += result.marks_awarded;
+            graded.push({
+                session_id: sessionId,
+                question_id: item.question.id,
+                selected_answer: selected,
+                code_results: null,
+                ...result,
+            });
+        }
+        totalScore = round2(Math.max(0, totalScore));
+        const totalMarks = items.reduce((sum, i) => sum + i.marks, 0);
+
+        // Marks go onto the candidate's own rows with UPDATE — an upsert runs the
+        // answer deadline trigger's INSERT path, which rejects closed sessions.
+        // Only dropped questions nobody answered need a row of their own.
+        const answered = new Set((answers || []).map((a: any) => a.question_id));
+        const updates = await Promise.all(graded
+            .filter(g => answered.has(g.question_id))
+            .map(({ session_id, question_id, selected_answer, ...marks }) => supabaseClient
+                .from('answers')
+                .update(marks)
+                .eq('session_id', session_id)
+                .eq('question_id', question_id)));
+        const updateErr = updates.find(u => u.error)?.error;
+        if (updateErr) throw updateErr;
+
+        const inserts = graded.filter(g => !answered.has(g.question_id));
+        if (inserts.length > 0) {
+            const { error: insertErr } = await supabaseClient.from('answers').insert(inserts);
+            if (insertErr) throw insertErr;
         }
 
+        // Flag counts for reports
+        const { data: flags } = await supabaseClient
+            .from('flags')
+            .select('severity')
+            .eq('session_id', sessionId);
+        const red_flags = (flags || []).filter((f: any) => f.severity === 'RED').length;
+        const orange_flags = (flags || []).filter((f: any) => f.severity === 'ORANGE').length;
+
         // Update session with final score
-        await supabaseClient
+        const { error: sessionErr } = await supabaseClient
             .from('exam_sessions')
-            .update({ score: Math.max(0, totalScore) })
+            .update({
+                score: totalScore,
+                grading_status: pendingEssays > 0 ? 'pending' : 'complete',
+                red_flags,
+                orange_flags,
+                ...(submit ? { status: 'completed', ended_at: new Date().toISOString() } : {}),
+            })
             .eq('id', sessionId);
+        if (sessionErr) throw sessionErr;
 
-        return new Response(
-            JSON.stringify({ success: true, score: totalScore, totalMarks: session.tests?.total_marks }),
-            { headers: { ...corsHeaders, 'Content-Type': 'application/json' }, status: 200 }
-        );
+        return json({ success: true, score: totalScore, totalMarks, gradingPending: pendingEssays > 0 });
 
     } catch (error) {
-        return new Response(
-            JSON.stringify({ error: (error as Error).message }),
-            { headers: { ...corsHeaders, 'Content-Type': 'application/json' }, status: 400 }
-        );
+        return json({ error: (error as Error).message }, 400);
     }
 });
@@ -0,0 +1,56 @@
+// Supabase Edge Function: Sign In
+// Deploy with: supabase functions deploy sign-in
+//
+// Body: { username, passwordHash }
+//   passwordHash — SHA-256 hex of the password, as stored in users.password_hash
+//
+// Checks the password against the users table and returns the user with a
+// signed session token (../_shared/sessionToken.js). The web app sends the
+// token to the other edge functions, which use it to know who is calling.
+
+import { serve } from "https://deno.land/std@0.168.0/http/server.ts";
+import { createClient } from "https://esm.sh/@supabase/supabase-js@2.39.0";
+import { signSessionToken } from "../_shared/sessionToken.js";
+
+const corsHeaders = {
+    'Access-Control-Allow-Origin': '*',
+    'Access-Control-Allow-Headers': 'authorization, x-client-info, apikey, content-type, x-pw-session',
+};
+
+const json = (body: unknown, status = 200) => new Response(
+    JSON.stringify(body),
+    { headers: { ...corsHeaders, 'Content-Type': 'application/json' }, status }
+);
+
+serve(async (req: Request) => {
+    if (req.method === 'OPTIONS') {
+        return new Response('ok', { headers: corsHeaders });
+    }
+
+    try {
+        const { username, passwordHash } = await req.json();
+
+        const supabaseClient = createClient(
+            Deno.env.get('SUPABASE_URL') ?? '',
+            Deno.env.get('SUPABASE_SERVICE_ROLE_KEY') ?? ''
+        );
+
+        const { data: user } = await supabaseClient
+            .from('users')
+            .select('id, email, username, full_name, role, phone, profile_photo_url, first_login, password_hash')
+            .eq('username', username)
+            .eq('is_active', true)
+            .maybeSingle();
+
+        if (!user || !passwordHash || user.password_hash !== passwordHash) {
+            return json({ error: 'Invalid username or password' }, 401);
+        }
+
+        const { password_hash, ...profile } = user;
+        const token = await signSessionToken(profile, Deno.env.get('PW_SESSION_SECRET') ?? '');
+        return json({ user: profile, token });
+
+    } catch (error) {
+        return json({ error: (error as Error).message }, 400);
+    }
+});
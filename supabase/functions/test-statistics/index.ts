@@ -1,21 +1,54 @@
 // Supabase Edge Function: Generate Test Statistics
 // Deploy with: supabase functions deploy test-statistics
+//
+// Body: { testId }
+//
+// Score summary plus an item analysis of every question on the test's
+// papers: difficulty (p-value), point-biserial discrimination, distractor
+// selection rates, KR-20 reliability and flags for items that look miskeyed.
+// The statistics live in ../_shared/itemAnalysis.js.
+//
+// Only graded sessions count: sessions still waiting for essay marks are
+// left out (and counted in `pendingSessions`). Each session is analysed on
+// its own paper (session_questions, falling back to the test_questions
+// junction for sessions from before pools), at the question version the
+// paper pinned. Choice items a re-grade gave replacement keys
+// (test_key_adjustments) count every accepted option as the key.
 
 import { serve } from "https://deno.land/std@0.168.0/http/server.ts";
 import { createClient } from "https://esm.sh/@supabase/supabase-js@2.39.0";
+import { analyzeItems, CHOICE_TYPES } from "../_shared/itemAnalysis.js";
 
 const corsHeaders = {
     'Access-Control-Allow-Origin': '*',
-    'Access-Control-Allow-Headers': 'authorization, x-client-info, apikey, content-type',
+    'Access-Control-Allow-Headers': 'authorization, x-client-info, apikey, content-type, x-pw-session',
 };
 
-interface QuestionStat {
-    question_id: string;
-    question_text: string;
-    correctCount: number;
-    totalAttempts: number;
-    accuracy: number;
-}
+const json = (body: unknown, status = 200) => new Response(
+    JSON.stringify(body),
+    { headers: { ...corsHeaders, 'Content-Type': 'application/json' }, status }
+);
+
+const PAPER_COLUMNS = 'marks, questions(*), question_versions(*)';
+
+// Bank question with the content of the version its paper row pinned
+const pinnedQuestion = (link: any) => {
+    const v = link.question_versions;
+    if (!v) return link.questions;
+    return {
+        ...link.questions,
+        question_text: v.question_text,
+        question_type: v.question_type,
+        options: v.options,
+        correct_answer: v.correct_answer,
+        version: v.version,
+    };
+};
+
+const paperItem = (link: any) => ({
+    question: pinnedQuestion(link),
+    marks: Number(link.marks ?? link.question_versions?.marks ?? link.questions.marks) || 0,
+});
 
 serve(async (req: Request) => {
     if (req.method === 'OPTIONS') {
@@ -30,81 +63,93 @@ serve(async (req: Request) => {
             Deno.env.get('SUPABASE_SERVICE_ROLE_KEY') ?? ''
         );
 
-        // Get all sessions for this test
-        const { data: sessions } = await supabaseClient
+        // Get all finished sessions for this test
+        const { data: finished, error: sessionErr } = await supabaseClient
             .from('exam_sessions')
             .select('*')
             .eq('test_id', testId)
             .in('status', ['submitted', 'completed']);
+        if (sessionErr) throw sessionErr;
 
-        if (!sessions || sessions.length === 0) {
-            return new Response(
-                JSON.stringify({ error: 'No completed sessions found' }),
-                { headers: { ...corsHeaders, 'Content-Type': 'application/json' }, status: 404 }
-            );
+        if (!finished || finished.length === 0) {
+            return json({ error: 'No completed sessions found' }, 404);
         }
-
-        // Calculate statistics
-        const scores = sessions.map((s: any) => s.score || 0);
-        const totalStudents = sessions.length;
-        const avgScore = scores.reduce((a: number, b: number) => a + b, 0) / totalStudents;
-        const maxScore = Math.max(...scores);
-        const minScore = Math.min(...scores);
-        const medianScore = scores.sort((a: number, b: number) => a - b)[Math.floor(totalStudents / 2)];
-
-        // Count flags
-        const totalRedFlags = sessions.reduce((sum: number, s: any) => sum + (s.red_flags || 0), 0);
-        const totalOrangeFlags = sessions.reduce((sum: number, s: any) => sum + (s.orange_flags || 0), 0);
-        const flaggedSessions = sessions.filter((s: any) => s.is_flagged).length;
-
-        // Question-wise analysis
-        const { data: questions } = await supabaseClient
-            .from('questions')
-            .select('id, question_text')
-            .eq('test_id', testId);
-
-        const questionStats: QuestionStat[] = [];
-        for (const question of questions || []) {
-            const { data: answers } = await supabaseClient
-                .from('answers')
-                .select('is_correct')
-                .eq('question_id', question.id);
-
-            const correctCount = answers?.filter((a: any) => a.is_correct).length || 0;
-            const totalAttempts = answers?.length || 0;
-            const accuracy = totalAttempts > 0 ? (correctCount / totalAttempts) * 100 : 0;
-
-            questionStats.push({
-                question_id: question.id,
-                question_text: question.question_text.substring(0, 50) + '...',
-                correctCount,
-                totalAttempts,
-                accuracy: Math.round(accuracy),
-            });
+        const sessions = finished.filter((s: any) => s.grading_status !== 'pending');
+        const sessionIds = sessions.map((s: any) => s.id);
+
+        // Flags count over every finished session
+        const totalRedFlags = finished.reduce((sum: number, s: any) => sum + (s.red_flags || 0), 0);
+        const totalOrangeFlags = finished.reduce((sum: number, s: any) => sum + (s.orange_flags || 0), 0);
+        const flaggedSessions = finished.filter((s: any) => s.is_flagged).length;
+
+        // Papers: each session's own rows, else the test's fixed questions
+        const { data: paperRows, error: paperErr } = sessionIds.length
+            ? await supabaseClient.from('session_questions')
+                .select(`session_id, ${PAPER_COLUMNS}`)
+                .in('session_id', sessionIds)
+                .order('question_order')
+            : { data: [], error: null };
+        if (paperErr) throw paperErr;
+        const bySession = new Map<string, any[]>();
+        (paperRows || []).filter((r: any) => r.questions).forEach((r: any) => {
+            if (!bySession.has(r.session_id)) bySession.set(r.session_id, []);
+            bySession.get(r.session_id)!.push(paperItem(r));
+        });
+
+        let fixedItems: any[] = [];
+        if (sessionIds.some((id: string) => !bySession.has(id))) {
+            const { data: fixed, error: fixedErr } = await supabaseClient
+                .from('test_questions').select(PAPER_COLUMNS).eq('test_id', testId).order('question_order');
+            if (fixedErr) throw fixedErr;
+            fixedItems = (fixed || []).filter((r: any) => r.questions).map(paperItem);
         }
 
-        return new Response(
-            JSON.stringify({
-                success: true,
-                statistics: {
-                    totalStudents,
-                    avgScore: Math.round(avgScore),
-                    maxScore,
-                    minScore,
-                    medianScore,
-                    totalRedFlags,
-                    totalOrangeFlags,
-                    flaggedSessions,
-                    questionAnalysis: questionStats,
-                }
-            }),
-            { headers: { ...corsHeaders, 'Content-Type': 'application/json' }, status: 200 }
+        const { data: adjustments, error: adjustErr } = await supabaseClient
+            .from('test_key_adjustments').select('question_id, answer_keys').eq('test_id', testId);
+        if (adjustErr) throw adjustErr;
+        const acceptedKeys = new Map((adjustments || [])
+            .filter((a: any) => a.answer_keys?.length)
+            .map((a: any) => [a.question_id, [...new Set(a.answer_keys.flat().map(String))]]));
+        const withAdjustedKey = (item: any) => (
+            acceptedKeys.has(item.question.id) && CHOICE_TYPES.includes(item.question.question_type)
+                ? { ...item, question: { ...item.question, correct_answer: acceptedKeys.get(item.question.id) } }
+                : item
         );
 
+        const papers = sessionIds.map((id: string) => ({
+            id, items: (bySession.get(id) || fixedItems).map(withAdjustedKey),
+        }));
+
+        const { data: answers, error: answerErr } = sessionIds.length
+            ? await supabaseClient.from('answers')
+                .select('session_id, question_id, selected_answer, marks_awarded')
+                .in('session_id', sessionIds)
+            : { data: [], error: null };
+        if (answerErr) throw answerErr;
+
+        const analysis = analyzeItems(papers, answers || []);
+
+        return json({
+            success: true,
+            statistics: {
+                totalStudents: finished.length,
+                gradedStudents: sessions.length,
+                pendingSessions: finished.length - sessions.length,
+                avgScore: analysis.summary.mean,
+                sdScore: analysis.summary.sd,
+                maxScore: analysis.summary.max,
+                minScore: analysis.summary.min,
+                medianScore: analysis.summary.median,
+                totalRedFlags,
+                totalOrangeFlags,
+                flaggedSessions,
+                flaggedItems: analysis.summary.flagged_items,
+            },
+            reliability: analysis.reliability,
+            items: analysis.items,
+        });
+
     } catch (error) {
-        return new Response(
-            JSON.stringify({ error: (error as Error).message }),
-            { headers: { ...corsHeaders, 'Content-Type': 'application/json' }, status: 400 }
-        );
+        return json({ error: (error as Error).message }, 400);
     }
 });
@@ -0,0 +1,115 @@
+// End-to-end test: a CODE answer graded by grade-exam
+//
+// Run against a local stack with the functions served:
+//   supabase start
+//   supabase functions serve --env-file supabase/.env.local   (sets PW_SESSION_SECRET)
+//   deno test --allow-net --allow-env supabase/functions/tests/grade-exam-code-test.ts
+//
+// Env: SUPABASE_URL, SUPABASE_ANON_KEY, SUPABASE_SERVICE_ROLE_KEY and the
+// PW_SESSION_SECRET the functions were served with. The test sets up its own
+// course, test and students with the service role and removes them after.
+
+import { assert, assertEquals } from "https://deno.land/std@0.168.0/testing/asserts.ts";
+import { createClient } from "https://esm.sh/@supabase/supabase-js@2.39.0";
+import { SESSION_HEADER, signSessionToken } from "../_shared/sessionToken.js";
+
+const env = (name: string) => {
+    const value = Deno.env.get(name);
+    if (!value) throw new Error(`${name} is not set`);
+    return value;
+};
+
+const admin = createClient(env('SUPABASE_URL'), env('SUPABASE_SERVICE_ROLE_KEY'));
+const client = createClient(env('SUPABASE_URL'), env('SUPABASE_ANON_KEY'));
+
+const SOLUTION = `function add(a, b) {
+    return a + b;
+}`;
+
+// Reaches for the host's globals through the Function constructor
+const ESCAPE = `function add(a, b) {
+    const host = (function () {}).constructor('return this')();
+    return host.Deno.env.get('SUPABASE_SERVICE_ROLE_KEY');
+}`;
+
+async function setUp() {
+    const tag = crypto.randomUUID().slice(0, 8);
+    const insertOne = async (table: string, row: Record<string, unknown>) => {
+        const { data, error } = await admin.from(table).insert(row).select().single();
+        if (error) throw error;
+        return data;
+    };
+
+    const students = await Promise.all(['a', 'b'].map(n => insertOne('users', {
+        email: `code-${tag}-${n}@test.local`, username: `code-${tag}-${n}`,
+        role: 'student', password_hash: 'not-used',
+    })));
+    const course = await insertOne('courses', { name: 'Code runner test', code: `CODE-${tag}` });
+    const now = Date.now();
+    const test = await insertOne('tests', {
+        course_id: course.id, title: 'Code runner test',
+        start_time: new Date(now - 60000).toISOString(),
+        end_time: new Date(now + 3600000).toISOString(),
+        duration_minutes: 60, total_marks: 4,
+        settings: { partial_credit: true, proctoring_enabled: false },
+    });
+    const question = await insertOne('questions', {
+        question_text: 'Write add(a, b)', question_type: 'CODE', marks: 4,
+        options: { language: 'javascript', function_name: 'add', starter_code: '', samples: [] },
+        correct_answer: [
+            { args: [1, 2], expected: 3 },
+            { args: [-1, 1], expected: 0 },
+            { args: [0.1, 0.2], expected: 0.3 },
+            { args: [10, 5], expected: 15 },
+        ],
+    });
+    await insertOne('test_questions', { test_id: test.id, question_id: question.id, question_order: 1, marks: 4 });
+
+    return { students, course, test, question };
+}
+
+async function tearDown({ students, course, question }: Awaited<ReturnType<typeof setUp>>) {
+    await admin.from('courses').delete().eq('id', course.id);    // cascades to the test and its sessions
+    await admin.from('questions').delete().eq('id', question.id);
+    await admin.from('users').delete().in('id', students.map((s: any) => s.id));
+}
+
+// Sit the test as the student with one CODE answer and submit it through grade-exam
+async function submitAnswer(fixture: Awaited<ReturnType<typeof setUp>>, student: any, code: string) {
+    const { data: session, error } = await admin.from('exam_sessions')
+        .insert({ test_id: fixture.test.id, student_id: student.id }).select().single();
+    if (error) throw error;
+    const { error: answerErr } = await admin.from('answers')
+        .insert({ session_id: session.id, question_id: fixture.question.id, selected_answer: [code] });
+    if (answerErr) throw answerErr;
+
+    const token = await signSessionToken(student, env('PW_SESSION_SECRET'));
+    const { data, error: gradeErr } = await client.functions.invoke('grade-exam', {
+        body: { sessionId: session.id, submit: true },
+        headers: { [SESSION_HEADER]: token },
+    });
+    if (gradeErr) throw gradeErr;
+
+    const { data: answer } = await admin.from('answers')
+        .select('marks_awarded, code_results').eq('session_id', session.id).single();
+    return { result: data, answer };
+}
+
+Deno.test('grade-exam runs a CODE answer against the hidden tests', async () => {
+    const fixture = await setUp();
+    try {
+        const { result, answer } = await submitAnswer(fixture, fixture.students[0], SOLUTION);
+        assertEquals(result.score, 4);
+        assertEquals(answer.code_results.passed, 4);
+        assertEquals(answer.code_results.total, 4);
+        assertEquals(Number(answer.marks_awarded), 4);
+
+        // Student code cannot reach the function's environment
+        const escaped = await submitAnswer(fixture, fixture.students[1], ESCAPE);
+        assertEquals(escaped.result.score, 0);
+        assertEquals(escaped.answer.code_results.passed, 0);
+        assert(escaped.answer.code_results.tests.every((t: any) => /TypeError/.test(t.error)));
+    } finally {
+        await tearDown(fixture);
+    }
+});
@@ -0,0 +1,31 @@
+-- ============================================================================
+-- SERVER-SIDE GRADING MIGRATION FOR PROCTORWATCH
+-- Run in Supabase SQL Editor (after deadline_migration.sql)
+-- Then deploy: supabase functions deploy grade-exam
+-- ============================================================================
+
+-- ============================================================================
+-- 1. test_questions junction (created ad hoc on older projects)
+--    marks / negative_marks override the bank question's values for one test.
+-- ============================================================================
+CREATE TABLE IF NOT EXISTS test_questions (
+  id              UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  test_id         UUID REFERENCES tests(id) ON DELETE CASCADE,
+  question_id     UUID REFERENCES questions(id) ON DELETE CASCADE,
+  question_order  INTEGER,
+  marks           INTEGER,
+  UNIQUE(test_id, question_id)
+);
+ALTER TABLE test_questions ADD COLUMN IF NOT EXISTS negative_marks INTEGER;
+
+CREATE INDEX IF NOT EXISTS idx_test_questions_test ON test_questions(test_id, question_order);
+
+ALTER TABLE test_questions ENABLE ROW LEVEL SECURITY;
+DROP POLICY IF EXISTS "Allow all for authenticated" ON test_questions;
+CREATE POLICY "Allow all for authenticated" ON test_questions FOR ALL USING (true);
+
+-- ============================================================================
+-- 2. Fractional marks (partial credit on multi-select questions)
+-- ============================================================================
+ALTER TABLE answers ALTER COLUMN marks_awarded TYPE NUMERIC(8,2);
+ALTER TABLE exam_sessions ALTER COLUMN score TYPE NUMERIC(8,2);
@@ -0,0 +1,47 @@
+-- ============================================================================
+-- HEARTBEAT MIGRATION FOR PROCTORWATCH
+-- Run in Supabase SQL Editor (after realtime_migration.sql)
+-- ============================================================================
+
+-- ============================================================================
+-- 1. Heartbeat columns on exam_sessions
+--    ExamSession writes last_heartbeat_at + heartbeat every 15s.
+--    LiveSessionMonitor sets connection_lost_at once heartbeats stop; the
+--    next successful heartbeat clears it again.
+-- ============================================================================
+ALTER TABLE exam_sessions ADD COLUMN IF NOT EXISTS last_heartbeat_at TIMESTAMPTZ;
+ALTER TABLE exam_sessions ADD COLUMN IF NOT EXISTS heartbeat JSONB;
+ALTER TABLE exam_sessions ADD COLUMN IF NOT EXISTS connection_lost_at TIMESTAMPTZ;
+
+-- ============================================================================
+-- 2. CREATE TABLE: session_events
+--    Timeline of non-flag events for a live session (connection lost /
+--    restored, ...). Shown in LiveSessionMonitor's live feed.
+-- ============================================================================
+CREATE TABLE IF NOT EXISTS session_events (
+  id          UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  session_id  UUID REFERENCES exam_sessions(id) ON DELETE CASCADE,
+  event_type  TEXT NOT NULL,
+  details     JSONB DEFAULT '{}',
+  created_by  UUID REFERENCES users(id),       -- NULL when written by the student client
+  created_at  TIMESTAMPTZ DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_session_events_session ON session_events(session_id, created_at DESC);
+
+ALTER TABLE session_events ENABLE ROW LEVEL SECURITY;
+DROP POLICY IF EXISTS "Allow all for authenticated" ON session_events;
+CREATE POLICY "Allow all for authenticated" ON session_events FOR ALL USING (true);
+
+-- ============================================================================
+-- 3. Publish session_events to Realtime
+-- ============================================================================
+DO $$
+BEGIN
+  IF NOT EXISTS (
+    SELECT 1 FROM pg_publication_tables
+    WHERE pubname = 'supabase_realtime' AND schemaname = 'public' AND tablename = 'session_events'
+  ) THEN
+    ALTER PUBLICATION supabase_realtime ADD TABLE public.session_events;
+  END IF;
+END $$;
@@ -0,0 +1,46 @@
+-- ============================================================================
+-- PROCTOR COMMANDS MIGRATION FOR PROCTORWATCH
+-- Run in Supabase SQL Editor (after heartbeat_migration.sql)
+-- ============================================================================
+
+-- ============================================================================
+-- 1. Extra time granted by a proctor during the exam
+--    Added on top of tests.duration_minutes when computing time left.
+-- ============================================================================
+ALTER TABLE exam_sessions ADD COLUMN IF NOT EXISTS extra_time_minutes INTEGER DEFAULT 0;
+
+-- ============================================================================
+-- 2. CREATE TABLE: proctor_commands
+--    LiveSessionMonitor inserts a command; the running ExamSession receives it
+--    over Realtime, applies it and writes acknowledged_at back so the proctor
+--    sees it was delivered.
+-- ============================================================================
+CREATE TABLE IF NOT EXISTS proctor_commands (
+  id               UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  session_id       UUID REFERENCES exam_sessions(id) ON DELETE CASCADE,
+  command          TEXT NOT NULL CHECK (command IN ('SUSPEND', 'RESUME', 'TERMINATE', 'EXTRA_TIME', 'MESSAGE')),
+  payload          JSONB DEFAULT '{}',
+  issued_by        UUID REFERENCES users(id),
+  created_at       TIMESTAMPTZ DEFAULT NOW(),
+  acknowledged_at  TIMESTAMPTZ,
+  ack_details      JSONB
+);
+
+CREATE INDEX IF NOT EXISTS idx_proctor_commands_session ON proctor_commands(session_id, created_at DESC);
+
+ALTER TABLE proctor_commands ENABLE ROW LEVEL SECURITY;
+DROP POLICY IF EXISTS "Allow all for authenticated" ON proctor_commands;
+CREATE POLICY "Allow all for authenticated" ON proctor_commands FOR ALL USING (true);
+
+-- ============================================================================
+-- 3. Publish proctor_commands to Realtime (INSERT → client, UPDATE → proctor)
+-- ============================================================================
+DO $$
+BEGIN
+  IF NOT EXISTS (
+    SELECT 1 FROM pg_publication_tables
+    WHERE pubname = 'supabase_realtime' AND schemaname = 'public' AND tablename = 'proctor_commands'
+  ) THEN
+    ALTER PUBLICATION supabase_realtime ADD TABLE public.proctor_commands;
+  END IF;
+END $$;
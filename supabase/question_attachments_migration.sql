@@ -0,0 +1,35 @@
+-- ============================================================================
+-- QUESTION ATTACHMENTS MIGRATION FOR PROCTORWATCH
+-- Run in Supabase SQL Editor (after question_versions_migration.sql)
+-- ============================================================================
+
+-- ============================================================================
+-- STORAGE BUCKET: question-attachments
+--    Diagrams, audio and PDFs referenced from question and option text as
+--    ![caption](public url), stored as <user id>/<timestamp>-<file name>.
+--    Files are never overwritten, so question versions pinned on old tests
+--    keep showing what they showed. Public because the app uses custom auth
+--    (anon role); ExamSession prefetches them at exam start.
+-- ============================================================================
+INSERT INTO storage.buckets (id, name, public, file_size_limit, allowed_mime_types)
+VALUES (
+    'question-attachments', 'question-attachments', true, 20971520,
+    ARRAY[
+        'image/png', 'image/jpeg', 'image/gif', 'image/webp', 'image/svg+xml',
+        'audio/mpeg', 'audio/ogg', 'audio/wav', 'audio/webm', 'audio/mp4',
+        'application/pdf'
+    ]
+)
+ON CONFLICT (id) DO NOTHING;
+
+DROP POLICY IF EXISTS "Authors can upload question attachments" ON storage.objects;
+DROP POLICY IF EXISTS "Question attachments are readable" ON storage.objects;
+
+-- INSERT only: no UPDATE policy, so an uploaded attachment can't be replaced
+CREATE POLICY "Authors can upload question attachments"
+ON storage.objects FOR INSERT TO public
+WITH CHECK (bucket_id = 'question-attachments');
+
+CREATE POLICY "Question attachments are readable"
+ON storage.objects FOR SELECT TO public
+USING (bucket_id = 'question-attachments');
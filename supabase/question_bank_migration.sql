@@ -0,0 +1,37 @@
+-- ============================================================================
+-- QUESTION BANK MIGRATION FOR PROCTORWATCH
+-- Run in Supabase SQL Editor (after question_pools_migration.sql)
+-- ============================================================================
+
+-- ============================================================================
+-- 1. Taxonomy on bank questions
+--    difficulty and tags came with question pools; learning objectives and
+--    the author are new. Questions created before this have no author.
+-- ============================================================================
+ALTER TABLE questions ADD COLUMN IF NOT EXISTS learning_objectives TEXT[] DEFAULT '{}';
+ALTER TABLE questions ADD COLUMN IF NOT EXISTS created_by UUID REFERENCES users(id) ON DELETE SET NULL;
+
+CREATE INDEX IF NOT EXISTS idx_questions_objectives ON questions USING GIN(learning_objectives);
+CREATE INDEX IF NOT EXISTS idx_questions_author ON questions(created_by);
+
+-- ============================================================================
+-- 2. Usage per question
+--    Tests a question was attached to (fixed or drawn onto a paper), how
+--    often it was answered and how often fully correct. Essays still waiting
+--    for a teacher's mark don't count.
+-- ============================================================================
+CREATE OR REPLACE VIEW question_usage AS
+SELECT
+  q.id AS question_id,
+  (SELECT COUNT(*) FROM (
+     SELECT tq.test_id FROM test_questions tq WHERE tq.question_id = q.id
+     UNION
+     SELECT es.test_id FROM session_questions sq JOIN exam_sessions es ON es.id = sq.session_id
+     WHERE sq.question_id = q.id
+   ) used) AS tests_used,
+  COUNT(a.id) AS times_answered,
+  COUNT(a.id) FILTER (WHERE a.is_correct) AS times_correct,
+  MAX(a.answered_at) AS last_answered_at
+FROM questions q
+LEFT JOIN answers a ON a.question_id = q.id AND a.grading_status IS DISTINCT FROM 'pending'
+GROUP BY q.id;
@@ -0,0 +1,173 @@
+-- ============================================================================
+-- QUESTION POOLS MIGRATION FOR PROCTORWATCH
+-- Run in Supabase SQL Editor (after sections_migration.sql)
+-- Then redeploy: supabase functions deploy grade-exam
+-- ============================================================================
+
+-- ============================================================================
+-- 1. Difficulty and tags on bank questions — what pool rules filter on
+--    Tags are stored lower case.
+-- ============================================================================
+ALTER TABLE questions ADD COLUMN IF NOT EXISTS difficulty TEXT CHECK (difficulty IN ('Easy', 'Medium', 'Hard'));
+ALTER TABLE questions ADD COLUMN IF NOT EXISTS tags TEXT[] DEFAULT '{}';
+
+CREATE INDEX IF NOT EXISTS idx_questions_tags ON questions USING GIN(tags);
+CREATE INDEX IF NOT EXISTS idx_questions_difficulty ON questions(difficulty);
+
+-- ============================================================================
+-- 2. Pool rules of a test
+--    "Draw 5 Medium questions tagged recursion": every drawn question must
+--    match all of the rule's filters (NULL / empty = any). Drawn questions are
+--    worth the rule's marks, so every candidate's paper has the same total.
+-- ============================================================================
+CREATE TABLE IF NOT EXISTS test_question_pools (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  test_id UUID REFERENCES tests(id) ON DELETE CASCADE,
+  pool_order INTEGER NOT NULL,
+  question_count INTEGER NOT NULL CHECK (question_count > 0),
+  difficulty TEXT CHECK (difficulty IN ('Easy', 'Medium', 'Hard')),
+  tags TEXT[] DEFAULT '{}',
+  question_type TEXT,
+  marks INTEGER NOT NULL DEFAULT 1,           -- per drawn question
+  negative_marks INTEGER DEFAULT 0,
+  section_id UUID REFERENCES test_sections(id) ON DELETE SET NULL,
+  UNIQUE(test_id, pool_order)
+);
+
+ALTER TABLE test_question_pools ENABLE ROW LEVEL SECURITY;
+DROP POLICY IF EXISTS "Allow all for authenticated" ON test_question_pools;
+CREATE POLICY "Allow all for authenticated" ON test_question_pools FOR ALL USING (true);
+
+-- ============================================================================
+-- 3. Each session's paper — fixed questions plus the pool draw, frozen when
+--    the session is created. Grading, review and statistics read this.
+-- ============================================================================
+CREATE TABLE IF NOT EXISTS session_questions (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  session_id UUID REFERENCES exam_sessions(id) ON DELETE CASCADE,
+  question_id UUID REFERENCES questions(id) ON DELETE CASCADE,
+  question_order INTEGER,
+  marks INTEGER,
+  negative_marks INTEGER,
+  section_id UUID REFERENCES test_sections(id) ON DELETE SET NULL,
+  pool_id UUID REFERENCES test_question_pools(id) ON DELETE SET NULL,  -- NULL for fixed questions
+  UNIQUE(session_id, question_id)
+);
+
+ALTER TABLE session_questions ENABLE ROW LEVEL SECURITY;
+DROP POLICY IF EXISTS "Allow all for authenticated" ON session_questions;
+CREATE POLICY "Allow all for authenticated" ON session_questions FOR ALL USING (true);
+
+CREATE INDEX IF NOT EXISTS idx_test_question_pools_test ON test_question_pools(test_id, pool_order);
+CREATE INDEX IF NOT EXISTS idx_session_questions_session ON session_questions(session_id, question_order);
+
+-- ============================================================================
+-- 4. Functions & triggers
+--    - draw_session_paper(): builds session_questions when a session starts
+--    - enforce_answer_deadline(): a question's section now comes from the paper
+-- ============================================================================
+-- Fixed questions first, then each pool rule in order draws at random from
+-- the bank. A question is never on a paper twice; a pool with too few
+-- matching questions draws what there is.
+CREATE OR REPLACE FUNCTION draw_session_paper()
+RETURNS TRIGGER AS $$
+DECLARE
+  p RECORD;
+  next_order INTEGER;
+BEGIN
+  INSERT INTO session_questions (session_id, question_id, question_order, marks, negative_marks, section_id)
+  SELECT NEW.id, question_id, question_order, marks, negative_marks, section_id
+  FROM test_questions WHERE test_id = NEW.test_id;
+
+  FOR p IN SELECT * FROM test_question_pools WHERE test_id = NEW.test_id ORDER BY pool_order LOOP
+    SELECT COALESCE(MAX(question_order), 0) INTO next_order FROM session_questions WHERE session_id = NEW.id;
+
+    INSERT INTO session_questions (session_id, question_id, question_order, marks, negative_marks, section_id, pool_id)
+    SELECT NEW.id, drawn.id, next_order + ROW_NUMBER() OVER (), p.marks, p.negative_marks, p.section_id, p.id
+    FROM (
+      SELECT q.id FROM questions q
+      WHERE (p.difficulty IS NULL OR q.difficulty = p.difficulty)
+        AND (p.question_type IS NULL OR q.question_type = p.question_type)
+        AND q.tags @> COALESCE(p.tags, '{}')
+        AND q.id NOT IN (SELECT question_id FROM session_questions WHERE session_id = NEW.id)
+      ORDER BY random()
+      LIMIT p.question_count
+    ) drawn;
+  END LOOP;
+
+  RETURN NEW;
+END;
+$$ LANGUAGE plpgsql;
+
+DROP TRIGGER IF EXISTS trg_exam_sessions_paper ON exam_sessions;
+CREATE TRIGGER trg_exam_sessions_paper
+  AFTER INSERT ON exam_sessions
+  FOR EACH ROW EXECUTE FUNCTION draw_session_paper();
+
+-- Rejects candidate answer writes once the session — or the question's
+-- section — is closed (30s grace for auto-submit)
+CREATE OR REPLACE FUNCTION enforce_answer_deadline()
+RETURNS TRIGGER AS $$
+DECLARE
+  s RECORD;
+  question_section UUID;
+  stored JSONB;
+BEGIN
+  -- The edge functions (service role) grade: grade-exam's marks and its rows
+  -- for dropped questions, grade-essay's teacher marks
+  IF NULLIF(current_setting('request.jwt.claims', true), '')::JSONB ->> 'role' = 'service_role' THEN
+    RETURN NEW;
+  END IF;
+  -- Nobody else writes marks — the answers policy is open to the exam client
+  IF TG_OP = 'INSERT' AND (NEW.is_correct IS NOT NULL OR COALESCE(NEW.marks_awarded, 0) <> 0
+      OR NEW.grading_status IS NOT NULL OR NEW.rubric_scores IS NOT NULL OR NEW.grader_comment IS NOT NULL
+      OR NEW.graded_by IS NOT NULL OR NEW.graded_at IS NOT NULL OR NEW.code_results IS NOT NULL)
+     OR TG_OP = 'UPDATE' AND ROW(NEW.is_correct, NEW.marks_awarded, NEW.grading_status, NEW.rubric_scores,
+      NEW.grader_comment, NEW.graded_by, NEW.graded_at, NEW.code_results)
+      IS DISTINCT FROM ROW(OLD.is_correct, OLD.marks_awarded, OLD.grading_status, OLD.rubric_scores,
+      OLD.grader_comment, OLD.graded_by, OLD.graded_at, OLD.code_results) THEN
+    RAISE EXCEPTION 'MARKS_READ_ONLY: answers of session % are graded by the server', NEW.session_id;
+  END IF;
+  -- Updates that leave the answer alone are not candidate writes
+  IF TG_OP = 'UPDATE' AND NEW.selected_answer IS NOT DISTINCT FROM OLD.selected_answer THEN
+    RETURN NEW;
+  END IF;
+  -- Nor is an upsert that sends back the answer already stored — the exam
+  -- client re-sends earlier answers, including ones in closed sections
+  IF TG_OP = 'INSERT' THEN
+    SELECT selected_answer INTO stored FROM answers
+    WHERE session_id = NEW.session_id AND question_id = NEW.question_id;
+    IF FOUND AND stored IS NOT DISTINCT FROM NEW.selected_answer THEN
+      RETURN NEW;
+    END IF;
+  END IF;
+
+  SELECT status, test_id, deadline_at, current_section_id, section_deadline_at INTO s
+  FROM exam_sessions WHERE id = NEW.session_id;
+  IF s.status IN ('completed', 'terminated')
+     OR (s.deadline_at IS NOT NULL AND NOW() > s.deadline_at + INTERVAL '30 seconds') THEN
+    RAISE EXCEPTION 'EXAM_CLOSED: answers can no longer be changed for session %', NEW.session_id;
+  END IF;
+  IF s.status = 'paused' THEN
+    RAISE EXCEPTION 'EXAM_PAUSED: session % is suspended', NEW.session_id;
+  END IF;
+
+  -- Sectioned tests: only questions of the open section, until its time runs out
+  -- (sessions from before question pools have no paper rows)
+  IF s.current_section_id IS NOT NULL THEN
+    SELECT section_id INTO question_section FROM session_questions
+    WHERE session_id = NEW.session_id AND question_id = NEW.question_id;
+    IF NOT FOUND THEN
+      SELECT section_id INTO question_section FROM test_questions
+      WHERE test_id = s.test_id AND question_id = NEW.question_id;
+    END IF;
+    IF question_section IS NOT NULL AND (question_section <> s.current_section_id
+        OR NOW() > s.section_deadline_at + INTERVAL '30 seconds') THEN
+      RAISE EXCEPTION 'EXAM_CLOSED: the section of question % is closed for session %', NEW.question_id, NEW.session_id;
+    END IF;
+  END IF;
+
+  NEW.answered_at := NOW();
+  RETURN NEW;
+END;
+$$ LANGUAGE plpgsql;
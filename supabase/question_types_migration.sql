@@ -0,0 +1,18 @@
+-- ============================================================================
+-- QUESTION TYPES MIGRATION FOR PROCTORWATCH
+-- Run in Supabase SQL Editor (after grading_migration.sql)
+-- Then redeploy: supabase functions deploy grade-exam
+-- ============================================================================
+
+-- ============================================================================
+-- 1. Allowed question types
+--    TRUE_FALSE, NUMERIC (value ± tolerance), SHORT_TEXT (accepted answers),
+--    FILL_BLANK (___ markers in the text), MATCHING and ORDERING join the two
+--    multiple-choice types. JSON shapes of options / correct_answer /
+--    selected_answer are documented in functions/_shared/grading.js.
+-- ============================================================================
+ALTER TABLE questions DROP CONSTRAINT IF EXISTS questions_question_type_check;
+ALTER TABLE questions ADD CONSTRAINT questions_question_type_check CHECK (question_type IN (
+  'MCQ_SINGLE', 'MCQ_MULTIPLE', 'TRUE_FALSE', 'NUMERIC',
+  'SHORT_TEXT', 'FILL_BLANK', 'MATCHING', 'ORDERING'
+));
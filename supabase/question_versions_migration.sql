@@ -0,0 +1,192 @@
+-- ============================================================================
+-- QUESTION VERSIONS MIGRATION FOR PROCTORWATCH
+-- Run in Supabase SQL Editor (after question_bank_migration.sql)
+-- Then redeploy: supabase functions deploy grade-exam
+-- ============================================================================
+
+-- ============================================================================
+-- 1. Immutable versions of a question's content
+--    questions keeps the latest content (the bank shows and pools draw that);
+--    question_versions keeps every published revision. Edits made before
+--    this migration are lost: existing questions start at version 1.
+-- ============================================================================
+CREATE TABLE IF NOT EXISTS question_versions (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  question_id UUID REFERENCES questions(id) ON DELETE CASCADE,
+  version INTEGER NOT NULL,
+  question_text TEXT NOT NULL,
+  question_type TEXT NOT NULL,
+  options JSONB NOT NULL,
+  correct_answer JSONB NOT NULL,
+  marks INTEGER,
+  negative_marks INTEGER,
+  change_note TEXT,
+  created_by UUID REFERENCES users(id) ON DELETE SET NULL,
+  created_at TIMESTAMPTZ DEFAULT NOW(),
+  UNIQUE(question_id, version)
+);
+
+ALTER TABLE question_versions ENABLE ROW LEVEL SECURITY;
+DROP POLICY IF EXISTS "Allow all for authenticated" ON question_versions;
+CREATE POLICY "Allow all for authenticated" ON question_versions FOR ALL USING (true);
+
+CREATE INDEX IF NOT EXISTS idx_question_versions_question ON question_versions(question_id, version DESC);
+
+-- ============================================================================
+-- 2. Tests and papers pin the version they were built with
+-- ============================================================================
+ALTER TABLE test_questions ADD COLUMN IF NOT EXISTS question_version_id UUID REFERENCES question_versions(id);
+ALTER TABLE session_questions ADD COLUMN IF NOT EXISTS question_version_id UUID REFERENCES question_versions(id);
+
+-- ============================================================================
+-- 3. Functions & triggers
+--    - record_question_version(): any content change to questions becomes a new version
+--    - forbid_version_update(): versions never change once written
+--    - pin_question_version(): test_questions / session_questions rows pin
+--      the latest version unless one is given
+--    - publish_question_version(): a correction with its change note
+--    - draw_session_paper(): fixed questions keep the version their test pinned
+-- ============================================================================
+CREATE OR REPLACE FUNCTION record_question_version()
+RETURNS TRIGGER AS $$
+DECLARE
+  latest question_versions;
+BEGIN
+  SELECT * INTO latest FROM question_versions WHERE question_id = NEW.id ORDER BY version DESC LIMIT 1;
+  -- publish_question_version() writes the version itself, with its note
+  IF FOUND AND latest.question_text = NEW.question_text AND latest.question_type = NEW.question_type
+     AND latest.options = NEW.options AND latest.correct_answer = NEW.correct_answer
+     AND latest.marks IS NOT DISTINCT FROM NEW.marks
+     AND latest.negative_marks IS NOT DISTINCT FROM NEW.negative_marks THEN
+    RETURN NEW;
+  END IF;
+
+  INSERT INTO question_versions (question_id, version, question_text, question_type, options, correct_answer,
+                                 marks, negative_marks, created_by)
+  VALUES (NEW.id, COALESCE(latest.version, 0) + 1, NEW.question_text, NEW.question_type, NEW.options,
+          NEW.correct_answer, NEW.marks, NEW.negative_marks, CASE WHEN TG_OP = 'INSERT' THEN NEW.created_by END);
+  RETURN NEW;
+END;
+$$ LANGUAGE plpgsql;
+
+DROP TRIGGER IF EXISTS trg_questions_version ON questions;
+CREATE TRIGGER trg_questions_version
+  AFTER INSERT OR UPDATE OF question_text, question_type, options, correct_answer, marks, negative_marks ON questions
+  FOR EACH ROW EXECUTE FUNCTION record_question_version();
+
+CREATE OR REPLACE FUNCTION forbid_version_update()
+RETURNS TRIGGER AS $$
+BEGIN
+  RAISE EXCEPTION 'VERSION_IMMUTABLE: question versions cannot be changed — publish a new version';
+END;
+$$ LANGUAGE plpgsql;
+
+DROP TRIGGER IF EXISTS trg_question_versions_immutable ON question_versions;
+CREATE TRIGGER trg_question_versions_immutable
+  BEFORE UPDATE ON question_versions
+  FOR EACH ROW EXECUTE FUNCTION forbid_version_update();
+
+CREATE OR REPLACE FUNCTION pin_question_version()
+RETURNS TRIGGER AS $$
+BEGIN
+  IF NEW.question_version_id IS NULL THEN
+    SELECT id INTO NEW.question_version_id FROM question_versions
+    WHERE question_id = NEW.question_id ORDER BY version DESC LIMIT 1;
+  END IF;
+  RETURN NEW;
+END;
+$$ LANGUAGE plpgsql;
+
+DROP TRIGGER IF EXISTS trg_test_questions_version ON test_questions;
+CREATE TRIGGER trg_test_questions_version
+  BEFORE INSERT ON test_questions
+  FOR EACH ROW EXECUTE FUNCTION pin_question_version();
+
+DROP TRIGGER IF EXISTS trg_session_questions_version ON session_questions;
+CREATE TRIGGER trg_session_questions_version
+  BEFORE INSERT ON session_questions
+  FOR EACH ROW EXECUTE FUNCTION pin_question_version();
+
+-- Publishes corrected content as the next version. Tests created from now on
+-- (and pool draws for sessions starting from now on) get it; tests already
+-- set keep the version they pinned.
+CREATE OR REPLACE FUNCTION publish_question_version(
+  p_question_id UUID, p_question_text TEXT, p_options JSONB, p_correct_answer JSONB,
+  p_marks INTEGER, p_negative_marks INTEGER, p_change_note TEXT, p_author UUID
+)
+RETURNS question_versions AS $$
+DECLARE
+  q questions;
+  v question_versions;
+BEGIN
+  SELECT * INTO q FROM questions WHERE id = p_question_id FOR UPDATE;
+  IF NOT FOUND THEN
+    RAISE EXCEPTION 'QUESTION_NOT_FOUND: question % does not exist', p_question_id;
+  END IF;
+
+  INSERT INTO question_versions (question_id, version, question_text, question_type, options, correct_answer,
+                                 marks, negative_marks, change_note, created_by)
+  SELECT p_question_id, COALESCE(MAX(version), 0) + 1, p_question_text, q.question_type, p_options,
+         p_correct_answer, p_marks, p_negative_marks, NULLIF(TRIM(p_change_note), ''), p_author
+  FROM question_versions WHERE question_id = p_question_id
+  RETURNING * INTO v;
+
+  UPDATE questions
+  SET question_text = p_question_text, options = p_options, correct_answer = p_correct_answer,
+      marks = p_marks, negative_marks = p_negative_marks
+  WHERE id = p_question_id;
+
+  RETURN v;
+END;
+$$ LANGUAGE plpgsql;
+
+-- Fixed questions first (at the version their test pinned), then each pool
+-- rule in order draws at random from the bank (latest versions). A question
+-- is never on a paper twice; a pool with too few matching questions draws
+-- what there is.
+CREATE OR REPLACE FUNCTION draw_session_paper()
+RETURNS TRIGGER AS $$
+DECLARE
+  p RECORD;
+  next_order INTEGER;
+BEGIN
+  INSERT INTO session_questions (session_id, question_id, question_version_id, question_order, marks, negative_marks, section_id)
+  SELECT NEW.id, question_id, question_version_id, question_order, marks, negative_marks, section_id
+  FROM test_questions WHERE test_id = NEW.test_id;
+
+  FOR p IN SELECT * FROM test_question_pools WHERE test_id = NEW.test_id ORDER BY pool_order LOOP
+    SELECT COALESCE(MAX(question_order), 0) INTO next_order FROM session_questions WHERE session_id = NEW.id;
+
+    INSERT INTO session_questions (session_id, question_id, question_order, marks, negative_marks, section_id, pool_id)
+    SELECT NEW.id, drawn.id, next_order + ROW_NUMBER() OVER (), p.marks, p.negative_marks, p.section_id, p.id
+    FROM (
+      SELECT q.id FROM questions q
+      WHERE (p.difficulty IS NULL OR q.difficulty = p.difficulty)
+        AND (p.question_type IS NULL OR q.question_type = p.question_type)
+        AND q.tags @> COALESCE(p.tags, '{}')
+        AND q.id NOT IN (SELECT question_id FROM session_questions WHERE session_id = NEW.id)
+      ORDER BY random()
+      LIMIT p.question_count
+    ) drawn;
+  END LOOP;
+
+  RETURN NEW;
+END;
+$$ LANGUAGE plpgsql;
+
+-- ============================================================================
+-- 4. Backfill: current content becomes version 1, pinned everywhere
+-- ============================================================================
+INSERT INTO question_versions (question_id, version, question_text, question_type, options, correct_answer,
+                               marks, negative_marks, created_by, created_at)
+SELECT id, 1, question_text, question_type, options, correct_answer, marks, negative_marks, created_by, created_at
+FROM questions q
+WHERE NOT EXISTS (SELECT 1 FROM question_versions v WHERE v.question_id = q.id);
+
+UPDATE test_questions tq SET question_version_id = v.id
+FROM question_versions v
+WHERE v.question_id = tq.question_id AND v.version = 1 AND tq.question_version_id IS NULL;
+
+UPDATE session_questions sq SET question_version_id = v.id
+FROM question_versions v
+WHERE v.question_id = sq.question_id AND v.version = 1 AND sq.question_version_id IS NULL;
@@ -0,0 +1,27 @@
+-- ============================================================================
+-- REALTIME MIGRATION FOR PROCTORWATCH
+-- Run in Supabase SQL Editor
+-- ============================================================================
+
+-- ============================================================================
+-- 1. Publish live-monitoring tables to Supabase Realtime
+--    LiveSessionMonitor subscribes to INSERT/UPDATE/DELETE on exam_sessions
+--    and INSERT on flags instead of polling. Tables already in the
+--    publication are skipped so the script can be re-run.
+-- ============================================================================
+DO $$
+DECLARE
+  t TEXT;
+BEGIN
+  FOREACH t IN ARRAY ARRAY['exam_sessions', 'flags'] LOOP
+    IF NOT EXISTS (
+      SELECT 1 FROM pg_publication_tables
+      WHERE pubname = 'supabase_realtime' AND schemaname = 'public' AND tablename = t
+    ) THEN
+      EXECUTE format('ALTER PUBLICATION supabase_realtime ADD TABLE public.%I', t);
+    END IF;
+  END LOOP;
+END $$;
+
+-- Speeds up the initial feed snapshot (flags for many sessions, newest first)
+CREATE INDEX IF NOT EXISTS idx_flags_session_timestamp ON flags(session_id, timestamp DESC);
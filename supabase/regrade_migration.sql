@@ -0,0 +1,30 @@
+-- ============================================================================
+-- RE-GRADE MIGRATION FOR PROCTORWATCH
+-- Run in Supabase SQL Editor (after question_versions_migration.sql)
+-- Then redeploy: supabase functions deploy grade-exam
+--                supabase functions deploy test-statistics
+-- ============================================================================
+
+-- ============================================================================
+-- 1. Answer key adjustments of a test already sat
+--    Papers pin the question version they were set with, so a corrected bank
+--    question never reaches a past exam on its own. A re-grade from
+--    TestResults records here how one question is graded for one test —
+--    replacement keys or dropped for everyone — and grade-exam applies it to
+--    every session of the test. The pinned version itself is never changed.
+-- ============================================================================
+CREATE TABLE IF NOT EXISTS test_key_adjustments (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  test_id UUID REFERENCES tests(id) ON DELETE CASCADE,
+  question_id UUID REFERENCES questions(id) ON DELETE CASCADE,
+  answer_keys JSONB NOT NULL DEFAULT '[]',  -- accepted keys, each shaped like correct_answer; the best one counts
+  dropped BOOLEAN NOT NULL DEFAULT false,   -- full marks for everyone who had the question
+  note TEXT,
+  created_by UUID REFERENCES users(id) ON DELETE SET NULL,
+  created_at TIMESTAMPTZ DEFAULT NOW(),
+  UNIQUE(test_id, question_id)
+);
+
+ALTER TABLE test_key_adjustments ENABLE ROW LEVEL SECURITY;
+DROP POLICY IF EXISTS "Allow all for authenticated" ON test_key_adjustments;
+CREATE POLICY "Allow all for authenticated" ON test_key_adjustments FOR ALL USING (true);
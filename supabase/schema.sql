@@ -108,8 +108,12 @@ CREATE TABLE IF NOT EXISTS tests (
     "allow_resume": false,
     "show_results_immediately": false,
     "proctoring_enabled": true,
+    "proctoring": { "profile": "standard" },
     "negative_marking": false,
-    "extra_time_students": {}
+    "partial_credit": false,
+    "blind_grading": false,
+    "extra_time_students": {},
+    "attempts": { "max_attempts": 1, "cooldown_minutes": 0, "scoring": "highest" }
   }',
   is_active BOOLEAN DEFAULT true,
   created_by UUID REFERENCES users(id),
@@ -123,15 +127,103 @@ CREATE TABLE IF NOT EXISTS questions (
   id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
   test_id UUID REFERENCES tests(id) ON DELETE CASCADE,
   question_text TEXT NOT NULL,
-  question_type TEXT NOT NULL CHECK (question_type IN ('MCQ_SINGLE', 'MCQ_MULTIPLE')),
-  options JSONB NOT NULL,
+  question_type TEXT NOT NULL CHECK (question_type IN (
+    'MCQ_SINGLE', 'MCQ_MULTIPLE', 'TRUE_FALSE', 'NUMERIC',
+    'SHORT_TEXT', 'FILL_BLANK', 'MATCHING', 'ORDERING', 'ESSAY', 'CODE'
+  )),
+  options JSONB NOT NULL,         -- MATCHING: { left: [...], right: [...] }; see functions/_shared/grading.js
   correct_answer JSONB NOT NULL,
   marks INTEGER DEFAULT 1,
   negative_marks INTEGER DEFAULT 0,
   question_order INTEGER,
+  difficulty TEXT CHECK (difficulty IN ('Easy', 'Medium', 'Hard')),
+  tags TEXT[] DEFAULT '{}',       -- lower case; pool rules filter on these and difficulty
+  learning_objectives TEXT[] DEFAULT '{}',
+  created_by UUID REFERENCES users(id) ON DELETE SET NULL,  -- author; NULL for older questions
   created_at TIMESTAMPTZ DEFAULT NOW()
 );
 
+-- ============================================
+-- 9a. QUESTION VERSIONS TABLE (immutable; tests and papers pin one)
+-- ============================================
+CREATE TABLE IF NOT EXISTS question_versions (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  question_id UUID REFERENCES questions(id) ON DELETE CASCADE,
+  version INTEGER NOT NULL,
+  question_text TEXT NOT NULL,
+  question_type TEXT NOT NULL,
+  options JSONB NOT NULL,
+  correct_answer JSONB NOT NULL,
+  marks INTEGER,
+  negative_marks INTEGER,
+  change_note TEXT,
+  created_by UUID REFERENCES users(id) ON DELETE SET NULL,
+  created_at TIMESTAMPTZ DEFAULT NOW(),
+  UNIQUE(question_id, version)
+);
+
+-- ============================================
+-- 9b. TEST SECTIONS TABLE (own time budget, optional no-return lock)
+-- ============================================
+CREATE TABLE IF NOT EXISTS test_sections (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  test_id UUID REFERENCES tests(id) ON DELETE CASCADE,
+  section_order INTEGER NOT NULL,
+  title TEXT NOT NULL,
+  instructions TEXT,
+  duration_minutes INTEGER NOT NULL CHECK (duration_minutes > 0),
+  locked BOOLEAN DEFAULT false,               -- no return once left
+  shuffle_questions BOOLEAN DEFAULT false,    -- per-candidate order, stable across reloads
+  UNIQUE(test_id, section_order)
+);
+
+-- ============================================
+-- 9c. TEST QUESTIONS TABLE (junction: tests ↔ bank questions)
+-- ============================================
+CREATE TABLE IF NOT EXISTS test_questions (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  test_id UUID REFERENCES tests(id) ON DELETE CASCADE,
+  question_id UUID REFERENCES questions(id) ON DELETE CASCADE,
+  question_order INTEGER,
+  marks INTEGER,              -- per-test override of questions.marks
+  negative_marks INTEGER,     -- per-test override of questions.negative_marks
+  section_id UUID REFERENCES test_sections(id) ON DELETE SET NULL,  -- NULL for tests without sections
+  question_version_id UUID REFERENCES question_versions(id),        -- pinned when the test is created
+  UNIQUE(test_id, question_id)
+);
+
+-- ============================================
+-- 9d. TEST QUESTION POOLS TABLE (random draw per candidate)
+-- ============================================
+CREATE TABLE IF NOT EXISTS test_question_pools (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  test_id UUID REFERENCES tests(id) ON DELETE CASCADE,
+  pool_order INTEGER NOT NULL,
+  question_count INTEGER NOT NULL CHECK (question_count > 0),
+  difficulty TEXT CHECK (difficulty IN ('Easy', 'Medium', 'Hard')),  -- NULL = any
+  tags TEXT[] DEFAULT '{}',                   -- drawn questions carry all of these
+  question_type TEXT,                         -- NULL = any
+  marks INTEGER NOT NULL DEFAULT 1,           -- per drawn question
+  negative_marks INTEGER DEFAULT 0,
+  section_id UUID REFERENCES test_sections(id) ON DELETE SET NULL,
+  UNIQUE(test_id, pool_order)
+);
+
+-- ============================================
+-- 9e. TEST KEY ADJUSTMENTS TABLE (re-grades of a test already sat)
+-- ============================================
+CREATE TABLE IF NOT EXISTS test_key_adjustments (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  test_id UUID REFERENCES tests(id) ON DELETE CASCADE,
+  question_id UUID REFERENCES questions(id) ON DELETE CASCADE,
+  answer_keys JSONB NOT NULL DEFAULT '[]',  -- accepted keys, each shaped like correct_answer; the best one counts
+  dropped BOOLEAN NOT NULL DEFAULT false,   -- full marks for everyone who had the question
+  note TEXT,
+  created_by UUID REFERENCES users(id) ON DELETE SET NULL,
+  created_at TIMESTAMPTZ DEFAULT NOW(),
+  UNIQUE(test_id, question_id)
+);
+
 -- ============================================
 -- 10. EXAM SESSIONS TABLE
 -- ============================================
@@ -142,13 +234,61 @@ CREATE TABLE IF NOT EXISTS exam_sessions (
   started_at TIMESTAMPTZ DEFAULT NOW(),
   ended_at TIMESTAMPTZ,
   status TEXT DEFAULT 'in_progress' CHECK (status IN ('in_progress', 'completed', 'terminated', 'paused', 'submitted')),
-  score INTEGER,
+  score NUMERIC(8,2),         -- written by the grade-exam edge function
   total_flags INTEGER DEFAULT 0,
   red_flags INTEGER DEFAULT 0,
   orange_flags INTEGER DEFAULT 0,
   is_flagged BOOLEAN DEFAULT false,
   device_info JSONB,
-  UNIQUE(test_id, student_id)
+  reinstated_at TIMESTAMPTZ,  -- last proctor reinstatement; RED ladder counts restart here
+  last_heartbeat_at TIMESTAMPTZ,
+  heartbeat JSONB,            -- latest client snapshot: question, answered, time left, monitors
+  connection_lost_at TIMESTAMPTZ,
+  extra_time_minutes INTEGER DEFAULT 0,  -- granted by a proctor during the exam
+  snapshot_at TIMESTAMPTZ,    -- latest camera thumbnail in the session-snapshots bucket
+  deadline_at TIMESTAMPTZ,    -- authoritative end time, maintained by set_session_deadline()
+  paused_at TIMESTAMPTZ,
+  paused_seconds INTEGER DEFAULT 0,
+  grading_status TEXT DEFAULT 'complete' CHECK (grading_status IN ('pending', 'complete')),  -- 'pending' while essays are unmarked
+  current_section_id UUID REFERENCES test_sections(id),  -- sectioned tests: moved only by enter_exam_section()
+  section_started_at TIMESTAMPTZ,
+  section_deadline_at TIMESTAMPTZ,        -- maintained by set_session_deadline()
+  section_seconds_used JSONB DEFAULT '{}',  -- { section id: seconds } banked when a section is left
+  attempt_number INTEGER NOT NULL DEFAULT 1,  -- set by start_exam_attempt()
+  CONSTRAINT exam_sessions_attempt_key UNIQUE(test_id, student_id, attempt_number)
+);
+
+-- One open (in progress or paused) attempt per student and test
+CREATE UNIQUE INDEX IF NOT EXISTS idx_exam_sessions_open_attempt
+  ON exam_sessions(test_id, student_id) WHERE status IN ('in_progress', 'paused');
+
+-- ============================================
+-- 10b. ATTEMPT GRANTS TABLE (extra attempts a teacher gives one student)
+-- ============================================
+CREATE TABLE IF NOT EXISTS attempt_grants (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  test_id UUID REFERENCES tests(id) ON DELETE CASCADE,
+  student_id UUID REFERENCES users(id) ON DELETE CASCADE,
+  extra_attempts INTEGER NOT NULL CHECK (extra_attempts > 0),
+  reason TEXT,
+  granted_by UUID REFERENCES users(id) ON DELETE SET NULL,
+  created_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+-- ============================================
+-- 10a. SESSION QUESTIONS TABLE (each candidate's paper, drawn by draw_session_paper())
+-- ============================================
+CREATE TABLE IF NOT EXISTS session_questions (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  session_id UUID REFERENCES exam_sessions(id) ON DELETE CASCADE,
+  question_id UUID REFERENCES questions(id) ON DELETE CASCADE,
+  question_order INTEGER,
+  marks INTEGER,
+  negative_marks INTEGER,
+  section_id UUID REFERENCES test_sections(id) ON DELETE SET NULL,
+  pool_id UUID REFERENCES test_question_pools(id) ON DELETE SET NULL,  -- NULL for fixed questions
+  question_version_id UUID REFERENCES question_versions(id),
+  UNIQUE(session_id, question_id)
 );
 
 -- ============================================
@@ -160,8 +300,15 @@ CREATE TABLE IF NOT EXISTS answers (
   question_id UUID REFERENCES questions(id) ON DELETE CASCADE,
   selected_answer JSONB,
   is_correct BOOLEAN,
-  marks_awarded INTEGER DEFAULT 0,
+  marks_awarded NUMERIC(8,2) DEFAULT 0,   -- partial credit may be fractional
   answered_at TIMESTAMPTZ DEFAULT NOW(),
+  -- Manual (essay) grading
+  grading_status TEXT CHECK (grading_status IN ('pending', 'graded')),  -- NULL = auto-graded
+  rubric_scores JSONB,                    -- marks per rubric criterion, in rubric order
+  grader_comment TEXT,
+  graded_by UUID REFERENCES users(id),
+  graded_at TIMESTAMPTZ,
+  code_results JSONB,                     -- CODE: { passed, total, tests: [{ passed, error }] } from hidden tests
   UNIQUE(session_id, question_id)
 );
 
@@ -226,6 +373,471 @@ CREATE TABLE IF NOT EXISTS telemetry (
   timestamp TIMESTAMPTZ DEFAULT NOW()
 );
 
+-- ============================================
+-- 16. SESSION EVENTS TABLE (live-session timeline)
+-- ============================================
+CREATE TABLE IF NOT EXISTS session_events (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  session_id UUID REFERENCES exam_sessions(id) ON DELETE CASCADE,
+  event_type TEXT NOT NULL,   -- CONNECTION_LOST | CONNECTION_RESTORED | ...
+  details JSONB DEFAULT '{}',
+  created_by UUID REFERENCES users(id),
+  created_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+-- ============================================
+-- 17. PROCTOR COMMANDS TABLE (proctor → exam client)
+-- ============================================
+CREATE TABLE IF NOT EXISTS proctor_commands (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  session_id UUID REFERENCES exam_sessions(id) ON DELETE CASCADE,
+  command TEXT NOT NULL CHECK (command IN ('SUSPEND', 'RESUME', 'TERMINATE', 'EXTRA_TIME', 'MESSAGE')),
+  payload JSONB DEFAULT '{}',   -- { reason } | { minutes, reason } | { text }
+  issued_by UUID REFERENCES users(id),
+  created_at TIMESTAMPTZ DEFAULT NOW(),
+  acknowledged_at TIMESTAMPTZ,  -- set by the exam client once applied
+  ack_details JSONB
+);
+
+-- ============================================
+-- 18. SESSION MESSAGES TABLE (proctor ↔ candidate chat)
+-- ============================================
+CREATE TABLE IF NOT EXISTS session_messages (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  session_id UUID REFERENCES exam_sessions(id) ON DELETE CASCADE,
+  sender_id UUID REFERENCES users(id),
+  sender_role TEXT NOT NULL CHECK (sender_role IN ('proctor', 'student')),
+  body TEXT NOT NULL,
+  created_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+-- ============================================
+-- 19. EXAM DEADLINE (server-authoritative timer, section timers)
+-- ============================================
+-- Server clock for the exam client's countdown
+CREATE OR REPLACE FUNCTION server_time()
+RETURNS TIMESTAMPTZ AS $$
+  SELECT NOW();
+$$ LANGUAGE sql STABLE;
+
+-- Seconds a candidate may spend in a section: its duration, stretched by the
+-- same factor as the whole exam (per-student and proctor extra time)
+CREATE OR REPLACE FUNCTION section_budget_seconds(p_section_minutes INTEGER, p_test_minutes INTEGER, p_extra_minutes INTEGER)
+RETURNS INTEGER AS $$
+  SELECT ROUND(p_section_minutes * 60.0 * (p_test_minutes + p_extra_minutes) / GREATEST(p_test_minutes, 1))::INTEGER;
+$$ LANGUAGE sql IMMUTABLE;
+
+-- Maintains started_at / deadline_at / paused_seconds / ended_at and the
+-- section timer on exam_sessions
+CREATE OR REPLACE FUNCTION set_session_deadline()
+RETURNS TRIGGER AS $$
+DECLARE
+  t RECORD;
+  student_email TEXT;
+  student_extra INTEGER;
+  section_minutes INTEGER;
+BEGIN
+  SELECT duration_minutes, start_time, settings INTO t FROM tests WHERE id = NEW.test_id;
+  SELECT email INTO student_email FROM users WHERE id = NEW.student_id;
+
+  -- The timing columns are the server's: clients can't write them, this trigger
+  -- works them out from OLD (time given back goes into paused_seconds). The
+  -- section only moves through enter_exam_section().
+  IF TG_OP = 'UPDATE' THEN
+    NEW.started_at := OLD.started_at;
+    NEW.paused_at := OLD.paused_at;
+    NEW.paused_seconds := OLD.paused_seconds;
+    IF current_setting('proctorwatch.section_move', true) IS DISTINCT FROM 'on' THEN
+      NEW.current_section_id := OLD.current_section_id;
+      NEW.section_started_at := OLD.section_started_at;
+      NEW.section_seconds_used := OLD.section_seconds_used;
+    END IF;
+  END IF;
+
+  IF TG_OP = 'INSERT' THEN
+    -- Server clock only; time in the waiting room before the scheduled start doesn't count
+    NEW.started_at := GREATEST(NOW(), t.start_time);
+    NEW.paused_at := NULL;
+    NEW.paused_seconds := 0;
+    NEW.section_seconds_used := '{}'::JSONB;
+    -- Sectioned tests open on their first section
+    SELECT id INTO NEW.current_section_id FROM test_sections WHERE test_id = NEW.test_id ORDER BY section_order LIMIT 1;
+    IF NEW.current_section_id IS NOT NULL THEN
+      NEW.section_started_at := NEW.started_at;
+    END IF;
+  ELSIF NEW.status = 'paused' AND OLD.status IS DISTINCT FROM 'paused' THEN
+    NEW.paused_at := NOW();
+  ELSIF OLD.status = 'paused' AND NEW.status IS DISTINCT FROM 'paused' AND OLD.paused_at IS NOT NULL THEN
+    -- Suspensions don't consume exam time, or section time
+    NEW.paused_seconds := COALESCE(OLD.paused_seconds, 0) + EXTRACT(EPOCH FROM NOW() - OLD.paused_at)::INTEGER;
+    NEW.section_started_at := NEW.section_started_at + (NOW() - OLD.paused_at);
+    NEW.paused_at := NULL;
+  ELSIF OLD.status = 'terminated' AND NEW.status = 'in_progress' AND OLD.ended_at IS NOT NULL THEN
+    -- A proctor reinstatement gives back the time spent terminated
+    NEW.paused_seconds := COALESCE(OLD.paused_seconds, 0) + EXTRACT(EPOCH FROM NOW() - OLD.ended_at)::INTEGER;
+    NEW.section_started_at := NEW.section_started_at + (NOW() - OLD.ended_at);
+  END IF;
+
+  student_extra := COALESCE((t.settings -> 'extra_time_students' ->> student_email)::INTEGER, 0);
+  NEW.deadline_at := NEW.started_at
+    + make_interval(mins => t.duration_minutes + student_extra + COALESCE(NEW.extra_time_minutes, 0))
+    + make_interval(secs => COALESCE(NEW.paused_seconds, 0));
+
+  -- Current section: its budget minus the time banked on earlier visits
+  IF NEW.current_section_id IS NOT NULL THEN
+    SELECT duration_minutes INTO section_minutes FROM test_sections WHERE id = NEW.current_section_id;
+    NEW.section_deadline_at := NEW.section_started_at + make_interval(secs =>
+      section_budget_seconds(section_minutes, t.duration_minutes, student_extra + COALESCE(NEW.extra_time_minutes, 0))
+      - COALESCE((NEW.section_seconds_used ->> NEW.current_section_id::TEXT)::INTEGER, 0));
+  END IF;
+
+  -- The client can't back- or post-date the end of its own exam
+  IF TG_OP = 'UPDATE' AND NEW.status IN ('completed', 'terminated') AND OLD.status IS DISTINCT FROM NEW.status THEN
+    NEW.ended_at := LEAST(NOW(), NEW.deadline_at);
+  END IF;
+
+  RETURN NEW;
+END;
+$$ LANGUAGE plpgsql;
+
+DROP TRIGGER IF EXISTS trg_exam_sessions_deadline ON exam_sessions;
+CREATE TRIGGER trg_exam_sessions_deadline
+  BEFORE INSERT OR UPDATE ON exam_sessions
+  FOR EACH ROW EXECUTE FUNCTION set_session_deadline();
+
+-- Moves a running session to another section. Banks the time spent in the
+-- section being left; refuses locked sections that were already left and
+-- sections with no time remaining.
+CREATE OR REPLACE FUNCTION enter_exam_section(p_session_id UUID, p_section_id UUID)
+RETURNS exam_sessions AS $$
+DECLARE
+  s exam_sessions;
+  target RECORD;
+  used JSONB;
+BEGIN
+  SELECT * INTO s FROM exam_sessions WHERE id = p_session_id FOR UPDATE;
+  IF s.status IS DISTINCT FROM 'in_progress' THEN
+    RAISE EXCEPTION 'EXAM_CLOSED: session % is not in progress', p_session_id;
+  END IF;
+  IF s.current_section_id = p_section_id THEN
+    RETURN s;
+  END IF;
+
+  SELECT * INTO target FROM test_sections WHERE id = p_section_id AND test_id = s.test_id;
+  IF NOT FOUND THEN
+    RAISE EXCEPTION 'SECTION_INVALID: section % is not part of this test', p_section_id;
+  END IF;
+
+  used := COALESCE(s.section_seconds_used, '{}'::JSONB);
+  IF target.locked AND used ? p_section_id::TEXT THEN
+    RAISE EXCEPTION 'SECTION_LOCKED: section % cannot be re-entered', p_section_id;
+  END IF;
+
+  IF s.current_section_id IS NOT NULL THEN
+    used := used || jsonb_build_object(s.current_section_id::TEXT,
+      COALESCE((used ->> s.current_section_id::TEXT)::INTEGER, 0)
+      + GREATEST(0, EXTRACT(EPOCH FROM LEAST(NOW(), s.section_deadline_at) - s.section_started_at))::INTEGER);
+  END IF;
+
+  -- The deadline trigger works out section_deadline_at for the new section,
+  -- and only takes the section columns while this flag is on
+  PERFORM set_config('proctorwatch.section_move', 'on', true);
+  UPDATE exam_sessions
+  SET current_section_id = p_section_id, section_started_at = NOW(), section_seconds_used = used
+  WHERE id = p_session_id
+  RETURNING * INTO s;
+  PERFORM set_config('proctorwatch.section_move', 'off', true);
+
+  IF s.section_deadline_at <= NOW() THEN
+    RAISE EXCEPTION 'SECTION_TIME_UP: no time left in section %', p_section_id;
+  END IF;
+  RETURN s;
+END;
+$$ LANGUAGE plpgsql;
+
+-- Rejects candidate answer writes once the session — or the question's
+-- section — is closed (30s grace for auto-submit)
+CREATE OR REPLACE FUNCTION enforce_answer_deadline()
+RETURNS TRIGGER AS $$
+DECLARE
+  s RECORD;
+  question_section UUID;
+  stored JSONB;
+BEGIN
+  -- The edge functions (service role) grade: grade-exam's marks and its rows
+  -- for dropped questions, grade-essay's teacher marks
+  IF NULLIF(current_setting('request.jwt.claims', true), '')::JSONB ->> 'role' = 'service_role' THEN
+    RETURN NEW;
+  END IF;
+  -- Nobody else writes marks — the answers policy is open to the exam client
+  IF TG_OP = 'INSERT' AND (NEW.is_correct IS NOT NULL OR COALESCE(NEW.marks_awarded, 0) <> 0
+      OR NEW.grading_status IS NOT NULL OR NEW.rubric_scores IS NOT NULL OR NEW.grader_comment IS NOT NULL
+      OR NEW.graded_by IS NOT NULL OR NEW.graded_at IS NOT NULL OR NEW.code_results IS NOT NULL)
+     OR TG_OP = 'UPDATE' AND ROW(NEW.is_correct, NEW.marks_awarded, NEW.grading_status, NEW.rubric_scores,
+      NEW.grader_comment, NEW.graded_by, NEW.graded_at, NEW.code_results)
+      IS DISTINCT FROM ROW(OLD.is_correct, OLD.marks_awarded, OLD.grading_status, OLD.rubric_scores,
+      OLD.grader_comment, OLD.graded_by, OLD.graded_at, OLD.code_results) THEN
+    RAISE EXCEPTION 'MARKS_READ_ONLY: answers of session % are graded by the server', NEW.session_id;
+  END IF;
+  -- Updates that leave the answer alone are not candidate writes
+  IF TG_OP = 'UPDATE' AND NEW.selected_answer IS NOT DISTINCT FROM OLD.selected_answer THEN
+    RETURN NEW;
+  END IF;
+  -- Nor is an upsert that sends back the answer already stored — the exam
+  -- client re-sends earlier answers, including ones in closed sections
+  IF TG_OP = 'INSERT' THEN
+    SELECT selected_answer INTO stored FROM answers
+    WHERE session_id = NEW.session_id AND question_id = NEW.question_id;
+    IF FOUND AND stored IS NOT DISTINCT FROM NEW.selected_answer THEN
+      RETURN NEW;
+    END IF;
+  END IF;
+
+  SELECT status, test_id, deadline_at, current_section_id, section_deadline_at INTO s
+  FROM exam_sessions WHERE id = NEW.session_id;
+  IF s.status IN ('completed', 'terminated')
+     OR (s.deadline_at IS NOT NULL AND NOW() > s.deadline_at + INTERVAL '30 seconds') THEN
+    RAISE EXCEPTION 'EXAM_CLOSED: answers can no longer be changed for session %', NEW.session_id;
+  END IF;
+  IF s.status = 'paused' THEN
+    RAISE EXCEPTION 'EXAM_PAUSED: session % is suspended', NEW.session_id;
+  END IF;
+
+  -- Sectioned tests: only questions of the open section, until its time runs out
+  -- (sessions from before question pools have no paper rows)
+  IF s.current_section_id IS NOT NULL THEN
+    SELECT section_id INTO question_section FROM session_questions
+    WHERE session_id = NEW.session_id AND question_id = NEW.question_id;
+    IF NOT FOUND THEN
+      SELECT section_id INTO question_section FROM test_questions
+      WHERE test_id = s.test_id AND question_id = NEW.question_id;
+    END IF;
+    IF question_section IS NOT NULL AND (question_section <> s.current_section_id
+        OR NOW() > s.section_deadline_at + INTERVAL '30 seconds') THEN
+      RAISE EXCEPTION 'EXAM_CLOSED: the section of question % is closed for session %', NEW.question_id, NEW.session_id;
+    END IF;
+  END IF;
+
+  NEW.answered_at := NOW();
+  RETURN NEW;
+END;
+$$ LANGUAGE plpgsql;
+
+DROP TRIGGER IF EXISTS trg_answers_deadline ON answers;
+CREATE TRIGGER trg_answers_deadline
+  BEFORE INSERT OR UPDATE ON answers
+  FOR EACH ROW EXECUTE FUNCTION enforce_answer_deadline();
+
+-- ============================================
+-- 20. QUESTION PAPERS (fixed questions + pool draw per session)
+-- ============================================
+-- Fixed questions first (at the version their test pinned), then each pool
+-- rule in order draws at random from the bank (latest versions). A question
+-- is never on a paper twice; a pool with too few matching questions draws
+-- what there is.
+CREATE OR REPLACE FUNCTION draw_session_paper()
+RETURNS TRIGGER AS $$
+DECLARE
+  p RECORD;
+  next_order INTEGER;
+BEGIN
+  INSERT INTO session_questions (session_id, question_id, question_version_id, question_order, marks, negative_marks, section_id)
+  SELECT NEW.id, question_id, question_version_id, question_order, marks, negative_marks, section_id
+  FROM test_questions WHERE test_id = NEW.test_id;
+
+  FOR p IN SELECT * FROM test_question_pools WHERE test_id = NEW.test_id ORDER BY pool_order LOOP
+    SELECT COALESCE(MAX(question_order), 0) INTO next_order FROM session_questions WHERE session_id = NEW.id;
+
+    INSERT INTO session_questions (session_id, question_id, question_order, marks, negative_marks, section_id, pool_id)
+    SELECT NEW.id, drawn.id, next_order + ROW_NUMBER() OVER (), p.marks, p.negative_marks, p.section_id, p.id
+    FROM (
+      SELECT q.id FROM questions q
+      WHERE (p.difficulty IS NULL OR q.difficulty = p.difficulty)
+        AND (p.question_type IS NULL OR q.question_type = p.question_type)
+        AND q.tags @> COALESCE(p.tags, '{}')
+        AND q.id NOT IN (SELECT question_id FROM session_questions WHERE session_id = NEW.id)
+      ORDER BY random()
+      LIMIT p.question_count
+    ) drawn;
+  END LOOP;
+
+  RETURN NEW;
+END;
+$$ LANGUAGE plpgsql;
+
+DROP TRIGGER IF EXISTS trg_exam_sessions_paper ON exam_sessions;
+CREATE TRIGGER trg_exam_sessions_paper
+  AFTER INSERT ON exam_sessions
+  FOR EACH ROW EXECUTE FUNCTION draw_session_paper();
+
+-- ============================================
+-- 20a. ATTEMPTS (limit, cooling-off and retake close from tests.settings.attempts)
+-- ============================================
+-- max_attempts 0 is unlimited; tests without a policy allow one attempt.
+-- Retakes start until retakes_close_at, or end_time when it is not set.
+-- Teacher grants raise the limit for one student.
+CREATE OR REPLACE FUNCTION start_exam_attempt()
+RETURNS TRIGGER AS $$
+DECLARE
+  policy JSONB;
+  max_attempts INTEGER;
+  cooldown_minutes INTEGER;
+  used INTEGER;
+  last_number INTEGER;
+  last_ended TIMESTAMPTZ;
+  granted INTEGER;
+  retakes_close TIMESTAMPTZ;
+BEGIN
+  SELECT COALESCE(settings -> 'attempts', '{}'::JSONB),
+         COALESCE((settings -> 'attempts' ->> 'retakes_close_at')::TIMESTAMPTZ, end_time)
+  INTO policy, retakes_close FROM tests WHERE id = NEW.test_id;
+  max_attempts := COALESCE((policy ->> 'max_attempts')::INTEGER, 1);
+  cooldown_minutes := COALESCE((policy ->> 'cooldown_minutes')::INTEGER, 0);
+
+  SELECT COUNT(*), MAX(attempt_number), MAX(COALESCE(ended_at, started_at))
+  INTO used, last_number, last_ended
+  FROM exam_sessions WHERE test_id = NEW.test_id AND student_id = NEW.student_id;
+
+  SELECT COALESCE(SUM(extra_attempts), 0) INTO granted
+  FROM attempt_grants WHERE test_id = NEW.test_id AND student_id = NEW.student_id;
+
+  IF max_attempts > 0 AND used >= max_attempts + granted THEN
+    RAISE EXCEPTION 'ATTEMPTS_EXHAUSTED: no attempts left on test %', NEW.test_id;
+  END IF;
+  IF used > 0 AND cooldown_minutes > 0 AND last_ended + make_interval(mins => cooldown_minutes) > NOW() THEN
+    RAISE EXCEPTION 'ATTEMPT_COOLDOWN: next attempt from %', last_ended + make_interval(mins => cooldown_minutes);
+  END IF;
+  IF used > 0 AND retakes_close < NOW() THEN
+    RAISE EXCEPTION 'ATTEMPTS_CLOSED: retakes of test % closed at %', NEW.test_id, retakes_close;
+  END IF;
+
+  NEW.attempt_number := COALESCE(last_number, 0) + 1;
+  RETURN NEW;
+END;
+$$ LANGUAGE plpgsql;
+
+DROP TRIGGER IF EXISTS trg_exam_sessions_attempt ON exam_sessions;
+CREATE TRIGGER trg_exam_sessions_attempt
+  BEFORE INSERT ON exam_sessions
+  FOR EACH ROW EXECUTE FUNCTION start_exam_attempt();
+
+-- ============================================
+-- 21. QUESTION USAGE (bank page: tests used in, correctness rate)
+-- ============================================
+-- Essays still waiting for a teacher's mark don't count
+CREATE OR REPLACE VIEW question_usage AS
+SELECT
+  q.id AS question_id,
+  (SELECT COUNT(*) FROM (
+     SELECT tq.test_id FROM test_questions tq WHERE tq.question_id = q.id
+     UNION
+     SELECT es.test_id FROM session_questions sq JOIN exam_sessions es ON es.id = sq.session_id
+     WHERE sq.question_id = q.id
+   ) used) AS tests_used,
+  COUNT(a.id) AS times_answered,
+  COUNT(a.id) FILTER (WHERE a.is_correct) AS times_correct,
+  MAX(a.answered_at) AS last_answered_at
+FROM questions q
+LEFT JOIN answers a ON a.question_id = q.id AND a.grading_status IS DISTINCT FROM 'pending'
+GROUP BY q.id;
+
+-- ============================================
+-- 22. QUESTION VERSIONS (content history, pinning, corrections)
+-- ============================================
+-- Any content change to questions becomes a new version
+CREATE OR REPLACE FUNCTION record_question_version()
+RETURNS TRIGGER AS $$
+DECLARE
+  latest question_versions;
+BEGIN
+  SELECT * INTO latest FROM question_versions WHERE question_id = NEW.id ORDER BY version DESC LIMIT 1;
+  -- publish_question_version() writes the version itself, with its note
+  IF FOUND AND latest.question_text = NEW.question_text AND latest.question_type = NEW.question_type
+     AND latest.options = NEW.options AND latest.correct_answer = NEW.correct_answer
+     AND latest.marks IS NOT DISTINCT FROM NEW.marks
+     AND latest.negative_marks IS NOT DISTINCT FROM NEW.negative_marks THEN
+    RETURN NEW;
+  END IF;
+
+  INSERT INTO question_versions (question_id, version, question_text, question_type, options, correct_answer,
+                                 marks, negative_marks, created_by)
+  VALUES (NEW.id, COALESCE(latest.version, 0) + 1, NEW.question_text, NEW.question_type, NEW.options,
+          NEW.correct_answer, NEW.marks, NEW.negative_marks, CASE WHEN TG_OP = 'INSERT' THEN NEW.created_by END);
+  RETURN NEW;
+END;
+$$ LANGUAGE plpgsql;
+
+DROP TRIGGER IF EXISTS trg_questions_version ON questions;
+CREATE TRIGGER trg_questions_version
+  AFTER INSERT OR UPDATE OF question_text, question_type, options, correct_answer, marks, negative_marks ON questions
+  FOR EACH ROW EXECUTE FUNCTION record_question_version();
+
+CREATE OR REPLACE FUNCTION forbid_version_update()
+RETURNS TRIGGER AS $$
+BEGIN
+  RAISE EXCEPTION 'VERSION_IMMUTABLE: question versions cannot be changed — publish a new version';
+END;
+$$ LANGUAGE plpgsql;
+
+DROP TRIGGER IF EXISTS trg_question_versions_immutable ON question_versions;
+CREATE TRIGGER trg_question_versions_immutable
+  BEFORE UPDATE ON question_versions
+  FOR EACH ROW EXECUTE FUNCTION forbid_version_update();
+
+CREATE OR REPLACE FUNCTION pin_question_version()
+RETURNS TRIGGER AS $$
+BEGIN
+  IF NEW.question_version_id IS NULL THEN
+    SELECT id INTO NEW.question_version_id FROM question_versions
+    WHERE question_id = NEW.question_id ORDER BY version DESC LIMIT 1;
+  END IF;
+  RETURN NEW;
+END;
+$$ LANGUAGE plpgsql;
+
+DROP TRIGGER IF EXISTS trg_test_questions_version ON test_questions;
+CREATE TRIGGER trg_test_questions_version
+  BEFORE INSERT ON test_questions
+  FOR EACH ROW EXECUTE FUNCTION pin_question_version();
+
+DROP TRIGGER IF EXISTS trg_session_questions_version ON session_questions;
+CREATE TRIGGER trg_session_questions_version
+  BEFORE INSERT ON session_questions
+  FOR EACH ROW EXECUTE FUNCTION pin_question_version();
+
+-- Publishes corrected content as the next version. Tests created from now on
+-- (and pool draws for sessions starting from now on) get it; tests already
+-- set keep the version they pinned.
+CREATE OR REPLACE FUNCTION publish_question_version(
+  p_question_id UUID, p_question_text TEXT, p_options JSONB, p_correct_answer JSONB,
+  p_marks INTEGER, p_negative_marks INTEGER, p_change_note TEXT, p_author UUID
+)
+RETURNS question_versions AS $$
+DECLARE
+  q questions;
+  v question_versions;
+BEGIN
+  SELECT * INTO q FROM questions WHERE id = p_question_id FOR UPDATE;
+  IF NOT FOUND THEN
+    RAISE EXCEPTION 'QUESTION_NOT_FOUND: question % does not exist', p_question_id;
+  END IF;
+
+  INSERT INTO question_versions (question_id, version, question_text, question_type, options, correct_answer,
+                                 marks, negative_marks, change_note, created_by)
+  SELECT p_question_id, COALESCE(MAX(version), 0) + 1, p_question_text, q.question_type, p_options,
+         p_correct_answer, p_marks, p_negative_marks, NULLIF(TRIM(p_change_note), ''), p_author
+  FROM question_versions WHERE question_id = p_question_id
+  RETURNING * INTO v;
+
+  UPDATE questions
+  SET question_text = p_question_text, options = p_options, correct_answer = p_correct_answer,
+      marks = p_marks, negative_marks = p_negative_marks
+  WHERE id = p_question_id;
+
+  RETURN v;
+END;
+$$ LANGUAGE plpgsql;
+
 -- ============================================
 -- DEFAULT ADMIN USER (password: Admin@123)
 -- ============================================
@@ -286,12 +898,26 @@ CREATE INDEX IF NOT EXISTS idx_tests_course ON tests(course_id);
 CREATE INDEX IF NOT EXISTS idx_questions_test ON questions(test_id);
 CREATE INDEX IF NOT EXISTS idx_exam_sessions_test ON exam_sessions(test_id);
 CREATE INDEX IF NOT EXISTS idx_exam_sessions_student ON exam_sessions(student_id);
+CREATE INDEX IF NOT EXISTS idx_attempt_grants_test_student ON attempt_grants(test_id, student_id);
 CREATE INDEX IF NOT EXISTS idx_answers_session ON answers(session_id);
+CREATE INDEX IF NOT EXISTS idx_answers_grading ON answers(question_id, grading_status);
 CREATE INDEX IF NOT EXISTS idx_flags_session ON flags(session_id);
 CREATE INDEX IF NOT EXISTS idx_flags_severity ON flags(severity);
 CREATE INDEX IF NOT EXISTS idx_audit_logs_user ON audit_logs(user_id);
 CREATE INDEX IF NOT EXISTS idx_audit_logs_action ON audit_logs(action);
 CREATE INDEX IF NOT EXISTS idx_telemetry_session ON telemetry(session_id);
+CREATE INDEX IF NOT EXISTS idx_test_questions_test ON test_questions(test_id, question_order);
+CREATE INDEX IF NOT EXISTS idx_test_sections_test ON test_sections(test_id, section_order);
+CREATE INDEX IF NOT EXISTS idx_questions_tags ON questions USING GIN(tags);
+CREATE INDEX IF NOT EXISTS idx_questions_difficulty ON questions(difficulty);
+CREATE INDEX IF NOT EXISTS idx_questions_objectives ON questions USING GIN(learning_objectives);
+CREATE INDEX IF NOT EXISTS idx_questions_author ON questions(created_by);
+CREATE INDEX IF NOT EXISTS idx_question_versions_question ON question_versions(question_id, version DESC);
+CREATE INDEX IF NOT EXISTS idx_test_question_pools_test ON test_question_pools(test_id, pool_order);
+CREATE INDEX IF NOT EXISTS idx_session_questions_session ON session_questions(session_id, question_order);
+CREATE INDEX IF NOT EXISTS idx_session_events_session ON session_events(session_id, created_at DESC);
+CREATE INDEX IF NOT EXISTS idx_proctor_commands_session ON proctor_commands(session_id, created_at DESC);
+CREATE INDEX IF NOT EXISTS idx_session_messages_session ON session_messages(session_id, created_at);
 
 -- ============================================
 -- ROW LEVEL SECURITY POLICIES
@@ -313,6 +939,16 @@ ALTER TABLE flags ENABLE ROW LEVEL SECURITY;
 ALTER TABLE module_overrides ENABLE ROW LEVEL SECURITY;
 ALTER TABLE audit_logs ENABLE ROW LEVEL SECURITY;
 ALTER TABLE telemetry ENABLE ROW LEVEL SECURITY;
+ALTER TABLE test_questions ENABLE ROW LEVEL SECURITY;
+ALTER TABLE test_sections ENABLE ROW LEVEL SECURITY;
+ALTER TABLE test_question_pools ENABLE ROW LEVEL SECURITY;
+ALTER TABLE session_questions ENABLE ROW LEVEL SECURITY;
+ALTER TABLE question_versions ENABLE ROW LEVEL SECURITY;
+ALTER TABLE test_key_adjustments ENABLE ROW LEVEL SECURITY;
+ALTER TABLE attempt_grants ENABLE ROW LEVEL SECURITY;
+ALTER TABLE session_events ENABLE ROW LEVEL SECURITY;
+ALTER TABLE proctor_commands ENABLE ROW LEVEL SECURITY;
+ALTER TABLE session_messages ENABLE ROW LEVEL SECURITY;
 
 -- For MVP: Allow all authenticated operations via service role
 -- In production, you would create fine-grained policies per role
@@ -331,3 +967,13 @@ CREATE POLICY "Allow all for authenticated" ON flags FOR ALL USING (true);
 CREATE POLICY "Allow all for authenticated" ON module_overrides FOR ALL USING (true);
 CREATE POLICY "Allow all for authenticated" ON audit_logs FOR ALL USING (true);
 CREATE POLICY "Allow all for authenticated" ON telemetry FOR ALL USING (true);
+CREATE POLICY "Allow all for authenticated" ON test_questions FOR ALL USING (true);
+CREATE POLICY "Allow all for authenticated" ON test_sections FOR ALL USING (true);
+CREATE POLICY "Allow all for authenticated" ON test_question_pools FOR ALL USING (true);
+CREATE POLICY "Allow all for authenticated" ON session_questions FOR ALL USING (true);
+CREATE POLICY "Allow all for authenticated" ON question_versions FOR ALL USING (true);
+CREATE POLICY "Allow all for authenticated" ON test_key_adjustments FOR ALL USING (true);
+CREATE POLICY "Allow all for authenticated" ON attempt_grants FOR ALL USING (true);
+CREATE POLICY "Allow all for authenticated" ON session_events FOR ALL USING (true);
+CREATE POLICY "Allow all for authenticated" ON proctor_commands FOR ALL USING (true);
+CREATE POLICY "Allow all for authenticated" ON session_messages FOR ALL USING (true);
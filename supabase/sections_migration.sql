@@ -0,0 +1,245 @@
+-- ============================================================================
+-- EXAM SECTIONS MIGRATION FOR PROCTORWATCH
+-- Run in Supabase SQL Editor (after code_questions_migration.sql)
+-- ============================================================================
+
+-- ============================================================================
+-- 1. Sections of a test
+--    Each section has its own time budget; a locked section can't be re-entered
+--    once the candidate moves on. Tests without sections behave as before.
+-- ============================================================================
+CREATE TABLE IF NOT EXISTS test_sections (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  test_id UUID REFERENCES tests(id) ON DELETE CASCADE,
+  section_order INTEGER NOT NULL,
+  title TEXT NOT NULL,
+  instructions TEXT,
+  duration_minutes INTEGER NOT NULL CHECK (duration_minutes > 0),
+  locked BOOLEAN DEFAULT false,               -- no return once left
+  shuffle_questions BOOLEAN DEFAULT false,    -- per-candidate order, stable across reloads
+  UNIQUE(test_id, section_order)
+);
+
+ALTER TABLE test_sections ENABLE ROW LEVEL SECURITY;
+DROP POLICY IF EXISTS "Allow all for authenticated" ON test_sections;
+CREATE POLICY "Allow all for authenticated" ON test_sections FOR ALL USING (true);
+
+ALTER TABLE test_questions ADD COLUMN IF NOT EXISTS section_id UUID REFERENCES test_sections(id) ON DELETE SET NULL;
+
+CREATE INDEX IF NOT EXISTS idx_test_sections_test ON test_sections(test_id, section_order);
+
+-- ============================================================================
+-- 2. Section state on exam_sessions
+--    section_seconds_used: { "<section id>": seconds } banked when a section
+--    is left — a key present means the section was left at least once.
+-- ============================================================================
+ALTER TABLE exam_sessions ADD COLUMN IF NOT EXISTS current_section_id UUID REFERENCES test_sections(id);
+ALTER TABLE exam_sessions ADD COLUMN IF NOT EXISTS section_started_at TIMESTAMPTZ;
+ALTER TABLE exam_sessions ADD COLUMN IF NOT EXISTS section_deadline_at TIMESTAMPTZ;
+ALTER TABLE exam_sessions ADD COLUMN IF NOT EXISTS section_seconds_used JSONB DEFAULT '{}';
+
+-- ============================================================================
+-- 3. Functions & triggers
+--    - section_budget_seconds(): a section's time, stretched by extra time
+--    - set_session_deadline(): now also keeps section_deadline_at current
+--    - enter_exam_section(): the only way a candidate changes section
+--    - enforce_answer_deadline(): now also rejects writes outside the open section,
+--      and marks from anyone but the edge functions
+-- ============================================================================
+-- Seconds a candidate may spend in a section: its duration, stretched by the
+-- same factor as the whole exam (per-student and proctor extra time)
+CREATE OR REPLACE FUNCTION section_budget_seconds(p_section_minutes INTEGER, p_test_minutes INTEGER, p_extra_minutes INTEGER)
+RETURNS INTEGER AS $$
+  SELECT ROUND(p_section_minutes * 60.0 * (p_test_minutes + p_extra_minutes) / GREATEST(p_test_minutes, 1))::INTEGER;
+$$ LANGUAGE sql IMMUTABLE;
+
+-- Maintains started_at / deadline_at / paused_seconds / ended_at and the
+-- section timer on exam_sessions
+CREATE OR REPLACE FUNCTION set_session_deadline()
+RETURNS TRIGGER AS $$
+DECLARE
+  t RECORD;
+  student_email TEXT;
+  student_extra INTEGER;
+  section_minutes INTEGER;
+BEGIN
+  SELECT duration_minutes, start_time, settings INTO t FROM tests WHERE id = NEW.test_id;
+  SELECT email INTO student_email FROM users WHERE id = NEW.student_id;
+
+  -- The timing columns are the server's: clients can't write them, this trigger
+  -- works them out from OLD (time given back goes into paused_seconds). The
+  -- section only moves through enter_exam_section().
+  IF TG_OP = 'UPDATE' THEN
+    NEW.started_at := OLD.started_at;
+    NEW.paused_at := OLD.paused_at;
+    NEW.paused_seconds := OLD.paused_seconds;
+    IF current_setting('proctorwatch.section_move', true) IS DISTINCT FROM 'on' THEN
+      NEW.current_section_id := OLD.current_section_id;
+      NEW.section_started_at := OLD.section_started_at;
+      NEW.section_seconds_used := OLD.section_seconds_used;
+    END IF;
+  END IF;
+
+  IF TG_OP = 'INSERT' THEN
+    -- Server clock only; time in the waiting room before the scheduled start doesn't count
+    NEW.started_at := GREATEST(NOW(), t.start_time);
+    NEW.paused_at := NULL;
+    NEW.paused_seconds := 0;
+    NEW.section_seconds_used := '{}'::JSONB;
+    -- Sectioned tests open on their first section
+    SELECT id INTO NEW.current_section_id FROM test_sections WHERE test_id = NEW.test_id ORDER BY section_order LIMIT 1;
+    IF NEW.current_section_id IS NOT NULL THEN
+      NEW.section_started_at := NEW.started_at;
+    END IF;
+  ELSIF NEW.status = 'paused' AND OLD.status IS DISTINCT FROM 'paused' THEN
+    NEW.paused_at := NOW();
+  ELSIF OLD.status = 'paused' AND NEW.status IS DISTINCT FROM 'paused' AND OLD.paused_at IS NOT NULL THEN
+    -- Suspensions don't consume exam time, or section time
+    NEW.paused_seconds := COALESCE(OLD.paused_seconds, 0) + EXTRACT(EPOCH FROM NOW() - OLD.paused_at)::INTEGER;
+    NEW.section_started_at := NEW.section_started_at + (NOW() - OLD.paused_at);
+    NEW.paused_at := NULL;
+  ELSIF OLD.status = 'terminated' AND NEW.status = 'in_progress' AND OLD.ended_at IS NOT NULL THEN
+    -- A proctor reinstatement gives back the time spent terminated
+    NEW.paused_seconds := COALESCE(OLD.paused_seconds, 0) + EXTRACT(EPOCH FROM NOW() - OLD.ended_at)::INTEGER;
+    NEW.section_started_at := NEW.section_started_at + (NOW() - OLD.ended_at);
+  END IF;
+
+  student_extra := COALESCE((t.settings -> 'extra_time_students' ->> student_email)::INTEGER, 0);
+  NEW.deadline_at := NEW.started_at
+    + make_interval(mins => t.duration_minutes + student_extra + COALESCE(NEW.extra_time_minutes, 0))
+    + make_interval(secs => COALESCE(NEW.paused_seconds, 0));
+
+  -- Current section: its budget minus the time banked on earlier visits
+  IF NEW.current_section_id IS NOT NULL THEN
+    SELECT duration_minutes INTO section_minutes FROM test_sections WHERE id = NEW.current_section_id;
+    NEW.section_deadline_at := NEW.section_started_at + make_interval(secs =>
+      section_budget_seconds(section_minutes, t.duration_minutes, student_extra + COALESCE(NEW.extra_time_minutes, 0))
+      - COALESCE((NEW.section_seconds_used ->> NEW.current_section_id::TEXT)::INTEGER, 0));
+  END IF;
+
+  -- The client can't back- or post-date the end of its own exam
+  IF TG_OP = 'UPDATE' AND NEW.status IN ('completed', 'terminated') AND OLD.status IS DISTINCT FROM NEW.status THEN
+    NEW.ended_at := LEAST(NOW(), NEW.deadline_at);
+  END IF;
+
+  RETURN NEW;
+END;
+$$ LANGUAGE plpgsql;
+
+DROP TRIGGER IF EXISTS trg_exam_sessions_deadline ON exam_sessions;
+CREATE TRIGGER trg_exam_sessions_deadline
+  BEFORE INSERT OR UPDATE ON exam_sessions
+  FOR EACH ROW EXECUTE FUNCTION set_session_deadline();
+
+-- Moves a running session to another section. Banks the time spent in the
+-- section being left; refuses locked sections that were already left and
+-- sections with no time remaining.
+CREATE OR REPLACE FUNCTION enter_exam_section(p_session_id UUID, p_section_id UUID)
+RETURNS exam_sessions AS $$
+DECLARE
+  s exam_sessions;
+  target RECORD;
+  used JSONB;
+BEGIN
+  SELECT * INTO s FROM exam_sessions WHERE id = p_session_id FOR UPDATE;
+  IF s.status IS DISTINCT FROM 'in_progress' THEN
+    RAISE EXCEPTION 'EXAM_CLOSED: session % is not in progress', p_session_id;
+  END IF;
+  IF s.current_section_id = p_section_id THEN
+    RETURN s;
+  END IF;
+
+  SELECT * INTO target FROM test_sections WHERE id = p_section_id AND test_id = s.test_id;
+  IF NOT FOUND THEN
+    RAISE EXCEPTION 'SECTION_INVALID: section % is not part of this test', p_section_id;
+  END IF;
+
+  used := COALESCE(s.section_seconds_used, '{}'::JSONB);
+  IF target.locked AND used ? p_section_id::TEXT THEN
+    RAISE EXCEPTION 'SECTION_LOCKED: section % cannot be re-entered', p_section_id;
+  END IF;
+
+  IF s.current_section_id IS NOT NULL THEN
+    used := used || jsonb_build_object(s.current_section_id::TEXT,
+      COALESCE((used ->> s.current_section_id::TEXT)::INTEGER, 0)
+      + GREATEST(0, EXTRACT(EPOCH FROM LEAST(NOW(), s.section_deadline_at) - s.section_started_at))::INTEGER);
+  END IF;
+
+  -- The deadline trigger works out section_deadline_at for the new section,
+  -- and only takes the section columns while this flag is on
+  PERFORM set_config('proctorwatch.section_move', 'on', true);
+  UPDATE exam_sessions
+  SET current_section_id = p_section_id, section_started_at = NOW(), section_seconds_used = used
+  WHERE id = p_session_id
+  RETURNING * INTO s;
+  PERFORM set_config('proctorwatch.section_move', 'off', true);
+
+  IF s.section_deadline_at <= NOW() THEN
+    RAISE EXCEPTION 'SECTION_TIME_UP: no time left in section %', p_section_id;
+  END IF;
+  RETURN s;
+END;
+$$ LANGUAGE plpgsql;
+
+-- Rejects candidate answer writes once the session — or the question's
+-- section — is closed (30s grace for auto-submit)
+CREATE OR REPLACE FUNCTION enforce_answer_deadline()
+RETURNS TRIGGER AS $$
+DECLARE
+  s RECORD;
+  question_section UUID;
+  stored JSONB;
+BEGIN
+  -- The edge functions (service role) grade: grade-exam's marks and its rows
+  -- for dropped questions, grade-essay's teacher marks
+  IF NULLIF(current_setting('request.jwt.claims', true), '')::JSONB ->> 'role' = 'service_role' THEN
+    RETURN NEW;
+  END IF;
+  -- Nobody else writes marks — the answers policy is open to the exam client
+  IF TG_OP = 'INSERT' AND (NEW.is_correct IS NOT NULL OR COALESCE(NEW.marks_awarded, 0) <> 0
+      OR NEW.grading_status IS NOT NULL OR NEW.rubric_scores IS NOT NULL OR NEW.grader_comment IS NOT NULL
+      OR NEW.graded_by IS NOT NULL OR NEW.graded_at IS NOT NULL OR NEW.code_results IS NOT NULL)
+     OR TG_OP = 'UPDATE' AND ROW(NEW.is_correct, NEW.marks_awarded, NEW.grading_status, NEW.rubric_scores,
+      NEW.grader_comment, NEW.graded_by, NEW.graded_at, NEW.code_results)
+      IS DISTINCT FROM ROW(OLD.is_correct, OLD.marks_awarded, OLD.grading_status, OLD.rubric_scores,
+      OLD.grader_comment, OLD.graded_by, OLD.graded_at, OLD.code_results) THEN
+    RAISE EXCEPTION 'MARKS_READ_ONLY: answers of session % are graded by the server', NEW.session_id;
+  END IF;
+  -- Updates that leave the answer alone are not candidate writes
+  IF TG_OP = 'UPDATE' AND NEW.selected_answer IS NOT DISTINCT FROM OLD.selected_answer THEN
+    RETURN NEW;
+  END IF;
+  -- Nor is an upsert that sends back the answer already stored — the exam
+  -- client re-sends earlier answers, including ones in closed sections
+  IF TG_OP = 'INSERT' THEN
+    SELECT selected_answer INTO stored FROM answers
+    WHERE session_id = NEW.session_id AND question_id = NEW.question_id;
+    IF FOUND AND stored IS NOT DISTINCT FROM NEW.selected_answer THEN
+      RETURN NEW;
+    END IF;
+  END IF;
+
+  SELECT status, test_id, deadline_at, current_section_id, section_deadline_at INTO s
+  FROM exam_sessions WHERE id = NEW.session_id;
+  IF s.status IN ('completed', 'terminated')
+     OR (s.deadline_at IS NOT NULL AND NOW() > s.deadline_at + INTERVAL '30 seconds') THEN
+    RAISE EXCEPTION 'EXAM_CLOSED: answers can no longer be changed for session %', NEW.session_id;
+  END IF;
+  IF s.status = 'paused' THEN
+    RAISE EXCEPTION 'EXAM_PAUSED: session % is suspended', NEW.session_id;
+  END IF;
+
+  -- Sectioned tests: only questions of the open section, until its time runs out
+  IF s.current_section_id IS NOT NULL THEN
+    SELECT section_id INTO question_section FROM test_questions
+    WHERE test_id = s.test_id AND question_id = NEW.question_id;
+    IF question_section IS NOT NULL AND (question_section <> s.current_section_id
+        OR NOW() > s.section_deadline_at + INTERVAL '30 seconds') THEN
+      RAISE EXCEPTION 'EXAM_CLOSED: the section of question % is closed for session %', NEW.question_id, NEW.session_id;
+    END IF;
+  END IF;
+
+  NEW.answered_at := NOW();
+  RETURN NEW;
+END;
+$$ LANGUAGE plpgsql;
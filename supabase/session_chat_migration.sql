@@ -0,0 +1,38 @@
+-- ============================================================================
+-- SESSION CHAT MIGRATION FOR PROCTORWATCH
+-- Run in Supabase SQL Editor (after proctor_commands_migration.sql)
+-- ============================================================================
+
+-- ============================================================================
+-- 1. CREATE TABLE: session_messages
+--    Two-way chat between the proctor (LiveSessionMonitor) and the candidate
+--    (ExamSession). Every message is also written to audit_logs as
+--    SESSION_CHAT_MESSAGE.
+-- ============================================================================
+CREATE TABLE IF NOT EXISTS session_messages (
+  id           UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  session_id   UUID REFERENCES exam_sessions(id) ON DELETE CASCADE,
+  sender_id    UUID REFERENCES users(id),
+  sender_role  TEXT NOT NULL CHECK (sender_role IN ('proctor', 'student')),
+  body         TEXT NOT NULL,
+  created_at   TIMESTAMPTZ DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_session_messages_session ON session_messages(session_id, created_at);
+
+ALTER TABLE session_messages ENABLE ROW LEVEL SECURITY;
+DROP POLICY IF EXISTS "Allow all for authenticated" ON session_messages;
+CREATE POLICY "Allow all for authenticated" ON session_messages FOR ALL USING (true);
+
+-- ============================================================================
+-- 2. Publish session_messages to Realtime
+-- ============================================================================
+DO $$
+BEGIN
+  IF NOT EXISTS (
+    SELECT 1 FROM pg_publication_tables
+    WHERE pubname = 'supabase_realtime' AND schemaname = 'public' AND tablename = 'session_messages'
+  ) THEN
+    ALTER PUBLICATION supabase_realtime ADD TABLE public.session_messages;
+  END IF;
+END $$;
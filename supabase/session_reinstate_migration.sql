@@ -0,0 +1,12 @@
+-- ============================================================================
+-- SESSION REINSTATE MIGRATION FOR PROCTORWATCH
+-- Run in Supabase SQL Editor
+-- ============================================================================
+
+-- ============================================================================
+-- 1. exam_sessions.reinstated_at
+--    Set by LiveSessionMonitor when a proctor reinstates a terminated session.
+--    ExamSession only counts RED flags raised after this time when it rebuilds
+--    the RED consequence ladder (warn → pause → terminate) on reload.
+-- ============================================================================
+ALTER TABLE exam_sessions ADD COLUMN IF NOT EXISTS reinstated_at TIMESTAMPTZ;
@@ -0,0 +1,36 @@
+-- ============================================================================
+-- CAMERA SNAPSHOT MIGRATION FOR PROCTORWATCH
+-- Run in Supabase SQL Editor (after session_chat_migration.sql)
+-- ============================================================================
+
+-- ============================================================================
+-- 1. Timestamp of the latest snapshot
+--    ExamSession bumps it after every upload; LiveSessionMonitor receives the
+--    row update over Realtime and reloads the thumbnail.
+-- ============================================================================
+ALTER TABLE exam_sessions ADD COLUMN IF NOT EXISTS snapshot_at TIMESTAMPTZ;
+
+-- ============================================================================
+-- 2. STORAGE BUCKET: session-snapshots
+--    One small JPEG per session (<session id>.jpg), overwritten in place.
+--    Public because the app uses custom auth (anon role).
+-- ============================================================================
+INSERT INTO storage.buckets (id, name, public, file_size_limit, allowed_mime_types)
+VALUES ('session-snapshots', 'session-snapshots', true, 1048576, ARRAY['image/jpeg'])
+ON CONFLICT (id) DO NOTHING;
+
+DROP POLICY IF EXISTS "Exam clients can upload snapshots" ON storage.objects;
+DROP POLICY IF EXISTS "Exam clients can replace snapshots" ON storage.objects;
+DROP POLICY IF EXISTS "Snapshots are readable" ON storage.objects;
+
+CREATE POLICY "Exam clients can upload snapshots"
+ON storage.objects FOR INSERT TO public
+WITH CHECK (bucket_id = 'session-snapshots');
+
+CREATE POLICY "Exam clients can replace snapshots"
+ON storage.objects FOR UPDATE TO public
+USING (bucket_id = 'session-snapshots');
+
+CREATE POLICY "Snapshots are readable"
+ON storage.objects FOR SELECT TO public
+USING (bucket_id = 'session-snapshots');